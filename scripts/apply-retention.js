@@ -0,0 +1,104 @@
+// apply-retention.js
+// 保持ポリシーに従って古い日付フォルダを間引く
+//
+//   node scripts/apply-retention.js [--data-dir=path] [--config=path] [--daily-days=N] [--weekly-weeks=N]
+//                                   [--monthly-months=N|forever] [--archive|--no-archive] [--dry-run]
+const path = require('path');
+const { loadRetentionPolicy, applyRetention } = require('./lib/retention');
+const { runWithPipelineLock } = require('./lib/atomic-fs');
+const { usageError, parseScriptArgs, parseMainArgs } = require('./lib/script-args');
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, '..', 'config', 'retention.json');
+
+const USAGE = 'node scripts/apply-retention.js [--data-dir=PATH] [--config=PATH] [--daily-days=N] [--weekly-weeks=N] [--monthly-months=N|forever] [--archive|--no-archive] [--dry-run]';
+
+// コマンドライン引数を解析（不正な引数は使い方付きのエラー）
+function parseArgs(argv) {
+  const { flags } = parseScriptArgs(argv, {
+    usage: USAGE,
+    flags: {
+      'data-dir': 'string',
+      config: 'string',
+      'daily-days': 'count',
+      'weekly-weeks': 'count',
+      'monthly-months': 'string',
+      archive: 'boolean',
+      'no-archive': 'boolean',
+      'dry-run': 'boolean'
+    },
+    maxDates: 0
+  });
+  if (flags.archive && flags['no-archive']) {
+    throw usageError('--archive and --no-archive cannot be used together', USAGE);
+  }
+  const monthlyMonths = flags['monthly-months'];
+  if (monthlyMonths !== undefined && monthlyMonths !== 'forever' && !/^\d+$/.test(monthlyMonths)) {
+    throw usageError('--monthly-months must be a non-negative integer or forever', USAGE);
+  }
+
+  const options = { overrides: {} };
+  if (flags['data-dir']) options.dataDir = path.resolve(flags['data-dir']);
+  if (flags.config) options.configPath = path.resolve(flags.config);
+  if (flags['daily-days'] !== undefined) options.overrides.dailyDays = flags['daily-days'];
+  if (flags['weekly-weeks'] !== undefined) options.overrides.weeklyWeeks = flags['weekly-weeks'];
+  if (monthlyMonths !== undefined) options.overrides.monthlyMonths = monthlyMonths === 'forever' ? null : Number(monthlyMonths);
+  if (flags.archive) options.overrides.archive = true;
+  if (flags['no-archive']) options.overrides.archive = false;
+  if (flags['dry-run']) options.dryRun = true;
+  return options;
+}
+
+// 保持ポリシーを適用する（戻り値は終了コード。アーカイブできずに残した日があれば1）
+// options: dataDir, configPath, overrides（設定ファイルより優先する値）, today, dryRun
+// 取得中の日付フォルダを消さないよう、書き込みを伴う実行はデータディレクトリのロックを取る
+async function runRetention(options = {}) {
+  const { dataDir = path.join(__dirname, '..', 'data'), dryRun = false } = options;
+  if (dryRun) {
+    return retain({ ...options, dataDir });
+  }
+  return runWithPipelineLock(dataDir, 'retention', () => retain({ ...options, dataDir }));
+}
+
+// 保持ポリシーを読み込んで適用する（ロックは呼び出し側で取る）
+async function retain(options) {
+  const {
+    dataDir,
+    configPath = DEFAULT_CONFIG_PATH,
+    overrides = {},
+    today,
+    dryRun = false
+  } = options;
+
+  let policy;
+  try {
+    policy = loadRetentionPolicy(configPath, overrides);
+  } catch (error) {
+    console.error(error.message);
+    return 1;
+  }
+
+  console.log(`Retention policy: daily ${policy.dailyDays} days, weekly ${policy.weeklyWeeks} weeks, monthly ${policy.monthlyMonths === null ? 'forever' : `${policy.monthlyMonths} months`}, archive ${policy.archive ? 'on' : 'off'}`);
+
+  const result = await applyRetention(dataDir, policy, { today, dryRun });
+
+  console.log(`Kept ${result.kept.length} folders, deleted ${result.deleted.length}, archived ${result.archived.length}`);
+  if (result.failed.length > 0) {
+    console.error(`Failed to archive: ${result.failed.join(', ')}`);
+    return 1;
+  }
+  return 0;
+}
+
+// コマンドライン実行時
+if (require.main === module) {
+  runRetention(parseMainArgs(parseArgs)).then(exitCode => {
+    process.exitCode = exitCode;
+  }).catch(error => {
+    console.error('Error applying retention policy:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  runRetention
+};
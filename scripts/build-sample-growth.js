@@ -0,0 +1,140 @@
+// build-sample-growth.js
+// 指定日（既定は最新）までの直近の日付のスナップショットから、日毎に増えた報告数・よく周回されたステージ・
+// 直近の報告だけのドロップ率を求めて保存する
+//
+//   node scripts/build-sample-growth.js [date] [--servers=CN,JP] [--window-days=7] [--top=20] [--min-times=100]
+//
+// 結果は data/<date>/sample-growth.json（最新日の実行では data/latest-sample-growth.json も）に保存する
+const fs = require('fs');
+const path = require('path');
+const { listDateFolders, latestDate, resolveDate, loadServerSnapshot } = require('./lib/snapshots');
+const { DEFAULT_GROWTH_OPTIONS, buildSampleGrowth } = require('./lib/sample-growth');
+const { loadLatestMetadata } = require('./lib/metadata');
+const { writeFileAtomic, runWithPipelineLock } = require('./lib/atomic-fs');
+const { parseScriptArgs, parseMainArgs } = require('./lib/script-args');
+
+const SERVERS = ['CN', 'US', 'JP', 'KR'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// 期間内の日付のスナップショットを日付順に読み込む
+// 取得に失敗して前回のデータを引き継いだ日（stale）は差分が0になるので飛ばす
+function loadWindow(baseDataDir, date, server, windowDays) {
+  const since = new Date(Date.parse(date) - windowDays * DAY_MS).toISOString().split('T')[0];
+  return listDateFolders(baseDataDir)
+    .filter(folder => folder >= since && folder <= date)
+    .map(folder => ({ date: folder, snapshot: loadServerSnapshot(baseDataDir, folder, server) }))
+    .filter(entry => entry.snapshot && (entry.date === date || !entry.snapshot.stale));
+}
+
+// コマンドライン引数を解析（不正な引数は使い方付きのエラー）
+function parseArgs(argv) {
+  const { flags, dates } = parseScriptArgs(argv, {
+    usage: 'node scripts/build-sample-growth.js [date] [--servers=CN,JP] [--window-days=7] [--top=20] [--min-times=100]',
+    flags: { servers: 'servers', 'window-days': 'count', top: 'count', 'min-times': 'count' }
+  });
+  const options = {};
+  if (dates[0]) options.date = dates[0];
+  if (flags.servers) options.servers = flags.servers;
+  if (flags['window-days'] !== undefined) options.windowDays = flags['window-days'];
+  if (flags.top !== undefined) options.topN = flags.top;
+  if (flags['min-times'] !== undefined) options.minTimes = flags['min-times'];
+
+  return options;
+}
+
+// 報告数の増分を求めて保存（戻り値は終了コード）
+// options: dataDir, date（既定は最新）, servers, windowDays, topN, minTimes, dryRun
+function runSampleGrowth(options = {}) {
+  const { dataDir = path.join(__dirname, '..', 'data'), dryRun = false } = options;
+  if (dryRun) {
+    return saveSampleGrowth({ ...options, dataDir });
+  }
+  return runWithPipelineLock(dataDir, 'growth', () => saveSampleGrowth({ ...options, dataDir }));
+}
+
+// 報告数の増分を求めて保存する（ロックは呼び出し側で取る）
+function saveSampleGrowth(options) {
+  const {
+    dataDir,
+    date: requestedDate,
+    servers = SERVERS,
+    dryRun = false
+  } = options;
+  const settings = { ...DEFAULT_GROWTH_OPTIONS };
+  ['windowDays', 'topN', 'minTimes'].forEach(key => {
+    if (options[key] !== undefined) {
+      settings[key] = options[key];
+    }
+  });
+  const baseDataDir = dataDir;
+  const date = resolveDate(baseDataDir, requestedDate);
+
+  if (!Number.isInteger(settings.windowDays) || settings.windowDays < 1) {
+    console.error('--window-days must be a positive integer');
+    return 1;
+  }
+  if (!date || !fs.existsSync(path.join(baseDataDir, date))) {
+    console.error(`Data folder not found: ${date}`);
+    return 1;
+  }
+
+  console.log(`Tracking sample growth over the ${settings.windowDays} days before ${date}`);
+  const report = {
+    date,
+    generatedAt: new Date().toISOString(),
+    windowDays: settings.windowDays,
+    minTimes: settings.minTimes,
+    servers: {}
+  };
+
+  servers.forEach(server => {
+    const series = loadWindow(baseDataDir, date, server, settings.windowDays);
+    if (series.length === 0 || series[series.length - 1].date !== date) {
+      console.warn(`No ${server} snapshot for ${date}, skipped`);
+      return;
+    }
+    if (series.length < 2) {
+      console.warn(`${server}: no earlier snapshot within ${settings.windowDays} days, skipped`);
+      return;
+    }
+
+    // 古いスナップショットにはstageMetaが無いので保存済みのメタデータで補う
+    const latestMetadata = loadLatestMetadata(baseDataDir, server, date);
+    const growth = buildSampleGrowth(series, { ...settings, metadata: latestMetadata ? latestMetadata.metadata : null });
+    report.servers[server] = growth;
+    const top = growth.mostFarmed.slice(0, 3).map(stage => `${stage.code || stage.stageId} (${stage.times})`).join(', ');
+    console.log(`${server}: ${growth.totalTimes} new runs since ${growth.window.from}, most farmed: ${top || 'none'}`);
+    if (growth.shifted.length > 0) {
+      console.log(`   ${growth.shifted.length} items whose recent drop rate differs from the all-time rate`);
+    }
+  });
+
+  if (Object.keys(report.servers).length === 0) {
+    console.error(`Not enough snapshots to track sample growth for ${date}`);
+    return 1;
+  }
+
+  if (dryRun) {
+    console.log('Dry run: no files written');
+    return 0;
+  }
+
+  writeFileAtomic(path.join(baseDataDir, date, 'sample-growth.json'), JSON.stringify(report, null, 2));
+  // 過去日の再計算ではルートの最新版を上書きしない
+  if (date === latestDate(baseDataDir)) {
+    writeFileAtomic(path.join(baseDataDir, 'latest-sample-growth.json'), JSON.stringify(report, null, 2));
+    console.log(`Saved ${date}/sample-growth.json and latest-sample-growth.json`);
+  } else {
+    console.log(`Saved ${date}/sample-growth.json`);
+  }
+  return 0;
+}
+
+// コマンドライン実行時
+if (require.main === module) {
+  process.exitCode = runSampleGrowth(parseMainArgs(parseArgs));
+}
+
+module.exports = {
+  runSampleGrowth
+};
@@ -0,0 +1,212 @@
+// build-static-api.js
+// data/index.json（日付・サーバー・ファイルサイズ・ハッシュの一覧）と、最新日の静的API（data/api/）を作る
+//
+//   node scripts/build-static-api.js [--servers=CN,JP]
+//
+// フロントエンドは index.json から最新日とサーバー毎のAPIの場所を知り、
+// 巨大な summary.json の代わりに必要なステージ・アイテムのファイルだけを取得できる
+const fs = require('fs');
+const path = require('path');
+const { listDateFolders, latestDate, loadServerSnapshot } = require('./lib/snapshots');
+const { loadLatestMetadata, enrichSnapshot } = require('./lib/metadata');
+const { loadRetentionPolicy } = require('./lib/retention');
+const { STATIC_API_VERSION, serverApiPath, buildServerApi, describeFile } = require('./lib/static-api');
+const { validateManifest } = require('./lib/schemas');
+const { isTempFile, writeFileAtomic, removeTempFiles, runWithPipelineLock } = require('./lib/atomic-fs');
+const { parseScriptArgs, parseMainArgs } = require('./lib/script-args');
+
+const SERVERS = ['CN', 'US', 'JP', 'KR'];
+const MANIFEST_FILE = 'index.json';
+const RETENTION_CONFIG_PATH = path.join(__dirname, '..', 'config', 'retention.json');
+
+// ディレクトリ直下のファイル（相対パス、名前順。ロックファイルや書き込み途中の一時ファイルは除く）
+function listFiles(baseDataDir, relativeDir, filter = () => true) {
+  const dir = path.join(baseDataDir, relativeDir);
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+  return fs.readdirSync(dir, { withFileTypes: true })
+    .filter(dirent => dirent.isFile() && !dirent.name.startsWith('.') && filter(dirent.name))
+    .map(dirent => path.join(relativeDir, dirent.name))
+    .sort();
+}
+
+// ディレクトリ以下の全ファイル（相対パス、名前順）
+function listFilesRecursive(baseDataDir, relativeDir) {
+  const dir = path.join(baseDataDir, relativeDir);
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+  const files = [];
+  fs.readdirSync(dir, { withFileTypes: true }).forEach(dirent => {
+    const relativePath = path.join(relativeDir, dirent.name);
+    if (isTempFile(dirent.name)) {
+      return;
+    }
+    if (dirent.isDirectory()) {
+      files.push(...listFilesRecursive(baseDataDir, relativePath));
+    } else if (dirent.isFile()) {
+      files.push(relativePath);
+    }
+  });
+  return files.sort();
+}
+
+// 日付フォルダの一覧（summary.json があればサーバーと保存形式もそこから取る）
+function describeDate(baseDataDir, date) {
+  const summaryFile = path.join(baseDataDir, date, 'summary.json');
+  const summary = fs.existsSync(summaryFile) ? JSON.parse(fs.readFileSync(summaryFile, 'utf8')) : null;
+  const files = listFiles(baseDataDir, date);
+  const servers = summary
+    ? summary.servers
+    : SERVERS.filter(server => files.some(file => path.basename(file) === `penguin-stats-${server.toLowerCase()}.json`));
+
+  return {
+    date,
+    servers,
+    staleServers: summary && summary.staleServers ? summary.staleServers : [],
+    storageMode: summary && summary.storageMode ? summary.storageMode : 'full',
+    files: files.map(file => describeFile(baseDataDir, file))
+  };
+}
+
+// 静的APIを書き出す
+// 一時ディレクトリに全ファイルを書いてから入れ替えるので、途中で落ちても前回の版が残る（消えたステージのファイルも残らない）
+function writeServerApi(baseDataDir, server, api) {
+  const serverDir = path.join(baseDataDir, serverApiPath(server));
+  const parentDir = path.dirname(serverDir);
+  const stagingDir = path.join(parentDir, `.${path.basename(serverDir)}.${process.pid}.tmp`);
+  const previousDir = path.join(parentDir, `.${path.basename(serverDir)}.${process.pid}.old.tmp`);
+
+  removeTempFiles(parentDir);
+  fs.mkdirSync(path.join(stagingDir, 'stages'), { recursive: true });
+  fs.mkdirSync(path.join(stagingDir, 'items'), { recursive: true });
+
+  fs.writeFileSync(path.join(stagingDir, 'index.json'), JSON.stringify(api.index, null, 2));
+  Object.entries(api.stages).forEach(([stageId, doc]) => {
+    fs.writeFileSync(path.join(stagingDir, 'stages', `${stageId}.json`), JSON.stringify(doc, null, 2));
+  });
+  Object.entries(api.items).forEach(([itemId, doc]) => {
+    fs.writeFileSync(path.join(stagingDir, 'items', `${itemId}.json`), JSON.stringify(doc, null, 2));
+  });
+
+  if (fs.existsSync(serverDir)) {
+    fs.renameSync(serverDir, previousDir);
+  }
+  fs.renameSync(stagingDir, serverDir);
+  fs.rmSync(previousDir, { recursive: true, force: true });
+}
+
+// 静的APIとマニフェストを作る（戻り値は終了コード）
+// options: dataDir, servers, retentionConfigPath, dryRun
+// 静的APIは常に最新日から作る（過去日を指定した再計算でも最新版を上書きしない）
+function runStaticApi(options = {}) {
+  const { dataDir = path.join(__dirname, '..', 'data'), dryRun = false } = options;
+  if (dryRun) {
+    return buildStaticApi({ ...options, dataDir });
+  }
+
+  return runWithPipelineLock(dataDir, 'api', () => buildStaticApi({ ...options, dataDir }));
+}
+
+// 静的APIとマニフェストを作って保存する
+function buildStaticApi(options) {
+  const {
+    dataDir,
+    servers = SERVERS,
+    retentionConfigPath = RETENTION_CONFIG_PATH,
+    dryRun = false
+  } = options;
+  const baseDataDir = dataDir;
+  const date = latestDate(baseDataDir);
+
+  if (!date || !fs.existsSync(path.join(baseDataDir, date))) {
+    console.error('No data to build the static API from');
+    return 1;
+  }
+
+  console.log(`Building static API for ${date}`);
+  const apiServers = {};
+  servers.forEach(server => {
+    let snapshot = loadServerSnapshot(baseDataDir, date, server);
+    if (!snapshot) {
+      console.warn(`No ${server} snapshot for ${date}, skipped`);
+      return;
+    }
+    // 古いスナップショットにはstageMeta/itemMetaが無いので保存済みのメタデータで補う
+    if (!snapshot.itemMeta) {
+      const latestMetadata = loadLatestMetadata(baseDataDir, server, date);
+      if (latestMetadata) {
+        snapshot = enrichSnapshot(snapshot, latestMetadata.metadata);
+      }
+    }
+
+    const api = buildServerApi(snapshot, server, date);
+    if (!dryRun) {
+      writeServerApi(baseDataDir, server, api);
+    }
+    apiServers[server] = {
+      date,
+      fetchedAt: api.index.fetchedAt,
+      stale: api.index.stale,
+      stageCount: api.index.stageCount,
+      itemCount: api.index.itemCount,
+      path: serverApiPath(server)
+    };
+    console.log(`${server}: ${api.index.stageCount} stage files, ${api.index.itemCount} item files in ${serverApiPath(server)}/`);
+  });
+
+  if (Object.keys(apiServers).length === 0) {
+    console.error(`No snapshots for ${date}`);
+    return 1;
+  }
+
+  const policy = loadRetentionPolicy(retentionConfigPath);
+  const archiveDir = path.relative(baseDataDir, path.resolve(baseDataDir, policy.archiveDir));
+  const manifest = {
+    version: STATIC_API_VERSION,
+    generatedAt: new Date().toISOString(),
+    latestDate: date,
+    servers: Object.keys(apiServers),
+    api: apiServers,
+    latest: listFiles(baseDataDir, '', name => name !== MANIFEST_FILE && name.startsWith('latest'))
+      .map(file => describeFile(baseDataDir, file)),
+    dates: listDateFolders(baseDataDir).map(folder => describeDate(baseDataDir, folder)),
+    history: listFilesRecursive(baseDataDir, 'history').map(file => describeFile(baseDataDir, file)),
+    archives: archiveDir.startsWith('..') ? [] : listFiles(baseDataDir, archiveDir).map(file => describeFile(baseDataDir, file))
+  };
+
+  const errors = validateManifest(manifest);
+  if (errors.length > 0) {
+    errors.forEach(error => console.error(`   ${error}`));
+    console.error('Manifest is invalid, not saved');
+    return 1;
+  }
+
+  if (dryRun) {
+    console.log(`Dry run: would list ${manifest.dates.length} dates in ${MANIFEST_FILE}`);
+    return 0;
+  }
+  writeFileAtomic(path.join(baseDataDir, MANIFEST_FILE), JSON.stringify(manifest, null, 2));
+  console.log(`Saved ${MANIFEST_FILE} (${manifest.dates.length} dates, ${manifest.archives.length} archives)`);
+  return 0;
+}
+
+// コマンドライン引数を解析（不正な引数は使い方付きのエラー）
+function parseArgs(argv) {
+  const { flags } = parseScriptArgs(argv, {
+    usage: 'node scripts/build-static-api.js [--servers=CN,JP]',
+    flags: { servers: 'servers' },
+    maxDates: 0
+  });
+  return flags.servers ? { servers: flags.servers } : {};
+}
+
+// コマンドライン実行時
+if (require.main === module) {
+  process.exitCode = runStaticApi(parseMainArgs(parseArgs));
+}
+
+module.exports = {
+  runStaticApi
+};
@@ -0,0 +1,136 @@
+// build-timeline.js
+// 指定日（既定は最新）のスナップショットからイベントの開催期間のタイムラインを作り、JSONとiCalendarで保存する
+//
+//   node scripts/build-timeline.js [date] [--servers=CN,JP] [--categories=event,side_story,rerun] [--language=ja]
+//
+// 最新日の実行では data/latest-event-timeline.ics（全サーバー）と
+// data/latest-event-timeline-<server>.ics（サーバー別）を更新するので、カレンダーアプリから購読できる
+const fs = require('fs');
+const path = require('path');
+const { latestDate, resolveDate, loadServerSnapshot } = require('./lib/snapshots');
+const { loadStageRules } = require('./lib/stage-classifier');
+const { loadRegistry } = require('./lib/stage-type-registry');
+const { DEFAULT_TIMELINE_CATEGORIES, buildTimeline, formatIcs } = require('./lib/timeline');
+const { writeFileAtomic, runWithPipelineLock } = require('./lib/atomic-fs');
+const { parseScriptArgs, parseMainArgs } = require('./lib/script-args');
+
+const SERVERS = ['CN', 'US', 'JP', 'KR'];
+
+// 登録簿の名称（指定言語）をステージタイプ毎に取り出す
+function registryNames(registry, language) {
+  const names = {};
+  Object.entries(registry.types).forEach(([stageType, entry]) => {
+    if (entry.names[language]) {
+      names[stageType] = entry.names[language];
+    }
+  });
+  return names;
+}
+
+// コマンドライン引数を解析（不正な引数は使い方付きのエラー）
+function parseArgs(argv) {
+  const { flags, dates } = parseScriptArgs(argv, {
+    usage: 'node scripts/build-timeline.js [date] [--servers=CN,JP] [--categories=event,side_story,rerun] [--language=ja]',
+    flags: { servers: 'servers', categories: 'list', language: 'string' }
+  });
+  const options = {};
+  if (dates[0]) options.date = dates[0];
+  if (flags.servers) options.servers = flags.servers;
+  if (flags.categories) options.categories = flags.categories;
+  if (flags.language) options.language = flags.language;
+
+  return options;
+}
+
+// タイムラインを作って保存（戻り値は終了コード）
+// options: dataDir, date（既定は最新）, servers, categories, language（イベント名の言語、既定はja）, dryRun
+function runTimeline(options = {}) {
+  const { dataDir = path.join(__dirname, '..', 'data'), dryRun = false } = options;
+  if (dryRun) {
+    return saveTimeline({ ...options, dataDir });
+  }
+  return runWithPipelineLock(dataDir, 'timeline', () => saveTimeline({ ...options, dataDir }));
+}
+
+// タイムラインを作って保存する（ロックは呼び出し側で取る）
+function saveTimeline(options) {
+  const {
+    dataDir,
+    date: requestedDate,
+    servers = SERVERS,
+    categories = DEFAULT_TIMELINE_CATEGORIES,
+    language = 'ja',
+    dryRun = false
+  } = options;
+  const baseDataDir = dataDir;
+  const date = resolveDate(baseDataDir, requestedDate);
+
+  if (!date || !fs.existsSync(path.join(baseDataDir, date))) {
+    console.error(`Data folder not found: ${date}`);
+    return 1;
+  }
+
+  const snapshots = {};
+  servers.forEach(server => {
+    const snapshot = loadServerSnapshot(baseDataDir, date, server);
+    if (snapshot) {
+      snapshots[server] = snapshot;
+    } else {
+      console.warn(`No ${server} snapshot for ${date}, skipped`);
+    }
+  });
+  if (Object.keys(snapshots).length === 0) {
+    console.error(`No snapshots for ${date}`);
+    return 1;
+  }
+
+  console.log(`Building event timeline for ${date}`);
+  const timeline = {
+    date,
+    ...buildTimeline(snapshots, {
+      rules: loadStageRules(),
+      categories,
+      language,
+      names: registryNames(loadRegistry(baseDataDir), language)
+    })
+  };
+
+  Object.entries(timeline.servers).forEach(([server, serverTimeline]) => {
+    console.log(`${server}: ${serverTimeline.events.length} events, ${serverTimeline.open.length} open, ${serverTimeline.upcoming.length} upcoming`);
+    if (serverTimeline.open.length > 0) {
+      console.log(`   Open: ${serverTimeline.open.join(', ')}`);
+    }
+    if (serverTimeline.upcoming.length > 0) {
+      console.log(`   Upcoming: ${serverTimeline.upcoming.join(', ')}`);
+    }
+  });
+
+  if (dryRun) {
+    console.log('Dry run: no files written');
+    return 0;
+  }
+
+  writeFileAtomic(path.join(baseDataDir, date, 'event-timeline.json'), JSON.stringify(timeline, null, 2));
+  // 過去日の再計算ではルートの最新版（購読用のカレンダー）を上書きしない
+  if (date === latestDate(baseDataDir)) {
+    writeFileAtomic(path.join(baseDataDir, 'latest-event-timeline.json'), JSON.stringify(timeline, null, 2));
+    writeFileAtomic(path.join(baseDataDir, 'latest-event-timeline.ics'), formatIcs(timeline));
+    Object.keys(timeline.servers).forEach(server => {
+      const file = `latest-event-timeline-${server.toLowerCase()}.ics`;
+      writeFileAtomic(path.join(baseDataDir, file), formatIcs(timeline, { servers: [server], calendarName: `Arknights events (${server})` }));
+    });
+    console.log(`Saved ${date}/event-timeline.json, latest-event-timeline.json and calendars for ${Object.keys(timeline.servers).join(', ')}`);
+  } else {
+    console.log(`Saved ${date}/event-timeline.json`);
+  }
+  return 0;
+}
+
+// コマンドライン実行時
+if (require.main === module) {
+  process.exitCode = runTimeline(parseMainArgs(parseArgs));
+}
+
+module.exports = {
+  runTimeline
+};
@@ -0,0 +1,148 @@
+// calculate-efficiency.js
+// 指定日（既定は最新）のスナップショットから理性効率と最効率ステージ表を作成する
+//
+//   node scripts/calculate-efficiency.js [date] [--min-times=N] [--top=N] [--include-closed]
+const fs = require('fs');
+const path = require('path');
+const { latestDate, resolveDate, loadServerSnapshot } = require('./lib/snapshots');
+const { loadLatestMetadata } = require('./lib/metadata');
+const { DEFAULT_EFFICIENCY_OPTIONS, computeStageEfficiency, computeBestStages } = require('./lib/efficiency');
+const { writeFileAtomic, runWithPipelineLock } = require('./lib/atomic-fs');
+const { parseScriptArgs, parseMainArgs } = require('./lib/script-args');
+
+const SERVERS = ['CN', 'US', 'JP', 'KR'];
+
+// コマンドライン引数を解析（不正な引数は使い方付きのエラー）
+function parseArgs(argv) {
+  const { flags, dates } = parseScriptArgs(argv, {
+    usage: 'node scripts/calculate-efficiency.js [date] [--min-times=N] [--top=N] [--include-closed]',
+    flags: { 'min-times': 'count', top: 'count', 'include-closed': 'boolean' }
+  });
+  const options = { ...DEFAULT_EFFICIENCY_OPTIONS };
+  if (flags['min-times'] !== undefined) options.minTimes = flags['min-times'];
+  if (flags.top !== undefined) options.topN = flags.top;
+  if (flags['include-closed']) options.openOnly = false;
+
+  return { date: dates[0] || null, options };
+}
+
+// 全サーバー分を計算
+function calculateEfficiency(baseDataDir, date, calcOptions = {}) {
+  const { servers = SERVERS, ...options } = calcOptions;
+  const result = {
+    date,
+    generatedAt: new Date().toISOString(),
+    options: {
+      minTimes: options.minTimes,
+      z: options.z,
+      topN: options.topN,
+      openOnly: options.openOnly
+    },
+    servers: {}
+  };
+
+  servers.forEach(server => {
+    const snapshot = loadServerSnapshot(baseDataDir, date, server);
+    if (!snapshot) {
+      console.warn(`⚠️ No ${server} snapshot for ${date}, skipped`);
+      return;
+    }
+
+    // 古いスナップショットにはstageMetaが無いので保存済みのメタデータで補う
+    const latestMetadata = loadLatestMetadata(baseDataDir, server, date);
+    const stages = computeStageEfficiency(snapshot, {
+      ...options,
+      metadata: latestMetadata ? latestMetadata.metadata : null
+    });
+
+    result.servers[server] = {
+      fetchedAt: snapshot.fetchedAt,
+      stale: !!snapshot.stale,
+      stageCount: Object.keys(stages).length,
+      stages,
+      bestStages: computeBestStages(stages, options)
+    };
+  });
+
+  return result;
+}
+
+// 計算してファイルに保存（戻り値は終了コード）
+// options: dataDir, date, dryRun と計算オプション（minTimes, topN, openOnly, z）
+function runEfficiency(options = {}) {
+  const { dataDir = path.join(__dirname, '..', 'data'), dryRun = false } = options;
+  if (dryRun) {
+    return saveEfficiency({ ...options, dataDir });
+  }
+  return runWithPipelineLock(dataDir, 'efficiency', () => saveEfficiency({ ...options, dataDir }));
+}
+
+// 計算してファイルに保存する（ロックは呼び出し側で取る）
+function saveEfficiency(options) {
+  const { dataDir, date: requestedDate, dryRun = false, ...calcOptions } = options;
+  const baseDataDir = dataDir;
+  const date = resolveDate(baseDataDir, requestedDate);
+
+  if (!date || !fs.existsSync(path.join(baseDataDir, date))) {
+    console.error(`Data folder not found: ${date}`);
+    return 1;
+  }
+
+  console.log(`🧮 Calculating sanity efficiency for ${date}`);
+  const result = calculateEfficiency(baseDataDir, date, { ...DEFAULT_EFFICIENCY_OPTIONS, ...calcOptions });
+
+  // 最新版の最効率ステージ表をルートにも保存
+  const bestStages = {
+    date: result.date,
+    generatedAt: result.generatedAt,
+    options: result.options,
+    servers: {}
+  };
+  Object.entries(result.servers).forEach(([server, serverResult]) => {
+    bestStages.servers[server] = {
+      fetchedAt: serverResult.fetchedAt,
+      stale: serverResult.stale,
+      bestStages: serverResult.bestStages
+    };
+  });
+
+  Object.entries(result.servers).forEach(([server, serverResult]) => {
+    console.log(`${server}: ${serverResult.stageCount} stages with AP cost, ${Object.keys(serverResult.bestStages).length} items ranked`);
+  });
+  // 消費理性が分からないと空の効率表になるので保存しない
+  const missingCosts = Object.keys(result.servers).filter(server => result.servers[server].stageCount === 0);
+  if (missingCosts.length > 0) {
+    console.error(`No stage had an AP cost on ${missingCosts.join(', ')}: the ${date} snapshots have no stageMeta and no metadata-<server>.json exists on or before ${date}. Run the fetcher with metadata enabled first.`);
+    return 1;
+  }
+
+  if (dryRun) {
+    console.log('Dry run: no files written');
+    return 0;
+  }
+  writeFileAtomic(path.join(baseDataDir, date, 'sanity-efficiency.json'), JSON.stringify(result, null, 2));
+  // 過去日の再計算ではルートの最新版を上書きしない
+  if (date === latestDate(baseDataDir)) {
+    writeFileAtomic(path.join(baseDataDir, 'latest-best-stages.json'), JSON.stringify(bestStages, null, 2));
+    console.log(`📁 Saved ${date}/sanity-efficiency.json and latest-best-stages.json`);
+  } else {
+    console.log(`📁 Saved ${date}/sanity-efficiency.json`);
+  }
+  return 0;
+}
+
+// メイン処理
+function main() {
+  const { date, options } = parseMainArgs(parseArgs);
+  process.exitCode = runEfficiency({ ...options, date });
+}
+
+// コマンドライン実行時
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  calculateEfficiency,
+  runEfficiency
+};
@@ -0,0 +1,147 @@
+// check-health.js
+// 指定日（既定は最新）の取得結果を直前の数日分と比べて異常を検出し、ヘルスレポートを保存する
+//
+//   node scripts/check-health.js [date] [--servers=CN,JP] [--baseline-days=7]
+//
+// レポートは data/<date>/health.json（最新日の実行では data/latest-health.json も）に保存する。
+// 重大な異常があれば終了コード1で終わるので、ワークフローを失敗させて気付けるようにする
+const fs = require('fs');
+const path = require('path');
+const { listDateFolders, latestDate, resolveDate, loadServerSnapshot } = require('./lib/snapshots');
+const { loadHealthPolicy, snapshotMetrics, checkHealth } = require('./lib/health');
+const { validateHealthReport } = require('./lib/schemas');
+const { writeFileAtomic, runWithPipelineLock } = require('./lib/atomic-fs');
+const { NOTIFICATIONS_CONFIG_PATH, sendNotifications, healthNotification } = require('./lib/notifiers');
+const { parseScriptArgs, parseMainArgs } = require('./lib/script-args');
+
+const SERVERS = ['CN', 'US', 'JP', 'KR'];
+const HEALTH_CONFIG_PATH = path.join(__dirname, '..', 'config', 'health.json');
+
+// 直前の日付のベースラインを読み込む（スナップショットは直前の1日分だけ保持して件数だけを残す）
+function loadBaseline(baseDataDir, date, servers, baselineDays) {
+  const dates = listDateFolders(baseDataDir).filter(folder => folder < date).slice(-baselineDays);
+  const baseline = { dates, servers: {} };
+
+  servers.forEach(server => {
+    const entry = { metrics: [], previous: null };
+    dates.forEach(folder => {
+      const snapshot = loadServerSnapshot(baseDataDir, folder, server);
+      if (snapshot) {
+        entry.metrics.push(snapshotMetrics(snapshot));
+        entry.previous = snapshot;
+      }
+    });
+    baseline.servers[server] = entry;
+  });
+
+  return baseline;
+}
+
+// コマンドライン引数を解析（不正な引数は使い方付きのエラー）
+function parseArgs(argv) {
+  const { flags, dates } = parseScriptArgs(argv, {
+    usage: 'node scripts/check-health.js [date] [--servers=CN,JP] [--baseline-days=7]',
+    flags: { servers: 'servers', 'baseline-days': 'count' }
+  });
+  const options = {};
+  if (dates[0]) options.date = dates[0];
+  if (flags.servers) options.servers = flags.servers;
+  if (flags['baseline-days'] !== undefined) options.baselineDays = flags['baseline-days'];
+
+  return options;
+}
+
+// ヘルスチェックを実行してレポートを保存（戻り値は終了コード。重大な異常があれば1）
+// options: dataDir, date（既定は最新）, servers, baselineDays, configPath, notificationConfigPath, dryRun
+async function runHealthCheck(options = {}) {
+  const { dataDir = path.join(__dirname, '..', 'data'), dryRun = false } = options;
+  if (dryRun) {
+    return checkAndSave({ ...options, dataDir });
+  }
+  return runWithPipelineLock(dataDir, 'health', () => checkAndSave({ ...options, dataDir }));
+}
+
+// チェックしてレポートの保存と通知を行う（ロックは呼び出し側で取る）
+async function checkAndSave(options) {
+  const {
+    dataDir,
+    date: requestedDate,
+    servers = SERVERS,
+    configPath = HEALTH_CONFIG_PATH,
+    notificationConfigPath = NOTIFICATIONS_CONFIG_PATH,
+    dryRun = false
+  } = options;
+  const baseDataDir = dataDir;
+  const date = resolveDate(baseDataDir, requestedDate);
+
+  if (!date || !fs.existsSync(path.join(baseDataDir, date))) {
+    console.error(`Data folder not found: ${date}`);
+    return 1;
+  }
+
+  let policy;
+  try {
+    policy = loadHealthPolicy(configPath, options.baselineDays !== undefined ? { baselineDays: options.baselineDays } : {});
+  } catch (error) {
+    console.error(error.message);
+    return 1;
+  }
+
+  const current = {};
+  servers.forEach(server => {
+    current[server] = loadServerSnapshot(baseDataDir, date, server);
+  });
+  const baseline = loadBaseline(baseDataDir, date, servers, policy.baselineDays);
+
+  console.log(`Checking data health for ${date} against ${baseline.dates.length} previous days`);
+  const report = checkHealth(date, current, baseline, policy);
+
+  Object.entries(report.servers).forEach(([server, result]) => {
+    const metrics = result.metrics ? `${result.metrics.stageCount} stages, ${result.metrics.recordCount} records` : 'no data';
+    console.log(`${server}: ${result.status} (${metrics})`);
+    result.anomalies.forEach(anomaly => {
+      const log = anomaly.severity === 'severe' ? console.error : console.warn;
+      log(`   [${anomaly.severity}] ${anomaly.type}: ${anomaly.message}`);
+    });
+  });
+
+  const errors = validateHealthReport(report);
+  if (errors.length > 0) {
+    errors.forEach(error => console.error(`   ${error}`));
+    console.error('Health report is invalid, not saved');
+    return 1;
+  }
+
+  if (dryRun) {
+    console.log('Dry run: no files written');
+  } else {
+    writeFileAtomic(path.join(baseDataDir, date, 'health.json'), JSON.stringify(report, null, 2));
+    // 過去日の再チェックではルートの最新版を上書きしない
+    if (date === latestDate(baseDataDir)) {
+      writeFileAtomic(path.join(baseDataDir, 'latest-health.json'), JSON.stringify(report, null, 2));
+      console.log(`Saved ${date}/health.json and latest-health.json`);
+    } else {
+      console.log(`Saved ${date}/health.json`);
+    }
+  }
+
+  await sendNotifications([healthNotification(report)], { dataDir: baseDataDir, configPath: notificationConfigPath, dryRun });
+
+  if (report.status === 'severe') {
+    console.error(`Severe data anomalies found: ${report.anomalyCount.severe} severe, ${report.anomalyCount.warning} warnings`);
+    return 1;
+  }
+  console.log(`Health: ${report.status} (${report.anomalyCount.warning} warnings)`);
+  return 0;
+}
+
+// コマンドライン実行時
+if (require.main === module) {
+  runHealthCheck(parseMainArgs(parseArgs)).then(exitCode => {
+    process.exitCode = exitCode;
+  });
+}
+
+module.exports = {
+  runHealthCheck
+};
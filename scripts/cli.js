@@ -0,0 +1,342 @@
+#!/usr/bin/env node
+// cli.js
+// データ取得・分析・比較・検証・書き出しをまとめたコマンドラインツール
+//
+//   node scripts/cli.js <command> [options]
+//
+// コマンド:
+//   fetch      Penguin Stats APIから取得して保存する
+//   analyze    ステージタイプ分析・理性効率・素材価値を計算する
+//   diff       2つの日付のドロップ率を比較する
+//   compare    同じ日のサーバー間でドロップ率とステージを比較する
+//   timeline   イベントの開催期間のタイムライン（JSON・iCalendar）を作る
+//   api        data/index.json と最新日の静的API（data/api/）を作る
+//   health     取得結果を直前の数日分と比べて異常を検出する（重大な異常があれば終了コード1）
+//   growth     直近の日毎の報告数の増分・よく周回されたステージ・直近のドロップ率を求める
+//   retention  保持ポリシー（config/retention.json）に従って古い日付フォルダを間引く
+//   reprocess  保存したAPIの応答からサーバー別ファイル・summary.json・ステージタイプ分析を作り直す
+//   history    差分履歴（data/history）の取り込み（import）・復元（reconstruct）・検証（verify）
+//   validate   data/ 以下のファイルをスキーマで検証する
+//   export     指定日のスナップショットを書き出す
+//
+// 共通オプション:
+//   --data-dir=PATH     データディレクトリ（既定: リポジトリの data/）
+//   --servers=CN,JP     対象サーバー（既定: CN,US,JP,KR）
+//   --date=YYYY-MM-DD   対象日（fetchでは保存先の日付、diffでは比較先の日付、retentionでは保持期間を数える基準日）
+//   --dry-run           ファイルを書き込まない
+//   --json              ログを1行1件のJSONで出力する
+//   --min-times=N       周回数がN未満のレコードを除外する（fetchでは保存しない、analyze/compareでは使わない）
+// コマンド別オプション:
+//   fetch:  --api-base=URL --low-sample=N --concurrency=N --request-interval=MS --no-cache --no-raw-archive
+//   diff:   --from=YYYY-MM-DD --threshold=N
+//   reprocess: --from=YYYY-MM-DD --to=YYYY-MM-DD（--date は1日だけ）--low-sample=N --skip-analysis
+//   compare: --reference=CN --threshold=N
+//   export: --out=DIR --format=json|csv|columnar|sqlite --all-dates --skip-sqlite-db
+//   history: import|reconstruct|verify（reconstruct は --date と --servers にサーバー1つ、--out=FILE で保存）
+//   health: --baseline-days=N
+//   growth: --window-days=N --top=N（--min-times は直近のドロップ率を出す最小の周回数）
+const path = require('path');
+const { enableJsonLogging } = require('./lib/logger');
+
+const SERVERS = ['CN', 'US', 'JP', 'KR'];
+const COMMANDS = ['fetch', 'analyze', 'diff', 'compare', 'timeline', 'api', 'health', 'growth', 'retention', 'reprocess', 'history', 'validate', 'export'];
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const EXPORT_FORMATS = ['json', 'csv', 'columnar', 'sqlite'];
+
+// 値を取るフラグ（--flag=value と --flag value の両方を受け付ける）
+const VALUE_FLAGS = ['data-dir', 'servers', 'date', 'api-base', 'from', 'to', 'threshold', 'reference', 'out', 'min-times', 'low-sample', 'format', 'baseline-days', 'window-days', 'top', 'concurrency', 'request-interval'];
+const BOOLEAN_FLAGS = ['dry-run', 'json', 'help', 'all-dates', 'no-cache', 'no-raw-archive', 'skip-analysis', 'skip-sqlite-db'];
+
+// 使い方を表示
+function printUsage() {
+  console.log([
+    'Usage: node scripts/cli.js <command> [options]',
+    '       node scripts/cli.js history <import|reconstruct|verify> [options]',
+    '',
+    `Commands: ${COMMANDS.join(', ')}`,
+    '',
+    'Options:',
+    '  --data-dir=PATH     data directory (default: ./data)',
+    '  --servers=CN,JP     servers to process (default: CN,US,JP,KR)',
+    '  --date=YYYY-MM-DD   target date (fetch: folder to write, diff: date to compare to, retention: day to count the retention from)',
+    '  --dry-run           do not write any files',
+    '  --json              emit logs as JSON lines',
+    '  --min-times=N       ignore records with fewer than N runs (fetch: not saved, analyze/compare: not used)',
+    '  --api-base=URL      API base URL (fetch)',
+    '  --low-sample=N      flag records with fewer than N runs as lowSample (fetch, default: 100)',
+    '  --concurrency=N     number of API requests sent at the same time (fetch, default: 2)',
+    '  --request-interval=MS  minimum interval between the starts of API requests (fetch, default: 500)',
+    '  --no-cache          always download the full matrix instead of sending conditional requests (fetch)',
+    '  --no-raw-archive    do not keep the raw matrix responses next to the day\'s files (fetch)',
+    '  --from=YYYY-MM-DD   date to compare from (diff, default: day before --date), first date to reprocess (reprocess)',
+    '  --to=YYYY-MM-DD     last date to reprocess (reprocess, default: latest)',
+    '  --skip-analysis     only rebuild the server files and summary.json (reprocess)',
+    '  --threshold=N       z-score threshold (diff, compare)',
+    '  --reference=CN      server to compare the others against (compare, default: CN)',
+    '  --out=DIR           output directory (export, default: stdout), output file (history reconstruct, default: stdout)',
+    '  --format=FORMAT     json, csv, columnar or sqlite (export, default: json)',
+    '  --all-dates         export every stored date instead of one (export csv/columnar; sqlite does this by default)',
+    '  --skip-sqlite-db    write only the SQL dump when sqlite3 is not installed (export sqlite)',
+    '  --baseline-days=N   number of previous days to compare against (health, default: 7)',
+    '  --window-days=N     number of recent days to track report growth over (growth, default: 7)',
+    '  --top=N             number of most farmed stages to list (growth, default: 20)'
+  ].join('\n'));
+}
+
+// コマンドライン引数を解析
+function parseCliArgs(argv) {
+  const flags = {};
+  const positional = [];
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) {
+      positional.push(arg);
+      continue;
+    }
+
+    const [name, ...rest] = arg.slice(2).split('=');
+    if (BOOLEAN_FLAGS.includes(name)) {
+      flags[name] = true;
+    } else if (VALUE_FLAGS.includes(name)) {
+      const value = rest.length > 0 ? rest.join('=') : argv[++i];
+      if (value === undefined || value === '') {
+        throw new Error(`--${name} requires a value`);
+      }
+      flags[name] = value;
+    } else {
+      throw new Error(`Unknown option: --${name}`);
+    }
+  }
+
+  return { command: positional[0], positional: positional.slice(1), flags };
+}
+
+// フラグを検証して各コマンドに渡すオプションにする
+function buildOptions(flags) {
+  const options = {
+    dataDir: path.resolve(flags['data-dir'] || path.join(__dirname, '..', 'data')),
+    dryRun: !!flags['dry-run']
+  };
+
+  if (flags.servers) {
+    options.servers = flags.servers.split(',').map(server => server.trim().toUpperCase()).filter(Boolean);
+    const unknown = options.servers.filter(server => !SERVERS.includes(server));
+    if (unknown.length > 0 || options.servers.length === 0) {
+      throw new Error(`--servers must be a comma-separated list of ${SERVERS.join(', ')}`);
+    }
+  }
+
+  ['date', 'from', 'to'].forEach(name => {
+    if (flags[name] && !DATE_PATTERN.test(flags[name])) {
+      throw new Error(`--${name} must be in YYYY-MM-DD format`);
+    }
+  });
+  if (flags.date) options.date = flags.date;
+  if (flags.from) options.from = flags.from;
+  if (flags.to) options.to = flags.to;
+
+  if (flags['api-base']) {
+    options.apiBase = flags['api-base'].replace(/\/+$/, '');
+  }
+  if (flags.reference) {
+    options.reference = flags.reference.trim().toUpperCase();
+    if (!SERVERS.includes(options.reference)) {
+      throw new Error(`--reference must be one of ${SERVERS.join(', ')}`);
+    }
+  }
+  if (flags.threshold !== undefined) {
+    options.threshold = Number(flags.threshold);
+    if (flags.threshold.trim() === '' || !Number.isFinite(options.threshold) || options.threshold < 0) {
+      throw new Error('--threshold must be a non-negative number');
+    }
+  }
+  if (flags.out) {
+    options.out = path.resolve(flags.out);
+  }
+  if (flags.format) {
+    if (!EXPORT_FORMATS.includes(flags.format)) {
+      throw new Error(`--format must be one of ${EXPORT_FORMATS.join(', ')}`);
+    }
+    options.format = flags.format;
+  }
+  if (flags['all-dates']) {
+    options.allDates = true;
+  }
+  if (flags['skip-sqlite-db']) {
+    options.skipSqliteDb = true;
+  }
+  if (flags['no-cache']) {
+    options.httpCache = false;
+  }
+  if (flags['no-raw-archive']) {
+    options.archiveRaw = false;
+  }
+  if (flags['skip-analysis']) {
+    options.analyze = false;
+  }
+  if (flags.concurrency !== undefined) {
+    options.concurrency = Number(flags.concurrency);
+    if (!Number.isInteger(options.concurrency) || options.concurrency < 1) {
+      throw new Error('--concurrency must be a positive integer');
+    }
+  }
+  [['min-times', 'minTimes'], ['low-sample', 'lowSampleThreshold'], ['baseline-days', 'baselineDays'], ['window-days', 'windowDays'], ['top', 'topN'], ['request-interval', 'minRequestIntervalMs']].forEach(([name, key]) => {
+    if (flags[name] === undefined) return;
+    const value = Number(flags[name]);
+    if (!Number.isInteger(value) || value < 0) {
+      throw new Error(`--${name} must be a non-negative integer`);
+    }
+    options[key] = value;
+  });
+
+  return options;
+}
+
+// analyze: ステージタイプ分析 → 理性効率 → 素材価値
+// 3つの書き込みを1つのロックの中で行う（途中で取得が割り込まないようにする）
+async function runAnalyze(options) {
+  const { extractStageTypes } = require('./extract-stage-types');
+  const { runEfficiency } = require('./calculate-efficiency');
+  const { runItemValues } = require('./solve-item-values');
+
+  const analyze = async () => {
+    const result = await extractStageTypes(options);
+    if (!result) {
+      return 1;
+    }
+    const efficiencyExitCode = runEfficiency(options);
+    const itemValuesExitCode = runItemValues(options);
+    return Math.max(efficiencyExitCode, itemValuesExitCode);
+  };
+  if (options.dryRun) {
+    return analyze();
+  }
+
+  const { withLock, pipelineLockFile } = require('./lib/atomic-fs');
+  const { dataDir = path.join(__dirname, '..', 'data') } = options;
+  try {
+    return await withLock(pipelineLockFile(dataDir), analyze, { name: 'analyze' });
+  } catch (error) {
+    if (error.code !== 'ELOCKED') {
+      throw error;
+    }
+    console.error(`Another run is in progress: ${error.message}`);
+    return 1;
+  }
+}
+
+// コマンドを実行して終了コードを返す
+async function runCommand(command, options) {
+  switch (command) {
+    case 'fetch': {
+      const { runFetch } = require('./fetch-penguin-stats');
+      return runFetch(options);
+    }
+    case 'analyze':
+      return runAnalyze(options);
+    case 'diff': {
+      const { runDiff } = require('./diff-snapshots');
+      return runDiff({ ...options, to: options.date });
+    }
+    case 'compare': {
+      const { runCompareServers } = require('./compare-servers');
+      return runCompareServers(options);
+    }
+    case 'timeline': {
+      const { runTimeline } = require('./build-timeline');
+      return runTimeline(options);
+    }
+    case 'api': {
+      const { runStaticApi } = require('./build-static-api');
+      return runStaticApi(options);
+    }
+    case 'health': {
+      const { runHealthCheck } = require('./check-health');
+      return runHealthCheck(options);
+    }
+    case 'growth': {
+      const { runSampleGrowth } = require('./build-sample-growth');
+      return runSampleGrowth(options);
+    }
+    case 'retention': {
+      const { runRetention } = require('./apply-retention');
+      // --date は保持期間を数える基準日
+      return runRetention({ ...options, today: options.date });
+    }
+    case 'reprocess': {
+      const { runReprocess } = require('./reprocess');
+      // --date だけなら1日分
+      const { date, ...rest } = options;
+      return runReprocess(date && !options.from && !options.to ? { ...rest, from: date, to: date } : rest);
+    }
+    case 'history': {
+      const { runHistory } = require('./delta-history');
+      return runHistory(options);
+    }
+    case 'validate': {
+      const { runValidate } = require('./validate-data');
+      return runValidate(options);
+    }
+    case 'export': {
+      const { runExport } = require('./export-data');
+      return runExport(options);
+    }
+    default:
+      throw new Error(`Unknown command: ${command}`);
+  }
+}
+
+// メイン処理
+async function main(argv) {
+  let parsed;
+  let options;
+  try {
+    parsed = parseCliArgs(argv);
+    options = buildOptions(parsed.flags);
+  } catch (error) {
+    console.error(error.message);
+    printUsage();
+    return 2;
+  }
+
+  if (parsed.flags.help || !parsed.command) {
+    printUsage();
+    return parsed.command || parsed.flags.help ? 0 : 2;
+  }
+  if (!COMMANDS.includes(parsed.command)) {
+    console.error(`Unknown command: ${parsed.command}`);
+    printUsage();
+    return 2;
+  }
+  // history だけは操作（import, reconstruct, verify）を1つ取る
+  const expectedPositional = parsed.command === 'history' ? 1 : 0;
+  if (parsed.positional.length > expectedPositional) {
+    console.error(`Unexpected arguments: ${parsed.positional.slice(expectedPositional).join(' ')}`);
+    return 2;
+  }
+  if (parsed.command === 'history') {
+    options.action = parsed.positional[0];
+  }
+
+  if (parsed.flags.json) {
+    enableJsonLogging({ command: parsed.command });
+  }
+  return runCommand(parsed.command, options);
+}
+
+// コマンドライン実行時
+if (require.main === module) {
+  main(process.argv.slice(2)).then(exitCode => {
+    process.exitCode = exitCode;
+  }).catch(error => {
+    console.error('Error:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  parseCliArgs,
+  buildOptions,
+  main
+};
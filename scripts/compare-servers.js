@@ -0,0 +1,303 @@
+// compare-servers.js
+// 同じ日のサーバー間でステージとアイテムを突き合わせ、ドロップ率の差と基準サーバー（既定はCN）にしか無いステージを報告する
+//
+//   node scripts/compare-servers.js [date] [--reference=CN] [--threshold=N] [--min-times=N] [--servers=CN,US] [--dry-run]
+// 基準サーバーにしか無いステージは、グローバル版に今後実装されるコンテンツの目安になる
+const fs = require('fs');
+const path = require('path');
+const { latestDate, resolveDate, loadServerSnapshot } = require('./lib/snapshots');
+const { itemSampleSize } = require('./lib/efficiency');
+const { loadStageRules, classifyStage } = require('./lib/stage-classifier');
+const { calculateZScore, reportZScore, zScoreMagnitude } = require('./lib/drop-stats');
+const { writeFileAtomic, runWithPipelineLock } = require('./lib/atomic-fs');
+const { parseScriptArgs, parseMainArgs } = require('./lib/script-args');
+
+const SERVERS = ['CN', 'US', 'JP', 'KR'];
+
+// 既定の比較オプション
+const DEFAULT_COMPARE_OPTIONS = {
+  reference: 'CN',   // 比較の基準にするサーバー
+  threshold: 3,      // 有意な差とみなすzスコアの閾値
+  minTimes: 100      // どちらかの周回数がこれ未満のアイテムは比較しない
+};
+
+// 日付フォーマット関数
+function formatDate(timestamp) {
+  return new Date(timestamp).toISOString().split('T')[0]; // YYYY-MM-DD
+}
+
+// 基準サーバーと他の1サーバーを比較
+function compareServerSnapshots(referenceSnapshot, serverSnapshot, options = {}) {
+  const { threshold, minTimes } = { ...DEFAULT_COMPARE_OPTIONS, ...options };
+  const referenceStages = referenceSnapshot.data || {};
+  const serverStages = serverSnapshot.data || {};
+
+  const sharedStages = Object.keys(referenceStages).filter(stageId => serverStages[stageId]).sort();
+  const referenceOnlyStages = Object.keys(referenceStages).filter(stageId => !serverStages[stageId]).sort();
+  const serverOnlyStages = Object.keys(serverStages).filter(stageId => !referenceStages[stageId]).sort();
+  const itemDifferences = [];
+  const rateDifferences = [];
+
+  sharedStages.forEach(stageId => {
+    const referenceStage = referenceStages[stageId];
+    const serverStage = serverStages[stageId];
+    const referenceItems = referenceStage.items || {};
+    const serverItems = serverStage.items || {};
+
+    const referenceOnlyItems = Object.keys(referenceItems).filter(itemId => !serverItems[itemId]).sort();
+    const serverOnlyItems = Object.keys(serverItems).filter(itemId => !referenceItems[itemId]).sort();
+    if (referenceOnlyItems.length > 0 || serverOnlyItems.length > 0) {
+      itemDifferences.push({ stageId, referenceOnlyItems, serverOnlyItems });
+    }
+
+    Object.keys(serverItems).filter(itemId => referenceItems[itemId]).sort().forEach(itemId => {
+      const referenceTimes = itemSampleSize(referenceItems[itemId], referenceStage.stageInfo.times);
+      const serverTimes = itemSampleSize(serverItems[itemId], serverStage.stageInfo.times);
+      if (referenceTimes < minTimes || serverTimes < minTimes) return;
+
+      const zScore = calculateZScore(referenceItems[itemId], referenceTimes, serverItems[itemId], serverTimes);
+      if (Math.abs(zScore) >= threshold) {
+        rateDifferences.push({
+          stageId,
+          itemId,
+          referenceRate: referenceItems[itemId].dropRate,
+          serverRate: serverItems[itemId].dropRate,
+          delta: serverItems[itemId].dropRate - referenceItems[itemId].dropRate,
+          referenceTimes,
+          serverTimes,
+          ...reportZScore(zScore)
+        });
+      }
+    });
+  });
+
+  // 差の大きい順に並べる
+  rateDifferences.sort((a, b) => zScoreMagnitude(b) - zScoreMagnitude(a));
+
+  return {
+    sharedStageCount: sharedStages.length,
+    referenceOnlyStages,
+    serverOnlyStages,
+    itemDifferences,
+    rateDifferences
+  };
+}
+
+// 基準サーバーにしか無いステージをステージタイプ毎にまとめる（基準サーバーでの開始日順）
+function groupReferenceOnlyStages(stageIds, referenceSnapshot, rules) {
+  const groups = new Map();
+
+  stageIds.forEach(stageId => {
+    const classification = classifyStage(stageId, rules);
+    const key = classification ? classification.group : null;
+    if (!groups.has(key)) {
+      groups.set(key, {
+        group: key,
+        category: classification ? classification.category : null,
+        start: Infinity,
+        stageIds: []
+      });
+    }
+
+    const group = groups.get(key);
+    group.stageIds.push(stageId);
+    group.start = Math.min(group.start, referenceSnapshot.data[stageId].stageInfo.start);
+  });
+
+  return Array.from(groups.values())
+    .sort((a, b) => a.start - b.start || String(a.group).localeCompare(String(b.group)))
+    .map(group => ({ ...group, start: formatDate(group.start) }));
+}
+
+// 指定日の全サーバーを比較してレポートを作成
+// snapshots: { server: snapshot }（基準サーバーを含む）
+function compareServers(snapshots, options = {}) {
+  const opts = { ...DEFAULT_COMPARE_OPTIONS, ...options };
+  const rules = opts.rules || loadStageRules();
+  const referenceSnapshot = snapshots[opts.reference];
+  if (!referenceSnapshot) {
+    throw new Error(`No ${opts.reference} snapshot to compare against`);
+  }
+
+  const report = {
+    reference: opts.reference,
+    threshold: opts.threshold,
+    minTimes: opts.minTimes,
+    generatedAt: new Date().toISOString(),
+    staleServers: Object.keys(snapshots).filter(server => snapshots[server].stale),
+    servers: {},
+    referenceOnly: { stageCount: 0, groups: [] }
+  };
+
+  const comparedServers = Object.keys(snapshots).filter(server => server !== opts.reference);
+  comparedServers.forEach(server => {
+    report.servers[server] = compareServerSnapshots(referenceSnapshot, snapshots[server], opts);
+  });
+
+  // 比較した全サーバーに無いステージ（グローバル版に未実装のコンテンツ）
+  const referenceOnly = Object.keys(referenceSnapshot.data)
+    .filter(stageId => comparedServers.every(server => !snapshots[server].data[stageId]))
+    .sort();
+  report.referenceOnly = {
+    stageCount: referenceOnly.length,
+    groups: comparedServers.length > 0 ? groupReferenceOnlyStages(referenceOnly, referenceSnapshot, rules) : []
+  };
+
+  return report;
+}
+
+// レポートをMarkdownに変換
+function formatComparisonMarkdown(report) {
+  const lines = [
+    `# Cross-server comparison: ${report.date} (reference ${report.reference})`,
+    '',
+    `- Generated at: ${report.generatedAt}`,
+    `- z-score threshold: ${report.threshold}, minimum runs: ${report.minTimes}`
+  ];
+
+  if (report.missingServers.length > 0) {
+    lines.push(`- Skipped servers (no data): ${report.missingServers.join(', ')}`);
+  }
+  if (report.staleServers.length > 0) {
+    lines.push(`- Stale servers: ${report.staleServers.join(', ')}`);
+  }
+
+  lines.push('', `## Only on ${report.reference} (${report.referenceOnly.stageCount} stages)`, '');
+  if (report.referenceOnly.groups.length > 0) {
+    lines.push(`| Stage type | Category | ${report.reference} start | Stages |`, '| --- | --- | --- | --- |');
+    report.referenceOnly.groups.forEach(group => {
+      lines.push(`| ${group.group || '(unclassified)'} | ${group.category || '-'} | ${group.start} | ${group.stageIds.join(', ')} |`);
+    });
+  } else {
+    lines.push('- none');
+  }
+
+  Object.entries(report.servers).forEach(([server, comparison]) => {
+    lines.push('', `## ${report.reference} vs ${server}`, '');
+    lines.push(`- Shared stages: ${comparison.sharedStageCount}`);
+    lines.push(`- Only on ${report.reference}: ${comparison.referenceOnlyStages.length}`);
+    lines.push(`- Only on ${server}: ${comparison.serverOnlyStages.length > 0 ? comparison.serverOnlyStages.join(', ') : 'none'}`);
+
+    if (comparison.itemDifferences.length > 0) {
+      lines.push('', '### Item differences', '', `| Stage | Only on ${report.reference} | Only on ${server} |`, '| --- | --- | --- |');
+      comparison.itemDifferences.forEach(difference => {
+        lines.push(`| ${difference.stageId} | ${difference.referenceOnlyItems.join(', ')} | ${difference.serverOnlyItems.join(', ')} |`);
+      });
+    }
+
+    if (comparison.rateDifferences.length > 0) {
+      lines.push('', '### Drop rate differences', '', `| Stage | Item | ${report.reference} | ${server} | Δ | z | Runs |`, '| --- | --- | --- | --- | --- | --- | --- |');
+      comparison.rateDifferences.forEach(difference => {
+        const referenceRate = (difference.referenceRate * 100).toFixed(2);
+        const serverRate = (difference.serverRate * 100).toFixed(2);
+        const delta = (difference.delta * 100).toFixed(2);
+        lines.push(`| ${difference.stageId} | ${difference.itemId} | ${referenceRate}% | ${serverRate}% | ${delta}pt | ${difference.zeroVariance ? 'n/a (no variance)' : difference.zScore} | ${difference.referenceTimes} / ${difference.serverTimes} |`);
+      });
+    } else {
+      lines.push('- Drop rate differences: none');
+    }
+  });
+
+  return lines.join('\n') + '\n';
+}
+
+// コマンドライン引数を解析（不正な引数は使い方付きのエラー）
+function parseArgs(argv) {
+  const { flags, dates } = parseScriptArgs(argv, {
+    usage: 'node scripts/compare-servers.js [date] [--reference=CN] [--threshold=N] [--min-times=N] [--servers=CN,US] [--dry-run]',
+    flags: { reference: 'server', threshold: 'number', 'min-times': 'count', servers: 'servers', 'dry-run': 'boolean' }
+  });
+  const options = {};
+  if (dates[0]) options.date = dates[0];
+  if (flags.reference) options.reference = flags.reference;
+  if (flags.threshold !== undefined) options.threshold = flags.threshold;
+  if (flags['min-times'] !== undefined) options.minTimes = flags['min-times'];
+  if (flags.servers) options.servers = flags.servers;
+  if (flags['dry-run']) options.dryRun = true;
+
+  return options;
+}
+
+// 比較してレポートを保存（戻り値は終了コード）
+// options: dataDir, date（既定は最新）, servers, reference, threshold, minTimes, dryRun
+function runCompareServers(options = {}) {
+  const { dataDir = path.join(__dirname, '..', 'data'), dryRun = false } = options;
+  if (dryRun) {
+    return saveComparison({ ...options, dataDir });
+  }
+  return runWithPipelineLock(dataDir, 'compare', () => saveComparison({ ...options, dataDir }));
+}
+
+// 比較してレポートを保存する（ロックは呼び出し側で取る）
+function saveComparison(options) {
+  const { dataDir, date: requestedDate, servers = SERVERS, dryRun = false, ...compareOptions } = options;
+  const baseDataDir = dataDir;
+  const date = resolveDate(baseDataDir, requestedDate);
+  const reference = compareOptions.reference || DEFAULT_COMPARE_OPTIONS.reference;
+
+  if (!date || !fs.existsSync(path.join(baseDataDir, date))) {
+    console.error(`Data folder not found: ${date}`);
+    return 1;
+  }
+  if (compareOptions.threshold !== undefined && !(compareOptions.threshold >= 0)) {
+    console.error('--threshold must be a non-negative number');
+    return 1;
+  }
+
+  // 基準サーバーは --servers に含まれていなくても読み込む
+  const snapshots = {};
+  const missingServers = [];
+  Array.from(new Set([reference, ...servers])).forEach(server => {
+    const snapshot = loadServerSnapshot(baseDataDir, date, server);
+    if (snapshot) {
+      snapshots[server] = snapshot;
+    } else {
+      missingServers.push(server);
+    }
+  });
+
+  if (!snapshots[reference]) {
+    console.error(`No ${reference} snapshot for ${date}`);
+    return 1;
+  }
+
+  console.log(`Comparing servers on ${date} against ${reference}`);
+  const report = { date, ...compareServers(snapshots, { ...compareOptions, reference }), missingServers };
+
+  Object.entries(report.servers).forEach(([server, comparison]) => {
+    console.log(`${server}: ${comparison.sharedStageCount} shared stages, ${comparison.referenceOnlyStages.length} only on ${reference}, ${comparison.rateDifferences.length} drop rate differences`);
+  });
+  console.log(`${report.referenceOnly.stageCount} stages (${report.referenceOnly.groups.length} stage types) only on ${reference}`);
+  if (missingServers.length > 0) {
+    console.warn(`Skipped servers (no data): ${missingServers.join(', ')}`);
+  }
+
+  if (dryRun) {
+    console.log('Dry run: no files written');
+    return 0;
+  }
+
+  writeFileAtomic(path.join(baseDataDir, date, 'server-comparison.json'), JSON.stringify(report, null, 2));
+  writeFileAtomic(path.join(baseDataDir, date, 'server-comparison.md'), formatComparisonMarkdown(report));
+  // 過去日の再計算ではルートの最新版を上書きしない
+  if (date === latestDate(baseDataDir)) {
+    writeFileAtomic(path.join(baseDataDir, 'latest-server-comparison.json'), JSON.stringify(report, null, 2));
+    console.log(`Saved ${date}/server-comparison.json, ${date}/server-comparison.md and latest-server-comparison.json`);
+  } else {
+    console.log(`Saved ${date}/server-comparison.json and ${date}/server-comparison.md`);
+  }
+  return 0;
+}
+
+// コマンドライン実行時
+if (require.main === module) {
+  process.exitCode = runCompareServers(parseMainArgs(parseArgs));
+}
+
+module.exports = {
+  DEFAULT_COMPARE_OPTIONS,
+  compareServerSnapshots,
+  compareServers,
+  formatComparisonMarkdown,
+  runCompareServers
+};
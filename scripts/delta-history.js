@@ -0,0 +1,166 @@
+// delta-history.js
+// 差分履歴（data/history）の取り込み・復元・検証を行うコマンド
+//
+//   node scripts/delta-history.js import [--data-dir=PATH] [--servers=CN,JP]   … 既存の日付フォルダを履歴に取り込む
+//   node scripts/delta-history.js reconstruct <date> <server> [output] [--data-dir=PATH]
+//   node scripts/delta-history.js verify [--data-dir=PATH] [--servers=CN,JP]   … 日付フォルダと復元結果が一致するか確認
+const fs = require('fs');
+const path = require('path');
+const { listDateFolders, loadServerSnapshot } = require('./lib/snapshots');
+const { appendSnapshot, listHistoryDates, reconstructSnapshot } = require('./lib/delta-store');
+const { runWithPipelineLock } = require('./lib/atomic-fs');
+const { usageError, parseScriptArgs, parseMainArgs } = require('./lib/script-args');
+
+const SERVERS = ['CN', 'US', 'JP', 'KR'];
+const HISTORY_ACTIONS = ['import', 'reconstruct', 'verify'];
+const USAGE = 'node scripts/delta-history.js <import|verify> [--data-dir=PATH] [--servers=CN,JP]\n'
+  + '       node scripts/delta-history.js reconstruct <date> <server> [output] [--data-dir=PATH]';
+
+// ディレクトリの合計サイズ（バイト）
+function directorySize(dir) {
+  if (!fs.existsSync(dir)) return 0;
+  return fs.readdirSync(dir, { withFileTypes: true }).reduce((sum, dirent) => {
+    const fullPath = path.join(dir, dirent.name);
+    return sum + (dirent.isDirectory() ? directorySize(fullPath) : fs.statSync(fullPath).size);
+  }, 0);
+}
+
+// 既存の日付フォルダを履歴に取り込む
+function importDateFolders(baseDataDir, servers) {
+  const historyDir = path.join(baseDataDir, 'history');
+  servers.forEach(server => {
+    const existingDates = new Set(listHistoryDates(historyDir, server));
+    const lastDate = [...existingDates].pop();
+    let imported = 0;
+
+    listDateFolders(baseDataDir).forEach(date => {
+      if (existingDates.has(date) || (lastDate && date < lastDate)) return;
+
+      const snapshot = loadServerSnapshot(baseDataDir, date, server, { useHistory: false });
+      if (!snapshot) {
+        console.warn(`⚠️ ${server}: no snapshot for ${date}, skipped`);
+        return;
+      }
+
+      const result = appendSnapshot(historyDir, server, date, snapshot);
+      console.log(`${server} ${date}: stored as ${result.type}${result.type === 'delta' ? ` (${result.changedStages} changed stages)` : ''}`);
+      imported++;
+    });
+
+    console.log(`✅ ${server}: imported ${imported} days`);
+  });
+
+  console.log(`📦 History size: ${(directorySize(historyDir) / 1024 / 1024).toFixed(2)} MB`);
+  return 0;
+}
+
+// 日付フォルダの内容と復元結果を比較（一致しない日があれば1）
+function verifyHistory(baseDataDir, servers) {
+  const historyDir = path.join(baseDataDir, 'history');
+  let mismatches = 0;
+
+  servers.forEach(server => {
+    listHistoryDates(historyDir, server).forEach(date => {
+      const original = loadServerSnapshot(baseDataDir, date, server, { useHistory: false });
+      if (!original) return;
+
+      const rebuilt = reconstructSnapshot(historyDir, server, date);
+      if (JSON.stringify(original) !== JSON.stringify(rebuilt)) {
+        console.error(`❌ ${server} ${date}: reconstructed snapshot does not match`);
+        mismatches++;
+      }
+    });
+  });
+
+  if (mismatches > 0) {
+    return 1;
+  }
+  console.log('✅ All reconstructed snapshots match the dated folders');
+  return 0;
+}
+
+// 1日分を復元して output（省略時は標準出力）に書き出す
+function reconstructDay(baseDataDir, date, server, output) {
+  const snapshot = reconstructSnapshot(path.join(baseDataDir, 'history'), server, date);
+  if (!snapshot) {
+    console.error(`No history for ${server} on ${date}`);
+    return 1;
+  }
+  const json = JSON.stringify(snapshot, null, 2);
+  if (output) {
+    fs.writeFileSync(output, json);
+    console.log(`Saved ${server} ${date} to ${output}`);
+  } else {
+    process.stdout.write(json + '\n');
+  }
+  return 0;
+}
+
+// 履歴の操作を実行する（戻り値は終了コード）
+// options: action（import, reconstruct, verify）, dataDir, servers, date, out（reconstruct の出力先）
+// reconstruct は servers にサーバーを1つだけ指定する。import は履歴に書き込むのでデータディレクトリのロックを取る
+function runHistory(options = {}) {
+  const { action, dataDir = path.join(__dirname, '..', 'data'), servers = SERVERS, date, out } = options;
+
+  switch (action) {
+    case 'import':
+      return runWithPipelineLock(dataDir, 'history', () => importDateFolders(dataDir, servers));
+    case 'verify':
+      return verifyHistory(dataDir, servers);
+    case 'reconstruct':
+      if (!date || servers.length !== 1) {
+        console.error('reconstruct needs a date and exactly one server');
+        return 1;
+      }
+      return reconstructDay(dataDir, date, servers[0], out);
+    default:
+      console.error(action
+        ? `Unknown history action: ${action} (expected ${HISTORY_ACTIONS.join(', ')})`
+        : `A history action is required (${HISTORY_ACTIONS.join(', ')})`);
+      return 1;
+  }
+}
+
+// コマンドライン引数を解析（不正な引数は使い方付きのエラー）
+function parseArgs(argv) {
+  const { flags, dates, args } = parseScriptArgs(argv, {
+    usage: USAGE,
+    flags: { 'data-dir': 'string', servers: 'servers' },
+    args: ['action', 'server', 'output']
+  });
+  if (!HISTORY_ACTIONS.includes(args.action)) {
+    throw usageError(args.action ? `Unknown action: ${args.action}` : 'An action is required', USAGE);
+  }
+
+  const options = { action: args.action };
+  if (flags['data-dir']) options.dataDir = path.resolve(flags['data-dir']);
+  if (args.action === 'reconstruct') {
+    const server = (args.server || '').toUpperCase();
+    if (!dates[0] || !SERVERS.includes(server)) {
+      throw usageError(`reconstruct needs a date and one of ${SERVERS.join(', ')}`, USAGE);
+    }
+    if (flags.servers) {
+      throw usageError('--servers cannot be used with reconstruct', USAGE);
+    }
+    options.date = dates[0];
+    options.servers = [server];
+    if (args.output) options.out = args.output;
+  } else {
+    if (dates.length > 0 || args.server) {
+      throw usageError(`${args.action} takes no date or server (use --servers)`, USAGE);
+    }
+    if (flags.servers) options.servers = flags.servers;
+  }
+
+  return options;
+}
+
+// コマンドライン実行時
+if (require.main === module) {
+  process.exitCode = runHistory(parseMainArgs(parseArgs));
+}
+
+module.exports = {
+  HISTORY_ACTIONS,
+  runHistory
+};
@@ -0,0 +1,227 @@
+// diff-snapshots.js
+// 2つの日付フォルダのスナップショットを比較し、ドロップ率の差分レポートを作成する
+//
+//   node scripts/diff-snapshots.js [from] [to] [--threshold=N] [--servers=CN,JP]
+const fs = require('fs');
+const path = require('path');
+const { loadServerSnapshot } = require('./lib/snapshots');
+const { writeFileAtomic, runWithPipelineLock } = require('./lib/atomic-fs');
+const { calculateZScore, reportZScore, zScoreMagnitude } = require('./lib/drop-stats');
+const { itemSampleSize } = require('./lib/efficiency');
+const { parseScriptArgs, parseMainArgs } = require('./lib/script-args');
+
+const SERVERS = ['CN', 'US', 'JP', 'KR'];
+
+// ドロップ率変化とみなすzスコアの既定閾値
+const DEFAULT_Z_THRESHOLD = 3;
+
+// 日付フォーマット関数
+function formatDate(date) {
+  return date.toISOString().split('T')[0]; // YYYY-MM-DD
+}
+
+// 1サーバー分のスナップショットを比較
+function diffServerSnapshots(fromSnapshot, toSnapshot, threshold = DEFAULT_Z_THRESHOLD) {
+  const fromStages = fromSnapshot.data || {};
+  const toStages = toSnapshot.data || {};
+
+  const newStages = Object.keys(toStages).filter(stageId => !fromStages[stageId]).sort();
+  const removedStages = Object.keys(fromStages).filter(stageId => !toStages[stageId]).sort();
+  const itemChanges = [];
+  const rateChanges = [];
+
+  Object.keys(toStages).filter(stageId => fromStages[stageId]).sort().forEach(stageId => {
+    const fromStage = fromStages[stageId];
+    const toStage = toStages[stageId];
+    const fromItems = fromStage.items || {};
+    const toItems = toStage.items || {};
+
+    const addedItems = Object.keys(toItems).filter(itemId => !fromItems[itemId]).sort();
+    const removedItems = Object.keys(fromItems).filter(itemId => !toItems[itemId]).sort();
+    if (addedItems.length > 0 || removedItems.length > 0) {
+      itemChanges.push({ stageId, addedItems, removedItems });
+    }
+
+    Object.keys(toItems).filter(itemId => fromItems[itemId]).forEach(itemId => {
+      // 標準誤差はアイテム毎の周回数で求める（stageInfo.timesは最初のレコードの周回数）
+      const fromTimes = itemSampleSize(fromItems[itemId], fromStage.stageInfo.times);
+      const toTimes = itemSampleSize(toItems[itemId], toStage.stageInfo.times);
+      const zScore = calculateZScore(fromItems[itemId], fromTimes, toItems[itemId], toTimes);
+
+      if (Math.abs(zScore) >= threshold) {
+        rateChanges.push({
+          stageId,
+          itemId,
+          fromRate: fromItems[itemId].dropRate,
+          toRate: toItems[itemId].dropRate,
+          delta: toItems[itemId].dropRate - fromItems[itemId].dropRate,
+          fromTimes,
+          toTimes,
+          ...reportZScore(zScore)
+        });
+      }
+    });
+  });
+
+  // 変化の大きい順に並べる
+  rateChanges.sort((a, b) => zScoreMagnitude(b) - zScoreMagnitude(a));
+
+  return { newStages, removedStages, itemChanges, rateChanges };
+}
+
+// 2つの日付フォルダを比較してレポートを作成
+function diffSnapshots(baseDataDir, fromDate, toDate, options = {}) {
+  const threshold = options.threshold !== undefined ? options.threshold : DEFAULT_Z_THRESHOLD;
+  const servers = options.servers || SERVERS;
+
+  const report = {
+    from: fromDate,
+    to: toDate,
+    threshold,
+    generatedAt: new Date().toISOString(),
+    missingServers: [],
+    servers: {}
+  };
+
+  servers.forEach(server => {
+    const fromSnapshot = loadServerSnapshot(baseDataDir, fromDate, server);
+    const toSnapshot = loadServerSnapshot(baseDataDir, toDate, server);
+
+    if (!fromSnapshot || !toSnapshot) {
+      report.missingServers.push(server);
+      return;
+    }
+
+    report.servers[server] = diffServerSnapshots(fromSnapshot, toSnapshot, threshold);
+  });
+
+  return report;
+}
+
+// レポートをMarkdownに変換
+function formatDiffMarkdown(report) {
+  const lines = [
+    `# Drop rate diff: ${report.from} → ${report.to}`,
+    '',
+    `- Generated at: ${report.generatedAt}`,
+    `- z-score threshold: ${report.threshold}`
+  ];
+
+  if (report.missingServers.length > 0) {
+    lines.push(`- Skipped servers (no data): ${report.missingServers.join(', ')}`);
+  }
+
+  Object.entries(report.servers).forEach(([server, diff]) => {
+    lines.push('', `## ${server}`, '');
+    lines.push(`- New stages: ${diff.newStages.length > 0 ? diff.newStages.join(', ') : 'none'}`);
+    lines.push(`- Removed stages: ${diff.removedStages.length > 0 ? diff.removedStages.join(', ') : 'none'}`);
+
+    if (diff.itemChanges.length > 0) {
+      lines.push('', '### Item changes', '', '| Stage | Added items | Removed items |', '| --- | --- | --- |');
+      diff.itemChanges.forEach(change => {
+        lines.push(`| ${change.stageId} | ${change.addedItems.join(', ')} | ${change.removedItems.join(', ')} |`);
+      });
+    }
+
+    if (diff.rateChanges.length > 0) {
+      lines.push('', '### Drop rate changes', '', '| Stage | Item | From | To | Δ | z | Runs |', '| --- | --- | --- | --- | --- | --- | --- |');
+      diff.rateChanges.forEach(change => {
+        const from = (change.fromRate * 100).toFixed(2);
+        const to = (change.toRate * 100).toFixed(2);
+        const delta = (change.delta * 100).toFixed(2);
+        lines.push(`| ${change.stageId} | ${change.itemId} | ${from}% | ${to}% | ${delta}pt | ${change.zeroVariance ? 'n/a (no variance)' : change.zScore} | ${change.fromTimes} → ${change.toTimes} |`);
+      });
+    } else {
+      lines.push('- Drop rate changes: none');
+    }
+  });
+
+  return lines.join('\n') + '\n';
+}
+
+// コマンドライン引数を解析（不正な引数は使い方付きのエラー）
+function parseArgs(argv) {
+  const { flags, dates } = parseScriptArgs(argv, {
+    usage: 'node scripts/diff-snapshots.js [from] [to] [--threshold=N] [--servers=CN,JP]',
+    flags: { threshold: 'number', servers: 'servers' },
+    maxDates: 2
+  });
+  const options = {};
+  if (flags.threshold !== undefined) options.threshold = flags.threshold;
+  if (flags.servers) options.servers = flags.servers;
+
+  return { dates, options };
+}
+
+// 比較してレポートを保存（戻り値は終了コード）
+// options: dataDir, from, to（既定は to の前日と今日）, threshold, servers, dryRun
+function runDiff(options = {}) {
+  const { dataDir = path.join(__dirname, '..', 'data'), dryRun = false } = options;
+  if (dryRun) {
+    return saveDiff({ ...options, dataDir });
+  }
+  return runWithPipelineLock(dataDir, 'diff', () => saveDiff({ ...options, dataDir }));
+}
+
+// 比較してレポートを保存する（ロックは呼び出し側で取る）
+function saveDiff(options) {
+  const { dataDir, from, to, dryRun = false, ...diffOptions } = options;
+  const baseDataDir = dataDir;
+
+  if (diffOptions.threshold !== undefined && !(diffOptions.threshold >= 0)) {
+    console.error('--threshold must be a non-negative number');
+    return 1;
+  }
+
+  // 日付が無ければ前日と今日を比較
+  const toDate = to || formatDate(new Date());
+  const previousDay = new Date(`${toDate}T00:00:00Z`);
+  previousDay.setUTCDate(previousDay.getUTCDate() - 1);
+  const fromDate = from || formatDate(previousDay);
+
+  for (const date of [fromDate, toDate]) {
+    if (!fs.existsSync(path.join(baseDataDir, date))) {
+      console.error(`Data folder not found: ${date}`);
+      return 1;
+    }
+  }
+
+  console.log(`Comparing ${fromDate} → ${toDate}`);
+  const report = diffSnapshots(baseDataDir, fromDate, toDate, diffOptions);
+
+  Object.entries(report.servers).forEach(([server, diff]) => {
+    console.log(`${server}: +${diff.newStages.length} / -${diff.removedStages.length} stages, ${diff.itemChanges.length} stages with item changes, ${diff.rateChanges.length} drop rate changes`);
+  });
+  if (report.missingServers.length > 0) {
+    console.warn(`Skipped servers (no data): ${report.missingServers.join(', ')}`);
+  }
+
+  if (dryRun) {
+    console.log('Dry run: no files written');
+    return 0;
+  }
+
+  const outputDir = path.join(baseDataDir, toDate);
+  writeFileAtomic(path.join(outputDir, 'drop-rate-diff.json'), JSON.stringify(report, null, 2));
+  writeFileAtomic(path.join(outputDir, 'drop-rate-diff.md'), formatDiffMarkdown(report));
+  console.log(`Saved diff report to ${toDate}/drop-rate-diff.json and ${toDate}/drop-rate-diff.md`);
+  return 0;
+}
+
+// メイン処理
+function main() {
+  const { dates, options } = parseMainArgs(parseArgs);
+  process.exitCode = runDiff({ ...options, from: dates[0], to: dates[1] });
+}
+
+// コマンドライン実行時
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  diffServerSnapshots,
+  diffSnapshots,
+  formatDiffMarkdown,
+  runDiff
+};
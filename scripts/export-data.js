@@ -0,0 +1,266 @@
+// export-data.js
+// サーバー別スナップショットを書き出す（差分保存モードの履歴からも復元する）
+//
+//   node scripts/export-data.js [date] [--servers=CN,JP] [--out=DIR] [--format=json|csv|columnar|sqlite] [--all-dates] [--skip-sqlite-db]
+//
+// json:     指定日のスナップショットをそのまま（--out を省略すると全サーバー分を1つのJSONとして標準出力に書き出す）
+// csv:      server, date, stageId, itemId, times, quantity, rate の縦持ちCSV（--out を省略すると標準出力）
+// columnar: 同じ列を列毎に並べたJSON（文字列の列は辞書符号化、--out を省略すると標準出力）
+// sqlite:   SQLダンプ（penguin-stats.sql）と、sqlite3コマンドで読み込んだデータベース（penguin-stats.sqlite）
+//           sqlite3コマンドが無ければ失敗する（--skip-sqlite-db でダンプだけを書き出す）
+// csv/columnar は --all-dates で保存されている全日付をまとめる。sqlite は --date を指定しない限り全日付
+const fs = require('fs');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { listDateFolders, resolveDate, serverFileName, loadServerSnapshot } = require('./lib/snapshots');
+const { SQL_SCHEMA, flattenSnapshot, formatCsv, toColumnar, snapshotSqlStatements } = require('./lib/tabular');
+const { parseScriptArgs, parseMainArgs } = require('./lib/script-args');
+
+const SERVERS = ['CN', 'US', 'JP', 'KR'];
+const EXPORT_FORMATS = ['json', 'csv', 'columnar', 'sqlite'];
+
+// SQLiteの出力ファイル名
+const SQL_DUMP_FILE = 'penguin-stats.sql';
+const SQLITE_FILE = 'penguin-stats.sqlite';
+
+// 日付・サーバー毎にスナップショットを読み込んで callback(snapshot, server, date) を呼ぶ（読み込めた件数を返す）
+function forEachSnapshot(dataDir, dates, servers, callback) {
+  let count = 0;
+  dates.forEach(date => {
+    const missing = [];
+    servers.forEach(server => {
+      const snapshot = loadServerSnapshot(dataDir, date, server);
+      if (snapshot) {
+        callback(snapshot, server, date);
+        count++;
+      } else {
+        missing.push(server);
+      }
+    });
+    if (missing.length > 0) {
+      console.warn(`No ${missing.join(', ')} snapshot for ${date}`);
+    }
+  });
+  return count;
+}
+
+// 書き出し先（fileがnullなら標準出力、dryRunなら何もしない）
+function openOutput(file, dryRun) {
+  const fd = file && !dryRun ? fs.openSync(file, 'w') : null;
+  return {
+    write(text) {
+      if (dryRun) return;
+      if (fd !== null) {
+        fs.writeSync(fd, text);
+      } else {
+        process.stdout.write(text);
+      }
+    },
+    close() {
+      if (fd !== null) {
+        fs.closeSync(fd);
+      }
+    }
+  };
+}
+
+// 出力ファイル名（1日分なら日付を付ける）
+function tableFileName(dates, extension) {
+  return dates.length === 1 ? `drops-${dates[0]}.${extension}` : `drops.${extension}`;
+}
+
+// 指定日のスナップショットをJSONのまま書き出す
+function exportJson(dataDir, date, servers, out, dryRun) {
+  const snapshots = {};
+  const count = forEachSnapshot(dataDir, [date], servers, (snapshot, server) => {
+    snapshots[server] = snapshot;
+  });
+  if (count === 0) {
+    return 0;
+  }
+
+  if (!out) {
+    if (!dryRun) {
+      process.stdout.write(JSON.stringify({ date, servers: snapshots }, null, 2) + '\n');
+    }
+    return count;
+  }
+
+  Object.entries(snapshots).forEach(([server, snapshot]) => {
+    const file = path.join(out, serverFileName(server));
+    if (!dryRun) {
+      fs.writeFileSync(file, JSON.stringify(snapshot, null, 2));
+    }
+    console.log(`${dryRun ? 'Would export' : 'Exported'} ${server} ${date} (${snapshot.stageCount} stages) to ${file}`);
+  });
+  return count;
+}
+
+// 縦持ちCSVを書き出す（日付毎に追記するので全日付でもメモリに溜めない）
+function exportCsv(dataDir, dates, servers, out, dryRun) {
+  const file = out ? path.join(out, tableFileName(dates, 'csv')) : null;
+  const output = openOutput(file, dryRun);
+  let rowCount = 0;
+
+  output.write(formatCsv([]));
+  const count = forEachSnapshot(dataDir, dates, servers, (snapshot, server, date) => {
+    const rows = flattenSnapshot(snapshot, server, date);
+    rowCount += rows.length;
+    output.write(formatCsv(rows, { header: false }));
+  });
+  output.close();
+
+  if (file && count === 0 && !dryRun) {
+    fs.unlinkSync(file);
+  } else if (file) {
+    console.log(`${dryRun ? 'Would export' : 'Exported'} ${rowCount} rows to ${file}`);
+  }
+  return count;
+}
+
+// 列指向JSONを書き出す
+function exportColumnar(dataDir, dates, servers, out, dryRun) {
+  const file = out ? path.join(out, tableFileName(dates, 'columns.json')) : null;
+  const rows = [];
+  const count = forEachSnapshot(dataDir, dates, servers, (snapshot, server, date) => {
+    rows.push(...flattenSnapshot(snapshot, server, date));
+  });
+  if (count === 0) {
+    return 0;
+  }
+
+  const output = openOutput(file, dryRun);
+  output.write(JSON.stringify(toColumnar(rows)) + '\n');
+  output.close();
+
+  if (file) {
+    console.log(`${dryRun ? 'Would export' : 'Exported'} ${rows.length} rows to ${file}`);
+  }
+  return count;
+}
+
+// SQLダンプを書き出し、skipDbでなければsqlite3コマンドでデータベースを作り直す
+function exportSqlite(dataDir, dates, servers, out, dryRun, sqliteBin, skipDb) {
+  const sqlFile = path.join(out, SQL_DUMP_FILE);
+  const dbFile = path.join(out, SQLITE_FILE);
+  const output = openOutput(sqlFile, dryRun);
+
+  output.write(['PRAGMA journal_mode = OFF;', 'BEGIN TRANSACTION;', ...SQL_SCHEMA].join('\n') + '\n');
+  const count = forEachSnapshot(dataDir, dates, servers, (snapshot, server, date) => {
+    output.write(snapshotSqlStatements(snapshot, server, date).join('\n') + '\n');
+  });
+  output.write('COMMIT;\n');
+  output.close();
+
+  if (dryRun) {
+    console.log(`Would export ${count} snapshots to ${skipDb ? sqlFile : `${sqlFile} and ${dbFile}`}`);
+    return count;
+  }
+  if (count === 0) {
+    fs.unlinkSync(sqlFile);
+    return 0;
+  }
+  console.log(`Exported ${count} snapshots to ${sqlFile}`);
+  if (skipDb) {
+    return count;
+  }
+
+  // 前回のデータベースに追記しないよう作り直す
+  fs.rmSync(dbFile, { force: true });
+  const sqlFd = fs.openSync(sqlFile, 'r');
+  const result = spawnSync(sqliteBin, ['-bail', dbFile], { stdio: [sqlFd, 'ignore', 'pipe'] });
+  fs.closeSync(sqlFd);
+
+  if (result.error && result.error.code === 'ENOENT') {
+    console.error(`${sqliteBin} not found, could not build ${dbFile} (install sqlite3, set SQLITE3, or pass --skip-sqlite-db to write only ${SQL_DUMP_FILE})`);
+    return -1;
+  }
+  if (result.error || result.status !== 0) {
+    console.error(`Failed to build ${dbFile}: ${result.error ? result.error.message : result.stderr.toString().trim()}`);
+    fs.rmSync(dbFile, { force: true });
+    return -1;
+  }
+  console.log(`Built ${dbFile}`);
+  return count;
+}
+
+// 書き出し処理（戻り値は終了コード）
+// options: dataDir, date（既定は最新）, servers, out（出力先ディレクトリ）, format, allDates, sqliteBin, skipSqliteDb, dryRun
+function runExport(options = {}) {
+  const {
+    dataDir = path.join(__dirname, '..', 'data'),
+    servers = SERVERS,
+    out = null,
+    format = 'json',
+    allDates = false,
+    sqliteBin = process.env.SQLITE3 || 'sqlite3',
+    skipSqliteDb = false,
+    dryRun = false
+  } = options;
+
+  if (!EXPORT_FORMATS.includes(format)) {
+    console.error(`Unknown export format: ${format} (expected ${EXPORT_FORMATS.join(', ')})`);
+    return 1;
+  }
+  if (format === 'sqlite' && !out) {
+    console.error('--out is required for the sqlite format');
+    return 1;
+  }
+
+  // 全日付が対象になるのは csv/columnar の --all-dates と、日付を指定しない sqlite
+  const wholeHistory = format !== 'json' && (allDates || (format === 'sqlite' && !options.date));
+  const date = resolveDate(dataDir, options.date);
+  const dates = wholeHistory ? listDateFolders(dataDir) : [date].filter(Boolean);
+
+  if (dates.length === 0) {
+    console.error('No data to export');
+    return 1;
+  }
+  if (out && !dryRun) {
+    fs.mkdirSync(out, { recursive: true });
+  }
+
+  let count;
+  if (format === 'json') {
+    count = exportJson(dataDir, date, servers, out, dryRun);
+  } else if (format === 'csv') {
+    count = exportCsv(dataDir, dates, servers, out, dryRun);
+  } else if (format === 'columnar') {
+    count = exportColumnar(dataDir, dates, servers, out, dryRun);
+  } else {
+    count = exportSqlite(dataDir, dates, servers, out, dryRun, sqliteBin, skipSqliteDb);
+  }
+
+  if (count === 0) {
+    console.error(`Nothing to export for ${dates.length === 1 ? dates[0] : `${dates[0]}..${dates[dates.length - 1]}`}`);
+    return 1;
+  }
+  return count < 0 ? 1 : 0;
+}
+
+// コマンドライン引数を解析（不正な引数は使い方付きのエラー）
+function parseArgs(argv) {
+  const { flags, dates } = parseScriptArgs(argv, {
+    usage: `node scripts/export-data.js [date] [--servers=CN,JP] [--out=DIR] [--format=${EXPORT_FORMATS.join('|')}] [--all-dates] [--skip-sqlite-db]`,
+    flags: { servers: 'servers', out: 'string', format: 'string', 'all-dates': 'boolean', 'skip-sqlite-db': 'boolean' }
+  });
+  const options = {};
+  if (dates[0]) options.date = dates[0];
+  if (flags.servers) options.servers = flags.servers;
+  if (flags.out) options.out = flags.out;
+  if (flags.format) options.format = flags.format;
+  if (flags['all-dates']) options.allDates = true;
+  if (flags['skip-sqlite-db']) options.skipSqliteDb = true;
+
+  return options;
+}
+
+// コマンドライン実行時
+if (require.main === module) {
+  process.exitCode = runExport(parseMainArgs(parseArgs));
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  runExport
+};
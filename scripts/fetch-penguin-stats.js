@@ -1,25 +1,53 @@
 // fetch-penguin-stats.js
 const fs = require('fs');
 const path = require('path');
+const { listDateFolders, serverFileName, loadServerSnapshot } = require('./lib/snapshots');
+const { appendSnapshot, listHistoryDates } = require('./lib/delta-store');
+const { loadRetentionPolicy, applyRetention } = require('./lib/retention');
+const { validateServerSnapshot, validateSummary, validateMetadata } = require('./lib/schemas');
+const { metadataFileName, indexMetadata, loadLatestMetadata, enrichSnapshot } = require('./lib/metadata');
+const { API_BASE, SERVERS, createRateLimiter, fetchJsonResponse, matrixUrl, fetchMetadataSources } = require('./lib/penguin-api');
+const { HTTP_CACHE_DIR, createHttpCache } = require('./lib/http-cache');
+const { saveRawMatrix } = require('./lib/raw-archive');
+const { processMatrix } = require('./lib/matrix');
+const { DEFAULT_STAGE_FILTERS_PATH, loadStageFilterConfig, compileStageFilter, filterStageIds, logFilterReport } = require('./lib/stage-filter');
+const { DEFAULT_SAMPLE_OPTIONS } = require('./lib/drop-stats');
+const { writeJsonAtomic, removeTempFiles, withLock, pipelineLockFile } = require('./lib/atomic-fs');
+const { NOTIFICATIONS_CONFIG_PATH, sendNotifications, fetchNotification } = require('./lib/notifiers');
 
-// Node.js 18でfetchが利用できない場合のpolyfill
-let fetch;
-if (typeof globalThis.fetch === 'undefined') {
-  fetch = (...args) => import('node-fetch').then(({default: fetch}) => fetch(...args));
-} else {
-  fetch = globalThis.fetch;
-}
+// 保持ポリシーの設定ファイル
+const RETENTION_CONFIG_PATH = path.join(__dirname, '..', 'config', 'retention.json');
 
-// APIエンドポイント
-const API_BASE = 'https://penguin-stats.io/PenguinStats/api/v2';
-const SERVERS = ['CN', 'US', 'JP', 'KR'];
+// 既定の実行オプション（CLIの --data-dir / --api-base / --servers / --date / --min-times / --dry-run で上書きできる）
+const DEFAULT_FETCH_OPTIONS = {
+  dataDir: path.join(__dirname, '..', 'data'),
+  apiBase: API_BASE,
+  servers: SERVERS,
+  date: null,                     // 保存先の日付フォルダ（既定は今日）
+  // 保存形式: 'full' は日付フォルダに完全なコピー、'delta' はdata/historyにベース+日次差分を保存
+  storageMode: process.env.STORAGE_MODE || 'full',
+  retentionConfigPath: RETENTION_CONFIG_PATH,
+  stageFiltersPath: DEFAULT_STAGE_FILTERS_PATH,  // 保存しないステージのルール（config/stage-filters.json）
+  stageFilters: null,             // ルールを直接渡す場合（指定すると stageFiltersPath は読まない）
+  minTimes: DEFAULT_SAMPLE_OPTIONS.minTimes,  // 周回数がこれ未満のレコードは保存しない
+  lowSampleThreshold: DEFAULT_SAMPLE_OPTIONS.lowSampleThreshold,  // 周回数がこれ未満のレコードに lowSample を付ける
+  // APIに負荷をかけないよう、同時に送るリクエスト数と開始間隔（再試行・メタデータも含む）を制限する
+  concurrency: 2,
+  minRequestIntervalMs: 500,
+  // ドロップ行列の応答を data/.http-cache に保存し、次回はETag/Last-Modifiedで条件付きリクエストを送る
+  httpCache: true,
+  // ドロップ行列の応答を日付フォルダに raw-matrix-<server>.json.gz として残す（reprocess で処理し直せるように）
+  archiveRaw: true,
+  notificationConfigPath: NOTIFICATIONS_CONFIG_PATH,  // 取得結果の通知先の設定（nullなら通知しない）
+  dryRun: false                   // 取得・検証のみ行い、ファイルを書き込まない
+};
 
-// データディレクトリの作成（正しいパス）
-const baseDataDir = path.join(__dirname, '..', 'data');
-console.log(`Base data directory: ${baseDataDir}`);
-if (!fs.existsSync(baseDataDir)) {
-  fs.mkdirSync(baseDataDir, { recursive: true });
-  console.log('Base data directory created successfully');
+// オプションを既定値とマージ
+function resolveFetchOptions(options = {}) {
+  const resolved = { ...DEFAULT_FETCH_OPTIONS, ...options };
+  resolved.date = resolved.date || formatDate(new Date());
+  resolved.historyDir = path.join(resolved.dataDir, 'history');
+  return resolved;
 }
 
 // 日付フォーマット関数
@@ -27,189 +55,524 @@ function formatDate(date) {
   return date.toISOString().split('T')[0]; // YYYY-MM-DD
 }
 
-// 古いフォルダを削除する関数（2週間より古い）
-function cleanupOldFolders() {
-  const retentionDays = 14;
-  const cutoffDate = new Date();
-  cutoffDate.setDate(cutoffDate.getDate() - retentionDays);
-  
-  console.log(`Cleaning up folders older than ${formatDate(cutoffDate)}`);
-  
+// 保持ポリシーに従って古いフォルダを間引く関数
+async function cleanupOldFolders(options) {
   try {
-    const folders = fs.readdirSync(baseDataDir, { withFileTypes: true })
-      .filter(dirent => dirent.isDirectory())
-      .map(dirent => dirent.name)
-      .filter(name => /^\d{4}-\d{2}-\d{2}$/.test(name)); // YYYY-MM-DD形式のみ
+    const policy = loadRetentionPolicy(options.retentionConfigPath);
+    console.log(`Applying retention policy (daily ${policy.dailyDays} days, weekly ${policy.weeklyWeeks} weeks, monthly ${policy.monthlyMonths === null ? 'forever' : `${policy.monthlyMonths} months`})`);
     
-    let deletedCount = 0;
-    folders.forEach(folderName => {
-      const folderDate = new Date(folderName);
-      if (folderDate < cutoffDate) {
-        const folderPath = path.join(baseDataDir, folderName);
-        console.log(`Deleting old folder: ${folderName}`);
-        fs.rmSync(folderPath, { recursive: true, force: true });
-        deletedCount++;
-      }
-    });
+    // 保存先の日付を基準に間引く（日付を指定した実行でも結果が実行した日に左右されない）
+    const result = await applyRetention(options.dataDir, policy, { today: options.date });
     
-    console.log(`Cleanup completed. Deleted ${deletedCount} old folders.`);
+    console.log(`Cleanup completed. Deleted ${result.deleted.length} old folders (${result.archived.length} archived).`);
   } catch (error) {
     console.error('Error during cleanup:', error);
   }
 }
 
-// APIからデータを取得する関数
-async function fetchMatrixData(server) {
-  const url = `${API_BASE}/result/matrix?server=${server}&show_closed_zones=true`;
-  
+// APIからデータを取得する関数（{ data, notModified }、失敗時はnull）
+// options.cache があれば条件付きリクエストを送り、304ならキャッシュした本文を返す
+async function fetchMatrixData(server, options = DEFAULT_FETCH_OPTIONS) {
   try {
     console.log(`Fetching data for server: ${server}`);
-    const response = await fetch(url);
+    return await fetchJsonResponse(matrixUrl(server, options.apiBase), server, options);
+  } catch (error) {
+    console.error(`Error fetching data for ${server}:`, error);
+    return null;
+  }
+}
+
+// アイテム・ステージ・ゾーンのメタデータを取得（失敗時は保存済みの最新のものを使う）
+async function fetchMetadata(server, options) {
+  const { dataDir, date } = options;
+  try {
+    console.log(`Fetching metadata for server: ${server}`);
+    const { items, stages, zones } = await fetchMetadataSources(server, options);
     
-    if (!response.ok) {
-      throw new Error(`HTTP error! status: ${response.status}`);
+    const metadata = {
+      fetchedAt: new Date().toISOString(),
+      ...indexMetadata(items, stages, zones)
+    };
+    const errors = validateMetadata(metadata);
+    if (errors.length > 0) {
+      reportValidationErrors(`${server} metadata`, errors);
+      throw new Error('invalid metadata response');
     }
     
-    const data = await response.json();
-    return data;
+    if (!options.dryRun) {
+      writeJsonAtomic(path.join(dataDir, date, metadataFileName(server)), metadata);
+    }
+    return metadata;
   } catch (error) {
-    console.error(`Error fetching data for ${server}:`, error);
+    console.error(`Error fetching metadata for ${server}:`, error.message);
+    
+    const previous = loadLatestMetadata(dataDir, server, date);
+    if (previous) {
+      console.warn(`Using ${server} metadata from ${previous.date}`);
+      return previous.metadata;
+    }
     return null;
   }
 }
 
-// データを処理してstageId毎にグループ化
-function processMatrixData(matrixData) {
-  if (!matrixData || !matrixData.matrix) {
-    return null;
+// 指定日より前の最新の正常なスナップショットを探す
+function loadLastGoodSnapshot(server, beforeDate, options) {
+  const { dataDir, historyDir } = options;
+  const dates = Array.from(new Set([...listDateFolders(dataDir), ...listHistoryDates(historyDir, server)]))
+    .filter(name => name < beforeDate)
+    .sort()
+    .reverse();
+  
+  for (const date of dates) {
+    try {
+      const snapshot = loadServerSnapshot(dataDir, date, server);
+      if (snapshot && snapshot.data) {
+        return {
+          snapshot,
+          // 繰り越し済みのスナップショットなら元の日付を引き継ぐ
+          sourceDate: snapshot.staleSince || date
+        };
+      }
+    } catch (error) {
+      console.error(`Failed to read ${server} snapshot for ${date}:`, error.message);
+    }
   }
   
-  const fetchedAt = new Date().toISOString();
-  const groupedData = {};
-  let totalItemCount = 0;
+  return null;
+}
+
+// 除外したステージを保存するファイル名
+function excludedStagesFileName(server) {
+  return `excluded-stages-${server.toLowerCase()}.json`;
+}
+
+// 除外ルールを当てて結果をログに出し、除外したステージのスナップショット（keepExcluded のときだけ）を作る
+function applyStageFilter(rawData, filter, options) {
+  const stageIds = Array.isArray(rawData.matrix)
+    ? Array.from(new Set(rawData.matrix.map(record => record && record.stageId).filter(Boolean)))
+    : [];
+  const { excluded, report } = filterStageIds(stageIds, filter);
+  logFilterReport(report);
+  if (!filter.keepExcluded || report.excludedStages === 0) {
+    return null;
+  }
+
+  const excludedSnapshot = processMatrixData({ matrix: rawData.matrix.filter(record => excluded[record.stageId]) }, options);
+  if (excludedSnapshot) {
+    Object.entries(excludedSnapshot.data).forEach(([stageId, stage]) => {
+      stage.excludedBy = excluded[stageId];
+    });
+  }
+  return excludedSnapshot;
+}
+
+// 除外したステージを日付フォルダに保存する（差分保存モードでも日付フォルダに置く）
+function saveExcludedStages(server, date, excludedSnapshot, options) {
+  if (!options.dryRun) {
+    writeJsonAtomic(path.join(options.dataDir, date, excludedStagesFileName(server)), excludedSnapshot);
+  }
+  console.log(`${options.dryRun ? 'Would keep' : 'Kept'} ${excludedSnapshot.stageCount} excluded stages for ${server} in ${date}/${excludedStagesFileName(server)}`);
+}
+
+// ドロップ行列の処理に影響するオプション（同じ応答から同じスナップショットができるかの判定に使う）
+function processingOptions(options, filter) {
+  return {
+    filter: filter.definitions,
+    keepExcluded: filter.keepExcluded,
+    minTimes: options.minTimes,
+    lowSampleThreshold: options.lowSampleThreshold
+  };
+}
+
+// 304を受け取ったとき、同じ応答から前回作ったスナップショット（と除外したステージ）を探す（無ければnull）
+function loadProcessedSnapshot(server, filter, options) {
+  const meta = options.cache.get(matrixUrl(server, options.apiBase));
+  const processed = meta && meta.annotations.processed;
+  if (!processed || JSON.stringify(processed.options) !== JSON.stringify(processingOptions(options, filter))) {
+    return null;
+  }
+  try {
+    const snapshot = loadServerSnapshot(options.dataDir, processed.date, server);
+    const excludedFile = path.join(options.dataDir, processed.date, excludedStagesFileName(server));
+    const excludedSnapshot = filter.keepExcluded && fs.existsSync(excludedFile) ? JSON.parse(fs.readFileSync(excludedFile, 'utf8')) : null;
+    return snapshot && !snapshot.stale ? { date: processed.date, snapshot, excludedSnapshot } : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// サーバー別データを保存（保存形式に応じて日付フォルダまたは差分履歴へ）
+function saveServerSnapshot(server, date, snapshot, options) {
+  if (options.storageMode === 'delta') {
+    if (!options.dryRun) {
+      const result = appendSnapshot(options.historyDir, server, date, snapshot);
+      return `history/${server.toLowerCase()} (${result.type})`;
+    }
+    return `history/${server.toLowerCase()}`;
+  }
   
-  // 除外するstageIdのパターン
-  const excludePatterns = ['randommaterial','gachabox' ,'recruit'];
+  const filename = serverFileName(server);
+  if (!options.dryRun) {
+    writeJsonAtomic(path.join(options.dataDir, date, filename), snapshot);
+  }
+  return `${date}/${filename}`;
+}
+
+// スキーマ違反を表示
+function reportValidationErrors(label, errors) {
+  console.error(`Schema validation failed for ${label} (${errors.length} errors)`);
+  errors.slice(0, 20).forEach(error => console.error(`   ${error}`));
+  if (errors.length > 20) {
+    console.error(`   ... and ${errors.length - 20} more`);
+  }
+}
+
+// データを処理してstageId毎にグループ化（不正なレスポンスはnull）
+// filter: 除外の判定（省略時は除外しない）、options.fetchedAt: スナップショットに記録する取得時刻（既定は現在時刻）
+function processMatrixData(matrixData, options = DEFAULT_FETCH_OPTIONS, filter = compileStageFilter({ rules: [] }, 'fetch')) {
+  if (!matrixData) {
+    return null;
+  }
   
-  // stageId毎にデータをグループ化
-  matrixData.matrix.forEach(item => {
-    const stageId = item.stageId;
-    const itemId = item.itemId;
-    
-    // 除外パターンにマッチするstageIdを無視
-    if (stageId && excludePatterns.some(pattern => stageId.toLowerCase().startsWith(pattern.toLowerCase()))) {
+  try {
+    return processMatrix(matrixData, {
+      filter,
+      fetchedAt: options.fetchedAt,
+      minTimes: options.minTimes,
+      lowSampleThreshold: options.lowSampleThreshold
+    });
+  } catch (error) {
+    if (!error.validationErrors) {
+      throw error;
+    }
+    reportValidationErrors('matrix response', error.validationErrors);
+    return null;
+  }
+}
+
+// 統合ファイル（summary.json）の内容を作る
+function buildSummary(date, fetchedAt, results, staleServers) {
+  return {
+    date,
+    fetchedAt,
+    servers: Object.keys(results),
+    staleServers,
+    totalStages: Object.values(results).reduce((sum, server) => sum + (server.stageCount || 0), 0),
+    totalRecords: Object.values(results).reduce((sum, server) => sum + (server.dataCount || 0), 0),
+    serverData: results
+  };
+}
+
+// 保存したファイルを読み戻し、取得結果と一致するか・スキーマに合うかを確認する（問題の一覧を返す）
+function verifySavedRun(date, results, options) {
+  const problems = [];
+  Object.entries(results).forEach(([server, snapshot]) => {
+    let saved = null;
+    try {
+      saved = loadServerSnapshot(options.dataDir, date, server);
+    } catch (error) {
+      problems.push(`${server}: ${error.message}`);
       return;
     }
-    
-    // ステージが存在しない場合は初期化
-    if (!groupedData[stageId]) {
-      groupedData[stageId] = {
-        stageInfo: {
-          times: item.times,
-          start: item.start,
-          end: item.end,
-          fetchedAt: fetchedAt
-        },
-        items: {}
-      };
+    if (!saved) {
+      problems.push(`${server}: saved snapshot not found`);
+    } else if (JSON.stringify(saved) !== JSON.stringify(snapshot)) {
+      problems.push(`${server}: saved snapshot differs from the fetched data`);
     }
-    
-    // アイテムデータを追加
-    groupedData[stageId].items[itemId] = {
-      quantity: item.quantity,
-      stdDev: item.stdDev,
-      dropRate: item.times > 0 ? item.quantity / item.times : 0,
-      dropPercentage: item.times > 0 ? (item.quantity / item.times * 100).toFixed(2) : "0.00"
-    };
-    
-    totalItemCount++;
   });
-  
-  return {
-    data: groupedData,
-    stageCount: Object.keys(groupedData).length,
-    itemCount: totalItemCount,
-    fetchedAt: fetchedAt
-  };
+
+  const summaryFile = path.join(options.dataDir, date, 'summary.json');
+  try {
+    const errors = validateSummary(JSON.parse(fs.readFileSync(summaryFile, 'utf8')));
+    problems.push(...errors.map(error => `summary.json${error}`));
+  } catch (error) {
+    problems.push(`summary.json: ${error.message}`);
+  }
+  return problems;
 }
 
-// メイン処理
-async function main() {
-  const timestamp = formatDate(new Date()); // YYYY-MM-DD
+// 取得処理（戻り値は終了コード。0以外はlatest.jsonを更新していない）
+// 書き込みを伴う実行はデータディレクトリのロックを取り、他の実行と重ならないようにする
+async function runFetch(options = {}) {
+  const opts = resolveFetchOptions(options);
+  if (opts.dryRun) {
+    return fetchAndSave(opts, { date: opts.date });
+  }
+  try {
+    return await withLock(pipelineLockFile(opts.dataDir), async () => {
+      const run = { date: opts.date };
+      try {
+        run.exitCode = await fetchAndSave(opts, run);
+      } catch (error) {
+        // 途中で例外になった実行も失敗として通知してから投げ直す
+        run.exitCode = 1;
+        run.problems = [...(run.problems || []), `Unexpected error: ${error.message}`];
+        throw error;
+      } finally {
+        // 成功・失敗のどちらも通知する（通知の失敗は終了コードに影響させない）
+        await sendNotifications([fetchNotification(run)], { dataDir: opts.dataDir, configPath: opts.notificationConfigPath });
+      }
+      return run.exitCode;
+    }, { name: 'fetch' });
+  } catch (error) {
+    if (error.code !== 'ELOCKED') {
+      throw error;
+    }
+    console.error(`Another run is in progress: ${error.message}`);
+    return 1;
+  }
+}
+
+// 取得して保存する（latest.jsonは全ファイルの保存と検証が終わってから更新する）
+// run には通知用にサーバー毎の結果と失敗の理由を記録する
+async function fetchAndSave(opts, run) {
+  const baseDataDir = opts.dataDir;
+  const timestamp = opts.date; // YYYY-MM-DD
   const todayDir = path.join(baseDataDir, timestamp);
   
-  // 今日のディレクトリを作成
-  if (!fs.existsSync(todayDir)) {
+  console.log(`Base data directory: ${baseDataDir}`);
+  if (opts.dryRun) {
+    console.log('Dry run: data will be fetched and validated but no files will be written');
+  }
+  
+  // 保存しないステージのルール（サーバー毎に組み立てる）
+  let filterConfig;
+  try {
+    filterConfig = opts.stageFilters || loadStageFilterConfig(opts.stageFiltersPath);
+  } catch (error) {
+    console.error(error.message);
+    run.problems = [error.message];
+    return 1;
+  }
+  
+  // 対象日のディレクトリを作成
+  if (!opts.dryRun && !fs.existsSync(todayDir)) {
     fs.mkdirSync(todayDir, { recursive: true });
     console.log(`Created directory for ${timestamp}`);
   }
   
+  // 前回の実行が途中で落ちて残った一時ファイルを消す
+  if (!opts.dryRun) {
+    const removed = removeTempFiles(todayDir);
+    if (removed.length > 0) {
+      console.warn(`Removed ${removed.length} temporary files left by an interrupted run`);
+    }
+  }
+  
   // 古いフォルダをクリーンアップ
-  cleanupOldFolders();
+  if (!opts.dryRun) {
+    await cleanupOldFolders(opts);
+  }
   
   const results = {};
+  const staleServers = [];
+  const missingServers = [];
+  const invalidServers = [];
   
-  for (const server of SERVERS) {
+  // ドロップ行列はまとめて要求し（同時実行数と間隔はlimiterで制限）、届いた順ではなくサーバーの順に処理する
+  const requestOptions = {
+    ...opts,
+    limiter: createRateLimiter({ concurrency: opts.concurrency, minIntervalMs: opts.minRequestIntervalMs }),
+    cache: opts.httpCache ? createHttpCache(path.join(baseDataDir, HTTP_CACHE_DIR), { readOnly: opts.dryRun }) : null
+  };
+  const responses = opts.servers.map(server => fetchMatrixData(server, requestOptions));
+  const unchangedServers = [];
+  
+  for (const [index, server] of opts.servers.entries()) {
+    const response = await responses[index];
     console.log(`Processing server: ${server}`);
     
-    const rawData = await fetchMatrixData(server);
-    if (rawData) {
-      const processedData = processMatrixData(rawData);
-      if (processedData) {
+    const rawData = response ? response.data : null;
+    const filter = compileStageFilter(filterConfig, 'fetch', server);
+    let snapshot = null;
+    let excludedSnapshot = null;
+    // 前回から変わっていなければ、同じ応答から作ったスナップショットをそのまま使う
+    const processed = response && response.notModified ? loadProcessedSnapshot(server, filter, requestOptions) : null;
+    if (processed) {
+      snapshot = processed.snapshot;
+      excludedSnapshot = processed.excludedSnapshot;
+      unchangedServers.push(server);
+      console.log(`${server} matrix not modified, reusing the snapshot processed on ${processed.date}`);
+    } else if (rawData) {
+      // 除外したステージのスナップショットにも同じ取得時刻を使う
+      const processOptions = { ...opts, fetchedAt: new Date().toISOString() };
+      snapshot = processMatrixData(rawData, processOptions, filter);
+      excludedSnapshot = snapshot ? applyStageFilter(rawData, filter, processOptions) : null;
+    }
+    if (snapshot && !processed) {
+      // アイテム名やステージコードなどを結合
+      const metadata = await fetchMetadata(server, requestOptions);
+      if (metadata) {
+        snapshot = enrichSnapshot(snapshot, metadata);
+      } else {
+        console.warn(`No metadata available for ${server}; saving without names`);
+      }
+      
+      const errors = validateServerSnapshot(snapshot);
+      if (errors.length > 0) {
+        reportValidationErrors(`${server} snapshot`, errors);
+        snapshot = null;
+      }
+    }
+    if (rawData && !snapshot) {
+      invalidServers.push(server);
+    }
+    
+    if (snapshot) {
+      results[server] = snapshot;
+      
+      // サーバー別データとして保存
+      const savedTo = saveServerSnapshot(server, timestamp, results[server], opts);
+      
+      console.log(`${opts.dryRun ? 'Would save' : 'Saved'} ${results[server].stageCount} stages (${results[server].dataCount} items) for ${server} to ${savedTo}`);
+      if (excludedSnapshot) {
+        saveExcludedStages(server, timestamp, excludedSnapshot, opts);
+      }
+      // 応答そのものも残す（304で前回の本文を使った場合も、その日の応答として保存する）
+      if (opts.archiveRaw && !opts.dryRun) {
+        saveRawMatrix(baseDataDir, timestamp, server, {
+          url: matrixUrl(server, opts.apiBase),
+          fetchedAt: results[server].fetchedAt,
+          response: rawData
+        });
+      }
+      // 次回304を受け取ったときに処理を省けるよう、この応答から作ったスナップショットを記録する
+      if (requestOptions.cache) {
+        requestOptions.cache.annotate(matrixUrl(server, opts.apiBase), {
+          processed: { date: timestamp, options: processingOptions(opts, filter) }
+        });
+      }
+      const { lowSampleRecords, filteredRecords } = results[server].sampleStats;
+      if (lowSampleRecords > 0 || filteredRecords > 0) {
+        console.log(`   ${lowSampleRecords} low-sample records flagged, ${filteredRecords} records below ${opts.minTimes} runs dropped`);
+      }
+    } else {
+      console.error(rawData ? `Failed to process data for ${server}` : `Failed to fetch data for ${server}`);
+      
+      // 前回の正常なデータを繰り越し、staleとしてマーク
+      const fallback = loadLastGoodSnapshot(server, timestamp, opts);
+      if (fallback) {
         results[server] = {
-          fetchedAt: processedData.fetchedAt,
-          dataCount: processedData.itemCount,
-          stageCount: processedData.stageCount,
-          data: processedData.data
+          ...fallback.snapshot,
+          stale: true,
+          staleSince: fallback.sourceDate
         };
+        staleServers.push(server);
         
-        // サーバー別ファイルとして今日のフォルダに保存
-        const filename = `penguin-stats-${server.toLowerCase()}.json`;
-        const filepath = path.join(todayDir, filename);
-        fs.writeFileSync(filepath, JSON.stringify(results[server], null, 2));
-        
-        console.log(`Saved ${results[server].stageCount} stages (${results[server].dataCount} items) for ${server} to ${timestamp}/${filename}`);
+        saveServerSnapshot(server, timestamp, results[server], opts);
+        console.warn(`Carried forward ${server} snapshot from ${fallback.sourceDate} (marked as stale)`);
       } else {
-        console.error(`Failed to process data for ${server}`);
+        missingServers.push(server);
+        console.error(`No previous snapshot available for ${server}`);
       }
-    } else {
-      console.error(`Failed to fetch data for ${server}`);
     }
-    
-    // APIに負荷をかけないよう1秒待機
-    await new Promise(resolve => setTimeout(resolve, 1000));
   }
   
-  // 今日のフォルダに統合ファイルも作成
-  const summaryFile = path.join(todayDir, 'summary.json');
-  const summary = {
-    date: timestamp,
-    fetchedAt: new Date().toISOString(),
+  Object.assign(run, {
     servers: Object.keys(results),
+    staleServers,
+    missingServers,
+    invalidServers,
+    unchangedServers,
     totalStages: Object.values(results).reduce((sum, server) => sum + (server.stageCount || 0), 0),
     totalRecords: Object.values(results).reduce((sum, server) => sum + (server.dataCount || 0), 0),
-    serverData: results
-  };
+    problems: []
+  });
   
-  fs.writeFileSync(summaryFile, JSON.stringify(summary, null, 2));
-  console.log(`Created summary file: ${timestamp}/summary.json`);
+  // 今日のフォルダに統合ファイルも作成
+  const summaryFile = path.join(todayDir, 'summary.json');
+  const summary = buildSummary(timestamp, new Date().toISOString(), results, staleServers);
+  
+  const summaryErrors = validateSummary(summary);
+  if (summaryErrors.length > 0) {
+    reportValidationErrors('summary', summaryErrors);
+    run.problems.push('summary.json failed validation');
+    return 1;
+  }
+  
+  // 差分保存モードでは日付フォルダに全データを複製しない（serverDataは差分履歴から復元できる）
+  const summaryToSave = opts.storageMode === 'delta'
+    ? { ...summary, serverData: undefined, storageMode: 'delta' }
+    : summary;
+  if (!opts.dryRun) {
+    writeJsonAtomic(summaryFile, summaryToSave);
+    console.log(`Created summary file: ${timestamp}/summary.json`);
+  }
+  
+  // 取得できなかったサーバーがある場合はlatest.jsonを更新しない
+  if (missingServers.length > 0) {
+    console.error(`Missing data for ${missingServers.join(', ')}. latest.json was not updated.`);
+    return 1;
+  }
+  
+  // スキーマ違反のデータを受け取った場合も実行を失敗扱いにする
+  if (invalidServers.length > 0) {
+    console.error(`Invalid data received for ${invalidServers.join(', ')}. latest.json was not updated.`);
+    return 1;
+  }
+  
+  if (opts.dryRun) {
+    console.log(`Dry run completed: ${Object.keys(results).length} servers fetched and validated, nothing written`);
+    return 0;
+  }
+  
+  // 保存したファイルが揃っていて正しいことを確かめてからlatest.jsonを切り替える
+  const problems = verifySavedRun(timestamp, results, opts);
+  if (problems.length > 0) {
+    console.error(`Saved files for ${timestamp} failed verification. latest.json was not updated.`);
+    problems.forEach(problem => console.error(`   ${problem}`));
+    run.problems.push(...problems);
+    return 1;
+  }
   
   // ルートディレクトリに最新データのシンボリックリンク的なファイルも作成
+  // （過去日の補完取得では、より新しいlatest.jsonを巻き戻さない）
   const latestFile = path.join(baseDataDir, 'latest.json');
-  const latestData = {
-    ...summary,
-    latestDataPath: timestamp
-  };
-  fs.writeFileSync(latestFile, JSON.stringify(latestData, null, 2));
+  const currentLatest = fs.existsSync(latestFile) ? JSON.parse(fs.readFileSync(latestFile, 'utf8')).latestDataPath : null;
+  if (!currentLatest || currentLatest <= timestamp) {
+    // 差分保存モードでも summary.json と同じく serverData を含めない
+    const latestData = {
+      ...summaryToSave,
+      latestDataPath: timestamp
+    };
+    writeJsonAtomic(latestFile, latestData);
+  } else {
+    console.log(`latest.json kept at ${currentLatest} (newer than ${timestamp})`);
+  }
   
+  if (staleServers.length > 0) {
+    console.warn(`Stale servers in this run: ${staleServers.join(', ')}`);
+  }
   console.log('Data fetch completed successfully!');
-  console.log(`Total files in today's folder: ${Object.keys(results).length + 1} (${Object.keys(results).length} server files + 1 summary)`);
+  if (opts.storageMode === 'delta') {
+    console.log(`Stored ${Object.keys(results).length} servers in delta history`);
+  } else {
+    console.log(`Total files in today's folder: ${fs.readdirSync(todayDir).length} (${Object.keys(results).length} server files, metadata and summary)`);
+  }
   console.log(`Total stages across all servers: ${summary.totalStages}`);
   console.log(`Total item records across all servers: ${summary.totalRecords}`);
+  return 0;
+}
+
+// コマンドライン実行時（オプションは scripts/cli.js fetch で指定できる）
+if (require.main === module) {
+  runFetch().then(exitCode => {
+    process.exitCode = exitCode;
+  }).catch(error => {
+    console.error('Error in main process:', error);
+    process.exit(1);
+  });
 }
 
-// エラーハンドリング付きで実行
-main().catch(error => {
-  console.error('Error in main process:', error);
-  process.exit(1);
-});
\ No newline at end of file
+module.exports = {
+  API_BASE,
+  SERVERS,
+  DEFAULT_FETCH_OPTIONS,
+  fetchMatrixData,
+  processMatrixData,
+  applyStageFilter,
+  excludedStagesFileName,
+  buildSummary,
+  reportValidationErrors,
+  runFetch
+};
\ No newline at end of file
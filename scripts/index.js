@@ -0,0 +1,132 @@
+// index.js
+// ライブラリとして require したときの公開API（読み込み時にファイル操作・通信は行わない）
+//
+//   const penguin = require('penguin-stats-data');
+//   const raw = await penguin.fetchMatrix('JP');
+//   const snapshot = penguin.processMatrix(raw, { excludePatterns: ['recruit'] });
+//   penguin.classifyStage('main_01-07');  // => { category: 'main', group: 'main_01', rule: 'main-story' }
+const path = require('path');
+const { API_BASE, SERVERS, createRateLimiter, fetchMatrix, fetchMetadataSources } = require('./lib/penguin-api');
+const { createHttpCache } = require('./lib/http-cache');
+const { isExcludedStage, processMatrix } = require('./lib/matrix');
+const { DEFAULT_SAMPLE_OPTIONS, wilsonInterval, dropRateInterval } = require('./lib/drop-stats');
+const { listDateFolders, latestDate, loadServerSnapshot } = require('./lib/snapshots');
+const rawArchive = require('./lib/raw-archive');
+const { indexMetadata, loadLatestMetadata, enrichSnapshot } = require('./lib/metadata');
+const stageClassifier = require('./lib/stage-classifier');
+const { analyzeStageTypes } = require('./lib/stage-type-analysis');
+const { loadStageFilterConfig, compileStageFilter } = require('./lib/stage-filter');
+const { diffServerSnapshots, diffSnapshots } = require('./diff-snapshots');
+const { compareServerSnapshots, compareServers } = require('./compare-servers');
+const { DEFAULT_HEALTH_POLICY, checkHealth } = require('./lib/health');
+const { DEFAULT_GROWTH_OPTIONS, computeDailyDeltas, mostFarmedStages, recentDropRates, buildSampleGrowth } = require('./lib/sample-growth');
+const { computeStageEfficiency, computeBestStages } = require('./lib/efficiency');
+const { solveItemValues } = require('./lib/item-values');
+const { DEFAULT_TIMELINE_CATEGORIES, buildTimeline, formatIcs } = require('./lib/timeline');
+const { validateDataTree } = require('./validate-data');
+const { DROP_COLUMNS, flattenSnapshot, formatCsv, toColumnar, fromColumnar } = require('./lib/tabular');
+const { buildServerApi } = require('./lib/static-api');
+
+// 既定のデータディレクトリ（このリポジトリの data/）
+const DEFAULT_DATA_DIR = path.join(__dirname, '..', 'data');
+
+// 既定の分類ルール（初回の classifyStage 呼び出し時に読み込む）
+let defaultRules = null;
+
+function getDefaultRules() {
+  if (!defaultRules) {
+    defaultRules = stageClassifier.loadStageRules();
+  }
+  return defaultRules;
+}
+
+// アイテム・ステージ・ゾーンの一覧を取得して整形する
+async function fetchMetadata(server, options = {}) {
+  const { items, stages, zones } = await fetchMetadataSources(server, options);
+  return indexMetadata(items, stages, zones);
+}
+
+// 指定日のサーバー別スナップショットを読み込む（無ければnull）
+// options.dataDir: データディレクトリ, options.useHistory: 差分履歴から復元するか（既定はtrue）
+function loadSnapshot(date, server, options = {}) {
+  const { dataDir = DEFAULT_DATA_DIR, ...loadOptions } = options;
+  return loadServerSnapshot(dataDir, date, server, loadOptions);
+}
+
+// 指定日に保存したドロップ行列の応答を読み込む（無ければnull）
+function loadRawMatrix(date, server, options = {}) {
+  return rawArchive.loadRawMatrix(options.dataDir || DEFAULT_DATA_DIR, date, server);
+}
+
+// 保存されている日付を昇順で取得
+function listDates(options = {}) {
+  return listDateFolders(options.dataDir || DEFAULT_DATA_DIR);
+}
+
+// 最新の日付を取得（データが無ければnull）
+function getLatestDate(options = {}) {
+  return latestDate(options.dataDir || DEFAULT_DATA_DIR);
+}
+
+// stageIdを分類する（rulesを省略すると config/stage-rules.json を使う）
+function classifyStage(stageId, rules = getDefaultRules()) {
+  return stageClassifier.classifyStage(stageId, rules);
+}
+
+// 複数のstageIdをまとめて分類する
+function classifyStages(stageIds, rules = getDefaultRules()) {
+  return stageClassifier.classifyStages(stageIds, rules);
+}
+
+module.exports = {
+  API_BASE,
+  SERVERS,
+  DEFAULT_DATA_DIR,
+  STAGE_CATEGORIES: stageClassifier.STAGE_CATEGORIES,
+  DEFAULT_TIMELINE_CATEGORIES,
+  DEFAULT_SAMPLE_OPTIONS,
+  DROP_COLUMNS,
+  DEFAULT_HEALTH_POLICY,
+  DEFAULT_GROWTH_OPTIONS,
+  createRateLimiter,
+  createHttpCache,
+  fetchMatrix,
+  fetchMetadata,
+  processMatrix,
+  isExcludedStage,
+  wilsonInterval,
+  dropRateInterval,
+  loadSnapshot,
+  loadRawMatrix,
+  listDates,
+  getLatestDate,
+  loadLatestMetadata,
+  enrichSnapshot,
+  flattenSnapshot,
+  formatCsv,
+  toColumnar,
+  fromColumnar,
+  buildServerApi,
+  classifyStage,
+  classifyStages,
+  compileStageRules: stageClassifier.compileStageRules,
+  loadStageRules: stageClassifier.loadStageRules,
+  analyzeStageTypes,
+  loadStageFilterConfig,
+  compileStageFilter,
+  diffServerSnapshots,
+  diffSnapshots,
+  compareServerSnapshots,
+  compareServers,
+  checkHealth,
+  computeDailyDeltas,
+  mostFarmedStages,
+  recentDropRates,
+  buildSampleGrowth,
+  computeStageEfficiency,
+  computeBestStages,
+  solveItemValues,
+  buildTimeline,
+  formatIcs,
+  validateDataTree
+};
@@ -0,0 +1,209 @@
+// atomic-fs.js
+// 途中で落ちても壊れたファイルを残さない書き込みと、実行の重複を防ぐロックファイル
+//
+// 書き込みは同じディレクトリの一時ファイルに書いてからrenameで置き換える（renameは同一ファイルシステム内でアトミック）。
+// 読み手からは古い内容か新しい内容のどちらかしか見えない。
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+// 一時ファイルの接尾辞（ドットで始まる名前と合わせて、検証や一覧から除外するために使う）
+const TEMP_SUFFIX = '.tmp';
+
+// データディレクトリ単位のロックファイル（取得・分析・静的APIの書き込みが重ならないようにする）
+const PIPELINE_LOCK_FILE = '.pipeline.lock';
+
+// ロックを奪ってよい経過時間の既定値（異常終了したプロセスが残したロックの扱い）
+const DEFAULT_LOCK_STALE_MS = 6 * 60 * 60 * 1000;
+
+// 一時ファイル名（.<元の名前>.<pid>.<乱数>.tmp）
+function tempPathFor(file) {
+  const suffix = `${process.pid}.${crypto.randomBytes(4).toString('hex')}${TEMP_SUFFIX}`;
+  return path.join(path.dirname(file), `.${path.basename(file)}.${suffix}`);
+}
+
+// 一時ファイルか
+function isTempFile(name) {
+  return name.startsWith('.') && name.endsWith(TEMP_SUFFIX);
+}
+
+// ファイルをアトミックに書き込む
+function writeFileAtomic(file, content) {
+  const tempFile = tempPathFor(file);
+  let fd = null;
+  try {
+    fd = fs.openSync(tempFile, 'w');
+    fs.writeFileSync(fd, content);
+    fs.fsyncSync(fd);
+    fs.closeSync(fd);
+    fd = null;
+    fs.renameSync(tempFile, file);
+  } catch (error) {
+    if (fd !== null) {
+      fs.closeSync(fd);
+    }
+    fs.rmSync(tempFile, { force: true });
+    throw error;
+  }
+}
+
+// JSONをアトミックに書き込む（indentを省略すると2スペース）
+function writeJsonAtomic(file, value, indent = 2) {
+  writeFileAtomic(file, JSON.stringify(value, null, indent));
+}
+
+// 異常終了で残った一時ファイル（一時ディレクトリを含む）を消す（消した名前を返す）
+function removeTempFiles(dir) {
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+  const removed = fs.readdirSync(dir).filter(isTempFile);
+  removed.forEach(name => fs.rmSync(path.join(dir, name), { recursive: true, force: true }));
+  return removed;
+}
+
+// プロセスが生きているか（同じホストのときだけ確認できる）
+function isProcessAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === 'EPERM';
+  }
+}
+
+// ロックを保持しているプロセスが居なくなったか、古すぎるか
+function isStaleLock(holder, staleMs) {
+  if (!holder || !Number.isInteger(holder.pid) || Number.isNaN(Date.parse(holder.startedAt))) {
+    return true;
+  }
+  if (Date.now() - Date.parse(holder.startedAt) > staleMs) {
+    return true;
+  }
+  return holder.hostname === os.hostname() && !isProcessAlive(holder.pid);
+}
+
+// ロックファイルの内容（読めなければnull）
+function readLock(lockFile) {
+  try {
+    return JSON.parse(fs.readFileSync(lockFile, 'utf8'));
+  } catch (error) {
+    return null;
+  }
+}
+
+// 同じプロセス内で保持しているロック（入れ子の呼び出しは同じロックを使う）
+const heldLocks = new Map();
+
+// ロックを取得して解放関数を返す
+// 他のプロセスが保持していれば code が 'ELOCKED' のErrorを投げる
+// options: name（ロックの用途、ロックファイルに記録）, staleMs
+function acquireLock(lockFile, options = {}) {
+  const { name = 'pipeline', staleMs = DEFAULT_LOCK_STALE_MS } = options;
+  const key = path.resolve(lockFile);
+
+  if (heldLocks.has(key)) {
+    heldLocks.set(key, heldLocks.get(key) + 1);
+    return () => releaseLock(key);
+  }
+
+  const holder = { pid: process.pid, hostname: os.hostname(), name, startedAt: new Date().toISOString() };
+  fs.mkdirSync(path.dirname(key), { recursive: true });
+
+  for (let attempt = 0; attempt < 2; attempt++) {
+    try {
+      fs.writeFileSync(key, JSON.stringify(holder, null, 2), { flag: 'wx' });
+      heldLocks.set(key, 1);
+      return () => releaseLock(key);
+    } catch (error) {
+      if (error.code !== 'EEXIST') {
+        throw error;
+      }
+    }
+
+    const current = readLock(key);
+    if (attempt > 0 || !isStaleLock(current, staleMs)) {
+      const lockError = new Error(current
+        ? `${lockFile} is held by ${current.name} (pid ${current.pid} on ${current.hostname}, since ${current.startedAt})`
+        : `${lockFile} is held by another process`);
+      lockError.code = 'ELOCKED';
+      lockError.holder = current;
+      throw lockError;
+    }
+    console.warn(`Removing stale lock ${lockFile}${current ? ` (pid ${current.pid}, since ${current.startedAt})` : ''}`);
+    fs.rmSync(key, { force: true });
+  }
+  throw new Error(`Failed to acquire ${lockFile}`);
+}
+
+// ロックを解放（入れ子の最後の解放でファイルを消す）
+function releaseLock(key) {
+  const count = heldLocks.get(key);
+  if (!count) {
+    return;
+  }
+  if (count > 1) {
+    heldLocks.set(key, count - 1);
+    return;
+  }
+  heldLocks.delete(key);
+  fs.rmSync(key, { force: true });
+}
+
+// データディレクトリのロックファイルのパス
+function pipelineLockFile(dataDir) {
+  return path.join(dataDir, PIPELINE_LOCK_FILE);
+}
+
+// ロックを取得して fn を実行し、終わったら（失敗しても）解放する
+async function withLock(lockFile, fn, options = {}) {
+  const release = acquireLock(lockFile, options);
+  try {
+    return await fn();
+  } finally {
+    release();
+  }
+}
+
+// データディレクトリのロックを取って run を実行し、その終了コードを返す
+// 他の実行がロックを保持していれば run を呼ばずに 1 を返す
+// run が同期処理なら戻り値もそのまま、Promiseを返すなら解決してから解放してPromiseを返す
+function runWithPipelineLock(dataDir, name, run) {
+  let release;
+  try {
+    release = acquireLock(pipelineLockFile(dataDir), { name });
+  } catch (error) {
+    if (error.code !== 'ELOCKED') {
+      throw error;
+    }
+    console.error(`Another run is in progress: ${error.message}`);
+    return 1;
+  }
+
+  let result;
+  try {
+    result = run();
+  } catch (error) {
+    release();
+    throw error;
+  }
+  if (result && typeof result.then === 'function') {
+    return result.finally(release);
+  }
+  release();
+  return result;
+}
+
+module.exports = {
+  PIPELINE_LOCK_FILE,
+  DEFAULT_LOCK_STALE_MS,
+  isTempFile,
+  writeFileAtomic,
+  writeJsonAtomic,
+  removeTempFiles,
+  acquireLock,
+  withLock,
+  pipelineLockFile,
+  runWithPipelineLock
+};
@@ -0,0 +1,78 @@
+// csv.js
+// RFC 4180 形式のCSVを読み書きする（クォート内のカンマ・改行・""エスケープに対応）
+
+// CSVテキストを行（文字列配列）の配列に変換
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  let i = text.charCodeAt(0) === 0xfeff ? 1 : 0; // BOMを読み飛ばす
+
+  for (; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error('Unterminated quoted field in CSV');
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // 空行は除く
+  return rows.filter(cells => cells.length > 1 || cells[0] !== '');
+}
+
+// 1行目をヘッダーとしてオブジェクトの配列に変換
+function parseCsvRecords(text) {
+  const [header, ...rows] = parseCsv(text);
+  if (!header) {
+    return [];
+  }
+  return rows.map(cells => Object.fromEntries(header.map((name, index) => [name.trim(), cells[index] || ''])));
+}
+
+// 1セルを必要に応じてクォート
+function formatCsvField(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) || text !== text.trim() ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// 行の配列をCSVテキストに変換
+function formatCsv(rows) {
+  return rows.map(cells => cells.map(formatCsvField).join(',')).join('\n') + '\n';
+}
+
+module.exports = {
+  parseCsv,
+  parseCsvRecords,
+  formatCsv
+};
@@ -0,0 +1,401 @@
+// delta-store.js
+// サーバー別スナップショットを「ベース1つ + 日次差分」で保存・復元する
+//
+// 保存形式:
+//   <historyDir>/<server>/base.json          … 最初の日の完全なスナップショット
+//   <historyDir>/<server>/deltas/<date>.json … 前日からの差分（stageId/itemId単位）
+//
+// 復元結果はキー順序も含めて元のスナップショットと同一のJSONになる
+const fs = require('fs');
+const path = require('path');
+const { buildDropRecord } = require('./drop-stats');
+const { writeFileAtomic } = require('./atomic-fs');
+
+const DELTA_FORMAT_VERSION = 1;
+
+// stageInfo.fetchedAtがトップレベルのfetchedAtと同じ場合の置換マーカー
+const FETCHED_AT_REF = '@fetchedAt';
+
+// キー順序が一致しているか
+function sameOrder(a, b) {
+  return a.length === b.length && a.every((key, index) => key === b[index]);
+}
+
+// キー順序を指定してオブジェクトを並べ替える
+function reorder(obj, keys) {
+  const result = {};
+  keys.forEach(key => {
+    result[key] = obj[key];
+  });
+  return result;
+}
+
+// アイテムを [quantity, stdDev] または [quantity, stdDev, times] に縮める（導出できなければnull）
+// アイテム毎のtimesはステージのtimesと異なることがあるため、dropRate（または item.times）から逆算して確認する
+// settings: スナップショットの sampleStats（区間・lowSampleもquantity/stdDev/timesから再計算できる）
+function compactItem(item, stageTimes, settings = null) {
+  const matches = times => sameValue(item, buildDropRecord(item.quantity, item.stdDev, times, settings));
+  
+  if (matches(stageTimes)) {
+    return [item.quantity, item.stdDev];
+  }
+  const itemTimes = settings ? item.times : (item.dropRate > 0 ? Math.round(item.quantity / item.dropRate) : undefined);
+  if (itemTimes !== undefined && matches(itemTimes)) {
+    return [item.quantity, item.stdDev, itemTimes];
+  }
+  return null;
+}
+
+// 差分を小さくするための正規化
+// - stageInfo.fetchedAtがトップレベルと同じならマーカーに置き換える
+// - timesから導出できるdropRate/dropPercentage（と区間など）を省いて配列に縮める
+function normalizeSnapshot(snapshot) {
+  const settings = snapshot.sampleStats || null;
+  const data = {};
+  Object.entries(snapshot.data || {}).forEach(([stageId, stage]) => {
+    const stageInfo = { ...stage.stageInfo };
+    if (stageInfo.fetchedAt === snapshot.fetchedAt) {
+      stageInfo.fetchedAt = FETCHED_AT_REF;
+    }
+    const items = {};
+    Object.entries(stage.items || {}).forEach(([itemId, item]) => {
+      items[itemId] = compactItem(item, stageInfo.times, settings) || item;
+    });
+    data[stageId] = { ...stage, stageInfo, items };
+  });
+  return { ...snapshot, data };
+}
+
+// 正規化を元に戻す
+function denormalizeSnapshot(snapshot) {
+  const settings = snapshot.sampleStats || null;
+  const data = {};
+  Object.entries(snapshot.data || {}).forEach(([stageId, stage]) => {
+    const stageInfo = { ...stage.stageInfo };
+    if (stageInfo.fetchedAt === FETCHED_AT_REF) {
+      stageInfo.fetchedAt = snapshot.fetchedAt;
+    }
+    const items = {};
+    Object.entries(stage.items || {}).forEach(([itemId, item]) => {
+      items[itemId] = Array.isArray(item)
+        ? buildDropRecord(item[0], item[1], item.length > 2 ? item[2] : stageInfo.times, settings)
+        : item;
+    });
+    data[stageId] = { ...stage, stageInfo, items };
+  });
+  return { ...snapshot, data };
+}
+
+// data以外のトップレベル項目のうち、前のスナップショットから変わったもの
+function extractChangedMeta(previous, next) {
+  const meta = {};
+  Object.keys(next).forEach(key => {
+    if (key !== 'data' && !(key in previous && sameValue(previous[key], next[key]))) {
+      meta[key] = next[key];
+    }
+  });
+  return meta;
+}
+
+// オブジェクト同士の値が同じか（JSONとして比較）
+function sameValue(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+// 差分を適用してスナップショットを作る（正規化済みの形式で扱う）
+function applyNormalizedDelta(previous, delta) {
+  const data = {};
+  const previousData = previous.data || {};
+
+  Object.entries(previousData).forEach(([stageId, stage]) => {
+    if (!delta.removedStages.includes(stageId)) {
+      data[stageId] = stage;
+    }
+  });
+
+  Object.entries(delta.stages).forEach(([stageId, patch]) => {
+    if (patch.stage) {
+      data[stageId] = patch.stage;
+      return;
+    }
+
+    const base = data[stageId];
+    const stageInfo = { ...base.stageInfo, ...(patch.stageInfo || {}) };
+    (patch.removedStageInfoKeys || []).forEach(key => {
+      delete stageInfo[key];
+    });
+
+    let items = { ...base.items };
+    Object.entries(patch.items || {}).forEach(([itemId, item]) => {
+      if (item === null) {
+        delete items[itemId];
+      } else {
+        items[itemId] = item;
+      }
+    });
+    if (patch.itemOrder) {
+      items = reorder(items, patch.itemOrder);
+    }
+
+    // stageInfo/items以外の項目はまるごと置き換える
+    let stage = { ...base, ...(patch.fields || {}), stageInfo, items };
+    (patch.removedFields || []).forEach(key => {
+      delete stage[key];
+    });
+    if (patch.keyOrder) {
+      stage = reorder(stage, patch.keyOrder);
+    }
+
+    data[stageId] = stage;
+  });
+
+  // ステージ内のアイテム順序のみが変わった場合
+  Object.entries(delta.itemOrders || {}).forEach(([stageId, itemOrder]) => {
+    data[stageId] = { ...data[stageId], items: reorder(data[stageId].items, itemOrder) };
+  });
+
+  const orderedData = delta.stageOrder ? reorder(data, delta.stageOrder) : data;
+
+  // metaには前日から変わった項目のみが入っている
+  const snapshot = {};
+  delta.keyOrder.forEach(key => {
+    if (key === 'data') {
+      snapshot[key] = orderedData;
+    } else {
+      snapshot[key] = key in delta.meta ? delta.meta[key] : previous[key];
+    }
+  });
+  return snapshot;
+}
+
+// 2つのスナップショットの差分を計算
+function computeDelta(previousSnapshot, nextSnapshot) {
+  const previous = normalizeSnapshot(previousSnapshot);
+  const next = normalizeSnapshot(nextSnapshot);
+  const previousData = previous.data;
+  const nextData = next.data;
+
+  const delta = {
+    version: DELTA_FORMAT_VERSION,
+    meta: extractChangedMeta(previous, next),
+    keyOrder: Object.keys(next),
+    removedStages: Object.keys(previousData).filter(stageId => !nextData[stageId]),
+    stages: {}
+  };
+
+  Object.entries(nextData).forEach(([stageId, stage]) => {
+    const previousStage = previousData[stageId];
+
+    if (!previousStage) {
+      delta.stages[stageId] = { stage };
+      return;
+    }
+
+    const patch = {};
+
+    const fieldsPatch = {};
+    Object.entries(stage).forEach(([key, value]) => {
+      if (key !== 'stageInfo' && key !== 'items' && !sameValue(previousStage[key], value)) {
+        fieldsPatch[key] = value;
+      }
+    });
+    const removedFields = Object.keys(previousStage).filter(key => !(key in stage));
+    if (Object.keys(fieldsPatch).length > 0) {
+      patch.fields = fieldsPatch;
+    }
+    if (removedFields.length > 0) {
+      patch.removedFields = removedFields;
+    }
+
+    const stageInfoPatch = {};
+    Object.entries(stage.stageInfo).forEach(([key, value]) => {
+      if (!sameValue(previousStage.stageInfo[key], value)) {
+        stageInfoPatch[key] = value;
+      }
+    });
+    const removedStageInfoKeys = Object.keys(previousStage.stageInfo).filter(key => !(key in stage.stageInfo));
+    if (Object.keys(stageInfoPatch).length > 0) {
+      patch.stageInfo = stageInfoPatch;
+    }
+    if (removedStageInfoKeys.length > 0) {
+      patch.removedStageInfoKeys = removedStageInfoKeys;
+    }
+
+    const itemsPatch = {};
+    Object.entries(stage.items).forEach(([itemId, item]) => {
+      if (!sameValue(previousStage.items[itemId], item)) {
+        itemsPatch[itemId] = item;
+      }
+    });
+    Object.keys(previousStage.items).forEach(itemId => {
+      if (!stage.items[itemId]) {
+        itemsPatch[itemId] = null;
+      }
+    });
+    if (Object.keys(itemsPatch).length > 0) {
+      patch.items = itemsPatch;
+    }
+
+    if (Object.keys(patch).length > 0) {
+      delta.stages[stageId] = patch;
+    }
+  });
+
+  // パッチ適用後のキー順序が元と異なる場合のみ順序を記録する
+  const applied = applyNormalizedDelta(previous, delta);
+  Object.entries(nextData).forEach(([stageId, stage]) => {
+    const appliedStage = applied.data[stageId];
+    const keyOrder = Object.keys(stage);
+    if (!sameOrder(Object.keys(appliedStage), keyOrder)) {
+      delta.stages[stageId] = delta.stages[stageId] || {};
+      delta.stages[stageId].keyOrder = keyOrder;
+    }
+
+    const itemOrder = Object.keys(stage.items);
+    if (!sameOrder(Object.keys(appliedStage.items), itemOrder)) {
+      if (delta.stages[stageId]) {
+        delta.stages[stageId].itemOrder = itemOrder;
+      } else {
+        delta.itemOrders = delta.itemOrders || {};
+        delta.itemOrders[stageId] = itemOrder;
+      }
+    }
+  });
+  const stageOrder = Object.keys(nextData);
+  if (!sameOrder(Object.keys(applied.data), stageOrder)) {
+    delta.stageOrder = stageOrder;
+  }
+
+  return delta;
+}
+
+// スナップショットに差分を適用
+function applyDelta(previousSnapshot, delta) {
+  return denormalizeSnapshot(applyNormalizedDelta(normalizeSnapshot(previousSnapshot), delta));
+}
+
+// サーバー別の履歴ディレクトリ
+function serverHistoryDir(historyDir, server) {
+  return path.join(historyDir, server.toLowerCase());
+}
+
+// ベーススナップショットを読み込む
+function readBase(historyDir, server) {
+  const baseFile = path.join(serverHistoryDir(historyDir, server), 'base.json');
+  if (!fs.existsSync(baseFile)) {
+    return null;
+  }
+  return JSON.parse(fs.readFileSync(baseFile, 'utf8'));
+}
+
+// ベーススナップショットを正規化して保存
+function writeBase(historyDir, server, date, snapshot) {
+  const serverDir = serverHistoryDir(historyDir, server);
+  fs.mkdirSync(serverDir, { recursive: true });
+  writeFileAtomic(path.join(serverDir, 'base.json'), JSON.stringify({
+    version: DELTA_FORMAT_VERSION,
+    date,
+    snapshot: normalizeSnapshot(snapshot)
+  }));
+}
+
+// 差分が保存されている日付を昇順で取得
+function listDeltaDates(historyDir, server) {
+  const deltaDir = path.join(serverHistoryDir(historyDir, server), 'deltas');
+  if (!fs.existsSync(deltaDir)) {
+    return [];
+  }
+  return fs.readdirSync(deltaDir)
+    .filter(name => /^\d{4}-\d{2}-\d{2}\.json$/.test(name))
+    .map(name => name.replace(/\.json$/, ''))
+    .sort();
+}
+
+// 復元可能な日付を昇順で取得
+function listHistoryDates(historyDir, server) {
+  const base = readBase(historyDir, server);
+  if (!base) {
+    return [];
+  }
+  return [base.date, ...listDeltaDates(historyDir, server).filter(date => date > base.date)];
+}
+
+// 指定日のスナップショットを復元
+function reconstructSnapshot(historyDir, server, date) {
+  const base = readBase(historyDir, server);
+  if (!base || date < base.date) {
+    return null;
+  }
+
+  const deltaDir = path.join(serverHistoryDir(historyDir, server), 'deltas');
+  const deltaDates = listDeltaDates(historyDir, server).filter(d => d > base.date && d <= date);
+  if (date !== base.date && deltaDates[deltaDates.length - 1] !== date) {
+    return null;
+  }
+
+  // ベースは正規化済みで保存しているので、差分を順に適用してから最後に戻す
+  let snapshot = base.snapshot;
+  deltaDates.forEach(deltaDate => {
+    const delta = JSON.parse(fs.readFileSync(path.join(deltaDir, `${deltaDate}.json`), 'utf8'));
+    snapshot = applyNormalizedDelta(snapshot, delta);
+  });
+  return denormalizeSnapshot(snapshot);
+}
+
+// スナップショットを履歴に追加（同じ日付が既にあれば置き換える）
+function appendSnapshot(historyDir, server, date, snapshot) {
+  const deltaDir = path.join(serverHistoryDir(historyDir, server), 'deltas');
+  const base = readBase(historyDir, server);
+
+  const laterDates = listDeltaDates(historyDir, server).filter(d => d > date);
+  if (laterDates.length > 0) {
+    throw new Error(`Cannot insert ${date} for ${server}: history already contains later dates (${laterDates[0]})`);
+  }
+
+  if (!base || date <= base.date) {
+    if (base && date < base.date) {
+      throw new Error(`Cannot add ${date} before the base snapshot (${base.date}) for ${server}`);
+    }
+    writeBase(historyDir, server, date, snapshot);
+    return { type: 'base', date };
+  }
+
+  const previousDates = listHistoryDates(historyDir, server).filter(d => d < date);
+
+  const previousDate = previousDates[previousDates.length - 1];
+  const previousSnapshot = reconstructSnapshot(historyDir, server, previousDate);
+  const delta = {
+    date,
+    previousDate,
+    ...computeDelta(previousSnapshot, snapshot)
+  };
+
+  fs.mkdirSync(deltaDir, { recursive: true });
+  writeFileAtomic(path.join(deltaDir, `${date}.json`), JSON.stringify(delta));
+  return { type: 'delta', date, previousDate, changedStages: Object.keys(delta.stages).length };
+}
+
+// 指定日をベースにして、それより古い差分を削除する
+function rebaseHistory(historyDir, server, newBaseDate) {
+  const snapshot = reconstructSnapshot(historyDir, server, newBaseDate);
+  if (!snapshot) {
+    throw new Error(`No history for ${server} on ${newBaseDate}`);
+  }
+
+  const deltaDir = path.join(serverHistoryDir(historyDir, server), 'deltas');
+  writeBase(historyDir, server, newBaseDate, snapshot);
+
+  listDeltaDates(historyDir, server)
+    .filter(date => date <= newBaseDate)
+    .forEach(date => fs.rmSync(path.join(deltaDir, `${date}.json`), { force: true }));
+}
+
+module.exports = {
+  DELTA_FORMAT_VERSION,
+  computeDelta,
+  applyDelta,
+  listHistoryDates,
+  reconstructSnapshot,
+  appendSnapshot,
+  rebaseHistory
+};
@@ -0,0 +1,111 @@
+// drop-stats.js
+// ドロップ率の区間推定と、周回数の少ないレコードの判定、2つのドロップ率の差の検定
+//
+// 1周で高々1個しか落ちないアイテム（ドロップ率 ≤ 1）はWilsonスコア区間を使う。
+// 1周で複数個落ちるアイテム（ドロップ率 > 1）は二項分布にならないため、stdDevによる正規近似を使う。
+// 周回数1回で100%のような記録でも区間は [0.21, 1] と広くなり、ノイズと見分けられる。
+
+// 既定の設定
+const DEFAULT_SAMPLE_OPTIONS = {
+  z: 1.96,                  // 区間のz値（95%）
+  lowSampleThreshold: 100,  // 周回数がこれ未満のレコードに lowSample を付ける
+  minTimes: 0               // 周回数がこれ未満のレコードは保存しない（0なら全て残す）
+};
+
+// 区間の丸め桁数
+const INTERVAL_DIGITS = 6;
+
+// レポートに載せるzスコアの丸め桁数
+const Z_SCORE_DIGITS = 3;
+
+// Wilsonスコア区間
+function wilsonInterval(successes, trials, z = DEFAULT_SAMPLE_OPTIONS.z) {
+  if (!(trials > 0)) {
+    return [0, 1];
+  }
+  const p = successes / trials;
+  const z2 = z * z;
+  const denominator = 1 + z2 / trials;
+  const center = (p + z2 / (2 * trials)) / denominator;
+  const halfWidth = z * Math.sqrt(p * (1 - p) / trials + z2 / (4 * trials * trials)) / denominator;
+  return [Math.max(0, center - halfWidth), Math.min(1, center + halfWidth)];
+}
+
+// ドロップ率の区間（stdDevは1周あたりの標準偏差）
+function dropRateInterval(quantity, stdDev, times, z = DEFAULT_SAMPLE_OPTIONS.z) {
+  if (!(times > 0)) {
+    return [0, 1];
+  }
+  if (quantity <= times) {
+    return wilsonInterval(quantity, times, z);
+  }
+  const dropRate = quantity / times;
+  const standardError = (stdDev || 0) / Math.sqrt(times);
+  return [Math.max(0, dropRate - z * standardError), dropRate + z * standardError];
+}
+
+// スナップショットに記録する設定（区間と lowSample はこの設定から再計算できる）
+function sampleSettings(options = {}) {
+  const { z, lowSampleThreshold, minTimes } = { ...DEFAULT_SAMPLE_OPTIONS, ...options };
+  return { method: 'wilson', z, lowSampleThreshold, minTimes };
+}
+
+// 1件のドロップレコードを作る
+// settings を省略すると区間などを持たない従来の形式（quantity, stdDev, dropRate, dropPercentage）にする
+function buildDropRecord(quantity, stdDev, times, settings = null) {
+  const record = {
+    quantity,
+    stdDev,
+    dropRate: times > 0 ? quantity / times : 0,
+    dropPercentage: times > 0 ? (quantity / times * 100).toFixed(2) : "0.00"
+  };
+  if (!settings) {
+    return record;
+  }
+
+  const [low, high] = dropRateInterval(quantity, stdDev, times, settings.z);
+  record.times = times;
+  record.ci = [Number(low.toFixed(INTERVAL_DIGITS)), Number(high.toFixed(INTERVAL_DIGITS))];
+  record.lowSample = times < settings.lowSampleThreshold;
+  return record;
+}
+
+// 2つのドロップ率の差のzスコアを計算（stdDevは1周回あたりの標準偏差）
+// 標準誤差が0（どちらもばらつきが無い）で率が異なる場合は ±Infinity
+function calculateZScore(fromItem, fromTimes, toItem, toTimes) {
+  const fromRate = fromItem.dropRate;
+  const toRate = toItem.dropRate;
+  const fromVariance = fromTimes > 0 ? Math.pow(fromItem.stdDev || 0, 2) / fromTimes : 0;
+  const toVariance = toTimes > 0 ? Math.pow(toItem.stdDev || 0, 2) / toTimes : 0;
+  const standardError = Math.sqrt(fromVariance + toVariance);
+
+  if (standardError === 0) {
+    return fromRate === toRate ? 0 : Math.sign(toRate - fromRate) * Infinity;
+  }
+
+  return (toRate - fromRate) / standardError;
+}
+
+// レポートに載せる形にする（JSONに書けない ±Infinity は zScore: null と zeroVariance: true にする。向きは delta の符号で分かる）
+function reportZScore(zScore) {
+  if (!Number.isFinite(zScore)) {
+    return { zScore: null, zeroVariance: true };
+  }
+  return { zScore: Number(zScore.toFixed(Z_SCORE_DIGITS)), zeroVariance: false };
+}
+
+// 差の大きい順に並べるための値（zeroVariance は最も大きい）
+function zScoreMagnitude(entry) {
+  return entry.zeroVariance ? Infinity : Math.abs(entry.zScore);
+}
+
+module.exports = {
+  DEFAULT_SAMPLE_OPTIONS,
+  wilsonInterval,
+  dropRateInterval,
+  sampleSettings,
+  buildDropRecord,
+  calculateZScore,
+  reportZScore,
+  zScoreMagnitude
+};
@@ -0,0 +1,117 @@
+// efficiency.js
+// ステージ毎の理性効率（アイテム1個あたりの期待理性）と、アイテム毎の最効率ステージを計算する
+const { dropRateInterval } = require('./drop-stats');
+
+// 既定の計算オプション
+const DEFAULT_EFFICIENCY_OPTIONS = {
+  minTimes: 100,   // これ未満の周回数のアイテムは最効率候補から外す
+  z: 1.96,         // 信頼区間のz値（95%）
+  topN: 5,         // アイテム毎に残す候補ステージ数
+  openOnly: true   // 最効率表を開催中のステージに限定する
+};
+
+// アイテム毎の周回数（stageInfo.timesは最初のレコードの値なので、item.timesが無ければquantity/dropRateから逆算する）
+function itemSampleSize(item, stageTimes) {
+  if (Number.isInteger(item.times)) {
+    return item.times;
+  }
+  return item.dropRate > 0 ? Math.round(item.quantity / item.dropRate) : stageTimes;
+}
+
+// 理性/個を丸める
+function round(value, digits = 4) {
+  return value === null ? null : Number(value.toFixed(digits));
+}
+
+// ステージが基準時刻に開催中か
+// stageInfo.start/end は最初のレコードの期間（終了したイベント期間のこともある）なので、
+// 全レコードの最も遅い終了時刻（latestEnd）があればそちらで判断する
+function isOpenAt(stageInfo, timestamp) {
+  const end = stageInfo.latestEnd !== undefined ? stageInfo.latestEnd : stageInfo.end;
+  return stageInfo.start <= timestamp && (end === null || end > timestamp);
+}
+
+// ステージのAPコスト（stageMetaが無ければ別途渡されたメタデータから）
+function resolveApCost(stageId, stage, metadata) {
+  if (stage.stageMeta && Number.isInteger(stage.stageMeta.apCost)) {
+    return stage.stageMeta.apCost;
+  }
+  if (metadata && metadata.stages[stageId] && Number.isInteger(metadata.stages[stageId].apCost)) {
+    return metadata.stages[stageId].apCost;
+  }
+  return null;
+}
+
+// 1サーバー分のステージ効率を計算
+function computeStageEfficiency(snapshot, options = {}) {
+  const { z } = { ...DEFAULT_EFFICIENCY_OPTIONS, ...options };
+  const stages = {};
+
+  Object.entries(snapshot.data).forEach(([stageId, stage]) => {
+    const apCost = resolveApCost(stageId, stage, options.metadata);
+    if (!apCost) return;
+
+    const items = {};
+    Object.entries(stage.items).forEach(([itemId, item]) => {
+      if (!(item.dropRate > 0)) return;
+
+      const times = itemSampleSize(item, stage.stageInfo.times);
+      const [low, high] = dropRateInterval(item.quantity, item.stdDev, times, z);
+      items[itemId] = {
+        times,
+        dropRate: item.dropRate,
+        sanityPerItem: round(apCost / item.dropRate),
+        sanityPerItemCI: [round(apCost / high), low > 0 ? round(apCost / low) : null]
+      };
+    });
+
+    stages[stageId] = {
+      code: stage.stageMeta ? stage.stageMeta.code : null,
+      apCost,
+      open: isOpenAt(stage.stageInfo, Date.parse(snapshot.fetchedAt)),
+      items
+    };
+  });
+
+  return stages;
+}
+
+// アイテム毎に理性効率の良いステージを並べる
+function computeBestStages(stageEfficiency, options = {}) {
+  const { minTimes, topN, openOnly } = { ...DEFAULT_EFFICIENCY_OPTIONS, ...options };
+  const candidates = {};
+
+  Object.entries(stageEfficiency).forEach(([stageId, stage]) => {
+    if (openOnly && !stage.open) return;
+
+    Object.entries(stage.items).forEach(([itemId, item]) => {
+      if (item.times < minTimes) return;
+      if (!candidates[itemId]) {
+        candidates[itemId] = [];
+      }
+      candidates[itemId].push({
+        stageId,
+        code: stage.code,
+        apCost: stage.apCost,
+        ...item
+      });
+    });
+  });
+
+  const bestStages = {};
+  Object.keys(candidates).sort().forEach(itemId => {
+    bestStages[itemId] = candidates[itemId]
+      .sort((a, b) => a.sanityPerItem - b.sanityPerItem)
+      .slice(0, topN);
+  });
+  return bestStages;
+}
+
+module.exports = {
+  DEFAULT_EFFICIENCY_OPTIONS,
+  itemSampleSize,
+  isOpenAt,
+  resolveApCost,
+  computeStageEfficiency,
+  computeBestStages
+};
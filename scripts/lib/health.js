@@ -0,0 +1,244 @@
+// health.js
+// 日々の取得結果を直前の数日分（ローリングベースライン）と比べて異常を検出する
+//
+// 検出する異常:
+//   missing_server   ベースラインにあったサーバーのデータが無い（重大）
+//   empty_matrix     ステージ・レコードが0件（重大）
+//   stale_server     取得に失敗して前回のデータを引き継いでいる（警告）
+//   stage_count_drop / record_count_drop  ベースラインの中央値から急に減った（割合で警告・重大）
+//   times_decreased  累積の周回数が前回より減ったステージがある（割合で警告・重大）
+//   stages_vanished  開催中だったステージが消えた（警告）
+//   items_vanished   ステージからアイテムが消えた（割合で警告・重大）
+const fs = require('fs');
+const { sameStageWindow } = require('./sample-growth');
+
+// 既定の判定基準（config/health.json で上書きできる）
+const DEFAULT_HEALTH_POLICY = {
+  baselineDays: 7,                // ベースラインにする直前の日数
+  stageDropWarning: 0.1,          // ステージ数がベースラインからこの割合以上減ったら警告
+  stageDropSevere: 0.3,           // 〃 重大
+  recordDropWarning: 0.1,         // レコード数がベースラインからこの割合以上減ったら警告
+  recordDropSevere: 0.3,          // 〃 重大
+  timesDecreaseSevereRatio: 0.2,  // 周回数が減ったステージが共通ステージのこの割合以上なら重大
+  vanishedItemsSevereRatio: 0.2   // 消えたアイテムが前回のレコードのこの割合以上なら重大
+};
+
+const SEVERITIES = ['ok', 'warning', 'severe'];
+
+// 設定ファイルを読み込んで既定値とマージ
+function loadHealthPolicy(configPath, overrides = {}) {
+  let fileConfig = {};
+  if (configPath && fs.existsSync(configPath)) {
+    fileConfig = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  }
+  const policy = { ...DEFAULT_HEALTH_POLICY, ...fileConfig, ...overrides };
+
+  if (!Number.isInteger(policy.baselineDays) || policy.baselineDays < 1) {
+    throw new Error('Invalid health policy: baselineDays must be a positive integer');
+  }
+  Object.keys(DEFAULT_HEALTH_POLICY).filter(key => key !== 'baselineDays').forEach(key => {
+    if (typeof policy[key] !== 'number' || !(policy[key] >= 0 && policy[key] <= 1)) {
+      throw new Error(`Invalid health policy: ${key} must be a number between 0 and 1`);
+    }
+  });
+  ['stage', 'record'].forEach(name => {
+    if (policy[`${name}DropWarning`] > policy[`${name}DropSevere`]) {
+      throw new Error(`Invalid health policy: ${name}DropWarning must not exceed ${name}DropSevere`);
+    }
+  });
+
+  return policy;
+}
+
+// スナップショットの件数
+function snapshotMetrics(snapshot) {
+  const stages = Object.values(snapshot.data || {});
+  return {
+    stageCount: stages.length,
+    recordCount: stages.reduce((sum, stage) => sum + Object.keys(stage.items || {}).length, 0)
+  };
+}
+
+// 中央値
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+// ベースラインからの減少率（増えていれば0）
+function dropRatio(value, baseline) {
+  return baseline > 0 ? Math.max(0, 1 - value / baseline) : 0;
+}
+
+function roundRatio(ratio) {
+  return Number(ratio.toFixed(4));
+}
+
+// 件数の急減を判定
+function countDropAnomaly(type, label, value, baseline, warning, severe) {
+  const ratio = dropRatio(value, baseline);
+  if (ratio < warning || ratio === 0) {
+    return null;
+  }
+  return {
+    type,
+    severity: ratio >= severe ? 'severe' : 'warning',
+    message: `${label} dropped ${(ratio * 100).toFixed(1)}% (${value} vs. baseline ${baseline})`,
+    value,
+    baseline,
+    ratio: roundRatio(ratio)
+  };
+}
+
+// 前回のスナップショットと比べる（周回数の巻き戻り・ステージとアイテムの消失）
+function compareWithPrevious(previous, current, policy) {
+  const anomalies = [];
+  const previousStages = previous.data || {};
+  const currentStages = current.data || {};
+  const fetchedAt = Date.parse(current.fetchedAt);
+
+  const sharedStageIds = Object.keys(currentStages).filter(stageId => previousStages[stageId]).sort();
+  // 同じステージでもドロップテーブルの期間毎にレコードがあり、stageInfoはどの期間のものか日によって変わるので、
+  // 周回数は期間（開始・終了時刻）が同じものだけを比べる
+  const sameWindowStageIds = sharedStageIds
+    .filter(stageId => sameStageWindow(currentStages[stageId].stageInfo, previousStages[stageId].stageInfo));
+  const decreased = sameWindowStageIds
+    .filter(stageId => currentStages[stageId].stageInfo.times < previousStages[stageId].stageInfo.times)
+    .map(stageId => ({ stageId, from: previousStages[stageId].stageInfo.times, to: currentStages[stageId].stageInfo.times }));
+  if (decreased.length > 0) {
+    const ratio = decreased.length / sameWindowStageIds.length;
+    anomalies.push({
+      type: 'times_decreased',
+      severity: ratio >= policy.timesDecreaseSevereRatio ? 'severe' : 'warning',
+      message: `times went backwards for ${decreased.length} of ${sameWindowStageIds.length} stages`,
+      ratio: roundRatio(ratio),
+      stages: decreased
+    });
+  }
+
+  // 終了済みのステージは集計対象から外れることがあるので、開催中だったものだけを見る
+  const vanishedStages = Object.keys(previousStages)
+    .filter(stageId => !currentStages[stageId])
+    .filter(stageId => {
+      const end = previousStages[stageId].stageInfo.end;
+      return end === null || end === undefined || end > fetchedAt;
+    })
+    .sort();
+  if (vanishedStages.length > 0) {
+    anomalies.push({
+      type: 'stages_vanished',
+      severity: 'warning',
+      message: `${vanishedStages.length} open stages vanished: ${vanishedStages.join(', ')}`,
+      stageIds: vanishedStages
+    });
+  }
+
+  const vanishedItems = [];
+  sharedStageIds.forEach(stageId => {
+    const currentItems = currentStages[stageId].items || {};
+    const itemIds = Object.keys(previousStages[stageId].items || {}).filter(itemId => !currentItems[itemId]).sort();
+    if (itemIds.length > 0) {
+      vanishedItems.push({ stageId, itemIds });
+    }
+  });
+  if (vanishedItems.length > 0) {
+    const count = vanishedItems.reduce((sum, entry) => sum + entry.itemIds.length, 0);
+    const ratio = count / Math.max(1, snapshotMetrics(previous).recordCount);
+    anomalies.push({
+      type: 'items_vanished',
+      severity: ratio >= policy.vanishedItemsSevereRatio ? 'severe' : 'warning',
+      message: `${count} items vanished from ${vanishedItems.length} stages`,
+      ratio: roundRatio(ratio),
+      stages: vanishedItems
+    });
+  }
+
+  return anomalies;
+}
+
+// 異常の中で最も重い重大度
+function worstSeverity(anomalies) {
+  return anomalies.reduce((worst, anomaly) =>
+    SEVERITIES.indexOf(anomaly.severity) > SEVERITIES.indexOf(worst) ? anomaly.severity : worst, 'ok');
+}
+
+// 1サーバー分の判定
+// baseline: 直前の日の件数（snapshotMetricsの結果）の配列, previous: 直前のスナップショット（無ければnull）
+function checkServerHealth(current, baseline, previous, policy = DEFAULT_HEALTH_POLICY) {
+  const anomalies = [];
+  const baselineMetrics = baseline.length > 0
+    ? {
+        days: baseline.length,
+        stageCount: median(baseline.map(metrics => metrics.stageCount)),
+        recordCount: median(baseline.map(metrics => metrics.recordCount))
+      }
+    : null;
+
+  if (!current) {
+    anomalies.push({ type: 'missing_server', severity: 'severe', message: 'no snapshot for this date' });
+    return { status: 'severe', metrics: null, baseline: baselineMetrics, anomalies };
+  }
+
+  const metrics = snapshotMetrics(current);
+  if (metrics.stageCount === 0 || metrics.recordCount === 0) {
+    anomalies.push({ type: 'empty_matrix', severity: 'severe', message: `matrix is empty (${metrics.stageCount} stages, ${metrics.recordCount} records)` });
+    return { status: 'severe', metrics, baseline: baselineMetrics, anomalies };
+  }
+
+  if (current.stale) {
+    anomalies.push({ type: 'stale_server', severity: 'warning', message: `fetch failed, reusing data from ${current.staleSince || 'a previous run'}` });
+  }
+
+  if (baselineMetrics) {
+    [
+      countDropAnomaly('stage_count_drop', 'stage count', metrics.stageCount, baselineMetrics.stageCount, policy.stageDropWarning, policy.stageDropSevere),
+      countDropAnomaly('record_count_drop', 'record count', metrics.recordCount, baselineMetrics.recordCount, policy.recordDropWarning, policy.recordDropSevere)
+    ].filter(Boolean).forEach(anomaly => anomalies.push(anomaly));
+  }
+
+  // 引き継いだデータは前回と同じなので比べない
+  if (previous && !current.stale) {
+    anomalies.push(...compareWithPrevious(previous, current, policy));
+  }
+
+  return { status: worstSeverity(anomalies), metrics, baseline: baselineMetrics, anomalies };
+}
+
+// 全サーバーの判定をまとめたレポートを作る
+// current: { server: スナップショット|null }
+// baseline: { dates: 直前の日付（古い順）, servers: { server: { metrics: 日毎の件数, previous: 直前のスナップショット } } }
+// ベースラインに一度も現れず当日も無いサーバーは対象外
+function checkHealth(date, current, baseline, policy = DEFAULT_HEALTH_POLICY) {
+  const servers = {};
+
+  Object.keys(current).forEach(server => {
+    const { metrics = [], previous = null } = baseline.servers[server] || {};
+    if (!current[server] && metrics.length === 0) {
+      return;
+    }
+    servers[server] = checkServerHealth(current[server], metrics, previous, policy);
+  });
+
+  const all = Object.values(servers).flatMap(server => server.anomalies);
+  return {
+    date,
+    generatedAt: new Date().toISOString(),
+    status: worstSeverity(all),
+    baselineDates: baseline.dates,
+    policy,
+    anomalyCount: {
+      warning: all.filter(anomaly => anomaly.severity === 'warning').length,
+      severe: all.filter(anomaly => anomaly.severity === 'severe').length
+    },
+    servers
+  };
+}
+
+module.exports = {
+  DEFAULT_HEALTH_POLICY,
+  loadHealthPolicy,
+  snapshotMetrics,
+  checkServerHealth,
+  checkHealth
+};
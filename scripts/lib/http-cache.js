@@ -0,0 +1,122 @@
+// http-cache.js
+// GETの応答をディスクに保存し、ETag / Last-Modified による条件付きリクエストに使うキャッシュ
+//
+// 1つのURLにつき2つのファイルを置く（名前はURLのハッシュ）:
+//   <key>.meta.json  URL・ETag・Last-Modified・保存日時と、利用側が付ける注記（annotations）
+//   <key>.body.gz    応答の本文（gzip）
+// ワークフローではデータと一緒にコミットされるので、次の日の実行でも304を受け取れる
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const crypto = require('crypto');
+const { writeFileAtomic, writeJsonAtomic } = require('./atomic-fs');
+
+// データディレクトリ内の既定の保存先（ドットで始まるので検証・静的APIの対象外）
+const HTTP_CACHE_DIR = '.http-cache';
+
+// URLからファイル名を作る
+function cacheKey(url) {
+  return crypto.createHash('sha1').update(url).digest('hex').slice(0, 20);
+}
+
+// キャッシュを作る（dirがnullなら何も保存しない）
+// options: readOnly（ドライランなど。読むだけで書き込まない）
+function createHttpCache(dir, options = {}) {
+  const { readOnly = false } = options;
+
+  const metaFile = url => path.join(dir, `${cacheKey(url)}.meta.json`);
+  const bodyFile = url => path.join(dir, `${cacheKey(url)}.body.gz`);
+
+  // 保存済みの情報（無い・壊れている場合はnull）
+  function get(url) {
+    if (!dir || !fs.existsSync(metaFile(url))) {
+      return null;
+    }
+    try {
+      const meta = JSON.parse(fs.readFileSync(metaFile(url), 'utf8'));
+      return meta.url === url ? meta : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // 条件付きリクエストのヘッダー
+  function conditionalHeaders(url) {
+    const meta = get(url);
+    const headers = {};
+    if (meta && meta.etag) {
+      headers['If-None-Match'] = meta.etag;
+    }
+    if (meta && meta.lastModified) {
+      headers['If-Modified-Since'] = meta.lastModified;
+    }
+    return headers;
+  }
+
+  // 保存済みの本文（無い・壊れている場合はnull）
+  function readBody(url) {
+    if (!get(url) || !fs.existsSync(bodyFile(url))) {
+      return null;
+    }
+    try {
+      return zlib.gunzipSync(fs.readFileSync(bodyFile(url))).toString('utf8');
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // 200の応答を保存する（ETagもLast-Modifiedも無い応答は条件付きリクエストに使えないので保存しない）
+  function store(url, { etag, lastModified, body }) {
+    if (!dir || readOnly || (!etag && !lastModified)) {
+      return false;
+    }
+    fs.mkdirSync(dir, { recursive: true });
+    writeFileAtomic(bodyFile(url), zlib.gzipSync(body));
+    const now = new Date().toISOString();
+    writeJsonAtomic(metaFile(url), {
+      url,
+      etag: etag || null,
+      lastModified: lastModified || null,
+      storedAt: now,
+      validatedAt: now,
+      size: Buffer.byteLength(body),
+      annotations: {}
+    });
+    return true;
+  }
+
+  // 304を受け取ったときに確認日時を更新する
+  function touch(url) {
+    const meta = get(url);
+    if (!meta || readOnly) {
+      return;
+    }
+    writeJsonAtomic(metaFile(url), { ...meta, validatedAt: new Date().toISOString() });
+  }
+
+  // 利用側の注記を追加する（同じ本文から何を作ったかなど）
+  function annotate(url, annotations) {
+    const meta = get(url);
+    if (!meta || readOnly) {
+      return;
+    }
+    writeJsonAtomic(metaFile(url), { ...meta, annotations: { ...meta.annotations, ...annotations } });
+  }
+
+  // 本文が読めなかったエントリを消す
+  function remove(url) {
+    if (!dir || readOnly) {
+      return;
+    }
+    fs.rmSync(metaFile(url), { force: true });
+    fs.rmSync(bodyFile(url), { force: true });
+  }
+
+  return { dir, get, conditionalHeaders, readBody, store, touch, annotate, remove };
+}
+
+module.exports = {
+  HTTP_CACHE_DIR,
+  cacheKey,
+  createHttpCache
+};
@@ -0,0 +1,206 @@
+// item-values.js
+// ドロップ行列と加工レシピから素材の理性価値（等価理性）を線形計画法で求める
+//
+// 変数: 各素材の理性価値 v_i ≥ 0
+// 制約: 開催中の各ステージについて  Σ dropRate_i * v_i + 龍門幣収入 ≤ 消費理性
+//       各レシピについて            v_out = Σ count * v_in + 加工費（龍門幣）
+// 目的: Σ v_i を最大化（どのステージも消費理性を超える価値を生まない範囲で最大の価値）
+const { maximize } = require('./lp-solver');
+const { itemSampleSize, isOpenAt, resolveApCost } = require('./efficiency');
+
+// 既定の計算オプション
+const DEFAULT_ITEM_VALUE_OPTIONS = {
+  lmdValue: 0.0036,           // 龍門幣1あたりの理性価値
+  lmdPerAp: 12,               // 理性1あたりのステージ龍門幣収入
+  minTimes: 100,              // これ未満の周回数のドロップは使わない
+  itemPattern: '^\\d+$',      // 価値を求めるアイテム（数値IDの素材・チップ等）
+  openOnly: true              // 開催中のステージのみを使う
+};
+
+// 加工できるアイテムの価値を、加工できない素材（基本素材）の一次式で表す
+// 例: v(30012) = 3 * v(30011) + 100 * lmdValue
+function expandFormulas(formulas, lmdValue) {
+  const formulaByItem = new Map();
+  formulas.forEach(formula => {
+    // 同じ完成品のレシピが複数ある場合は先に書かれたものを使う
+    if (!formulaByItem.has(formula.itemId)) {
+      formulaByItem.set(formula.itemId, formula);
+    }
+  });
+
+  const expressions = new Map();
+  const resolving = new Set();
+
+  const expand = itemId => {
+    if (expressions.has(itemId)) {
+      return expressions.get(itemId);
+    }
+    const formula = formulaByItem.get(itemId);
+    if (!formula) {
+      return { coefficients: new Map([[itemId, 1]]), constant: 0 };
+    }
+    if (resolving.has(itemId)) {
+      throw new Error(`Circular crafting formula detected for ${itemId}`);
+    }
+
+    resolving.add(itemId);
+    const coefficients = new Map();
+    let constant = (formula.goldCost || 0) * lmdValue;
+    formula.costs.forEach(cost => {
+      const input = expand(cost.itemId);
+      input.coefficients.forEach((value, baseItemId) => {
+        coefficients.set(baseItemId, (coefficients.get(baseItemId) || 0) + value * cost.count);
+      });
+      constant += input.constant * cost.count;
+    });
+    resolving.delete(itemId);
+
+    const expression = { coefficients, constant };
+    expressions.set(itemId, expression);
+    return expression;
+  };
+
+  return { formulaByItem, expand };
+}
+
+// LPモデルを組み立てる
+// レシピは「完成品の価値 = 材料の価値 + 加工費」の等式として扱い、変数から消去する
+function buildItemValueModel(snapshot, formulas, options = {}) {
+  const opts = { ...DEFAULT_ITEM_VALUE_OPTIONS, ...options };
+  const itemPattern = new RegExp(opts.itemPattern);
+  const fetchedAt = Date.parse(snapshot.fetchedAt);
+  const { formulaByItem, expand } = expandFormulas(formulas, opts.lmdValue);
+
+  // 使用するステージと、そのドロップ（消費理性が分からないステージは数えておく）
+  const stages = [];
+  let missingApCost = 0;
+  Object.keys(snapshot.data).sort().forEach(stageId => {
+    const stage = snapshot.data[stageId];
+    if (opts.openOnly && !isOpenAt(stage.stageInfo, fetchedAt)) return;
+    const apCost = resolveApCost(stageId, stage, opts.metadata);
+    if (!apCost) {
+      missingApCost += 1;
+      return;
+    }
+
+    const drops = {};
+    Object.entries(stage.items).forEach(([itemId, item]) => {
+      if (!itemPattern.test(itemId) || !(item.dropRate > 0)) return;
+      if (itemSampleSize(item, stage.stageInfo.times) < opts.minTimes) return;
+      drops[itemId] = item.dropRate;
+    });
+    if (Object.keys(drops).length > 0) {
+      stages.push({ stageId, apCost, drops });
+    }
+  });
+
+  // 価値を求めるアイテム: ドロップするもの + それらの材料・完成品
+  const itemSet = new Set();
+  stages.forEach(stage => Object.keys(stage.drops).forEach(itemId => itemSet.add(itemId)));
+  const addInputs = itemId => {
+    const formula = formulaByItem.get(itemId);
+    if (!formula) return;
+    formula.costs.forEach(cost => {
+      if (!itemSet.has(cost.itemId)) {
+        itemSet.add(cost.itemId);
+        addInputs(cost.itemId);
+      }
+    });
+  };
+  Array.from(itemSet).forEach(addInputs);
+  formulaByItem.forEach((formula, itemId) => {
+    if (formula.costs.every(cost => itemSet.has(cost.itemId))) {
+      itemSet.add(itemId);
+    }
+  });
+  const items = Array.from(itemSet).sort();
+
+  // LPの変数は基本素材のみ
+  const baseItems = Array.from(new Set(items.flatMap(itemId => Array.from(expand(itemId).coefficients.keys())))).sort();
+  const indexOf = new Map(baseItems.map((itemId, index) => [itemId, index]));
+
+  // アイテムの一次式を係数ベクトルに足し込む
+  const accumulate = (vector, itemId, factor) => {
+    const expression = expand(itemId);
+    expression.coefficients.forEach((value, baseItemId) => {
+      vector[indexOf.get(baseItemId)] += value * factor;
+    });
+    return expression.constant * factor;
+  };
+
+  const constraints = [];
+  stages.forEach(stage => {
+    const coefficients = new Array(baseItems.length).fill(0);
+    let constantValue = stage.apCost * opts.lmdPerAp * opts.lmdValue;
+    Object.entries(stage.drops).forEach(([itemId, dropRate]) => {
+      constantValue += accumulate(coefficients, itemId, dropRate);
+    });
+    const bound = stage.apCost - constantValue;
+    if (bound < 0) {
+      throw new Error(`Stage ${stage.stageId} yields more fixed value than its AP cost; check lmdValue and formulas`);
+    }
+    constraints.push({ type: 'stage', id: stage.stageId, coefficients, bound });
+  });
+
+  // 目的関数: 全アイテムの価値の合計
+  const objective = new Array(baseItems.length).fill(0);
+  items.forEach(itemId => accumulate(objective, itemId, 1));
+
+  return { items, baseItems, stages, missingApCost, constraints, objective, expand, options: opts };
+}
+
+// 理性価値とステージ効率を求める
+function solveItemValues(snapshot, formulas, options = {}) {
+  const model = buildItemValueModel(snapshot, formulas, options);
+  // どのステージも消費理性が分からない（stageMetaもメタデータも無い）
+  if (model.stages.length === 0 && model.missingApCost > 0) {
+    return { status: 'no_ap_cost', missingApCost: model.missingApCost, itemValues: {}, stageEfficiency: {} };
+  }
+  if (model.items.length === 0) {
+    return { status: 'no_data', itemValues: {}, stageEfficiency: {} };
+  }
+
+  const result = maximize(model.objective, model.constraints);
+  if (result.status !== 'optimal') {
+    return { status: result.status, iterations: result.iterations, itemValues: {}, stageEfficiency: {} };
+  }
+
+  // 基本素材の解から全アイテムの価値を計算
+  const baseValues = new Map(model.baseItems.map((itemId, index) => [itemId, result.solution[index]]));
+  const itemValues = {};
+  model.items.forEach(itemId => {
+    const expression = model.expand(itemId);
+    let value = expression.constant;
+    expression.coefficients.forEach((coefficient, baseItemId) => {
+      value += coefficient * baseValues.get(baseItemId);
+    });
+    itemValues[itemId] = Number(value.toFixed(6));
+  });
+
+  // ステージ効率 = (ドロップの理性価値 + 龍門幣収入) / 消費理性
+  const { lmdPerAp, lmdValue } = model.options;
+  const stageEfficiency = {};
+  model.stages.forEach(stage => {
+    const value = Object.entries(stage.drops).reduce((sum, [itemId, dropRate]) => sum + dropRate * itemValues[itemId], 0)
+      + stage.apCost * lmdPerAp * lmdValue;
+    stageEfficiency[stage.stageId] = {
+      apCost: stage.apCost,
+      efficiency: Number((value / stage.apCost).toFixed(6))
+    };
+  });
+
+  return {
+    status: 'optimal',
+    iterations: result.iterations,
+    itemCount: model.items.length,
+    stageCount: model.stages.length,
+    itemValues,
+    stageEfficiency
+  };
+}
+
+module.exports = {
+  DEFAULT_ITEM_VALUE_OPTIONS,
+  buildItemValueModel,
+  solveItemValues
+};
@@ -0,0 +1,57 @@
+// logger.js
+// CLIの --json 指定時に、console の出力を1行1件のJSONログに切り替える
+//
+//   {"time":"2026-10-19T00:00:00.000Z","level":"info","message":"Fetching data for server: CN"}
+// 既存のスクリプトは console.log / warn / error のまま使える。
+const util = require('util');
+
+const LEVELS = {
+  log: 'info',
+  info: 'info',
+  warn: 'warn',
+  error: 'error'
+};
+
+// 元のconsoleメソッド（restoreConsoleで戻す）
+let originalConsole = null;
+
+// 先頭の絵文字と空白を除いたメッセージ
+function stripDecoration(message) {
+  return message.replace(/^[\s\p{Extended_Pictographic}\u{FE0F}]+/u, '');
+}
+
+// console を JSON Lines 出力に置き換える
+function enableJsonLogging(fields = {}) {
+  if (originalConsole) {
+    return;
+  }
+  originalConsole = {};
+
+  Object.entries(LEVELS).forEach(([method, level]) => {
+    originalConsole[method] = console[method];
+    const stream = level === 'info' ? process.stdout : process.stderr;
+    console[method] = (...args) => {
+      const record = {
+        time: new Date().toISOString(),
+        level,
+        ...fields,
+        message: stripDecoration(util.format(...args)).trim()
+      };
+      stream.write(JSON.stringify(record) + '\n');
+    };
+  });
+}
+
+// 元の console に戻す
+function restoreConsole() {
+  if (!originalConsole) {
+    return;
+  }
+  Object.assign(console, originalConsole);
+  originalConsole = null;
+}
+
+module.exports = {
+  enableJsonLogging,
+  restoreConsole
+};
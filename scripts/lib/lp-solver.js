@@ -0,0 +1,123 @@
+// lp-solver.js
+// 外部サービスや依存パッケージを使わない単体法（シンプレックス法）のLPソルバー
+//
+// 解く問題:  maximize  c・x
+//           subject to A x ≤ b,  x ≥ 0,  b ≥ 0
+// b ≥ 0 なので原点が実行可能解になり、スラック変数を基底として1段階で解ける。
+// 巡回を避けるためBlandの規則でピボットを選ぶ。
+const EPSILON = 1e-9;
+
+// 単体法で最大化
+function maximize(objective, constraints, options = {}) {
+  const maxIterations = options.maxIterations || 50000;
+  const n = objective.length;
+  const m = constraints.length;
+  const width = n + m + 1;
+
+  constraints.forEach((constraint, index) => {
+    if (constraint.coefficients.length !== n) {
+      throw new Error(`Constraint ${index} has ${constraint.coefficients.length} coefficients, expected ${n}`);
+    }
+    if (constraint.bound < 0) {
+      throw new Error(`Constraint ${index} has a negative bound; only b >= 0 is supported`);
+    }
+  });
+
+  // 単体表: 各行は [A | I | b]、最終行は目的関数 [-c | 0 | 0]
+  const tableau = constraints.map((constraint, row) => {
+    const line = new Float64Array(width);
+    constraint.coefficients.forEach((value, col) => {
+      line[col] = value;
+    });
+    line[n + row] = 1;
+    line[width - 1] = constraint.bound;
+    return line;
+  });
+  const objectiveRow = new Float64Array(width);
+  objective.forEach((value, col) => {
+    objectiveRow[col] = -value;
+  });
+  tableau.push(objectiveRow);
+
+  const basis = Array.from({ length: m }, (_, row) => n + row);
+  let iterations = 0;
+
+  while (iterations < maxIterations) {
+    // 入る変数: 目的関数行で負の係数を持つ最小の添字（Blandの規則）
+    let entering = -1;
+    for (let col = 0; col < width - 1; col++) {
+      if (objectiveRow[col] < -EPSILON) {
+        entering = col;
+        break;
+      }
+    }
+    if (entering === -1) {
+      break;
+    }
+
+    // 出る変数: 最小比テスト（同値なら基底変数の添字が最小のもの）
+    let leaving = -1;
+    let bestRatio = Infinity;
+    for (let row = 0; row < m; row++) {
+      const coefficient = tableau[row][entering];
+      if (coefficient > EPSILON) {
+        const ratio = tableau[row][width - 1] / coefficient;
+        if (ratio < bestRatio - EPSILON || (Math.abs(ratio - bestRatio) <= EPSILON && basis[row] < basis[leaving])) {
+          bestRatio = ratio;
+          leaving = row;
+        }
+      }
+    }
+    if (leaving === -1) {
+      return { status: 'unbounded', iterations };
+    }
+
+    pivot(tableau, leaving, entering);
+    basis[leaving] = entering;
+    iterations++;
+  }
+
+  if (iterations >= maxIterations) {
+    return { status: 'iteration_limit', iterations };
+  }
+
+  const solution = new Array(n).fill(0);
+  basis.forEach((variable, row) => {
+    if (variable < n) {
+      solution[variable] = tableau[row][width - 1];
+    }
+  });
+
+  // 双対解（各制約のシャドープライス）はスラック列の目的関数行から読める
+  const duals = Array.from({ length: m }, (_, row) => objectiveRow[n + row]);
+
+  return {
+    status: 'optimal',
+    value: objectiveRow[width - 1],
+    solution,
+    duals,
+    iterations
+  };
+}
+
+// 指定した行・列でピボット演算
+function pivot(tableau, pivotRow, pivotCol) {
+  const pivotLine = tableau[pivotRow];
+  const pivotValue = pivotLine[pivotCol];
+  for (let col = 0; col < pivotLine.length; col++) {
+    pivotLine[col] /= pivotValue;
+  }
+
+  tableau.forEach((line, row) => {
+    if (row === pivotRow) return;
+    const factor = line[pivotCol];
+    if (Math.abs(factor) <= EPSILON) return;
+    for (let col = 0; col < line.length; col++) {
+      line[col] -= factor * pivotLine[col];
+    }
+  });
+}
+
+module.exports = {
+  maximize
+};
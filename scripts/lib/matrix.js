@@ -0,0 +1,101 @@
+// matrix.js
+// /result/matrix のレスポンスをstageId毎のスナップショット形式に変換する（ファイル操作なし）
+const { validateRawMatrix } = require('./schemas');
+const { sampleSettings, buildDropRecord } = require('./drop-stats');
+const { defaultStageFilterConfig, prefixFilterConfig, compileStageFilter } = require('./stage-filter');
+
+// 取得時の除外の判定（excludePatterns を省略すると config/stage-filters.json の取得（fetch）のルール）
+function fetchStageFilter(excludePatterns) {
+  return compileStageFilter(excludePatterns ? prefixFilterConfig(excludePatterns) : defaultStageFilterConfig(), 'fetch');
+}
+
+// 除外対象のstageIdか（excludePatterns は接頭辞のリスト、大文字小文字を区別しない）
+function isExcludedStage(stageId, excludePatterns) {
+  return fetchStageFilter(excludePatterns).match(stageId) !== null;
+}
+
+// レスポンスを検証してstageId毎にグループ化
+// options.filter: 除外の判定（lib/stage-filter の compileStageFilter の結果）
+// options.excludePatterns: filterが無いときに除外するstageIdの接頭辞（どちらも無ければ config/stage-filters.json）, options.fetchedAt: 取得時刻（既定は現在時刻）
+// options.z / lowSampleThreshold / minTimes: 区間のz値、lowSampleの閾値、保存する最小周回数（drop-stats.js）
+// レスポンスがスキーマに合わない場合は validationErrors を持つErrorを投げる
+function processMatrix(raw, options = {}) {
+  const filter = options.filter || fetchStageFilter(options.excludePatterns);
+  const settings = sampleSettings(options);
+
+  // 不正なデータをそのまま保存しないようにレスポンスを検証
+  const errors = validateRawMatrix(raw);
+  if (errors.length > 0) {
+    const error = new Error(`Invalid matrix response (${errors.length} errors)`);
+    error.validationErrors = errors;
+    throw error;
+  }
+
+  const fetchedAt = options.fetchedAt || new Date().toISOString();
+  const groupedData = {};
+  let totalItemCount = 0;
+  let lowSampleRecords = 0;
+  let filteredRecords = 0;
+  // ステージ毎の全レコードで最も遅い終了時刻（終了していないレコードがあればnull）
+  const latestEnds = new Map();
+
+  // stageId毎にデータをグループ化
+  raw.matrix.forEach(item => {
+    const stageId = item.stageId;
+    const itemId = item.itemId;
+
+    // 除外ルールにマッチするstageIdを無視
+    if (filter.match(stageId) !== null) {
+      return;
+    }
+
+    // stageInfoは最初のレコードの期間なので、開催中かどうかは全レコードの終了時刻から判断する
+    const latestEnd = latestEnds.has(stageId) ? latestEnds.get(stageId) : -Infinity;
+    latestEnds.set(stageId, latestEnd === null || !Number.isInteger(item.end) ? null : Math.max(latestEnd, item.end));
+    
+    // 周回数が最小値に満たないレコードは保存しない
+    if (item.times < settings.minTimes) {
+      filteredRecords++;
+      return;
+    }
+
+    // ステージが存在しない場合は初期化
+    if (!groupedData[stageId]) {
+      groupedData[stageId] = {
+        stageInfo: {
+          times: item.times,
+          start: item.start,
+          end: item.end,
+          fetchedAt: fetchedAt
+        },
+        items: {}
+      };
+    }
+
+    // アイテムデータを追加（区間と周回数の少ないレコードの印を含む）
+    const record = buildDropRecord(item.quantity, item.stdDev, item.times, settings);
+    groupedData[stageId].items[itemId] = record;
+
+    totalItemCount++;
+    if (record.lowSample) {
+      lowSampleRecords++;
+    }
+  });
+
+  Object.entries(groupedData).forEach(([stageId, stage]) => {
+    stage.stageInfo.latestEnd = latestEnds.get(stageId);
+  });
+
+  return {
+    fetchedAt,
+    dataCount: totalItemCount,
+    stageCount: Object.keys(groupedData).length,
+    sampleStats: { ...settings, lowSampleRecords, filteredRecords },
+    data: groupedData
+  };
+}
+
+module.exports = {
+  isExcludedStage,
+  processMatrix
+};
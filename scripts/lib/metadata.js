@@ -0,0 +1,104 @@
+// metadata.js
+// Penguin Stats APIの /items, /stages, /zones を整形し、スナップショットに名前などを結合する
+const fs = require('fs');
+const path = require('path');
+const { listDateFolders } = require('./snapshots');
+
+// 日付フォルダに保存するメタデータのファイル名
+function metadataFileName(server) {
+  return `metadata-${server.toLowerCase()}.json`;
+}
+
+// APIのレスポンスから必要な項目だけを取り出し、IDをキーにしたオブジェクトにする
+function indexMetadata(items, stages, zones) {
+  const indexed = { items: {}, stages: {}, zones: {} };
+
+  (items || []).forEach(item => {
+    indexed.items[item.itemId] = {
+      name: item.name,
+      name_i18n: item.name_i18n || {},
+      itemType: item.itemType,
+      rarity: item.rarity,
+      sortId: item.sortId
+    };
+  });
+
+  (stages || []).forEach(stage => {
+    indexed.stages[stage.stageId] = {
+      code: stage.code,
+      code_i18n: stage.code_i18n || {},
+      zoneId: stage.zoneId,
+      apCost: stage.apCost,
+      stageType: stage.stageType
+    };
+  });
+
+  (zones || []).forEach(zone => {
+    indexed.zones[zone.zoneId] = {
+      zoneName: zone.zoneName,
+      zoneName_i18n: zone.zoneName_i18n || {},
+      type: zone.type
+    };
+  });
+
+  return indexed;
+}
+
+// 指定日以前で最新のメタデータを読み込む
+function loadLatestMetadata(baseDataDir, server, onOrBeforeDate) {
+  const dates = listDateFolders(baseDataDir).filter(date => date <= onOrBeforeDate).reverse();
+
+  for (const date of dates) {
+    const filepath = path.join(baseDataDir, date, metadataFileName(server));
+    if (fs.existsSync(filepath)) {
+      return { date, metadata: JSON.parse(fs.readFileSync(filepath, 'utf8')) };
+    }
+  }
+  return null;
+}
+
+// スナップショットの各ステージにstageMeta、トップレベルにitemMetaを追加する
+// アイテム名は全レコードに複製せず、登場するアイテムだけをitemMetaにまとめる
+function enrichSnapshot(snapshot, metadata) {
+  const data = {};
+  const itemMeta = {};
+
+  Object.entries(snapshot.data).forEach(([stageId, stage]) => {
+    const stageInfo = metadata.stages[stageId];
+    const zone = stageInfo ? metadata.zones[stageInfo.zoneId] : null;
+
+    data[stageId] = {
+      ...stage,
+      stageMeta: stageInfo ? {
+        code: stageInfo.code,
+        code_i18n: stageInfo.code_i18n,
+        zoneId: stageInfo.zoneId,
+        zoneName: zone ? zone.zoneName : null,
+        zoneName_i18n: zone ? zone.zoneName_i18n : {},
+        apCost: stageInfo.apCost,
+        stageType: stageInfo.stageType
+      } : null
+    };
+
+    Object.keys(stage.items).forEach(itemId => {
+      const item = metadata.items[itemId];
+      if (item && !itemMeta[itemId]) {
+        itemMeta[itemId] = { name: item.name, name_i18n: item.name_i18n };
+      }
+    });
+  });
+
+  const sortedItemMeta = {};
+  Object.keys(itemMeta).sort().forEach(itemId => {
+    sortedItemMeta[itemId] = itemMeta[itemId];
+  });
+
+  return { ...snapshot, itemMeta: sortedItemMeta, data };
+}
+
+module.exports = {
+  metadataFileName,
+  indexMetadata,
+  loadLatestMetadata,
+  enrichSnapshot
+};
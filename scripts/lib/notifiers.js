@@ -0,0 +1,434 @@
+// notifiers.js
+// 新しいステージタイプや取得・ヘルスチェックの結果を外部に通知する
+//
+// 通知先（シンク）は config/notifications.json で設定する:
+//   { "sinks": [{ "name": "discord", "type": "discord", "urlEnv": "DISCORD_WEBHOOK_URL", "events": ["new-stage-types"], "minLevel": "info" }] }
+// シンクの種類:
+//   discord / slack  チャットのWebhook（{ content } / { text } を送る）
+//   webhook          任意のURLにJSONをPOSTする（テンプレートが無ければ通知そのものを送る）
+//   file             データディレクトリ内のファイルに1行1件のJSONで追記する（アウトボックス）
+// テンプレートは文字列・オブジェクトの中の {{title}} や {{data.date}} を通知の値で置き換える。
+// 送れなかった通知は data/notification-queue.json に残し、次回の実行で先に再送する。
+// 失敗し続ける通知（Webhookが削除された場合など）は、設定の queue: { maxAttempts, maxAgeDays } を超えたら捨てる。
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { sleep, fetchWithTimeout } = require('./penguin-api');
+const { writeJsonAtomic } = require('./atomic-fs');
+
+// Node.js 18でfetchが利用できない場合のpolyfill
+let fetch;
+if (typeof globalThis.fetch === 'undefined') {
+  fetch = (...args) => import('node-fetch').then(({default: fetch}) => fetch(...args));
+} else {
+  fetch = (...args) => globalThis.fetch(...args);
+}
+
+const NOTIFICATIONS_CONFIG_PATH = path.join(__dirname, '..', '..', 'config', 'notifications.json');
+
+// 送れなかった通知の保存先（データディレクトリからの相対パス）
+const QUEUE_FILE = 'notification-queue.json';
+
+// 通知の種類と重要度
+const NOTIFICATION_EVENTS = ['new-stage-types', 'fetch', 'health'];
+const NOTIFICATION_LEVELS = ['info', 'warning', 'error'];
+
+// シンク毎の送信設定の既定値
+const DEFAULT_SINK_OPTIONS = {
+  retries: 2,              // 初回を除く再試行回数（失敗したらキューに残す）
+  retryBaseDelayMs: 1000,  // 指数バックオフの基準待機時間
+  timeoutMs: 10000
+};
+
+// キューに残した通知を捨てるまでの失敗回数と日数の既定値
+const DEFAULT_QUEUE_LIMITS = {
+  maxAttempts: 5,
+  maxAgeDays: 7
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// 既定のテンプレート（webhook・fileはnullで通知そのものを送る）
+const DEFAULT_TEMPLATES = {
+  discord: { content: '**{{title}}**\n{{text}}' },
+  slack: { text: '*{{title}}*\n{{text}}' },
+  webhook: null,
+  file: null
+};
+
+// チャットのメッセージの文字数上限
+const MESSAGE_LIMITS = {
+  discord: 2000,
+  slack: 3000
+};
+
+// "data.date" のようなパスで値を取り出す
+function lookup(context, keyPath) {
+  return keyPath.split('.').reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), context);
+}
+
+// テンプレートに値を埋め込む（文字列の中だけを置き換え、オブジェクト・配列は中まで辿る）
+// 文字列全体が1つのプレースホルダーなら、値を文字列にせずそのまま使う
+function renderTemplate(template, context) {
+  if (typeof template === 'string') {
+    const whole = template.match(/^\{\{\s*([\w.-]+)\s*\}\}$/);
+    if (whole) {
+      const value = lookup(context, whole[1]);
+      return value === undefined ? null : value;
+    }
+    return template.replace(/\{\{\s*([\w.-]+)\s*\}\}/g, (match, keyPath) => {
+      const value = lookup(context, keyPath);
+      if (value === undefined || value === null) return '';
+      return typeof value === 'object' ? JSON.stringify(value) : String(value);
+    });
+  }
+  if (Array.isArray(template)) {
+    return template.map(element => renderTemplate(element, context));
+  }
+  if (template && typeof template === 'object') {
+    return Object.fromEntries(Object.entries(template).map(([key, value]) => [key, renderTemplate(value, context)]));
+  }
+  return template;
+}
+
+// 上限を超える文字列を切り詰める
+function truncate(text, limit) {
+  return text.length > limit ? `${text.slice(0, limit - 1)}…` : text;
+}
+
+// 指数バックオフで再試行しながらJSONをPOSTする（失敗時は例外）
+async function postJson(url, payload, options, label) {
+  const { retries, retryBaseDelayMs, timeoutMs, headers = {} } = options;
+  let lastError = null;
+
+  for (let attempt = 0; attempt <= retries; attempt++) {
+    if (attempt > 0) {
+      await sleep(retryBaseDelayMs * Math.pow(2, attempt - 1));
+    }
+    try {
+      const response = await fetchWithTimeout(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: JSON.stringify(payload)
+      }, timeoutMs, options.fetch);
+      if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status} - ${(await response.text()).slice(0, 200)}`);
+      }
+      return;
+    } catch (error) {
+      lastError = error;
+      console.error(`Attempt ${attempt + 1} failed for ${label}: ${error.message}`);
+    }
+  }
+
+  throw lastError;
+}
+
+// チャットのWebhookのシンク（Discord・Slack）
+function createChatSink(config, options) {
+  const limit = config.maxLength || MESSAGE_LIMITS[config.type];
+  return {
+    render(notification) {
+      const payload = renderTemplate(config.template || DEFAULT_TEMPLATES[config.type], notification);
+      Object.keys(payload).forEach(key => {
+        if (typeof payload[key] === 'string') {
+          payload[key] = truncate(payload[key], limit);
+        }
+      });
+      return payload;
+    },
+    deliver(payload) {
+      return postJson(options.url, payload, options, config.name);
+    }
+  };
+}
+
+// 任意のURLにJSONをPOSTするシンク
+function createWebhookSink(config, options) {
+  return {
+    render(notification) {
+      return config.template ? renderTemplate(config.template, notification) : notification;
+    },
+    deliver(payload) {
+      return postJson(options.url, payload, options, config.name);
+    }
+  };
+}
+
+// ファイルに追記するシンク（pathはデータディレクトリからの相対パス）
+function createFileSink(config, options) {
+  const file = path.resolve(options.dataDir, config.path || 'outbox/notifications.ndjson');
+  return {
+    render(notification) {
+      return config.template ? renderTemplate(config.template, notification) : notification;
+    },
+    deliver(payload) {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.appendFileSync(file, `${JSON.stringify(payload)}\n`);
+    }
+  };
+}
+
+// 利用できるシンク
+const SINK_TYPES = {
+  discord: createChatSink,
+  slack: createChatSink,
+  webhook: createWebhookSink,
+  file: createFileSink
+};
+
+// 設定ファイルを読み込む（無ければシンク無し）
+function loadNotificationConfig(configPath = NOTIFICATIONS_CONFIG_PATH) {
+  if (!configPath || !fs.existsSync(configPath)) {
+    return { sinks: [] };
+  }
+  const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  const names = new Set();
+  (config.sinks || []).forEach((sink, index) => {
+    if (!sink.name || names.has(sink.name)) {
+      throw new Error(`Invalid notification config: sinks[${index}] needs a unique name`);
+    }
+    names.add(sink.name);
+    if (!SINK_TYPES[sink.type]) {
+      throw new Error(`Invalid notification config: unknown sink type "${sink.type}" (available: ${Object.keys(SINK_TYPES).join(', ')})`);
+    }
+    (sink.events || []).forEach(event => {
+      if (!NOTIFICATION_EVENTS.includes(event)) {
+        throw new Error(`Invalid notification config: unknown event "${event}" in sink "${sink.name}"`);
+      }
+    });
+    if (sink.minLevel !== undefined && !NOTIFICATION_LEVELS.includes(sink.minLevel)) {
+      throw new Error(`Invalid notification config: minLevel of sink "${sink.name}" must be one of ${NOTIFICATION_LEVELS.join(', ')}`);
+    }
+  });
+  Object.entries(config.queue || {}).forEach(([key, value]) => {
+    if (!(key in DEFAULT_QUEUE_LIMITS) || !Number.isInteger(value) || value < 1) {
+      throw new Error(`Invalid notification config: queue.${key} must be one of ${Object.keys(DEFAULT_QUEUE_LIMITS).join(', ')} with a positive integer`);
+    }
+  });
+  return { sinks: config.sinks || [], queue: config.queue || {} };
+}
+
+// 失敗回数か日数が上限を超えた通知か
+function isExpired(entry, limits, now) {
+  return entry.failedAttempts >= limits.maxAttempts || now - Date.parse(entry.queuedAt) >= limits.maxAgeDays * DAY_MS;
+}
+
+// 設定から送信できるシンクを作る（無効なもの・URLの無いものは除く）
+// options: dataDir, env, fetch（差し替え用）
+function createSinks(config, options = {}) {
+  const env = options.env || process.env;
+  return config.sinks
+    .filter(sink => sink.enabled !== false)
+    .map(sink => {
+      const url = sink.url || (sink.urlEnv ? env[sink.urlEnv] : undefined);
+      if (sink.type !== 'file' && !url) {
+        return null;
+      }
+      const sinkOptions = {
+        ...DEFAULT_SINK_OPTIONS,
+        ...sink,
+        url,
+        dataDir: options.dataDir,
+        fetch: options.fetch || fetch
+      };
+      return {
+        name: sink.name,
+        type: sink.type,
+        events: sink.events || NOTIFICATION_EVENTS,
+        minLevel: sink.minLevel || 'info',
+        ...SINK_TYPES[sink.type](sink, sinkOptions)
+      };
+    })
+    .filter(Boolean);
+}
+
+// シンクがこの通知を受け取るか
+function acceptsNotification(sink, notification) {
+  return sink.events.includes(notification.type)
+    && NOTIFICATION_LEVELS.indexOf(notification.level) >= NOTIFICATION_LEVELS.indexOf(sink.minLevel);
+}
+
+// キューの読み込み・保存（空になったらファイルを消す）
+function loadQueue(baseDataDir) {
+  const file = path.join(baseDataDir, QUEUE_FILE);
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')).entries : [];
+}
+
+function saveQueue(baseDataDir, entries) {
+  const file = path.join(baseDataDir, QUEUE_FILE);
+  if (entries.length > 0) {
+    writeJsonAtomic(file, { updatedAt: new Date().toISOString(), entries });
+  } else if (fs.existsSync(file)) {
+    fs.rmSync(file);
+  }
+}
+
+// 1件送る（成功したらtrue）
+async function deliver(sink, entry) {
+  try {
+    await sink.deliver(entry.payload);
+    return true;
+  } catch (error) {
+    entry.failedAttempts++;
+    entry.lastError = error.message;
+    entry.lastAttemptAt = new Date().toISOString();
+    return false;
+  }
+}
+
+// 通知を送る（キューに残っている通知を先に再送し、送れなかったものはキューに残す）
+// 通知の失敗で処理全体を失敗させないよう、例外は投げずに結果を返す
+// options: dataDir, configPath, config（設定ファイルの代わり）, env, fetch, dryRun
+async function sendNotifications(notifications, options = {}) {
+  const result = { delivered: [], queued: [], dropped: [], expired: [], errors: [] };
+  const baseDataDir = options.dataDir;
+
+  try {
+    const config = options.config || loadNotificationConfig(options.configPath);
+    const sinks = createSinks(config, options);
+    const sinkByName = new Map(sinks.map(sink => [sink.name, sink]));
+    const configuredNames = new Set(config.sinks.map(sink => sink.name));
+    const queue = loadQueue(baseDataDir);
+    const limits = { ...DEFAULT_QUEUE_LIMITS, ...config.queue };
+    // 上限を超えた通知はキューに戻さずに捨てる
+    const keepOrExpire = (entry, remaining) => {
+      if (isExpired(entry, limits, Date.now())) {
+        result.expired.push(entry);
+      } else {
+        remaining.push(entry);
+      }
+    };
+
+    if (sinks.length === 0 && queue.length === 0) {
+      return result;
+    }
+    if (options.dryRun) {
+      notifications.forEach(notification => {
+        const targets = sinks.filter(sink => acceptsNotification(sink, notification)).map(sink => sink.name);
+        if (targets.length > 0) {
+          console.log(`Dry run: would notify ${targets.join(', ')}: ${notification.title}`);
+        }
+      });
+      return result;
+    }
+
+    const remaining = [];
+    // 設定から消えたシンク宛ての通知は捨てる（URLが未設定なだけなら残す）
+    for (const entry of queue) {
+      if (!configuredNames.has(entry.sink)) {
+        result.dropped.push(entry);
+        continue;
+      }
+      const sink = sinkByName.get(entry.sink);
+      if (sink && await deliver(sink, entry)) {
+        result.delivered.push({ sink: entry.sink, title: entry.title, resent: true });
+      } else {
+        keepOrExpire(entry, remaining);
+      }
+    }
+
+    for (const notification of notifications) {
+      for (const sink of sinks.filter(candidate => acceptsNotification(candidate, notification))) {
+        const entry = {
+          id: crypto.randomUUID(),
+          sink: sink.name,
+          event: notification.type,
+          title: notification.title,
+          queuedAt: new Date().toISOString(),
+          failedAttempts: 0,
+          lastError: null,
+          payload: sink.render(notification)
+        };
+        if (await deliver(sink, entry)) {
+          result.delivered.push({ sink: sink.name, title: notification.title, resent: false });
+        } else {
+          keepOrExpire(entry, remaining);
+        }
+      }
+    }
+
+    result.queued = remaining;
+    saveQueue(baseDataDir, remaining);
+  } catch (error) {
+    result.errors.push(error.message);
+  }
+
+  result.delivered.forEach(({ sink, title, resent }) => console.log(`📨 ${resent ? 'Resent' : 'Sent'} "${title}" to ${sink}`));
+  result.dropped.forEach(entry => console.warn(`Dropped queued notification "${entry.title}" for removed sink ${entry.sink}`));
+  result.expired.forEach(entry => console.warn(`Dropped notification "${entry.title}" for ${entry.sink} after ${entry.failedAttempts} failed attempts since ${entry.queuedAt} (last error: ${entry.lastError})`));
+  if (result.queued.length > 0) {
+    console.warn(`${result.queued.length} notifications could not be delivered and will be retried on the next run`);
+  }
+  result.errors.forEach(message => console.error(`❌ Notification error: ${message}`));
+  return result;
+}
+
+// 新しいステージタイプの通知
+function newStageTypesNotification(date, types) {
+  return {
+    type: 'new-stage-types',
+    level: 'warning',
+    title: `${types.length} new stage types found (${date})`,
+    text: types.map(type => `- ${type.stageType}: ${type.count} stages, e.g. ${type.examples}`).join('\n'),
+    data: { date, types }
+  };
+}
+
+// 取得結果の通知（run: 取得処理が記録した結果）
+function fetchNotification(run) {
+  const failed = run.exitCode !== 0;
+  const lines = [];
+  if (run.servers && run.servers.length > 0) {
+    lines.push(`Servers: ${run.servers.join(', ')} (${run.totalStages} stages, ${run.totalRecords} records)`);
+  }
+  if (run.staleServers && run.staleServers.length > 0) {
+    lines.push(`Stale (carried forward): ${run.staleServers.join(', ')}`);
+  }
+  if (run.missingServers && run.missingServers.length > 0) {
+    lines.push(`Missing: ${run.missingServers.join(', ')}`);
+  }
+  if (run.invalidServers && run.invalidServers.length > 0) {
+    lines.push(`Invalid data: ${run.invalidServers.join(', ')}`);
+  }
+  (run.problems || []).forEach(problem => lines.push(`- ${problem}`));
+
+  return {
+    type: 'fetch',
+    level: failed ? 'error' : (run.staleServers && run.staleServers.length > 0 ? 'warning' : 'info'),
+    title: failed ? `Fetch for ${run.date} failed` : `Fetched data for ${run.date}`,
+    text: lines.join('\n'),
+    data: run
+  };
+}
+
+// ヘルスチェックの通知
+function healthNotification(report) {
+  const lines = [];
+  Object.entries(report.servers).forEach(([server, health]) => {
+    health.anomalies.forEach(anomaly => lines.push(`- ${server} [${anomaly.severity}] ${anomaly.type}: ${anomaly.message}`));
+  });
+  return {
+    type: 'health',
+    level: report.status === 'severe' ? 'error' : (report.status === 'warning' ? 'warning' : 'info'),
+    title: `Data health for ${report.date}: ${report.status}`,
+    text: lines.length > 0 ? lines.join('\n') : 'No anomalies',
+    data: { date: report.date, status: report.status, anomalyCount: report.anomalyCount }
+  };
+}
+
+module.exports = {
+  NOTIFICATIONS_CONFIG_PATH,
+  QUEUE_FILE,
+  DEFAULT_QUEUE_LIMITS,
+  NOTIFICATION_EVENTS,
+  NOTIFICATION_LEVELS,
+  SINK_TYPES,
+  renderTemplate,
+  loadNotificationConfig,
+  createSinks,
+  sendNotifications,
+  newStageTypesNotification,
+  fetchNotification,
+  healthNotification
+};
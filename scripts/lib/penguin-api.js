@@ -0,0 +1,182 @@
+// penguin-api.js
+// Penguin Stats APIのクライアント（タイムアウト・指数バックオフ・同時実行数と間隔の制限付き）
+// ファイル操作は渡されたHTTPキャッシュ（lib/http-cache）を通してだけ行う
+
+// Node.js 18でfetchが利用できない場合のpolyfill
+let fetch;
+if (typeof globalThis.fetch === 'undefined') {
+  fetch = (...args) => import('node-fetch').then(({default: fetch}) => fetch(...args));
+} else {
+  fetch = (...args) => globalThis.fetch(...args);
+}
+
+// APIエンドポイント
+const API_BASE = 'https://penguin-stats.io/PenguinStats/api/v2';
+const SERVERS = ['CN', 'US', 'JP', 'KR'];
+
+// リトライ設定
+const DEFAULT_REQUEST_OPTIONS = {
+  retries: 3,             // 初回を除く再試行回数
+  timeoutMs: 60000,       // 1リクエストあたりのタイムアウト
+  retryBaseDelayMs: 2000  // 指数バックオフの基準待機時間
+};
+
+// 指定ミリ秒待機
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// リクエストの同時実行数と開始間隔を制限する
+// concurrency: 同時に送るリクエスト数、minIntervalMs: リクエストを開始する最小の間隔（再試行も含む）
+function createRateLimiter(options = {}) {
+  const { concurrency = 1, minIntervalMs = 0 } = options;
+  if (!Number.isInteger(concurrency) || concurrency < 1) {
+    throw new Error('concurrency must be a positive integer');
+  }
+  const waiting = [];
+  let active = 0;
+  let nextStartAt = 0;
+
+  function next() {
+    while (active < concurrency && waiting.length > 0) {
+      const { task, resolve, reject } = waiting.shift();
+      const now = Date.now();
+      const startAt = Math.max(now, nextStartAt);
+      nextStartAt = startAt + minIntervalMs;
+      active++;
+      sleep(startAt - now)
+        .then(task)
+        .then(resolve, reject)
+        .finally(() => {
+          active--;
+          next();
+        });
+    }
+  }
+
+  return {
+    // taskを順番待ちに入れ、結果を返す
+    schedule(task) {
+      return new Promise((resolve, reject) => {
+        waiting.push({ task, resolve, reject });
+        next();
+      });
+    }
+  };
+}
+
+// タイムアウト付きでfetchを実行
+async function fetchWithTimeout(url, options = {}, timeoutMs = DEFAULT_REQUEST_OPTIONS.timeoutMs, fetchImpl = fetch) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+
+  try {
+    return await fetchImpl(url, { ...options, signal: controller.signal });
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      throw new Error(`Request timed out after ${timeoutMs}ms`);
+    }
+    throw error;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// 指数バックオフでリトライしながらJSONを取得し、キャッシュから返したかどうかも返す（{ data, notModified }）
+// options: retries, timeoutMs, retryBaseDelayMs, fetch（差し替え用）,
+//          limiter（createRateLimiter、省略時は制限なし）, cache（lib/http-cache、省略時は条件付きリクエストを送らない）
+async function fetchJsonResponse(url, label, options = {}) {
+  const { retries, timeoutMs, retryBaseDelayMs } = { ...DEFAULT_REQUEST_OPTIONS, ...options };
+  const fetchImpl = options.fetch || fetch;
+  const { limiter = null, cache = null } = options;
+  let conditional = !!cache;
+  let lastError = null;
+
+  for (let attempt = 0; attempt <= retries; attempt++) {
+    if (attempt > 0) {
+      const delay = retryBaseDelayMs * Math.pow(2, attempt - 1);
+      console.log(`Retrying ${label} in ${delay}ms (attempt ${attempt + 1}/${retries + 1})`);
+      await sleep(delay);
+    }
+
+    try {
+      const headers = conditional ? cache.conditionalHeaders(url) : {};
+      const request = () => fetchWithTimeout(url, { headers }, timeoutMs, fetchImpl);
+      const response = await (limiter ? limiter.schedule(request) : request());
+
+      if (response.status === 304 && conditional) {
+        const body = cache.readBody(url);
+        if (body !== null) {
+          cache.touch(url);
+          return { data: JSON.parse(body), notModified: true };
+        }
+        // 保存した本文が読めなければ、次は条件なしで取り直す
+        cache.remove(url);
+        conditional = false;
+        throw new Error('Not modified, but the cached response could not be read');
+      }
+
+      if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+      }
+
+      if (!cache) {
+        return { data: await response.json(), notModified: false };
+      }
+      const body = await response.text();
+      const data = JSON.parse(body);
+      cache.store(url, {
+        etag: response.headers.get('etag'),
+        lastModified: response.headers.get('last-modified'),
+        body
+      });
+      return { data, notModified: false };
+    } catch (error) {
+      lastError = error;
+      console.error(`Attempt ${attempt + 1} failed for ${label}: ${error.message}`);
+    }
+  }
+
+  throw lastError;
+}
+
+// 指数バックオフでリトライしながらJSONを取得
+// options: fetchJsonResponse と同じ
+async function fetchJsonWithRetry(url, label, options = {}) {
+  const { data } = await fetchJsonResponse(url, label, options);
+  return data;
+}
+
+// ドロップ行列のURL
+function matrixUrl(server, apiBase = API_BASE) {
+  return `${apiBase}/result/matrix?server=${server}&show_closed_zones=true`;
+}
+
+// ドロップ行列を取得（失敗時は例外）
+// options: apiBase と fetchJsonWithRetry のオプション
+async function fetchMatrix(server, options = {}) {
+  return fetchJsonWithRetry(matrixUrl(server, options.apiBase || API_BASE), server, options);
+}
+
+// アイテム・ステージ・ゾーンの一覧を取得（失敗時は例外）
+async function fetchMetadataSources(server, options = {}) {
+  const apiBase = options.apiBase || API_BASE;
+  const items = await fetchJsonWithRetry(`${apiBase}/items?server=${server}`, `${server} items`, options);
+  const stages = await fetchJsonWithRetry(`${apiBase}/stages?server=${server}`, `${server} stages`, options);
+  const zones = await fetchJsonWithRetry(`${apiBase}/zones?server=${server}`, `${server} zones`, options);
+  return { items, stages, zones };
+}
+
+module.exports = {
+  API_BASE,
+  SERVERS,
+  DEFAULT_REQUEST_OPTIONS,
+  sleep,
+  createRateLimiter,
+  fetchWithTimeout,
+  fetchJsonResponse,
+  fetchJsonWithRetry,
+  matrixUrl,
+  fetchMatrix,
+  fetchMetadataSources
+};
@@ -0,0 +1,62 @@
+// raw-archive.js
+// 取得したドロップ行列の応答（加工前）を日付フォルダに保存し、あとから処理し直せるようにする
+//
+// 1サーバーにつき1ファイル（gzip）: <date>/raw-matrix-<server>.json.gz
+// 中身は { url, server, fetchedAt, response }。response はAPIが返したJSONそのもので、
+// fetchedAt はその応答から作ったスナップショットの fetchedAt（処理し直しても同じ値になるように残す）
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { writeFileAtomic } = require('./atomic-fs');
+
+const RAW_MATRIX_PATTERN = /^raw-matrix-([a-z]+)\.json\.gz$/;
+
+// 日付フォルダに保存するファイル名
+function rawMatrixFileName(server) {
+  return `raw-matrix-${server.toLowerCase()}.json.gz`;
+}
+
+// 応答を保存する（日付フォルダは作成済みであること）
+function saveRawMatrix(baseDataDir, date, server, entry) {
+  const file = path.join(baseDataDir, date, rawMatrixFileName(server));
+  writeFileAtomic(file, zlib.gzipSync(JSON.stringify({
+    url: entry.url,
+    server,
+    fetchedAt: entry.fetchedAt,
+    response: entry.response
+  })));
+  return file;
+}
+
+// 保存した応答を読み込む（無ければnull、壊れていれば例外）
+function loadRawMatrix(baseDataDir, date, server) {
+  const file = path.join(baseDataDir, date, rawMatrixFileName(server));
+  if (!fs.existsSync(file)) {
+    return null;
+  }
+  try {
+    return JSON.parse(zlib.gunzipSync(fs.readFileSync(file)).toString('utf8'));
+  } catch (error) {
+    throw new Error(`Failed to read ${date}/${rawMatrixFileName(server)}: ${error.message}`);
+  }
+}
+
+// 応答を保存してあるサーバー（大文字、名前順）
+function listRawMatrixServers(baseDataDir, date) {
+  const dir = path.join(baseDataDir, date);
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+  return fs.readdirSync(dir)
+    .map(name => RAW_MATRIX_PATTERN.exec(name))
+    .filter(Boolean)
+    .map(match => match[1].toUpperCase())
+    .sort();
+}
+
+module.exports = {
+  rawMatrixFileName,
+  saveRawMatrix,
+  loadRawMatrix,
+  listRawMatrixServers
+};
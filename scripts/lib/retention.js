@@ -0,0 +1,280 @@
+// retention.js
+// 日付フォルダの保持ポリシー（日次 → 週次 → 月次）とアーカイブ処理
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const readline = require('readline');
+const { listDateFolders } = require('./snapshots');
+const { writeFileAtomic } = require('./atomic-fs');
+
+// 既定の保持ポリシー
+const DEFAULT_RETENTION_POLICY = {
+  dailyDays: 14,       // 全ての日次フォルダを残す日数
+  weeklyWeeks: 8,      // その後、週ごとに1日分を残す週数
+  monthlyMonths: 12,   // その後、月ごとに1日分を残す月数（nullなら無期限）
+  archive: false,      // 削除する日をndjson.gzにまとめて保存するか
+  archiveDir: 'archive'
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// 設定ファイルを読み込んで既定値とマージ
+function loadRetentionPolicy(configPath, overrides = {}) {
+  let fileConfig = {};
+  if (configPath && fs.existsSync(configPath)) {
+    fileConfig = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  }
+  const policy = { ...DEFAULT_RETENTION_POLICY, ...fileConfig, ...overrides };
+
+  ['dailyDays', 'weeklyWeeks'].forEach(key => {
+    if (!Number.isInteger(policy[key]) || policy[key] < 0) {
+      throw new Error(`Invalid retention policy: ${key} must be a non-negative integer`);
+    }
+  });
+  if (policy.monthlyMonths !== null && (!Number.isInteger(policy.monthlyMonths) || policy.monthlyMonths < 0)) {
+    throw new Error('Invalid retention policy: monthlyMonths must be a non-negative integer or null');
+  }
+
+  return policy;
+}
+
+// 2つの日付（YYYY-MM-DD）の差（日数）
+function daysBetween(fromDate, toDate) {
+  return Math.round((Date.parse(toDate) - Date.parse(fromDate)) / DAY_MS);
+}
+
+// ISO週のキー（例: 2025-W31）
+function isoWeekKey(date) {
+  const d = new Date(`${date}T00:00:00Z`);
+  const day = d.getUTCDay() || 7;
+  d.setUTCDate(d.getUTCDate() + 4 - day);
+  const yearStart = new Date(Date.UTC(d.getUTCFullYear(), 0, 1));
+  const week = Math.ceil(((d - yearStart) / DAY_MS + 1) / 7);
+  return `${d.getUTCFullYear()}-W${String(week).padStart(2, '0')}`;
+}
+
+// 月の差
+function monthsBetween(fromDate, toDate) {
+  const [fromYear, fromMonth] = fromDate.split('-').map(Number);
+  const [toYear, toMonth] = toDate.split('-').map(Number);
+  return (toYear - fromYear) * 12 + (toMonth - fromMonth);
+}
+
+// 各日付フォルダを残すか削除するか決める
+function planRetention(dates, policy, today) {
+  const sorted = [...dates].sort();
+  const weeklyKept = new Set();
+  const monthlyKept = new Set();
+  const plan = [];
+
+  sorted.forEach(date => {
+    const age = daysBetween(date, today);
+
+    if (age < policy.dailyDays) {
+      plan.push({ date, action: 'keep', tier: 'daily' });
+      return;
+    }
+
+    // 週ごと・月ごとにその期間で最も古い日を代表として残す
+    if (age < policy.dailyDays + policy.weeklyWeeks * 7) {
+      const week = isoWeekKey(date);
+      if (!weeklyKept.has(week)) {
+        weeklyKept.add(week);
+        plan.push({ date, action: 'keep', tier: 'weekly' });
+      } else {
+        plan.push({ date, action: 'delete', tier: 'weekly' });
+      }
+      return;
+    }
+
+    const month = date.slice(0, 7);
+    if (policy.monthlyMonths === null || monthsBetween(date, today) < policy.monthlyMonths) {
+      if (!monthlyKept.has(month)) {
+        monthlyKept.add(month);
+        plan.push({ date, action: 'keep', tier: 'monthly' });
+      } else {
+        plan.push({ date, action: 'delete', tier: 'monthly' });
+      }
+      return;
+    }
+
+    plan.push({ date, action: 'delete', tier: 'expired' });
+  });
+
+  return plan;
+}
+
+// 日付フォルダの内容をndjsonの行に変換（JSONは解析済みの値、gzip（保存した応答）はbase64、それ以外はテキスト）
+function readDayRecords(dateDir, date) {
+  return fs.readdirSync(dateDir, { withFileTypes: true })
+    .filter(dirent => dirent.isFile())
+    .map(dirent => dirent.name)
+    .sort()
+    .map(file => {
+      const content = fs.readFileSync(path.join(dateDir, file));
+      if (file.endsWith('.gz')) {
+        return { date, file, base64: content.toString('base64') };
+      }
+      const text = content.toString('utf8');
+      if (file.endsWith('.json')) {
+        return { date, file, data: JSON.parse(text) };
+      }
+      return { date, file, text };
+    });
+}
+
+// 月ごとのアーカイブファイル
+function archiveFileFor(archiveDir, date) {
+  return path.join(archiveDir, `${date.slice(0, 7)}.ndjson.gz`);
+}
+
+// アーカイブの行をストリームで読む（以前の追記形式の、gzipメンバーを連結したファイルも読める）
+async function* readArchiveLines(archiveFile) {
+  if (!fs.existsSync(archiveFile)) {
+    return;
+  }
+  yield* readline.createInterface({
+    input: fs.createReadStream(archiveFile).pipe(zlib.createGunzip()),
+    crlfDelay: Infinity
+  });
+}
+
+// アーカイブから指定日のレコードを読み込む
+async function readArchivedDay(archiveFile, date) {
+  const records = new Map();
+  for await (const line of readArchiveLines(archiveFile)) {
+    if (!line.startsWith(`{"date":"${date}"`)) continue;
+    const record = JSON.parse(line);
+    records.set(record.file, record);
+  }
+  return records;
+}
+
+// アーカイブの行を日付ごとにまとめて読む（日付 → 行の配列。日付は行の先頭から取る）
+async function readArchiveDays(archiveFile) {
+  const days = new Map();
+  for await (const line of readArchiveLines(archiveFile)) {
+    const match = line.match(/^\{"date":"([^"]+)"/);
+    if (!match) continue;
+    if (!days.has(match[1])) days.set(match[1], []);
+    days.get(match[1]).push(line);
+  }
+  return days;
+}
+
+// 日付フォルダの内容（records）がアーカイブのその日の行に完全に含まれているか
+function containsDay(lines = [], records) {
+  const archived = new Map();
+  lines.forEach(line => {
+    const record = JSON.parse(line);
+    archived.set(record.file, record);
+  });
+  return records.length > 0 && records.every(record => {
+    const stored = archived.get(record.file);
+    return stored && JSON.stringify(stored) === JSON.stringify(record);
+  });
+}
+
+// 同じ月の日付フォルダをまとめてアーカイブに追加する（未登録か内容の違う日のみ）
+// 追記ではなく、既存の行（追加する日の古い行を除く）と合わせて月に1回だけ書き直し、一時ファイルから置き換える。
+// 途中で止まっても月のアーカイブ全体が読めなくなることはない
+// 戻り値: { archived: 書き込んだ日, failures: 日付 → 削除してはいけない理由 }
+async function archiveMonth(archiveFile, days) {
+  const linesByDate = await readArchiveDays(archiveFile);
+  const archived = [];
+  const failures = new Map();
+  const expected = new Map();
+
+  days.forEach(({ date, dateDir }) => {
+    let records;
+    try {
+      records = readDayRecords(dateDir, date);
+    } catch (error) {
+      failures.set(date, error.message);
+      return;
+    }
+    expected.set(date, records);
+    if (!containsDay(linesByDate.get(date), records)) {
+      linesByDate.set(date, records.map(record => JSON.stringify(record)));
+      archived.push(date);
+    }
+  });
+
+  if (archived.length > 0) {
+    fs.mkdirSync(path.dirname(archiveFile), { recursive: true });
+    writeFileAtomic(archiveFile, zlib.gzipSync([...linesByDate.values()].flat().join('\n') + '\n'));
+  }
+
+  // 削除前にアーカイブの内容を読み直して確認する
+  const stored = await readArchiveDays(archiveFile);
+  expected.forEach((records, date) => {
+    if (!containsDay(stored.get(date), records)) {
+      failures.set(date, `archive verification failed for ${date}`);
+    }
+  });
+
+  return { archived: archived.filter(date => !failures.has(date)), failures };
+}
+
+// 保持ポリシーを適用
+async function applyRetention(baseDataDir, policy, options = {}) {
+  const today = options.today || new Date().toISOString().split('T')[0];
+  const dryRun = !!options.dryRun;
+  const archiveDir = path.resolve(baseDataDir, policy.archiveDir);
+  const plan = planRetention(listDateFolders(baseDataDir), policy, today);
+  const result = { kept: [], deleted: [], archived: [], failed: [] };
+
+  // 削除する日は月ごとにまとめて処理する
+  const months = new Map();
+  plan.forEach(entry => {
+    if (entry.action === 'keep') {
+      result.kept.push(entry);
+      return;
+    }
+    if (dryRun) {
+      console.log(`[dry-run] Would delete ${entry.date} (${entry.tier})${policy.archive ? ' after archiving' : ''}`);
+      result.deleted.push(entry);
+      return;
+    }
+    const archiveFile = archiveFileFor(archiveDir, entry.date);
+    if (!months.has(archiveFile)) months.set(archiveFile, []);
+    months.get(archiveFile).push(entry);
+  });
+
+  for (const [archiveFile, entries] of months) {
+    let archived = [];
+    let failures = new Map();
+    if (policy.archive) {
+      try {
+        ({ archived, failures } = await archiveMonth(archiveFile, entries.map(entry => ({ date: entry.date, dateDir: path.join(baseDataDir, entry.date) }))));
+      } catch (error) {
+        // 月のアーカイブが読めなければ、その月の日はどれも消さない
+        failures = new Map(entries.map(entry => [entry.date, error.message]));
+      }
+    }
+
+    entries.forEach(entry => {
+      if (failures.has(entry.date)) {
+        console.error(`Keeping ${entry.date}: ${failures.get(entry.date)}`);
+        result.failed.push(entry.date);
+        return;
+      }
+      if (archived.includes(entry.date)) {
+        result.archived.push(entry.date);
+      }
+      console.log(`Deleting old folder: ${entry.date} (${entry.tier})`);
+      fs.rmSync(path.join(baseDataDir, entry.date), { recursive: true, force: true });
+      result.deleted.push(entry);
+    });
+  }
+
+  return result;
+}
+
+module.exports = {
+  DEFAULT_RETENTION_POLICY,
+  loadRetentionPolicy,
+  planRetention,
+  readArchivedDay,
+  applyRetention
+};
@@ -0,0 +1,230 @@
+// sample-growth.js
+// 累積値のスナップショットから、日毎に増えた報告数（周回数・ドロップ数の差分）を求める
+//
+// Penguin Statsの times / quantity は集計開始からの累積なので、前日との差がその日に届いた報告になる。
+// 差分から「今週よく周回されたステージ」と、直近の報告だけから見たドロップ率を出す。
+// 累積のドロップ率では埋もれてしまうドロップテーブルの変更を見つけるのに使う。
+const { dropRateInterval, DEFAULT_SAMPLE_OPTIONS } = require('./drop-stats');
+const { itemSampleSize } = require('./efficiency');
+
+// 既定の設定
+const DEFAULT_GROWTH_OPTIONS = {
+  windowDays: 7,   // 直近とみなす日数
+  topN: 20,        // よく周回されたステージの件数
+  minTimes: 100,   // 直近のドロップ率を出す最小の周回数
+  minShift: 0.1,   // 累積のドロップ率との相対差がこれ未満なら区間から外れていても shifted にしない
+  z: DEFAULT_SAMPLE_OPTIONS.z
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// 同じドロップテーブルの期間のレコードか
+// 同じステージでも期間毎にレコードがあり、スナップショットのstageInfoはどの期間のものか日によって変わる
+function sameStageWindow(a, b) {
+  return a.start === b.start && (a.end ?? null) === (b.end ?? null);
+}
+
+// 2つの日付（YYYY-MM-DD）の差（日数）
+function daysBetween(fromDate, toDate) {
+  return Math.round((Date.parse(toDate) - Date.parse(fromDate)) / DAY_MS);
+}
+
+// 前回と今回のスナップショットの差分（その間に届いた報告）
+// アイテムは開催中の期間のレコードから取られるので、ステージの周回数の増分はアイテム毎の周回数の増分の最大値を使う。
+// 比べられるアイテムが無く、stageInfoの期間も違うステージは skippedStages に、
+// 累積値が減ったもの（報告の取り消し）は corrections に入れる
+function computeDailyDeltas(previous, current, fromDate, toDate) {
+  const stages = {};
+  const skippedStages = [];
+  const corrections = [];
+
+  Object.keys(current.data).sort().forEach(stageId => {
+    const before = previous.data[stageId];
+    const after = current.data[stageId];
+    if (!before) {
+      return;
+    }
+
+    const items = {};
+    let compared = 0;
+    Object.entries(after.items).forEach(([itemId, item]) => {
+      const beforeItem = before.items[itemId];
+      if (!beforeItem) {
+        return;
+      }
+      compared++;
+      const quantity = item.quantity - beforeItem.quantity;
+      const itemTimes = itemSampleSize(item, after.stageInfo.times) - itemSampleSize(beforeItem, before.stageInfo.times);
+      if (quantity < 0 || itemTimes < 0) {
+        corrections.push({ stageId, itemId, quantity, times: itemTimes });
+        return;
+      }
+      if (quantity > 0 || itemTimes > 0) {
+        items[itemId] = { quantity, times: itemTimes };
+      }
+    });
+
+    let times;
+    if (compared > 0) {
+      times = Math.max(0, ...Object.values(items).map(item => item.times));
+    } else if (sameStageWindow(before.stageInfo, after.stageInfo)) {
+      times = after.stageInfo.times - before.stageInfo.times;
+      if (times < 0) {
+        corrections.push({ stageId, times });
+        return;
+      }
+    } else {
+      skippedStages.push(stageId);
+      return;
+    }
+
+    if (times > 0 || Object.keys(items).length > 0) {
+      stages[stageId] = { times, items };
+    }
+  });
+
+  return {
+    from: fromDate,
+    to: toDate,
+    days: daysBetween(fromDate, toDate),
+    totalTimes: Object.values(stages).reduce((sum, stage) => sum + stage.times, 0),
+    stages,
+    skippedStages,
+    corrections
+  };
+}
+
+// 日付順のスナップショット（[{ date, snapshot }]）から隣り合う日の差分を並べる
+function buildDailyDeltas(series) {
+  const deltas = [];
+  for (let i = 1; i < series.length; i++) {
+    deltas.push(computeDailyDeltas(series[i - 1].snapshot, series[i].snapshot, series[i - 1].date, series[i].date));
+  }
+  return deltas;
+}
+
+// ステージの表示用の情報（stageMetaが無い古いスナップショットは渡されたメタデータで補う）
+function stageLabel(snapshot, stageId, metadata) {
+  const stage = snapshot.data[stageId];
+  const meta = (stage && stage.stageMeta) || (metadata && metadata.stages[stageId]) || null;
+  return {
+    code: meta ? meta.code : null,
+    zoneId: meta ? meta.zoneId : null
+  };
+}
+
+// 期間中によく周回されたステージ（周回数の多い順）
+function mostFarmedStages(deltas, snapshot, options = {}) {
+  const { topN, metadata } = { ...DEFAULT_GROWTH_OPTIONS, ...options };
+  const totals = new Map();
+  deltas.forEach(delta => {
+    Object.entries(delta.stages).forEach(([stageId, stage]) => {
+      totals.set(stageId, (totals.get(stageId) || 0) + stage.times);
+    });
+  });
+  const totalTimes = Array.from(totals.values()).reduce((sum, times) => sum + times, 0);
+
+  return Array.from(totals.entries())
+    .filter(([, times]) => times > 0)
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .slice(0, topN)
+    .map(([stageId, times]) => ({
+      stageId,
+      ...stageLabel(snapshot, stageId, metadata),
+      times,
+      share: totalTimes > 0 ? Number((times / totalTimes).toFixed(4)) : 0
+    }));
+}
+
+// 直近の報告だけから見たドロップ率（累積のドロップ率と区間も並べる）
+// 累積のドロップ率が直近の区間から外れ、minShift 以上離れていれば shifted を付ける（ドロップテーブルが変わった可能性）
+// 周回数の多いステージでは僅かな差でも区間から外れるので、相対差でも絞り込む
+function recentDropRates(deltas, snapshot, options = {}) {
+  const { minTimes, minShift, z, metadata } = { ...DEFAULT_GROWTH_OPTIONS, ...options };
+  const sums = {};
+  deltas.forEach(delta => {
+    Object.entries(delta.stages).forEach(([stageId, stage]) => {
+      Object.entries(stage.items).forEach(([itemId, item]) => {
+        sums[stageId] = sums[stageId] || {};
+        const sum = sums[stageId][itemId] || { quantity: 0, times: 0 };
+        sum.quantity += item.quantity;
+        sum.times += item.times;
+        sums[stageId][itemId] = sum;
+      });
+    });
+  });
+
+  const rates = {};
+  Object.keys(sums).sort().forEach(stageId => {
+    const stage = snapshot.data[stageId];
+    const items = {};
+    Object.keys(sums[stageId]).sort().forEach(itemId => {
+      const { quantity, times } = sums[stageId][itemId];
+      const cumulative = stage && stage.items[itemId];
+      if (times < minTimes || !cumulative) {
+        return;
+      }
+      const [low, high] = dropRateInterval(quantity, cumulative.stdDev, times, z);
+      const dropRate = quantity / times;
+      const shift = cumulative.dropRate > 0 ? Math.abs(dropRate - cumulative.dropRate) / cumulative.dropRate : Infinity;
+      items[itemId] = {
+        times,
+        quantity,
+        dropRate: Number(dropRate.toFixed(6)),
+        ci: [Number(low.toFixed(6)), Number(high.toFixed(6))],
+        allTimeDropRate: cumulative.dropRate,
+        shifted: (cumulative.dropRate < low || cumulative.dropRate > high) && shift >= minShift
+      };
+    });
+    if (Object.keys(items).length > 0) {
+      rates[stageId] = { ...stageLabel(snapshot, stageId, metadata), items };
+    }
+  });
+  return rates;
+}
+
+// 1サーバー分のレポート
+// series: 期間内の日付順のスナップショット [{ date, snapshot }]（最後が対象日）
+// options: windowDays, topN, minTimes, minShift, z, metadata（stageMetaが無いときのステージ名）
+function buildSampleGrowth(series, options = {}) {
+  const settings = { ...DEFAULT_GROWTH_OPTIONS, ...options };
+  const deltas = buildDailyDeltas(series);
+  const latest = series[series.length - 1].snapshot;
+  const rates = recentDropRates(deltas, latest, settings);
+  const shifted = [];
+  Object.entries(rates).forEach(([stageId, stage]) => {
+    Object.entries(stage.items).forEach(([itemId, item]) => {
+      if (item.shifted) {
+        shifted.push({ stageId, code: stage.code, itemId, dropRate: item.dropRate, allTimeDropRate: item.allTimeDropRate, times: item.times });
+      }
+    });
+  });
+
+  return {
+    window: { from: series[0].date, to: series[series.length - 1].date, dates: series.map(entry => entry.date) },
+    totalTimes: deltas.reduce((sum, delta) => sum + delta.totalTimes, 0),
+    // 日毎のステージの周回数の増分（アイテム毎の増分は recentDropRates に集計済み）
+    daily: deltas.map(delta => ({
+      from: delta.from,
+      to: delta.to,
+      days: delta.days,
+      totalTimes: delta.totalTimes,
+      stages: Object.fromEntries(Object.entries(delta.stages).filter(([, stage]) => stage.times > 0).map(([stageId, stage]) => [stageId, stage.times])),
+      skippedStages: delta.skippedStages.length,
+      corrections: delta.corrections.length
+    })),
+    mostFarmed: mostFarmedStages(deltas, latest, settings),
+    shifted,
+    recentDropRates: rates
+  };
+}
+
+module.exports = {
+  DEFAULT_GROWTH_OPTIONS,
+  sameStageWindow,
+  computeDailyDeltas,
+  buildDailyDeltas,
+  mostFarmedStages,
+  recentDropRates,
+  buildSampleGrowth
+};
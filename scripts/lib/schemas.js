@@ -0,0 +1,573 @@
+// schemas.js
+// Penguin Stats APIのレスポンスと、このリポジトリが出力するファイルのスキーマ
+const { validate } = require('./validator');
+
+const DATE_PATTERN = '^\\d{4}-\\d{2}-\\d{2}$';
+const DATE_TIME_PATTERN = '^\\d{4}-\\d{2}-\\d{2}T\\d{2}:\\d{2}:\\d{2}(\\.\\d+)?Z$';
+
+// ステージ分類のカテゴリ
+const STAGE_CATEGORIES = ['main', 'event', 'rerun', 'permanent', 'side_story', 'weekly', 'annihilation'];
+
+// ステージタイプ登録簿の状態（new: 検出のみ・未確認, active: 確認済み, ignored: 対象外）
+const REGISTRY_STATUSES = ['new', 'active', 'ignored'];
+
+const nonNegativeInteger = { type: 'integer', minimum: 0 };
+const nonNegativeNumber = { type: 'number', minimum: 0 };
+
+// /result/matrix のレスポンス
+const rawMatrixSchema = {
+  type: 'object',
+  required: ['matrix'],
+  properties: {
+    matrix: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['stageId', 'itemId', 'quantity', 'times', 'start', 'end'],
+        properties: {
+          stageId: { type: 'string', pattern: '^\\S+$' },
+          itemId: { type: 'string', pattern: '^\\S+$' },
+          quantity: nonNegativeInteger,
+          times: nonNegativeInteger,
+          stdDev: nonNegativeNumber,
+          start: nonNegativeInteger,
+          end: { type: ['integer', 'null'], minimum: 0 }
+        }
+      }
+    }
+  }
+};
+
+// penguin-stats-<server>.json
+const serverSnapshotSchema = {
+  type: 'object',
+  required: ['fetchedAt', 'dataCount', 'stageCount', 'data'],
+  properties: {
+    fetchedAt: { type: 'string', pattern: DATE_TIME_PATTERN },
+    dataCount: nonNegativeInteger,
+    stageCount: nonNegativeInteger,
+    stale: { type: 'boolean' },
+    staleSince: { type: 'string', pattern: DATE_PATTERN },
+    sampleStats: {
+      type: 'object',
+      required: ['method', 'z', 'lowSampleThreshold', 'minTimes'],
+      properties: {
+        method: { type: 'string', enum: ['wilson'] },
+        z: nonNegativeNumber,
+        lowSampleThreshold: nonNegativeInteger,
+        minTimes: nonNegativeInteger,
+        lowSampleRecords: nonNegativeInteger,
+        filteredRecords: nonNegativeInteger
+      }
+    },
+    itemMeta: {
+      type: 'object',
+      additionalProperties: {
+        type: 'object',
+        required: ['name'],
+        properties: {
+          name: { type: 'string' },
+          name_i18n: { type: 'object', additionalProperties: { type: ['string', 'null'] } }
+        }
+      }
+    },
+    data: {
+      type: 'object',
+      additionalProperties: {
+        type: 'object',
+        required: ['stageInfo', 'items'],
+        properties: {
+          stageMeta: {
+            type: ['object', 'null'],
+            required: ['code', 'zoneId', 'apCost', 'stageType'],
+            properties: {
+              code: { type: 'string' },
+              code_i18n: { type: 'object', additionalProperties: { type: ['string', 'null'] } },
+              zoneId: { type: 'string' },
+              zoneName: { type: ['string', 'null'] },
+              zoneName_i18n: { type: 'object', additionalProperties: { type: ['string', 'null'] } },
+              apCost: { type: ['integer', 'null'], minimum: 0 },
+              stageType: { type: ['string', 'null'] }
+            }
+          },
+          stageInfo: {
+            type: 'object',
+            required: ['times', 'start', 'end', 'fetchedAt'],
+            properties: {
+              times: nonNegativeInteger,
+              start: nonNegativeInteger,
+              end: { type: ['integer', 'null'], minimum: 0 },
+              latestEnd: { type: ['integer', 'null'], minimum: 0 },
+              fetchedAt: { type: 'string', pattern: DATE_TIME_PATTERN }
+            }
+          },
+          items: {
+            type: 'object',
+            additionalProperties: {
+              type: 'object',
+              required: ['quantity', 'dropRate', 'dropPercentage'],
+              properties: {
+                quantity: nonNegativeInteger,
+                stdDev: nonNegativeNumber,
+                dropRate: nonNegativeNumber,
+                dropPercentage: { type: 'string', pattern: '^\\d+\\.\\d{2}$' },
+                times: nonNegativeInteger,
+                ci: { type: 'array', items: nonNegativeNumber },
+                lowSample: { type: 'boolean' }
+              }
+            }
+          }
+        }
+      }
+    }
+  }
+};
+
+// summary.json（latest.jsonはこれにlatestDataPathを加えたもの）
+const summarySchema = {
+  type: 'object',
+  required: ['date', 'fetchedAt', 'servers', 'totalStages', 'totalRecords'],
+  properties: {
+    date: { type: 'string', pattern: DATE_PATTERN },
+    fetchedAt: { type: 'string', pattern: DATE_TIME_PATTERN },
+    servers: { type: 'array', items: { type: 'string', enum: ['CN', 'US', 'JP', 'KR'] } },
+    staleServers: { type: 'array', items: { type: 'string', enum: ['CN', 'US', 'JP', 'KR'] } },
+    totalStages: nonNegativeInteger,
+    totalRecords: nonNegativeInteger,
+    storageMode: { type: 'string', enum: ['full', 'delta'] },
+    latestDataPath: { type: 'string', pattern: DATE_PATTERN },
+    serverData: {
+      type: 'object',
+      propertyNames: { pattern: '^(CN|US|JP|KR)$' },
+      additionalProperties: serverSnapshotSchema
+    }
+  }
+};
+
+// metadata-<server>.json
+const metadataSchema = {
+  type: 'object',
+  required: ['fetchedAt', 'items', 'stages', 'zones'],
+  properties: {
+    fetchedAt: { type: 'string', pattern: DATE_TIME_PATTERN },
+    items: {
+      type: 'object',
+      additionalProperties: { type: 'object', required: ['name'], properties: { name: { type: 'string' } } }
+    },
+    stages: {
+      type: 'object',
+      additionalProperties: {
+        type: 'object',
+        required: ['code', 'zoneId'],
+        properties: {
+          code: { type: 'string' },
+          zoneId: { type: 'string' },
+          apCost: { type: ['integer', 'null'], minimum: 0 }
+        }
+      }
+    },
+    zones: {
+      type: 'object',
+      additionalProperties: { type: 'object', required: ['zoneName'], properties: { zoneName: { type: 'string' } } }
+    }
+  }
+};
+
+// stage-types-detail.json / new-stage-types.json
+// （avgConfidenceはルール分類導入前のファイルにのみ存在する）
+const stageTypesSchema = {
+  type: 'array',
+  items: {
+    type: 'object',
+    required: ['stageType', 'count', 'examples', 'allStageIds', 'isNew'],
+    properties: {
+      stageType: { type: 'string' },
+      categories: {
+        type: 'object',
+        propertyNames: { pattern: `^(${STAGE_CATEGORIES.join('|')})$` },
+        additionalProperties: nonNegativeInteger
+      },
+      count: nonNegativeInteger,
+      examples: { type: 'string' },
+      avgConfidence: { type: 'string', pattern: '^\\d\\.\\d{3}$' },
+      allStageIds: { type: 'array', items: { type: 'string' } },
+      isNew: { type: 'boolean' }
+    }
+  }
+};
+
+// config/stage-rules.json
+const stageRulesSchema = {
+  type: 'object',
+  required: ['rules'],
+  properties: {
+    description: { type: 'string' },
+    rules: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['name', 'pattern', 'category', 'group'],
+        additionalProperties: false,
+        properties: {
+          name: { type: 'string', pattern: '^\\S+$' },
+          pattern: { type: 'string', pattern: '^\\^.*\\$$' },
+          category: { enum: STAGE_CATEGORIES },
+          group: { type: 'string', pattern: '^\\S+$' },
+          description: { type: 'string' }
+        }
+      }
+    }
+  }
+};
+
+// ステージの除外ルールを使う処理（fetch: 保存するスナップショット, analysis: ステージタイプ分析）
+const STAGE_FILTER_SCOPES = ['fetch', 'analysis'];
+
+// config/stage-filters.json の1つのルール（prefix・pattern・categoryのどれか1つで判定する）
+const stageFilterRuleSchema = {
+  type: 'object',
+  required: ['name', 'action'],
+  additionalProperties: false,
+  properties: {
+    name: { type: 'string', pattern: '^\\S+$' },
+    action: { enum: ['include', 'exclude'] },
+    prefix: { type: 'string', pattern: '^\\S+$' },
+    pattern: { type: 'string' },
+    category: { enum: STAGE_CATEGORIES },
+    scopes: { type: 'array', items: { enum: STAGE_FILTER_SCOPES } },
+    description: { type: 'string' }
+  }
+};
+
+// config/stage-filters.json
+const stageFiltersSchema = {
+  type: 'object',
+  required: ['rules'],
+  additionalProperties: false,
+  properties: {
+    description: { type: 'string' },
+    keepExcluded: { type: 'boolean' },
+    rules: { type: 'array', items: stageFilterRuleSchema },
+    servers: {
+      type: 'object',
+      propertyNames: { pattern: '^(CN|US|JP|KR)$' },
+      additionalProperties: {
+        type: 'object',
+        additionalProperties: false,
+        properties: {
+          keepExcluded: { type: 'boolean' },
+          rules: { type: 'array', items: stageFilterRuleSchema }
+        }
+      }
+    }
+  }
+};
+
+// data/stage-types-registry.json
+const stageTypeRegistrySchema = {
+  type: 'object',
+  required: ['version', 'types'],
+  properties: {
+    version: { enum: [1] },
+    types: {
+      type: 'object',
+      propertyNames: { pattern: '^\\S+$' },
+      additionalProperties: {
+        type: 'object',
+        required: ['status', 'category', 'names', 'firstSeen', 'syncedAt', 'notes'],
+        additionalProperties: false,
+        properties: {
+          status: { enum: REGISTRY_STATUSES },
+          category: { enum: [...STAGE_CATEGORIES, null] },
+          names: {
+            type: 'object',
+            required: ['ja', 'en', 'zh'],
+            additionalProperties: false,
+            properties: {
+              ja: { type: 'string' },
+              en: { type: 'string' },
+              zh: { type: 'string' }
+            }
+          },
+          firstSeen: { type: ['string', 'null'], pattern: DATE_PATTERN },
+          syncedAt: { type: ['string', 'null'], pattern: DATE_TIME_PATTERN },
+          notes: { type: 'string' }
+        }
+      }
+    }
+  }
+};
+
+// data/index.json のファイル記述（dataDirからの相対パス・サイズ・SHA-256）
+const fileEntrySchema = {
+  type: 'object',
+  required: ['path', 'size', 'sha256'],
+  additionalProperties: false,
+  properties: {
+    path: { type: 'string' },
+    size: nonNegativeInteger,
+    sha256: { type: 'string', pattern: '^[0-9a-f]{64}$' }
+  }
+};
+
+// data/index.json（静的APIのマニフェスト）
+const manifestSchema = {
+  type: 'object',
+  required: ['version', 'generatedAt', 'latestDate', 'servers', 'api', 'latest', 'dates', 'history', 'archives'],
+  properties: {
+    version: { enum: [1] },
+    generatedAt: { type: 'string', pattern: DATE_TIME_PATTERN },
+    latestDate: { type: 'string', pattern: DATE_PATTERN },
+    servers: { type: 'array', items: { type: 'string', enum: ['CN', 'US', 'JP', 'KR'] } },
+    api: {
+      type: 'object',
+      propertyNames: { pattern: '^(CN|US|JP|KR)$' },
+      additionalProperties: {
+        type: 'object',
+        required: ['date', 'fetchedAt', 'stale', 'stageCount', 'itemCount', 'path'],
+        properties: {
+          date: { type: 'string', pattern: DATE_PATTERN },
+          fetchedAt: { type: 'string', pattern: DATE_TIME_PATTERN },
+          stale: { type: 'boolean' },
+          stageCount: nonNegativeInteger,
+          itemCount: nonNegativeInteger,
+          path: { type: 'string' }
+        }
+      }
+    },
+    latest: { type: 'array', items: fileEntrySchema },
+    dates: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['date', 'servers', 'staleServers', 'storageMode', 'files'],
+        properties: {
+          date: { type: 'string', pattern: DATE_PATTERN },
+          servers: { type: 'array', items: { type: 'string', enum: ['CN', 'US', 'JP', 'KR'] } },
+          staleServers: { type: 'array', items: { type: 'string', enum: ['CN', 'US', 'JP', 'KR'] } },
+          storageMode: { enum: ['full', 'delta'] },
+          files: { type: 'array', items: fileEntrySchema }
+        }
+      }
+    },
+    history: { type: 'array', items: fileEntrySchema },
+    archives: { type: 'array', items: fileEntrySchema }
+  }
+};
+
+// ヘルスレポートの異常の重大度
+const HEALTH_SEVERITIES = ['warning', 'severe'];
+
+// data/<date>/health.json（取得結果の異常検出レポート）
+const healthReportSchema = {
+  type: 'object',
+  required: ['date', 'generatedAt', 'status', 'baselineDates', 'policy', 'anomalyCount', 'servers'],
+  properties: {
+    date: { type: 'string', pattern: DATE_PATTERN },
+    generatedAt: { type: 'string', pattern: DATE_TIME_PATTERN },
+    status: { enum: ['ok', ...HEALTH_SEVERITIES] },
+    baselineDates: { type: 'array', items: { type: 'string', pattern: DATE_PATTERN } },
+    policy: { type: 'object' },
+    anomalyCount: {
+      type: 'object',
+      required: ['warning', 'severe'],
+      properties: { warning: nonNegativeInteger, severe: nonNegativeInteger }
+    },
+    servers: {
+      type: 'object',
+      propertyNames: { pattern: '^(CN|US|JP|KR)$' },
+      additionalProperties: {
+        type: 'object',
+        required: ['status', 'metrics', 'baseline', 'anomalies'],
+        properties: {
+          status: { enum: ['ok', ...HEALTH_SEVERITIES] },
+          metrics: {
+            type: ['object', 'null'],
+            required: ['stageCount', 'recordCount'],
+            properties: { stageCount: nonNegativeInteger, recordCount: nonNegativeInteger }
+          },
+          baseline: {
+            type: ['object', 'null'],
+            required: ['days', 'stageCount', 'recordCount'],
+            properties: { days: nonNegativeInteger, stageCount: nonNegativeNumber, recordCount: nonNegativeNumber }
+          },
+          anomalies: {
+            type: 'array',
+            items: {
+              type: 'object',
+              required: ['type', 'severity', 'message'],
+              properties: {
+                type: { type: 'string' },
+                severity: { enum: HEALTH_SEVERITIES },
+                message: { type: 'string' }
+              }
+            }
+          }
+        }
+      }
+    }
+  }
+};
+
+// /result/matrix のレスポンスを検証
+function validateRawMatrix(payload) {
+  return validate(payload, rawMatrixSchema);
+}
+
+// サーバー別スナップショットを検証（件数の整合性も確認）
+function validateServerSnapshot(snapshot, root = '') {
+  const errors = validate(snapshot, serverSnapshotSchema, { root });
+  if (errors.length > 0) {
+    return errors;
+  }
+
+  const stageIds = Object.keys(snapshot.data);
+  const itemCount = stageIds.reduce((sum, stageId) => sum + Object.keys(snapshot.data[stageId].items).length, 0);
+  if (snapshot.stageCount !== stageIds.length) {
+    errors.push(`${root}/stageCount: ${snapshot.stageCount} does not match ${stageIds.length} stages in data`);
+  }
+  if (snapshot.dataCount !== itemCount) {
+    errors.push(`${root}/dataCount: ${snapshot.dataCount} does not match ${itemCount} item records in data`);
+  }
+  stageIds.forEach(stageId => {
+    Object.entries(snapshot.data[stageId].items).forEach(([itemId, item]) => {
+      if (item.ci && (item.ci.length !== 2 || item.ci[0] > item.ci[1])) {
+        errors.push(`${root}/data/${stageId}/items/${itemId}/ci: must be [low, high] with low <= high`);
+      }
+    });
+  });
+  return errors;
+}
+
+// summary.json を検証（合計値とサーバー一覧の整合性も確認）
+function validateSummary(summary) {
+  const errors = validate(summary, summarySchema);
+  if (errors.length > 0 || !summary.serverData) {
+    return errors;
+  }
+
+  Object.entries(summary.serverData).forEach(([server, snapshot]) => {
+    errors.push(...validateServerSnapshot(snapshot, `/serverData/${server}`));
+  });
+
+  const servers = Object.keys(summary.serverData);
+  if (servers.join(',') !== summary.servers.join(',')) {
+    errors.push(`/servers: [${summary.servers.join(', ')}] does not match serverData keys [${servers.join(', ')}]`);
+  }
+  const totalStages = Object.values(summary.serverData).reduce((sum, snapshot) => sum + snapshot.stageCount, 0);
+  const totalRecords = Object.values(summary.serverData).reduce((sum, snapshot) => sum + snapshot.dataCount, 0);
+  if (summary.totalStages !== totalStages) {
+    errors.push(`/totalStages: ${summary.totalStages} does not match sum of stageCount (${totalStages})`);
+  }
+  if (summary.totalRecords !== totalRecords) {
+    errors.push(`/totalRecords: ${summary.totalRecords} does not match sum of dataCount (${totalRecords})`);
+  }
+  return errors;
+}
+
+// metadata-<server>.json を検証
+function validateMetadata(metadata) {
+  return validate(metadata, metadataSchema);
+}
+
+// stage-types-detail.json を検証
+function validateStageTypes(stageTypes) {
+  return validate(stageTypes, stageTypesSchema);
+}
+
+// data/stage-types-registry.json を検証
+function validateStageTypeRegistry(registry) {
+  return validate(registry, stageTypeRegistrySchema);
+}
+
+// data/index.json を検証
+function validateManifest(manifest) {
+  return validate(manifest, manifestSchema);
+}
+
+// data/<date>/health.json を検証
+function validateHealthReport(report) {
+  return validate(report, healthReportSchema);
+}
+
+// config/stage-rules.json を検証（正規表現として解釈できるかも確認）
+function validateStageRules(ruleSet) {
+  const errors = validate(ruleSet, stageRulesSchema);
+  if (errors.length > 0) {
+    return errors;
+  }
+
+  const names = new Set();
+  ruleSet.rules.forEach((rule, index) => {
+    if (names.has(rule.name)) {
+      errors.push(`/rules/${index}/name: duplicate rule name "${rule.name}"`);
+    }
+    names.add(rule.name);
+    try {
+      new RegExp(rule.pattern);
+    } catch (error) {
+      errors.push(`/rules/${index}/pattern: ${error.message}`);
+    }
+  });
+  return errors;
+}
+
+// config/stage-filters.json を検証（判定方法が1つだけか、正規表現として解釈できるかも確認）
+function validateStageFilters(config) {
+  const errors = validate(config, stageFiltersSchema);
+  if (errors.length > 0) {
+    return errors;
+  }
+
+  const ruleLists = [['/rules', config.rules]];
+  Object.entries(config.servers || {}).forEach(([server, override]) => {
+    ruleLists.push([`/servers/${server}/rules`, override.rules || []]);
+  });
+  ruleLists.forEach(([pointer, rules]) => {
+    const names = new Set();
+    rules.forEach((rule, index) => {
+      if (names.has(rule.name)) {
+        errors.push(`${pointer}/${index}/name: duplicate rule name "${rule.name}"`);
+      }
+      names.add(rule.name);
+      const matchers = ['prefix', 'pattern', 'category'].filter(key => rule[key] !== undefined);
+      if (matchers.length !== 1) {
+        errors.push(`${pointer}/${index}: must have exactly one of prefix, pattern, category`);
+      }
+      if (rule.pattern !== undefined) {
+        try {
+          new RegExp(rule.pattern);
+        } catch (error) {
+          errors.push(`${pointer}/${index}/pattern: ${error.message}`);
+        }
+      }
+    });
+  });
+  return errors;
+}
+
+module.exports = {
+  STAGE_CATEGORIES,
+  STAGE_FILTER_SCOPES,
+  REGISTRY_STATUSES,
+  rawMatrixSchema,
+  serverSnapshotSchema,
+  summarySchema,
+  metadataSchema,
+  stageTypesSchema,
+  stageRulesSchema,
+  stageFiltersSchema,
+  stageTypeRegistrySchema,
+  manifestSchema,
+  healthReportSchema,
+  validateRawMatrix,
+  validateServerSnapshot,
+  validateSummary,
+  validateMetadata,
+  validateStageTypes,
+  validateStageRules,
+  validateStageFilters,
+  validateStageTypeRegistry,
+  validateManifest,
+  validateHealthReport
+};
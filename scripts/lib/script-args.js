@@ -0,0 +1,113 @@
+// script-args.js
+// 各スクリプトを単体で実行するときのコマンドライン引数の解析
+//
+// フラグは --name=value（真偽値のフラグは --name）の形だけを受け付ける。
+// 知らないフラグ、数値でない値、多すぎる位置引数は使い方付きのエラー（code: 'EUSAGE'）にする。
+// 位置引数は日付（YYYY-MM-DD）と、spec.args で名前を付けた引数（サブコマンドやファイル名）だけを取る。
+const SERVERS = ['CN', 'US', 'JP', 'KR'];
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// 値の変換（不正ならnull）
+const CONVERTERS = {
+  string: value => value,
+  number: value => (value.trim() !== '' && Number.isFinite(Number(value)) ? Number(value) : null),
+  count: value => (/^\d+$/.test(value) ? Number(value) : null),
+  list: value => {
+    const list = value.split(',').map(entry => entry.trim()).filter(Boolean);
+    return list.length > 0 ? list : null;
+  },
+  servers: value => {
+    const servers = value.split(',').map(entry => entry.trim().toUpperCase()).filter(Boolean);
+    return servers.length > 0 && servers.every(server => SERVERS.includes(server)) ? servers : null;
+  },
+  server: value => (SERVERS.includes(value.trim().toUpperCase()) ? value.trim().toUpperCase() : null)
+};
+
+// 変換できなかったときの説明
+const EXPECTED = {
+  string: 'requires a value',
+  number: 'must be a number',
+  count: 'must be a non-negative integer',
+  list: 'must be a comma-separated list',
+  servers: `must be a comma-separated list of ${SERVERS.join(', ')}`,
+  server: `must be one of ${SERVERS.join(', ')}`
+};
+
+// 使い方付きのエラー
+function usageError(message, usage) {
+  const error = new Error(`${message}\nUsage: ${usage}`);
+  error.code = 'EUSAGE';
+  return error;
+}
+
+// 引数を解析する
+// spec.usage: 使い方（1行）, spec.flags: { 名前（--を除く）: 'boolean' | 'string' | 'number' | 'count' | 'list' | 'servers' | 'server' }
+// spec.maxDates: 位置引数（日付）の最大数（既定は1）
+// spec.args: 日付以外の位置引数の名前（現れた順に割り当てる、既定は無し）
+// 戻り値: { flags: { 名前: 値 }, dates: [], args: { 名前: 値 } }
+function parseScriptArgs(argv, spec) {
+  const { usage, flags: types = {}, maxDates = 1, args: argNames = [] } = spec;
+  const flags = {};
+  const dates = [];
+  const args = {};
+
+  argv.forEach(arg => {
+    if (!arg.startsWith('--')) {
+      if (DATE_PATTERN.test(arg) && dates.length < maxDates) {
+        dates.push(arg);
+        return;
+      }
+      const argName = argNames[Object.keys(args).length];
+      if (argName) {
+        args[argName] = arg;
+        return;
+      }
+      if (maxDates === 0) {
+        throw usageError(`Unexpected argument: ${arg} (this script takes no date)`, usage);
+      }
+      if (!DATE_PATTERN.test(arg)) {
+        throw usageError(`Unexpected argument: ${arg} (dates must be in YYYY-MM-DD format)`, usage);
+      }
+      throw usageError(`Too many dates: ${[...dates, arg].join(' ')}`, usage);
+    }
+
+    const [name, ...rest] = arg.slice(2).split('=');
+    const type = types[name];
+    if (!type) {
+      throw usageError(`Unknown option: --${name}`, usage);
+    }
+    if (type === 'boolean') {
+      if (rest.length > 0) {
+        throw usageError(`--${name} does not take a value`, usage);
+      }
+      flags[name] = true;
+      return;
+    }
+    const value = rest.length > 0 ? CONVERTERS[type](rest.join('=')) : null;
+    if (value === null || value === '') {
+      throw usageError(`--${name} ${EXPECTED[type]}`, usage);
+    }
+    flags[name] = value;
+  });
+
+  return { flags, dates, args };
+}
+
+// 実行時の引数を解析する（不正なら使い方を表示して終了コード2で終わる）
+function parseMainArgs(parseArgs) {
+  try {
+    return parseArgs(process.argv.slice(2));
+  } catch (error) {
+    if (error.code !== 'EUSAGE') {
+      throw error;
+    }
+    console.error(error.message);
+    process.exit(2);
+  }
+}
+
+module.exports = {
+  usageError,
+  parseScriptArgs,
+  parseMainArgs
+};
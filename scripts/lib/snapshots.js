@@ -0,0 +1,74 @@
+// snapshots.js
+// 日付フォルダに保存されたサーバー別スナップショットの読み込みヘルパー
+const fs = require('fs');
+const path = require('path');
+const { reconstructSnapshot } = require('./delta-store');
+
+// YYYY-MM-DD形式のフォルダ名
+const DATE_FOLDER_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// データディレクトリ内の日付フォルダを昇順で取得
+function listDateFolders(baseDataDir) {
+  if (!fs.existsSync(baseDataDir)) {
+    return [];
+  }
+  
+  return fs.readdirSync(baseDataDir, { withFileTypes: true })
+    .filter(dirent => dirent.isDirectory())
+    .map(dirent => dirent.name)
+    .filter(name => DATE_FOLDER_PATTERN.test(name))
+    .sort();
+}
+
+// 最新の日付（latest.jsonがあればそれを優先）
+function latestDate(baseDataDir) {
+  const latestFile = path.join(baseDataDir, 'latest.json');
+  if (fs.existsSync(latestFile)) {
+    return JSON.parse(fs.readFileSync(latestFile, 'utf8')).latestDataPath;
+  }
+  return listDateFolders(baseDataDir).pop() || null;
+}
+
+// 対象日を決める（指定が無ければ最新の日付）
+function resolveDate(baseDataDir, requestedDate) {
+  return requestedDate || latestDate(baseDataDir);
+}
+
+// サーバー別ファイル名
+function serverFileName(server) {
+  return `penguin-stats-${server.toLowerCase()}.json`;
+}
+
+// 指定日のサーバー別スナップショットを読み込む（無ければsummary.json、差分履歴の順に探す）
+function loadServerSnapshot(baseDataDir, date, server, options = {}) {
+  const useHistory = options.useHistory !== false;
+  const dateDir = path.join(baseDataDir, date);
+  const filepath = path.join(dateDir, serverFileName(server));
+  
+  if (fs.existsSync(filepath)) {
+    return JSON.parse(fs.readFileSync(filepath, 'utf8'));
+  }
+  
+  const summaryFile = path.join(dateDir, 'summary.json');
+  if (fs.existsSync(summaryFile)) {
+    const summary = JSON.parse(fs.readFileSync(summaryFile, 'utf8'));
+    if (summary.serverData && summary.serverData[server]) {
+      return summary.serverData[server];
+    }
+  }
+  
+  if (useHistory) {
+    return reconstructSnapshot(path.join(baseDataDir, 'history'), server, date);
+  }
+  
+  return null;
+}
+
+module.exports = {
+  DATE_FOLDER_PATTERN,
+  listDateFolders,
+  latestDate,
+  resolveDate,
+  serverFileName,
+  loadServerSnapshot
+};
@@ -0,0 +1,70 @@
+// stage-classifier.js
+// config/stage-rules.json の宣言的なルールでstageIdをカテゴリとグループに分類する
+//
+// ルールは上から順に評価し、最初に一致したものを使う。
+// どのルールにも一致しないstageIdは推測せず、未分類として呼び出し側に返す。
+const fs = require('fs');
+const path = require('path');
+const { STAGE_CATEGORIES, validateStageRules } = require('./schemas');
+
+const DEFAULT_RULES_PATH = path.join(__dirname, '..', '..', 'config', 'stage-rules.json');
+
+// ルールを検証して正規表現を組み立てる
+function compileStageRules(ruleSet) {
+  const errors = validateStageRules(ruleSet);
+  if (errors.length > 0) {
+    throw new Error(`Invalid stage rules:\n  ${errors.join('\n  ')}`);
+  }
+
+  return ruleSet.rules.map(rule => ({
+    name: rule.name,
+    category: rule.category,
+    group: rule.group,
+    regex: new RegExp(rule.pattern)
+  }));
+}
+
+// ルールファイルを読み込む
+function loadStageRules(rulesPath = DEFAULT_RULES_PATH) {
+  return compileStageRules(JSON.parse(fs.readFileSync(rulesPath, 'utf8')));
+}
+
+// 1つのstageIdを分類（一致しなければnull）
+function classifyStage(stageId, rules) {
+  for (const rule of rules) {
+    if (rule.regex.test(stageId)) {
+      return {
+        category: rule.category,
+        group: stageId.replace(rule.regex, rule.group),
+        rule: rule.name
+      };
+    }
+  }
+  return null;
+}
+
+// 複数のstageIdを分類し、未分類のものを分けて返す
+function classifyStages(stageIds, rules) {
+  const classified = {};
+  const unmatched = [];
+
+  Array.from(new Set(stageIds)).sort().forEach(stageId => {
+    const result = classifyStage(stageId, rules);
+    if (result) {
+      classified[stageId] = result;
+    } else {
+      unmatched.push(stageId);
+    }
+  });
+
+  return { classified, unmatched };
+}
+
+module.exports = {
+  STAGE_CATEGORIES,
+  DEFAULT_RULES_PATH,
+  compileStageRules,
+  loadStageRules,
+  classifyStage,
+  classifyStages
+};
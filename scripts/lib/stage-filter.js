@@ -0,0 +1,140 @@
+// stage-filter.js
+// 取得（fetch）とステージタイプ分析（analysis）で共有するステージの除外ルール（config/stage-filters.json）
+//
+// ルールは上から順に評価し、最初に一致したルールの action（include / exclude）を使う。どれにも一致しなければ残す。
+// サーバー別のルールは共通のルールより先に評価するので、特定のサーバーだけ除外・除外の取り消しができる。
+const fs = require('fs');
+const path = require('path');
+const { validateStageFilters } = require('./schemas');
+const { loadStageRules, classifyStage } = require('./stage-classifier');
+
+const DEFAULT_STAGE_FILTERS_PATH = path.join(__dirname, '..', '..', 'config', 'stage-filters.json');
+
+// 設定を読み込んで検証する
+function loadStageFilterConfig(configPath = DEFAULT_STAGE_FILTERS_PATH) {
+  const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  const errors = validateStageFilters(config);
+  if (errors.length > 0) {
+    throw new Error(`Invalid stage filters in ${configPath}:\n  ${errors.join('\n  ')}`);
+  }
+  return config;
+}
+
+// 同梱の設定（config/stage-filters.json）。ライブラリとして使うときの既定で、初回の呼び出し時に読み込む
+let defaultConfig = null;
+
+function defaultStageFilterConfig() {
+  if (!defaultConfig) {
+    defaultConfig = loadStageFilterConfig();
+  }
+  return defaultConfig;
+}
+
+// 接頭辞のリストを設定の形にする（excludePatterns を指定する従来の呼び出し用）
+function prefixFilterConfig(prefixes) {
+  return {
+    rules: prefixes.map(prefix => ({ name: `prefix:${prefix}`, action: 'exclude', prefix }))
+  };
+}
+
+// 1つのルールの判定関数を作る
+function ruleMatcher(rule, getStageRules) {
+  if (rule.prefix !== undefined) {
+    const prefix = rule.prefix.toLowerCase();
+    return stageId => stageId.toLowerCase().startsWith(prefix);
+  }
+  if (rule.pattern !== undefined) {
+    const regex = new RegExp(rule.pattern);
+    return stageId => regex.test(stageId);
+  }
+  return stageId => {
+    const classification = classifyStage(stageId, getStageRules());
+    return !!classification && classification.category === rule.category;
+  };
+}
+
+// scope・server に当てはまるルールを組み立てる
+// options.stageRules: categoryの判定に使う分類ルール（省略時は config/stage-rules.json を必要なときに読む）
+// 戻り値の match(stageId) は除外するなら一致したルール名、残すならnull
+function compileStageFilter(config, scope, server = null, options = {}) {
+  const override = (server && config.servers && config.servers[server]) || {};
+  let stageRules = options.stageRules || null;
+  const getStageRules = () => {
+    if (!stageRules) {
+      stageRules = loadStageRules();
+    }
+    return stageRules;
+  };
+
+  const definitions = [...(override.rules || []), ...config.rules]
+    .filter(rule => !rule.scopes || rule.scopes.includes(scope));
+  const rules = definitions.map(rule => ({ name: rule.name, action: rule.action, test: ruleMatcher(rule, getStageRules) }));
+  // 同じstageIdのレコードが多いので判定結果を覚えておく
+  const results = new Map();
+
+  return {
+    scope,
+    server,
+    keepExcluded: override.keepExcluded !== undefined ? override.keepExcluded : !!config.keepExcluded,
+    definitions,
+    match(stageId) {
+      if (!results.has(stageId)) {
+        const rule = rules.find(candidate => candidate.test(stageId));
+        results.set(stageId, rule && rule.action === 'exclude' ? rule.name : null);
+      }
+      return results.get(stageId);
+    }
+  };
+}
+
+// stageIdを残すものと除外するものに分け、ルール毎の件数と例をまとめる
+function filterStageIds(stageIds, filter) {
+  const kept = [];
+  const excluded = {};
+  const byRule = {};
+  stageIds.forEach(stageId => {
+    const rule = filter.match(stageId);
+    if (!rule) {
+      kept.push(stageId);
+      return;
+    }
+    excluded[stageId] = rule;
+    byRule[rule] = byRule[rule] || { count: 0, examples: [] };
+    byRule[rule].count++;
+    if (byRule[rule].examples.length < 5) {
+      byRule[rule].examples.push(stageId);
+    }
+  });
+
+  return {
+    kept,
+    excluded,
+    report: {
+      scope: filter.scope,
+      server: filter.server,
+      keepExcluded: filter.keepExcluded,
+      keptStages: kept.length,
+      excludedStages: Object.keys(excluded).length,
+      rules: byRule
+    }
+  };
+}
+
+// 除外の結果をログに出す
+function logFilterReport(report) {
+  const label = report.server ? `${report.server} ${report.scope}` : report.scope;
+  console.log(`Stage filter (${label}): kept ${report.keptStages} stages, excluded ${report.excludedStages}`);
+  Object.entries(report.rules).forEach(([rule, { count, examples }]) => {
+    console.log(`   ${rule}: ${count} stages, e.g. ${examples.join(', ')}`);
+  });
+}
+
+module.exports = {
+  DEFAULT_STAGE_FILTERS_PATH,
+  loadStageFilterConfig,
+  defaultStageFilterConfig,
+  prefixFilterConfig,
+  compileStageFilter,
+  filterStageIds,
+  logFilterReport
+};
@@ -0,0 +1,100 @@
+// stage-type-analysis.js
+// サーバー別スナップショットのstageIdをステージタイプ（グループ）毎に集計する（ファイル操作なし）
+const { classifyStage } = require('./stage-classifier');
+const { defaultStageFilterConfig, prefixFilterConfig, compileStageFilter, filterStageIds } = require('./stage-filter');
+
+// ステージタイプ毎に集計する
+// snapshots: { server: snapshot }
+// options.rules: compileStageRules/loadStageRules の結果
+// options.knownTypes: 既知のステージタイプ名（含まれないものを isNew とする）
+// options.filterConfig: 分析しないステージのルール（config/stage-filters.json の内容、scopeはanalysis）
+// options.excludePatterns: filterConfigが無いときに分析しないstageIdの接頭辞（どちらも無ければ config/stage-filters.json）
+// 除外したステージは excluded（stageId毎のルールとサーバー）、サーバー毎の除外の集計は filterReports に入れる
+function analyzeStageTypes(snapshots, options) {
+  const rules = options.rules;
+  const knownTypes = new Set(options.knownTypes || []);
+  const filterConfig = options.filterConfig || (options.excludePatterns ? prefixFilterConfig(options.excludePatterns) : defaultStageFilterConfig());
+
+  const stageTypeMap = new Map();
+  const stageExamples = new Map();
+  const stageCategories = new Map();
+  const unmatchedMap = new Map();
+  const excludedMap = new Map();
+  const filterReports = [];
+
+  Object.entries(snapshots).forEach(([server, snapshot]) => {
+    const filter = compileStageFilter(filterConfig, 'analysis', server, { stageRules: rules });
+    const { kept, excluded, report } = filterStageIds(Object.keys(snapshot.data).filter(Boolean), filter);
+    filterReports.push(report);
+    Object.entries(excluded).forEach(([stageId, rule]) => {
+      if (!excludedMap.has(stageId)) {
+        excludedMap.set(stageId, { stageId, rule, servers: [] });
+      }
+      excludedMap.get(stageId).servers.push(server);
+    });
+
+    kept.forEach(stageId => {
+      // どのルールにも一致しないstageIdは推測せずに未分類として報告する
+      const classification = classifyStage(stageId, rules);
+      if (!classification) {
+        if (!unmatchedMap.has(stageId)) {
+          unmatchedMap.set(stageId, []);
+        }
+        unmatchedMap.get(stageId).push(server);
+        return;
+      }
+
+      const stageType = classification.group;
+      if (!stageTypeMap.has(stageType)) {
+        stageTypeMap.set(stageType, new Set());
+        stageExamples.set(stageType, []);
+        stageCategories.set(stageType, new Map());
+      }
+
+      // 同じstageIdが複数サーバーにあっても1回だけ数える
+      if (!stageTypeMap.get(stageType).has(stageId)) {
+        stageTypeMap.get(stageType).add(stageId);
+        const categories = stageCategories.get(stageType);
+        categories.set(classification.category, (categories.get(classification.category) || 0) + 1);
+      }
+
+      // 例を追加（最大5つ）
+      const examples = stageExamples.get(stageType);
+      if (examples.length < 5 && !examples.includes(stageId)) {
+        examples.push(stageId);
+      }
+    });
+  });
+
+  const allResults = [];
+  stageTypeMap.forEach((stageIds, stageType) => {
+    allResults.push({
+      stageType,
+      categories: Object.fromEntries(Array.from(stageCategories.get(stageType).entries()).sort()),
+      count: stageIds.size,
+      examples: stageExamples.get(stageType).join(', '),
+      allStageIds: Array.from(stageIds).sort(),
+      isNew: !knownTypes.has(stageType)
+    });
+  });
+
+  // ステージ数順、同数ならタイプ名順でソート
+  allResults.sort((a, b) => b.count - a.count || a.stageType.localeCompare(b.stageType));
+
+  const unmatched = Array.from(unmatchedMap.keys()).sort().map(stageId => ({
+    stageId,
+    servers: unmatchedMap.get(stageId)
+  }));
+
+  return {
+    allResults,
+    newResults: allResults.filter(result => result.isNew),
+    unmatched,
+    excluded: Array.from(excludedMap.keys()).sort().map(stageId => excludedMap.get(stageId)),
+    filterReports
+  };
+}
+
+module.exports = {
+  analyzeStageTypes
+};
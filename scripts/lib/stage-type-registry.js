@@ -0,0 +1,198 @@
+// stage-type-registry.js
+// ステージタイプ（stageIdのグループ）の登録簿 data/stage-types-registry.json を扱う
+//
+// 登録簿がステージタイプの正本で、各タイプの状態と日英中の名称を持つ。
+// スプレッドシートとの同期は stage-type-sync.js のアダプターで任意に行う。
+const fs = require('fs');
+const path = require('path');
+const { parseCsvRecords, formatCsv } = require('./csv');
+const { REGISTRY_STATUSES, validateStageTypeRegistry } = require('./schemas');
+const { writeFileAtomic } = require('./atomic-fs');
+
+const REGISTRY_VERSION = 1;
+const REGISTRY_FILENAME = 'stage-types-registry.json';
+const NAME_LANGUAGES = ['ja', 'en', 'zh'];
+
+// CSVの列（ヘッダー名と登録簿のフィールドの対応）
+const CSV_COLUMNS = [
+  ['Stage Type', 'stageType'],
+  ['Status', 'status'],
+  ['Category', 'category'],
+  ['Japanese Name', 'ja'],
+  ['English Name', 'en'],
+  ['Chinese Name', 'zh'],
+  ['First Seen', 'firstSeen'],
+  ['Notes', 'notes']
+];
+
+// 登録簿のパス
+function registryPath(baseDataDir) {
+  return path.join(baseDataDir, REGISTRY_FILENAME);
+}
+
+// 空の登録簿
+function createRegistry() {
+  return { version: REGISTRY_VERSION, types: {} };
+}
+
+// 新しいタイプのエントリ
+function createEntry(fields = {}) {
+  return {
+    status: fields.status || 'new',
+    category: fields.category || null,
+    names: {
+      ja: (fields.names && fields.names.ja) || '',
+      en: (fields.names && fields.names.en) || '',
+      zh: (fields.names && fields.names.zh) || ''
+    },
+    firstSeen: fields.firstSeen || null,
+    syncedAt: fields.syncedAt || null,
+    notes: fields.notes || ''
+  };
+}
+
+// 登録簿を読み込む（無ければ空の登録簿）
+function loadRegistry(baseDataDir) {
+  const file = registryPath(baseDataDir);
+  if (!fs.existsSync(file)) {
+    return createRegistry();
+  }
+
+  const registry = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const errors = validateStageTypeRegistry(registry);
+  if (errors.length > 0) {
+    throw new Error(`Invalid ${REGISTRY_FILENAME}:\n  ${errors.join('\n  ')}`);
+  }
+  return registry;
+}
+
+// 登録簿を保存（差分が読みやすいようにタイプ名順に並べる）
+function saveRegistry(baseDataDir, registry) {
+  const types = {};
+  Object.keys(registry.types).sort().forEach(stageType => {
+    types[stageType] = registry.types[stageType];
+  });
+  const sorted = { version: REGISTRY_VERSION, types };
+  const errors = validateStageTypeRegistry(sorted);
+  if (errors.length > 0) {
+    throw new Error(`Refusing to save invalid ${REGISTRY_FILENAME}:\n  ${errors.join('\n  ')}`);
+  }
+  writeFileAtomic(registryPath(baseDataDir), JSON.stringify(sorted, null, 2) + '\n');
+  return sorted;
+}
+
+// ステージ数の内訳から代表カテゴリを選ぶ（復刻・常設化より元のカテゴリを優先）
+function primaryCategory(categories) {
+  const entries = Object.entries(categories || {}).sort((a, b) => b[1] - a[1]);
+  const original = entries.find(([category]) => category !== 'rerun' && category !== 'permanent');
+  return (original || entries[0] || [null])[0];
+}
+
+// 分析結果のうち未登録のタイプを status: new で登録し、追加したタイプ名を返す
+function registerStageTypes(registry, results, date) {
+  const added = [];
+  results.forEach(result => {
+    if (registry.types[result.stageType]) return;
+    registry.types[result.stageType] = createEntry({
+      category: primaryCategory(result.categories),
+      firstSeen: date
+    });
+    added.push(result.stageType);
+  });
+  return added;
+}
+
+// 指定日より前から登録されているタイプ（firstSeen の無い古いタイプを含む）
+// その日に初めて見つかったタイプは、同じ日を分析し直しても新しいタイプとして扱う
+function typesKnownBefore(registry, date) {
+  return Object.keys(registry.types).filter(stageType => {
+    const firstSeen = registry.types[stageType].firstSeen;
+    return !firstSeen || firstSeen < date;
+  });
+}
+
+// 名称・状態などを登録簿にマージする
+// overwrite が false の場合、登録簿側で入力済みの名称やメモは上書きしない
+function mergeEntry(registry, stageType, fields, options = {}) {
+  const { overwrite = true, defaultStatus = 'active' } = options;
+  const existing = registry.types[stageType];
+  const entry = existing || createEntry({ status: defaultStatus });
+  let changed = !existing;
+
+  const assign = (target, key, value) => {
+    if (value === undefined || value === null || value === '') return;
+    if (target[key] === value || (!overwrite && target[key])) return;
+    target[key] = value;
+    changed = true;
+  };
+
+  if (fields.status !== undefined && fields.status !== '') {
+    if (!REGISTRY_STATUSES.includes(fields.status)) {
+      throw new Error(`Unknown status "${fields.status}" for ${stageType}`);
+    }
+    if (overwrite || !existing) assign(entry, 'status', fields.status);
+  }
+  assign(entry, 'category', fields.category);
+  NAME_LANGUAGES.forEach(language => assign(entry.names, language, fields.names && fields.names[language]));
+  assign(entry, 'firstSeen', fields.firstSeen);
+  assign(entry, 'notes', fields.notes);
+
+  registry.types[stageType] = entry;
+  return { added: !existing, changed };
+}
+
+// 登録簿をCSVに変換
+function exportRegistryCsv(registry) {
+  const rows = [CSV_COLUMNS.map(([header]) => header)];
+  Object.keys(registry.types).sort().forEach(stageType => {
+    const entry = registry.types[stageType];
+    const values = { stageType, ...entry, ...entry.names };
+    rows.push(CSV_COLUMNS.map(([, key]) => values[key]));
+  });
+  return formatCsv(rows);
+}
+
+// CSVを登録簿に取り込む（追加・更新したタイプ名を返す）
+function importRegistryCsv(registry, csvText, options = {}) {
+  const added = [];
+  const updated = [];
+
+  parseCsvRecords(csvText).forEach((record, index) => {
+    const fields = {};
+    CSV_COLUMNS.forEach(([header, key]) => {
+      if (header in record) fields[key] = record[header].trim();
+    });
+    if (!fields.stageType) {
+      throw new Error(`CSV row ${index + 2}: missing "Stage Type"`);
+    }
+
+    const result = mergeEntry(registry, fields.stageType, {
+      status: fields.status,
+      category: fields.category,
+      names: { ja: fields.ja, en: fields.en, zh: fields.zh },
+      firstSeen: fields.firstSeen,
+      notes: fields.notes
+    }, options);
+    if (result.added) {
+      added.push(fields.stageType);
+    } else if (result.changed) {
+      updated.push(fields.stageType);
+    }
+  });
+
+  return { added, updated };
+}
+
+module.exports = {
+  REGISTRY_FILENAME,
+  NAME_LANGUAGES,
+  registryPath,
+  createRegistry,
+  loadRegistry,
+  saveRegistry,
+  registerStageTypes,
+  typesKnownBefore,
+  mergeEntry,
+  exportRegistryCsv,
+  importRegistryCsv
+};
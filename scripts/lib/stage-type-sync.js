@@ -0,0 +1,162 @@
+// stage-type-sync.js
+// ステージタイプ登録簿と外部の表（Google Spreadsheetなど）を同期するアダプター
+//
+// アダプターは次の2つのメソッドを持つオブジェクト:
+//   pull()        → [{ stageType, names: { ja, en, zh }, notes }] 外部で入力された名称を返す
+//   push(entries) → 未送信の新しいタイプを外部に送る（失敗時は例外）
+// 同期は任意で、失敗しても登録簿（正本）はそのまま使える。送信できなかったタイプは次回再送する。
+const { parseCsvRecords } = require('./csv');
+const { mergeEntry } = require('./stage-type-registry');
+
+// Node.js 18でfetchが利用できない場合のpolyfill
+let fetch;
+if (typeof globalThis.fetch === 'undefined') {
+  fetch = (...args) => import('node-fetch').then(({default: fetch}) => fetch(...args));
+} else {
+  fetch = globalThis.fetch;
+}
+
+// Google Spreadsheet設定
+const DEFAULT_SPREADSHEET_ID = '1ZJ85ZwS1fJFwZ9KZp0YCNzsRRMXx1vMiEaOfr-lYTw8';
+const DEFAULT_SHEET_NAME = 'stageInfo';
+const DEFAULT_SHEETS_BASE_URL = 'https://docs.google.com';
+
+// Google Spreadsheet（gviz CSVで読み込み、GAS Webアプリで追記）のアダプター
+function createGoogleSheetsAdapter(options = {}) {
+  const spreadsheetId = options.spreadsheetId || process.env.STAGE_TYPE_SPREADSHEET_ID || DEFAULT_SPREADSHEET_ID;
+  const sheetName = options.sheetName || DEFAULT_SHEET_NAME;
+  const webhookUrl = options.webhookUrl || process.env.GAS_WEBHOOK_URL;
+  const fetchImpl = options.fetch || fetch;
+  // baseUrl はテスト用のローカルサーバーなどに差し替えられる
+  const baseUrl = options.baseUrl || DEFAULT_SHEETS_BASE_URL;
+  const csvUrl = `${baseUrl}/spreadsheets/d/${spreadsheetId}/gviz/tq?tqx=out:csv&sheet=${encodeURIComponent(sheetName)}`;
+
+  return {
+    name: 'google-sheets',
+    editUrl: `${baseUrl}/spreadsheets/d/${spreadsheetId}/edit#gid=0`,
+
+    // シートの各行を読み込む（A列がStage Type、名称列はヘッダー名で探す）
+    async pull() {
+      const response = await fetchImpl(csvUrl);
+      if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+      }
+
+      const records = parseCsvRecords(await response.text());
+      return records
+        .map(record => {
+          const values = Object.values(record);
+          return {
+            stageType: (record['Stage Type'] || values[0] || '').trim(),
+            names: {
+              ja: (record['Japanese Name'] || '').trim(),
+              en: (record['English Name'] || '').trim(),
+              zh: (record['Chinese Name'] || '').trim()
+            },
+            notes: (record['Notes'] || '').trim()
+          };
+        })
+        .filter(row => row.stageType);
+    },
+
+    // GASにデータを送信してスプレッドシートに追加
+    async push(entries) {
+      if (!webhookUrl) {
+        throw new Error('GAS_WEBHOOK_URL environment variable not set');
+      }
+
+      const payload = {
+        timestamp: new Date().toISOString(),
+        newTypes: entries.map(entry => ({
+          stageType: entry.stageType,
+          category: entry.category,
+          count: entry.count,
+          examples: entry.examples,
+          japaneseName: entry.names.ja,
+          notes: entry.notes
+        }))
+      };
+
+      const response = await fetchImpl(webhookUrl, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify(payload)
+      });
+
+      const body = await response.text();
+      if (!response.ok) {
+        throw new Error(`GAS webhook failed: ${response.status} - ${body}`);
+      }
+      return body;
+    }
+  };
+}
+
+// 利用できるアダプター
+const SYNC_ADAPTERS = {
+  'google-sheets': createGoogleSheetsAdapter
+};
+
+// 名前からアダプターを作る
+function createSyncAdapter(name, options = {}) {
+  const factory = SYNC_ADAPTERS[name];
+  if (!factory) {
+    throw new Error(`Unknown stage type sync adapter "${name}" (available: ${Object.keys(SYNC_ADAPTERS).join(', ')})`);
+  }
+  return factory(options);
+}
+
+// 登録簿を外部と同期する
+// details は分析結果（stageType毎のcount/examples）で、送信内容の補足に使う
+async function syncRegistry(registry, adapter, details = []) {
+  const result = { pulled: { added: [], updated: [] }, pushed: [], errors: [] };
+
+  // 外部で入力された名称を取り込む（登録簿側で入力済みの値は優先する）
+  try {
+    const rows = await adapter.pull();
+    rows.forEach(row => {
+      const { added, changed } = mergeEntry(registry, row.stageType, row, { overwrite: false, defaultStatus: 'active' });
+      if (added) {
+        result.pulled.added.push(row.stageType);
+      } else if (changed) {
+        result.pulled.updated.push(row.stageType);
+      }
+    });
+  } catch (error) {
+    result.errors.push(`pull: ${error.message}`);
+  }
+
+  // まだ送っていない新しいタイプを送る
+  const detailByType = new Map(details.map(detail => [detail.stageType, detail]));
+  const pending = Object.keys(registry.types)
+    .filter(stageType => registry.types[stageType].status === 'new' && !registry.types[stageType].syncedAt)
+    .sort()
+    .map(stageType => {
+      const detail = detailByType.get(stageType) || {};
+      return { stageType, ...registry.types[stageType], count: detail.count || 0, examples: detail.examples || '' };
+    });
+
+  if (pending.length > 0) {
+    try {
+      await adapter.push(pending);
+      const syncedAt = new Date().toISOString();
+      pending.forEach(entry => {
+        registry.types[entry.stageType].syncedAt = syncedAt;
+      });
+      result.pushed = pending.map(entry => entry.stageType);
+    } catch (error) {
+      result.errors.push(`push: ${error.message}`);
+    }
+  }
+
+  return result;
+}
+
+module.exports = {
+  SYNC_ADAPTERS,
+  createGoogleSheetsAdapter,
+  createSyncAdapter,
+  syncRegistry
+};
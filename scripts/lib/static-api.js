@@ -0,0 +1,101 @@
+// static-api.js
+// サーバー別スナップショットを静的APIのファイル（ステージ別・アイテム別の小さなJSON）に分ける
+//
+// 出力レイアウト（data/api/<server>/ 以下、serverは小文字）:
+//   index.json             … ステージとアイテムの一覧
+//   stages/<stageId>.json  … 1ステージのドロップ
+//   items/<itemId>.json    … 1アイテムが落ちるステージの一覧
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const STATIC_API_VERSION = 1;
+
+// 静的APIのディレクトリ（dataDirからの相対パス）
+const API_DIR = 'api';
+
+// サーバー別のディレクトリ（dataDirからの相対パス）
+function serverApiPath(server) {
+  return `${API_DIR}/${server.toLowerCase()}`;
+}
+
+// アイテム名（itemMetaが無ければnull）
+function itemName(snapshot, itemId) {
+  return snapshot.itemMeta && snapshot.itemMeta[itemId] ? snapshot.itemMeta[itemId].name : null;
+}
+
+// 1サーバー分の静的APIのドキュメントを作る
+// 戻り値: { index, stages: { stageId: doc }, items: { itemId: doc } }
+function buildServerApi(snapshot, server, date) {
+  const common = { server, date, fetchedAt: snapshot.fetchedAt, stale: !!snapshot.stale };
+  const stages = {};
+  const items = {};
+
+  Object.keys(snapshot.data).sort().forEach(stageId => {
+    const stage = snapshot.data[stageId];
+    const code = stage.stageMeta ? stage.stageMeta.code : null;
+    const itemMeta = {};
+
+    Object.keys(stage.items).sort().forEach(itemId => {
+      const record = stage.items[itemId];
+      if (snapshot.itemMeta && snapshot.itemMeta[itemId]) {
+        itemMeta[itemId] = snapshot.itemMeta[itemId];
+      }
+      if (!items[itemId]) {
+        items[itemId] = { ...common, itemId, itemMeta: (snapshot.itemMeta && snapshot.itemMeta[itemId]) || null, stages: [] };
+      }
+      items[itemId].stages.push({ stageId, code, start: stage.stageInfo.start, end: stage.stageInfo.end, ...record });
+    });
+
+    stages[stageId] = {
+      ...common,
+      stageId,
+      stageMeta: stage.stageMeta || null,
+      stageInfo: stage.stageInfo,
+      itemMeta,
+      items: stage.items
+    };
+  });
+
+  // ドロップ率の高いステージから並べる
+  Object.values(items).forEach(doc => {
+    doc.stages.sort((a, b) => b.dropRate - a.dropRate || a.stageId.localeCompare(b.stageId));
+  });
+
+  const index = {
+    version: STATIC_API_VERSION,
+    ...common,
+    stageCount: Object.keys(stages).length,
+    itemCount: Object.keys(items).length,
+    stages: Object.values(stages).map(doc => ({
+      stageId: doc.stageId,
+      code: doc.stageMeta ? doc.stageMeta.code : null,
+      itemCount: Object.keys(doc.items).length
+    })),
+    items: Object.keys(items).sort().map(itemId => ({
+      itemId,
+      name: itemName(snapshot, itemId),
+      stageCount: items[itemId].stages.length
+    }))
+  };
+
+  return { index, stages, items };
+}
+
+// ファイルのサイズとSHA-256
+function describeFile(baseDataDir, relativePath) {
+  const content = fs.readFileSync(path.join(baseDataDir, relativePath));
+  return {
+    path: relativePath.split(path.sep).join('/'),
+    size: content.length,
+    sha256: crypto.createHash('sha256').update(content).digest('hex')
+  };
+}
+
+module.exports = {
+  STATIC_API_VERSION,
+  API_DIR,
+  serverApiPath,
+  buildServerApi,
+  describeFile
+};
@@ -0,0 +1,154 @@
+// tabular.js
+// スナップショットを1行1レコード（server, date, stageId, itemId）の表にして、CSV・列指向JSON・SQLに書き出す
+//
+// 表計算ソフトやSQLで扱いやすいように、stageId→itemIdの入れ子を平らにする。
+const { itemSampleSize } = require('./efficiency');
+const csv = require('./csv');
+
+// 行の列（CSVのヘッダーと列指向JSONの列順）
+const DROP_COLUMNS = [
+  { name: 'server', type: 'string' },
+  { name: 'date', type: 'string' },
+  { name: 'stageId', type: 'string' },
+  { name: 'itemId', type: 'string' },
+  { name: 'times', type: 'integer' },
+  { name: 'quantity', type: 'integer' },
+  { name: 'rate', type: 'number' }
+];
+
+// 辞書符号化する列（値の種類が少ない文字列）
+const DICTIONARY_COLUMNS = ['server', 'date', 'stageId', 'itemId'];
+
+// 1サーバー1日分のスナップショットを行の配列にする（stageId, itemIdの順に並べる）
+function flattenSnapshot(snapshot, server, date) {
+  const rows = [];
+  Object.keys(snapshot.data).sort().forEach(stageId => {
+    const stage = snapshot.data[stageId];
+    Object.keys(stage.items).sort().forEach(itemId => {
+      const item = stage.items[itemId];
+      rows.push({
+        server,
+        date,
+        stageId,
+        itemId,
+        times: itemSampleSize(item, stage.stageInfo.times),
+        quantity: item.quantity,
+        rate: item.dropRate
+      });
+    });
+  });
+  return rows;
+}
+
+// 行をCSVにする（options.header: ヘッダー行を付けるか、既定はtrue）
+function formatCsv(rows, options = {}) {
+  const names = DROP_COLUMNS.map(column => column.name);
+  const lines = rows.map(row => names.map(name => row[name]));
+  if (options.header !== false) {
+    lines.unshift(names);
+  }
+  return lines.length > 0 ? csv.formatCsv(lines) : '';
+}
+
+// 行を列指向の形式にする（Parquetと同じく列毎に値を並べ、文字列の列は辞書符号化する）
+function toColumnar(rows) {
+  const columns = {};
+  DROP_COLUMNS.forEach(({ name }) => {
+    if (!DICTIONARY_COLUMNS.includes(name)) {
+      columns[name] = { values: rows.map(row => row[name]) };
+      return;
+    }
+    const dictionary = [];
+    const positions = new Map();
+    const indices = rows.map(row => {
+      if (!positions.has(row[name])) {
+        positions.set(row[name], dictionary.length);
+        dictionary.push(row[name]);
+      }
+      return positions.get(row[name]);
+    });
+    columns[name] = { dictionary, indices };
+  });
+
+  return {
+    format: 'columnar-json',
+    version: 1,
+    rowCount: rows.length,
+    schema: DROP_COLUMNS,
+    columns
+  };
+}
+
+// 列指向の形式を行の配列に戻す
+function fromColumnar(table) {
+  const rows = [];
+  for (let index = 0; index < table.rowCount; index++) {
+    const row = {};
+    table.schema.forEach(({ name }) => {
+      const column = table.columns[name];
+      row[name] = column.dictionary ? column.dictionary[column.indices[index]] : column.values[index];
+    });
+    rows.push(row);
+  }
+  return rows;
+}
+
+// SQLのリテラル
+function sqlLiteral(value) {
+  if (value === null || value === undefined || (typeof value === 'number' && !Number.isFinite(value))) {
+    return 'NULL';
+  }
+  if (typeof value === 'number') {
+    return String(value);
+  }
+  if (typeof value === 'boolean') {
+    return value ? '1' : '0';
+  }
+  return `'${String(value).replace(/'/g, "''")}'`;
+}
+
+// SQLiteのテーブル定義
+// snapshots: サーバー・日付毎の取得情報, stages: ステージの周回数と開催期間, drops: アイテム毎のドロップ
+const SQL_SCHEMA = [
+  'CREATE TABLE snapshots (server TEXT NOT NULL, date TEXT NOT NULL, fetched_at TEXT NOT NULL, stale INTEGER NOT NULL, stage_count INTEGER NOT NULL, record_count INTEGER NOT NULL, PRIMARY KEY (server, date));',
+  'CREATE TABLE stages (server TEXT NOT NULL, date TEXT NOT NULL, stage_id TEXT NOT NULL, code TEXT, zone_id TEXT, ap_cost INTEGER, times INTEGER NOT NULL, start_time INTEGER NOT NULL, end_time INTEGER, PRIMARY KEY (server, date, stage_id));',
+  'CREATE TABLE drops (server TEXT NOT NULL, date TEXT NOT NULL, stage_id TEXT NOT NULL, item_id TEXT NOT NULL, times INTEGER NOT NULL, quantity INTEGER NOT NULL, rate REAL NOT NULL, PRIMARY KEY (server, date, stage_id, item_id));',
+  'CREATE INDEX drops_by_item ON drops (item_id, server, date);'
+];
+
+// INSERT文の1行
+function insertStatement(table, values) {
+  return `INSERT INTO ${table} VALUES (${values.map(sqlLiteral).join(', ')});`;
+}
+
+// 1サーバー1日分のINSERT文
+function snapshotSqlStatements(snapshot, server, date) {
+  const statements = [
+    insertStatement('snapshots', [server, date, snapshot.fetchedAt, !!snapshot.stale, snapshot.stageCount, snapshot.dataCount])
+  ];
+  Object.keys(snapshot.data).sort().forEach(stageId => {
+    const { stageInfo, stageMeta } = snapshot.data[stageId];
+    statements.push(insertStatement('stages', [
+      server, date, stageId,
+      stageMeta ? stageMeta.code : null,
+      stageMeta ? stageMeta.zoneId : null,
+      stageMeta ? stageMeta.apCost : null,
+      stageInfo.times, stageInfo.start, stageInfo.end
+    ]));
+  });
+  flattenSnapshot(snapshot, server, date).forEach(row => {
+    statements.push(insertStatement('drops', [row.server, row.date, row.stageId, row.itemId, row.times, row.quantity, row.rate]));
+  });
+  return statements;
+}
+
+module.exports = {
+  DROP_COLUMNS,
+  SQL_SCHEMA,
+  flattenSnapshot,
+  formatCsv,
+  toColumnar,
+  fromColumnar,
+  sqlLiteral,
+  snapshotSqlStatements
+};
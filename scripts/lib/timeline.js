@@ -0,0 +1,216 @@
+// timeline.js
+// stageInfo の start/end からイベント（ステージタイプ×カテゴリ）毎の開催期間を求め、JSONとiCalendarにする
+//
+// 同じステージタイプでも初回開催・復刻・常設化は別の期間なので、カテゴリ毎に分けて扱う。
+// 開催中かどうかは各サーバーのスナップショットの取得時刻を基準に判定する。
+const { classifyStage } = require('./stage-classifier');
+
+// 既定でタイムラインに含めるカテゴリ（期間限定のコンテンツ）
+const DEFAULT_TIMELINE_CATEGORIES = ['event', 'side_story', 'rerun'];
+
+// iCalendarのPRODIDとUIDのドメイン
+const ICS_PRODID = '-//penguin-stats-data//Event Timeline//EN';
+const ICS_UID_DOMAIN = 'penguin-stats-data';
+
+// タイムスタンプをISO形式に（nullはそのまま）
+function toIso(timestamp) {
+  return timestamp === null ? null : new Date(timestamp).toISOString();
+}
+
+// 基準時刻での状態
+function eventStatus(start, end, now) {
+  if (start > now) return 'upcoming';
+  if (end === null || end > now) return 'open';
+  return 'closed';
+}
+
+// イベント名（登録簿の名称 → ステージのゾーン名 → ステージタイプの順に探す）
+function resolveEventName(group, stages, options) {
+  const names = options.names || {};
+  if (names[group]) {
+    return names[group];
+  }
+
+  const language = options.language || 'ja';
+  const meta = stages.map(stage => stage.stageMeta).find(stageMeta => stageMeta && stageMeta.zoneName);
+  if (meta) {
+    return (meta.zoneName_i18n && meta.zoneName_i18n[language]) || meta.zoneName;
+  }
+  return group;
+}
+
+// 1サーバー分のイベント一覧を作る
+// options: rules, categories, now（既定はスナップショットの取得時刻）, names, language
+function buildServerTimeline(snapshot, options) {
+  const categories = options.categories || DEFAULT_TIMELINE_CATEGORIES;
+  const now = options.now !== undefined ? options.now : Date.parse(snapshot.fetchedAt);
+  const events = new Map();
+
+  Object.keys(snapshot.data).sort().forEach(stageId => {
+    const classification = classifyStage(stageId, options.rules);
+    if (!classification || !categories.includes(classification.category)) return;
+
+    const id = `${classification.group}:${classification.category}`;
+    if (!events.has(id)) {
+      events.set(id, { id, group: classification.group, category: classification.category, start: Infinity, end: -Infinity, stages: [], stageIds: [] });
+    }
+
+    const event = events.get(id);
+    const stage = snapshot.data[stageId];
+    const { start, end } = stage.stageInfo;
+    event.start = Math.min(event.start, start);
+    // 終了日が無いステージが1つでもあれば終了未定とする
+    event.end = event.end === null || end === null ? null : Math.max(event.end, end);
+    event.stages.push(stage);
+    event.stageIds.push(stageId);
+  });
+
+  const timeline = Array.from(events.values())
+    .map(event => ({
+      id: event.id,
+      group: event.group,
+      category: event.category,
+      name: resolveEventName(event.group, event.stages, options),
+      start: toIso(event.start),
+      end: toIso(event.end),
+      status: eventStatus(event.start, event.end, now),
+      stageCount: event.stageIds.length,
+      stageIds: event.stageIds
+    }))
+    .sort((a, b) => a.start.localeCompare(b.start) || a.id.localeCompare(b.id));
+
+  return {
+    fetchedAt: snapshot.fetchedAt,
+    stale: !!snapshot.stale,
+    open: timeline.filter(event => event.status === 'open').map(event => event.id),
+    upcoming: timeline.filter(event => event.status === 'upcoming').map(event => event.id),
+    events: timeline
+  };
+}
+
+// 全サーバーのタイムラインと、イベント毎のサーバー別開催期間を作る
+// snapshots: { server: snapshot }
+function buildTimeline(snapshots, options) {
+  const result = {
+    generatedAt: new Date().toISOString(),
+    categories: options.categories || DEFAULT_TIMELINE_CATEGORIES,
+    servers: {},
+    events: {}
+  };
+
+  Object.entries(snapshots).forEach(([server, snapshot]) => {
+    const serverTimeline = buildServerTimeline(snapshot, options);
+    result.servers[server] = serverTimeline;
+
+    serverTimeline.events.forEach(event => {
+      if (!result.events[event.id]) {
+        result.events[event.id] = { group: event.group, category: event.category, name: event.name, servers: {} };
+      }
+      result.events[event.id].servers[server] = { start: event.start, end: event.end, status: event.status };
+    });
+  });
+
+  // イベントIDでソート
+  const sortedEvents = {};
+  Object.keys(result.events).sort().forEach(id => {
+    sortedEvents[id] = result.events[id];
+  });
+  result.events = sortedEvents;
+
+  return result;
+}
+
+// iCalendarの日時（UTC）
+function formatIcsDate(iso) {
+  return iso.replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// iCalendarのテキスト値をエスケープ
+function escapeIcsText(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// 75オクテットを超える行を折り返す（マルチバイト文字の途中では切らない）
+function foldIcsLine(line) {
+  const parts = [];
+  let current = '';
+  let currentBytes = 0;
+  let limit = 75;
+
+  for (const char of line) {
+    const bytes = Buffer.byteLength(char);
+    if (currentBytes + bytes > limit) {
+      parts.push(current);
+      current = '';
+      currentBytes = 0;
+      limit = 74; // 継続行は先頭の空白1文字分短くする
+    }
+    current += char;
+    currentBytes += bytes;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+}
+
+// タイムラインをiCalendarにする
+// options.servers: 含めるサーバー（既定は全サーバー）, options.calendarName: カレンダー名
+function formatIcs(timeline, options = {}) {
+  const servers = options.servers || Object.keys(timeline.servers);
+  const dtstamp = formatIcsDate(timeline.generatedAt);
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${ICS_PRODID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeIcsText(options.calendarName || `Arknights events (${servers.join(', ')})`)}`
+  ];
+
+  servers.forEach(server => {
+    const serverTimeline = timeline.servers[server];
+    if (!serverTimeline) return;
+
+    serverTimeline.events.forEach(event => {
+      const description = [
+        `Server: ${server}`,
+        `Stage type: ${event.group} (${event.category})`,
+        `Stages: ${event.stageCount}`,
+        event.end === null ? 'End: not announced' : null
+      ].filter(Boolean).join('\n');
+
+      lines.push(
+        'BEGIN:VEVENT',
+        // UIDは再生成しても変わらないようにする（購読側で同じ予定として更新される）
+        `UID:${server.toLowerCase()}-${event.group}-${event.category}@${ICS_UID_DOMAIN}`,
+        `DTSTAMP:${dtstamp}`,
+        `DTSTART:${formatIcsDate(event.start)}`
+      );
+      if (event.end !== null) {
+        lines.push(`DTEND:${formatIcsDate(event.end)}`);
+      }
+      lines.push(
+        `SUMMARY:${escapeIcsText(`[${server}] ${event.name}${event.category === 'rerun' ? ' (rerun)' : ''}`)}`,
+        `DESCRIPTION:${escapeIcsText(description)}`,
+        `CATEGORIES:${escapeIcsText(event.category)}`,
+        'END:VEVENT'
+      );
+    });
+  });
+
+  lines.push('END:VCALENDAR');
+  return lines.map(foldIcsLine).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  DEFAULT_TIMELINE_CATEGORIES,
+  buildServerTimeline,
+  buildTimeline,
+  escapeIcsText,
+  foldIcsLine,
+  formatIcs
+};
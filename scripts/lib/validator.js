@@ -0,0 +1,88 @@
+// validator.js
+// 依存パッケージなしで使える最小限のJSON Schemaバリデーター
+//
+// 対応キーワード: type（配列可）, enum, pattern, minimum, required, properties,
+//                 additionalProperties（booleanまたはスキーマ）, propertyNames, items
+const TYPE_CHECKS = {
+  string: value => typeof value === 'string',
+  number: value => typeof value === 'number' && Number.isFinite(value),
+  integer: value => Number.isInteger(value),
+  boolean: value => typeof value === 'boolean',
+  null: value => value === null,
+  array: value => Array.isArray(value),
+  object: value => value !== null && typeof value === 'object' && !Array.isArray(value)
+};
+
+// 値の型名（エラーメッセージ用）
+function describeType(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+// 値をスキーマで検証し、エラーを配列に追加する
+function validateValue(value, schema, pointer, errors, maxErrors) {
+  if (errors.length >= maxErrors) return;
+  const at = pointer || '/';
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => TYPE_CHECKS[type](value))) {
+      errors.push(`${at}: expected ${types.join(' or ')}, got ${describeType(value)}`);
+      return;
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${at}: must be one of ${schema.enum.join(', ')}`);
+  }
+
+  if (typeof value === 'string' && schema.pattern && !new RegExp(schema.pattern).test(value)) {
+    errors.push(`${at}: "${value}" does not match ${schema.pattern}`);
+  }
+
+  if (typeof value === 'number' && schema.minimum !== undefined && value < schema.minimum) {
+    errors.push(`${at}: ${value} is less than ${schema.minimum}`);
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((element, index) => {
+      validateValue(element, schema.items, `${pointer}/${index}`, errors, maxErrors);
+    });
+  }
+
+  if (TYPE_CHECKS.object(value)) {
+    (schema.required || []).forEach(key => {
+      if (!(key in value)) {
+        errors.push(`${at}: missing required property "${key}"`);
+      }
+    });
+
+    Object.entries(value).forEach(([key, child]) => {
+      const childPointer = `${pointer}/${key}`;
+
+      if (schema.propertyNames && schema.propertyNames.pattern && !new RegExp(schema.propertyNames.pattern).test(key)) {
+        errors.push(`${childPointer}: property name does not match ${schema.propertyNames.pattern}`);
+      }
+
+      if (schema.properties && schema.properties[key]) {
+        validateValue(child, schema.properties[key], childPointer, errors, maxErrors);
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${childPointer}: unexpected property`);
+      } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+        validateValue(child, schema.additionalProperties, childPointer, errors, maxErrors);
+      }
+    });
+  }
+}
+
+// スキーマで検証し、エラーメッセージの配列を返す（空なら妥当）
+function validate(value, schema, options = {}) {
+  const errors = [];
+  validateValue(value, schema, options.root || '', errors, options.maxErrors || 100);
+  return errors;
+}
+
+module.exports = {
+  validate
+};
@@ -0,0 +1,287 @@
+// reprocess.js
+// 日付フォルダに保存したドロップ行列の応答（raw-matrix-<server>.json.gz）から、
+// サーバー別ファイル・summary.json・ステージタイプ分析を作り直す
+//
+//   node scripts/reprocess.js [from] [to] [--servers=CN,JP] [--skip-analysis] [--dry-run]
+//
+// 除外ルールや処理の変更を過去の日付にも反映するためのもの。同じ応答と設定からは同じファイルができる
+// （取得時刻は応答と一緒に保存した値を使う）ので、何度実行しても結果は変わらない。
+// 応答を保存していないサーバーは保存済みのファイルをそのまま使う。差分保存モードの日は対象外
+const fs = require('fs');
+const path = require('path');
+const { listDateFolders, latestDate, serverFileName, loadServerSnapshot } = require('./lib/snapshots');
+const { loadRawMatrix, listRawMatrixServers } = require('./lib/raw-archive');
+const { loadLatestMetadata, enrichSnapshot } = require('./lib/metadata');
+const { validateServerSnapshot, validateSummary } = require('./lib/schemas');
+const { DEFAULT_STAGE_FILTERS_PATH, loadStageFilterConfig, compileStageFilter } = require('./lib/stage-filter');
+const { DEFAULT_SAMPLE_OPTIONS } = require('./lib/drop-stats');
+const { writeJsonAtomic, withLock, pipelineLockFile } = require('./lib/atomic-fs');
+const { parseScriptArgs, parseMainArgs } = require('./lib/script-args');
+const { SERVERS, processMatrixData, applyStageFilter, excludedStagesFileName, buildSummary, reportValidationErrors } = require('./fetch-penguin-stats');
+const { DEFAULT_ANALYZE_OPTIONS, analyzeAndSave } = require('./extract-stage-types');
+
+// 既定の実行オプション（CLIの --data-dir / --from / --to / --date / --servers / --dry-run で上書きできる）
+const DEFAULT_REPROCESS_OPTIONS = {
+  dataDir: path.join(__dirname, '..', 'data'),
+  from: null,                     // 最初の日付（既定は最も古い日付フォルダ）
+  to: null,                       // 最後の日付（既定は最も新しい日付フォルダ）
+  servers: SERVERS,               // 作り直すサーバー（それ以外は保存済みのファイルを使う）
+  stageFiltersPath: DEFAULT_STAGE_FILTERS_PATH,
+  stageFilters: null,
+  minTimes: DEFAULT_SAMPLE_OPTIONS.minTimes,
+  lowSampleThreshold: DEFAULT_SAMPLE_OPTIONS.lowSampleThreshold,
+  analyze: true,                  // ステージタイプ分析も作り直す
+  dryRun: false
+};
+
+// コマンドライン引数を解析（不正な引数は使い方付きのエラー）
+function parseArgs(argv) {
+  const { flags, dates } = parseScriptArgs(argv, {
+    usage: 'node scripts/reprocess.js [from] [to] [--servers=CN,JP] [--skip-analysis] [--dry-run]',
+    flags: { servers: 'servers', 'skip-analysis': 'boolean', 'dry-run': 'boolean' },
+    maxDates: 2
+  });
+  const options = {};
+  if (flags.servers) options.servers = flags.servers;
+  if (flags['skip-analysis']) options.analyze = false;
+  if (flags['dry-run']) options.dryRun = true;
+  if (dates.length > 0) {
+    options.from = dates[0];
+    options.to = dates[1] || dates[0];
+  }
+
+  return options;
+}
+
+// 内容が変わる場合だけ書き込む（変わったかどうかを返す）
+function writeJsonIfChanged(file, value, dryRun) {
+  const text = JSON.stringify(value, null, 2);
+  if (fs.existsSync(file) && fs.readFileSync(file, 'utf8') === text) {
+    return false;
+  }
+  if (!dryRun) {
+    writeJsonAtomic(file, value);
+  }
+  return true;
+}
+
+// 保存した応答から1サーバー分のスナップショット（と除外したステージ）を作る（失敗時は例外）
+function rebuildServerSnapshot(date, server, raw, filterConfig, opts) {
+  const filter = compileStageFilter(filterConfig, 'fetch', server);
+  const processOptions = { ...opts, fetchedAt: raw.fetchedAt };
+  let snapshot = processMatrixData(raw.response, processOptions, filter);
+  if (!snapshot) {
+    throw new Error('archived response failed validation');
+  }
+  const excludedSnapshot = applyStageFilter(raw.response, filter, processOptions);
+
+  // 取得時と同じく、その日までに保存した最新のメタデータを結合する
+  const metadata = loadLatestMetadata(opts.dataDir, server, date);
+  if (metadata) {
+    snapshot = enrichSnapshot(snapshot, metadata.metadata);
+  }
+  const errors = validateServerSnapshot(snapshot);
+  if (errors.length > 0) {
+    reportValidationErrors(`${server} snapshot`, errors);
+    throw new Error('rebuilt snapshot failed validation');
+  }
+  return { snapshot, excludedSnapshot };
+}
+
+// 1日分を作り直す（戻り値: { date, servers, updated: [ファイル名], unchanged, problems }）
+// どれか1つのサーバーでも作り直せなければ、その日のファイルは書き換えない
+function reprocessDate(date, filterConfig, opts) {
+  const dateDir = path.join(opts.dataDir, date);
+  const summaryFile = path.join(dateDir, 'summary.json');
+  const previousSummary = fs.existsSync(summaryFile) ? JSON.parse(fs.readFileSync(summaryFile, 'utf8')) : null;
+  const rawServers = listRawMatrixServers(opts.dataDir, date);
+  const result = { date, servers: [], updated: [], unchanged: 0, problems: [] };
+
+  const results = {};
+  const rebuilt = {};
+  SERVERS
+    .filter(server => rawServers.includes(server) || (previousSummary && previousSummary.servers.includes(server)))
+    .forEach(server => {
+      try {
+        const raw = opts.servers.includes(server) ? loadRawMatrix(opts.dataDir, date, server) : null;
+        if (raw) {
+          rebuilt[server] = rebuildServerSnapshot(date, server, raw, filterConfig, opts);
+          results[server] = rebuilt[server].snapshot;
+          return;
+        }
+        // 応答が無い（取得に失敗して繰り越した日など）か対象外のサーバーは保存済みのものを使う
+        const saved = loadServerSnapshot(opts.dataDir, date, server, { useHistory: false });
+        if (saved) {
+          results[server] = saved;
+        }
+      } catch (error) {
+        result.problems.push(`${server}: ${error.message}`);
+      }
+    });
+  if (result.problems.length > 0) {
+    return result;
+  }
+
+  result.servers = Object.keys(results);
+  const staleServers = Object.keys(results).filter(server => results[server].stale);
+  // summary.json の取得時刻は元の値を残す（無ければ応答の取得時刻の最新）
+  const fetchedAt = (previousSummary && previousSummary.fetchedAt)
+    || Object.values(results).map(snapshot => snapshot.fetchedAt).sort().pop();
+  const summary = buildSummary(date, fetchedAt, results, staleServers);
+  const summaryErrors = validateSummary(summary);
+  if (summaryErrors.length > 0) {
+    reportValidationErrors(`${date} summary`, summaryErrors);
+    result.problems.push('summary.json failed validation');
+    return result;
+  }
+
+  const write = (file, value) => {
+    if (writeJsonIfChanged(path.join(dateDir, file), value, opts.dryRun)) {
+      result.updated.push(file);
+    } else {
+      result.unchanged++;
+    }
+  };
+  Object.entries(rebuilt).forEach(([server, { snapshot, excludedSnapshot }]) => {
+    write(serverFileName(server), snapshot);
+    const excludedFile = excludedStagesFileName(server);
+    if (excludedSnapshot) {
+      write(excludedFile, excludedSnapshot);
+    } else if (fs.existsSync(path.join(dateDir, excludedFile))) {
+      // 除外したステージを残さない設定になったら古いファイルを消す
+      if (!opts.dryRun) {
+        fs.rmSync(path.join(dateDir, excludedFile));
+      }
+      result.updated.push(excludedFile);
+    }
+  });
+  write('summary.json', summary);
+
+  // 最新日ならlatest.jsonも合わせる
+  const latestFile = path.join(opts.dataDir, 'latest.json');
+  if (fs.existsSync(latestFile) && latestDate(opts.dataDir) === date) {
+    if (writeJsonIfChanged(latestFile, { ...summary, latestDataPath: date }, opts.dryRun)) {
+      result.updated.push('latest.json');
+    }
+  }
+  return result;
+}
+
+// 対象の日付（応答を保存してある、差分保存モードでない日）
+function selectDates(opts) {
+  const dates = listDateFolders(opts.dataDir)
+    .filter(date => (!opts.from || date >= opts.from) && (!opts.to || date <= opts.to));
+  const selected = [];
+  let withoutRaw = 0;
+  dates.forEach(date => {
+    if (listRawMatrixServers(opts.dataDir, date).length === 0) {
+      withoutRaw++;
+      return;
+    }
+    const summaryFile = path.join(opts.dataDir, date, 'summary.json');
+    if (fs.existsSync(summaryFile) && JSON.parse(fs.readFileSync(summaryFile, 'utf8')).storageMode === 'delta') {
+      console.warn(`${date} is stored in delta history and cannot be reprocessed, skipped`);
+      return;
+    }
+    selected.push(date);
+  });
+  if (withoutRaw > 0) {
+    console.log(`Skipped ${withoutRaw} dates without archived responses`);
+  }
+  return selected;
+}
+
+// 指定期間を作り直す（戻り値は終了コード）
+// 書き込みを伴う実行はデータディレクトリのロックを取る
+async function runReprocess(options = {}) {
+  const opts = { ...DEFAULT_REPROCESS_OPTIONS, ...options };
+  if (opts.from && opts.to && opts.from > opts.to) {
+    console.error(`Invalid date range: ${opts.from} is after ${opts.to}`);
+    return 1;
+  }
+  if (opts.dryRun) {
+    return reprocessRange(opts);
+  }
+  try {
+    return await withLock(pipelineLockFile(opts.dataDir), () => reprocessRange(opts), { name: 'reprocess' });
+  } catch (error) {
+    if (error.code !== 'ELOCKED') {
+      throw error;
+    }
+    console.error(`Another run is in progress: ${error.message}`);
+    return 1;
+  }
+}
+
+// 期間内の日付を順に作り直し、最後にステージタイプ分析をやり直す
+async function reprocessRange(opts) {
+  let filterConfig;
+  try {
+    filterConfig = opts.stageFilters || loadStageFilterConfig(opts.stageFiltersPath);
+  } catch (error) {
+    console.error(error.message);
+    return 1;
+  }
+
+  const dates = selectDates(opts);
+  if (dates.length === 0) {
+    console.error(`No archived responses to reprocess between ${opts.from || 'the first date'} and ${opts.to || 'the last date'}`);
+    return 1;
+  }
+  console.log(`Reprocessing ${dates.length} dates from ${dates[0]} to ${dates[dates.length - 1]}${opts.dryRun ? ' (dry run)' : ''}`);
+
+  const reprocessed = [];
+  let failed = 0;
+  for (const date of dates) {
+    const result = reprocessDate(date, filterConfig, opts);
+    if (result.problems.length > 0) {
+      failed++;
+      console.error(`${date}: not reprocessed`);
+      result.problems.forEach(problem => console.error(`   ${problem}`));
+      continue;
+    }
+    reprocessed.push(result);
+    const updated = result.updated.length > 0 ? result.updated.join(', ') : 'nothing';
+    console.log(`${date}: ${opts.dryRun ? 'would update' : 'updated'} ${updated} (${result.unchanged} files unchanged)`);
+  }
+
+  // 分析は保存したスナップショットを読むので、ドライランでは行わない
+  if (opts.analyze && opts.dryRun) {
+    console.log('Dry run: stage type analysis skipped');
+  } else if (opts.analyze) {
+    for (const { date, servers } of reprocessed) {
+      const analysis = await analyzeAndSave({
+        ...DEFAULT_ANALYZE_OPTIONS,
+        dataDir: opts.dataDir,
+        date,
+        servers,
+        stageFilters: filterConfig,
+        syncAdapter: '',
+        notificationConfigPath: null
+      });
+      if (!analysis) {
+        failed++;
+        console.error(`${date}: stage type analysis failed`);
+      }
+    }
+  }
+
+  console.log(`Reprocessed ${reprocessed.length} of ${dates.length} dates`);
+  return failed > 0 ? 1 : 0;
+}
+
+// コマンドライン実行時（オプションは scripts/cli.js reprocess でも指定できる）
+if (require.main === module) {
+  runReprocess(parseMainArgs(parseArgs)).then(exitCode => {
+    process.exitCode = exitCode;
+  }).catch(error => {
+    console.error('Error in main process:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  DEFAULT_REPROCESS_OPTIONS,
+  reprocessDate,
+  runReprocess
+};
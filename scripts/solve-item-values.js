@@ -0,0 +1,134 @@
+// solve-item-values.js
+// 指定日（既定は最新）のスナップショットから素材の理性価値を求める
+//
+//   node scripts/solve-item-values.js [date] [--min-times=N] [--lmd-value=X]
+// 同じ日付フォルダとレシピファイルからは常に同じ結果になる
+const fs = require('fs');
+const path = require('path');
+const { latestDate, resolveDate, loadServerSnapshot } = require('./lib/snapshots');
+const { loadLatestMetadata } = require('./lib/metadata');
+const { DEFAULT_ITEM_VALUE_OPTIONS, solveItemValues } = require('./lib/item-values');
+const { writeFileAtomic, runWithPipelineLock } = require('./lib/atomic-fs');
+const { parseScriptArgs, parseMainArgs } = require('./lib/script-args');
+
+const SERVERS = ['CN', 'US', 'JP', 'KR'];
+const FORMULAS_PATH = path.join(__dirname, '..', 'config', 'formulas.json');
+
+// コマンドライン引数を解析（不正な引数は使い方付きのエラー）
+function parseArgs(argv) {
+  const { flags, dates } = parseScriptArgs(argv, {
+    usage: 'node scripts/solve-item-values.js [date] [--min-times=N] [--lmd-value=X]',
+    flags: { 'min-times': 'count', 'lmd-value': 'number' }
+  });
+  const options = {};
+  if (flags['min-times'] !== undefined) options.minTimes = flags['min-times'];
+  if (flags['lmd-value'] !== undefined) options.lmdValue = flags['lmd-value'];
+
+  return { date: dates[0] || null, options };
+}
+
+// 全サーバー分を計算
+function calculateItemValues(baseDataDir, date, formulas, calcOptions = {}) {
+  const { servers = SERVERS, ...options } = calcOptions;
+  const result = {
+    date,
+    generatedAt: new Date().toISOString(),
+    options: { ...DEFAULT_ITEM_VALUE_OPTIONS, ...options },
+    formulaCount: formulas.length,
+    servers: {}
+  };
+
+  servers.forEach(server => {
+    const snapshot = loadServerSnapshot(baseDataDir, date, server);
+    if (!snapshot) {
+      console.warn(`⚠️ No ${server} snapshot for ${date}, skipped`);
+      return;
+    }
+
+    // その日以前に保存されたメタデータだけを使う（過去日の再計算でも結果が変わらないように）
+    const latestMetadata = loadLatestMetadata(baseDataDir, server, date);
+    const solved = solveItemValues(snapshot, formulas, {
+      ...options,
+      metadata: latestMetadata ? latestMetadata.metadata : null
+    });
+
+    result.servers[server] = {
+      fetchedAt: snapshot.fetchedAt,
+      stale: !!snapshot.stale,
+      ...solved
+    };
+  });
+
+  return result;
+}
+
+// 計算してファイルに保存（戻り値は終了コード）
+// options: dataDir, date, dryRun と計算オプション（minTimes, lmdValue など）
+function runItemValues(options = {}) {
+  const { dataDir = path.join(__dirname, '..', 'data'), dryRun = false } = options;
+  if (dryRun) {
+    return saveItemValues({ ...options, dataDir });
+  }
+  return runWithPipelineLock(dataDir, 'item-values', () => saveItemValues({ ...options, dataDir }));
+}
+
+// 計算してファイルに保存する（ロックは呼び出し側で取る）
+function saveItemValues(options) {
+  const { dataDir, date: requestedDate, dryRun = false, ...calcOptions } = options;
+  const baseDataDir = dataDir;
+  const date = resolveDate(baseDataDir, requestedDate);
+
+  if (!date || !fs.existsSync(path.join(baseDataDir, date))) {
+    console.error(`Data folder not found: ${date}`);
+    return 1;
+  }
+
+  const { formulas } = JSON.parse(fs.readFileSync(FORMULAS_PATH, 'utf8'));
+  console.log(`⚖️ Solving item values for ${date} (${formulas.length} formulas)`);
+  const result = calculateItemValues(baseDataDir, date, formulas, calcOptions);
+
+  Object.entries(result.servers).forEach(([server, serverResult]) => {
+    if (serverResult.status === 'optimal') {
+      console.log(`${server}: ${serverResult.itemCount} items over ${serverResult.stageCount} stages (${serverResult.iterations} pivots)`);
+    } else {
+      console.warn(`⚠️ ${server}: ${serverResult.status}`);
+    }
+  });
+
+  // 消費理性が分からないと空の価値表になるので保存しない
+  const missingCosts = Object.keys(result.servers).filter(server => result.servers[server].status === 'no_ap_cost');
+  if (missingCosts.length > 0) {
+    console.error(`No AP cost for any open stage on ${missingCosts.join(', ')}: the ${date} snapshots have no stageMeta and no metadata-<server>.json exists on or before ${date}. Run the fetcher with metadata enabled first.`);
+    return 1;
+  }
+
+  if (dryRun) {
+    console.log('Dry run: no files written');
+    return 0;
+  }
+  writeFileAtomic(path.join(baseDataDir, date, 'item-values.json'), JSON.stringify(result, null, 2));
+  // 過去日の再計算ではルートの最新版を上書きしない
+  if (date === latestDate(baseDataDir)) {
+    writeFileAtomic(path.join(baseDataDir, 'latest-item-values.json'), JSON.stringify(result, null, 2));
+    console.log(`📁 Saved ${date}/item-values.json and latest-item-values.json`);
+  } else {
+    console.log(`📁 Saved ${date}/item-values.json`);
+  }
+  return 0;
+}
+
+// メイン処理
+function main() {
+  const { date, options } = parseMainArgs(parseArgs);
+  process.exitCode = runItemValues({ ...options, date });
+}
+
+// コマンドライン実行時
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  calculateItemValues,
+  runItemValues
+};
@@ -0,0 +1,110 @@
+// stage-type-registry.js
+// ステージタイプ登録簿（data/stage-types-registry.json）のCSV入出力と外部同期
+//
+//   node scripts/stage-type-registry.js export [file.csv] [--data-dir=PATH]
+//   node scripts/stage-type-registry.js import <file.csv> [--keep-existing] [--data-dir=PATH]
+//   node scripts/stage-type-registry.js sync [--adapter=google-sheets] [--data-dir=PATH]
+const fs = require('fs');
+const path = require('path');
+const { loadRegistry, saveRegistry, exportRegistryCsv, importRegistryCsv } = require('./lib/stage-type-registry');
+const { createSyncAdapter, syncRegistry } = require('./lib/stage-type-sync');
+const { runWithPipelineLock } = require('./lib/atomic-fs');
+const { usageError, parseScriptArgs, parseMainArgs } = require('./lib/script-args');
+
+const REGISTRY_COMMANDS = ['export', 'import', 'sync'];
+const USAGE = 'node scripts/stage-type-registry.js <export [file.csv] | import <file.csv> [--keep-existing] | sync [--adapter=NAME]> [--data-dir=PATH]';
+
+// コマンドライン引数を解析（不正な引数は使い方付きのエラー）
+function parseArgs(argv) {
+  const { flags, args } = parseScriptArgs(argv, {
+    usage: USAGE,
+    flags: { 'data-dir': 'string', 'keep-existing': 'boolean', adapter: 'string' },
+    maxDates: 0,
+    args: ['command', 'file']
+  });
+  if (!REGISTRY_COMMANDS.includes(args.command)) {
+    throw usageError(args.command ? `Unknown command: ${args.command}` : 'A command is required', USAGE);
+  }
+  if (args.command === 'import' && !args.file) {
+    throw usageError('import needs a CSV file', USAGE);
+  }
+  if (args.command === 'sync' && args.file) {
+    throw usageError(`Unexpected argument: ${args.file}`, USAGE);
+  }
+  if (flags['keep-existing'] && args.command !== 'import') {
+    throw usageError('--keep-existing can only be used with import', USAGE);
+  }
+  if (flags.adapter && args.command !== 'sync') {
+    throw usageError('--adapter can only be used with sync', USAGE);
+  }
+
+  const options = { command: args.command };
+  if (flags['data-dir']) options.dataDir = path.resolve(flags['data-dir']);
+  if (args.file) options.file = args.file;
+  if (flags['keep-existing']) options.keepExisting = true;
+  if (flags.adapter) options.adapter = flags.adapter;
+  return options;
+}
+
+// 登録簿の操作を実行する（戻り値は終了コード）
+// options: command（export, import, sync）, dataDir, file, keepExisting, adapter
+// import と sync は分析が保存する登録簿を上書きしないよう、読み込みから保存までロックを取る
+async function runRegistry(options = {}) {
+  const {
+    command,
+    dataDir = path.join(__dirname, '..', 'data'),
+    file,
+    keepExisting = false,
+    adapter = process.env.STAGE_TYPE_SYNC || 'google-sheets'
+  } = options;
+
+  if (command === 'export') {
+    const registry = loadRegistry(dataDir);
+    const csvText = exportRegistryCsv(registry);
+    if (file) {
+      fs.writeFileSync(file, csvText);
+      console.log(`📄 Exported ${Object.keys(registry.types).length} stage types to ${file}`);
+    } else {
+      process.stdout.write(csvText);
+    }
+    return 0;
+  }
+
+  if (command === 'import') {
+    return runWithPipelineLock(dataDir, 'registry', () => {
+      const registry = loadRegistry(dataDir);
+      const { added, updated } = importRegistryCsv(registry, fs.readFileSync(file, 'utf8'), { overwrite: !keepExisting });
+      saveRegistry(dataDir, registry);
+      console.log(`📒 Imported ${file}: ${added.length} added, ${updated.length} updated`);
+      return 0;
+    });
+  }
+
+  if (command === 'sync') {
+    return runWithPipelineLock(dataDir, 'registry', async () => {
+      const registry = loadRegistry(dataDir);
+      const result = await syncRegistry(registry, createSyncAdapter(adapter));
+      saveRegistry(dataDir, registry);
+      console.log(`🔗 Synced with ${adapter}: pulled ${result.pulled.added.length} added / ${result.pulled.updated.length} updated, pushed ${result.pushed.length}`);
+      result.errors.forEach(message => console.error(`❌ ${message}`));
+      return result.errors.length > 0 ? 1 : 0;
+    });
+  }
+
+  console.error(`Unknown registry command: ${command} (expected ${REGISTRY_COMMANDS.join(', ')})`);
+  return 1;
+}
+
+// コマンドライン実行時
+if (require.main === module) {
+  runRegistry(parseMainArgs(parseArgs)).then(exitCode => {
+    process.exitCode = exitCode;
+  }).catch(error => {
+    console.error('❌ Error:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  runRegistry
+};
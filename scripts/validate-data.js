@@ -0,0 +1,98 @@
+// validate-data.js
+// data/ 以下の全ファイルをスキーマで検証する
+const fs = require('fs');
+const path = require('path');
+const { listDateFolders } = require('./lib/snapshots');
+const { validateServerSnapshot, validateSummary, validateMetadata, validateStageTypes, validateStageTypeRegistry, validateManifest, validateHealthReport } = require('./lib/schemas');
+
+// ファイル名から検証関数を選ぶ
+function validatorFor(filename) {
+  if (/^penguin-stats-[a-z]+\.json$/.test(filename)) return validateServerSnapshot;
+  if (/^metadata-[a-z]+\.json$/.test(filename)) return validateMetadata;
+  if (filename === 'summary.json' || filename === 'latest.json') return validateSummary;
+  if (/(^|-)(stage-types-detail|new-stage-types)\.json$/.test(filename)) return validateStageTypes;
+  if (filename === 'stage-types-registry.json') return validateStageTypeRegistry;
+  if (filename === 'index.json') return validateManifest;
+  if (filename === 'health.json' || filename === 'latest-health.json') return validateHealthReport;
+  return null;
+}
+
+// 1ファイルを検証してエラーを返す
+function validateFile(filepath) {
+  const validator = validatorFor(path.basename(filepath));
+  if (!validator) {
+    return null;
+  }
+
+  let content;
+  try {
+    content = JSON.parse(fs.readFileSync(filepath, 'utf8'));
+  } catch (error) {
+    return [`invalid JSON: ${error.message}`];
+  }
+  return validator(content);
+}
+
+// data/ 以下を検証
+function validateDataTree(baseDataDir) {
+  const files = fs.readdirSync(baseDataDir)
+    .filter(name => name.endsWith('.json'))
+    .map(name => path.join(baseDataDir, name));
+
+  listDateFolders(baseDataDir).forEach(date => {
+    const dateDir = path.join(baseDataDir, date);
+    fs.readdirSync(dateDir)
+      .filter(name => name.endsWith('.json'))
+      .forEach(name => files.push(path.join(dateDir, name)));
+  });
+
+  const report = { checked: 0, invalid: {} };
+  files.forEach(filepath => {
+    const errors = validateFile(filepath);
+    if (errors === null) return;
+
+    report.checked++;
+    if (errors.length > 0) {
+      report.invalid[path.relative(baseDataDir, filepath)] = errors;
+    }
+  });
+  return report;
+}
+
+// 検証して結果を表示（戻り値は終了コード）
+function runValidate(options = {}) {
+  const baseDataDir = options.dataDir || path.join(__dirname, '..', 'data');
+  const report = validateDataTree(baseDataDir);
+  const invalidFiles = Object.entries(report.invalid);
+
+  invalidFiles.forEach(([file, errors]) => {
+    console.error(`❌ ${file} (${errors.length} errors)`);
+    errors.slice(0, 20).forEach(error => console.error(`   ${error}`));
+    if (errors.length > 20) {
+      console.error(`   ... and ${errors.length - 20} more`);
+    }
+  });
+
+  if (invalidFiles.length > 0) {
+    console.error(`Validation failed: ${invalidFiles.length} of ${report.checked} files are invalid`);
+    return 1;
+  }
+  console.log(`✅ All ${report.checked} files are valid`);
+  return 0;
+}
+
+// メイン処理
+function main() {
+  process.exitCode = runValidate();
+}
+
+// コマンドライン実行時
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  validateFile,
+  validateDataTree,
+  runValidate
+};
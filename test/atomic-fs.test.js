@@ -0,0 +1,125 @@
+// atomic-fs.test.js
+// アトミックな書き込みと、実行の重複を防ぐロックを確認する
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  writeFileAtomic,
+  removeTempFiles,
+  acquireLock,
+  pipelineLockFile,
+  runWithPipelineLock
+} = require('../scripts/lib/atomic-fs');
+const { runFetch } = require('../scripts/fetch-penguin-stats');
+const { runRetention } = require('../scripts/apply-retention');
+const { runEfficiency } = require('../scripts/calculate-efficiency');
+const { runTimeline } = require('../scripts/build-timeline');
+const { startStandIn } = require('./helpers/penguin-stand-in');
+const { quiet, tempDir } = require('./helpers/test-context');
+
+// 他のプロセスが保持しているロックファイルを置く
+function writeForeignLock(lockFile, holder) {
+  fs.writeFileSync(lockFile, JSON.stringify({
+    pid: process.ppid,
+    hostname: os.hostname(),
+    name: 'fetch',
+    startedAt: new Date().toISOString(),
+    ...holder
+  }));
+}
+
+test('atomic writes replace the file and leave no temporary files', t => {
+  const dir = tempDir(t);
+  const file = path.join(dir, 'latest.json');
+  fs.writeFileSync(file, 'old');
+
+  writeFileAtomic(file, '{"latestDataPath":"2025-07-31"}');
+  assert.strictEqual(fs.readFileSync(file, 'utf8'), '{"latestDataPath":"2025-07-31"}');
+  assert.deepStrictEqual(fs.readdirSync(dir), ['latest.json']);
+
+  // 書き込み途中で落ちたときの一時ファイルは次の実行で消す
+  fs.writeFileSync(path.join(dir, '.summary.json.12345.abcd1234.tmp'), '{"trunc');
+  assert.deepStrictEqual(removeTempFiles(dir), ['.summary.json.12345.abcd1234.tmp']);
+  assert.deepStrictEqual(fs.readdirSync(dir), ['latest.json']);
+});
+
+test('a lock held by a live process is refused, a stale one is taken over', t => {
+  quiet(t);
+  const lockFile = pipelineLockFile(tempDir(t));
+
+  writeForeignLock(lockFile);
+  assert.throws(() => acquireLock(lockFile), error => error.code === 'ELOCKED' && error.holder.name === 'fetch');
+
+  // 異常終了したプロセスのロック
+  writeForeignLock(lockFile, { pid: 2 ** 22 + 1 });
+  const release = acquireLock(lockFile, { name: 'api' });
+  assert.strictEqual(JSON.parse(fs.readFileSync(lockFile, 'utf8')).pid, process.pid);
+
+  // 同じプロセス内の入れ子の取得は最後の解放でファイルが消える
+  const releaseNested = acquireLock(lockFile);
+  releaseNested();
+  assert.strictEqual(fs.existsSync(lockFile), true);
+  release();
+  assert.strictEqual(fs.existsSync(lockFile), false);
+
+  // 古すぎるロック
+  writeForeignLock(lockFile, { startedAt: '2025-07-30T00:00:00.000Z' });
+  acquireLock(lockFile, { staleMs: 60 * 1000 })();
+  assert.strictEqual(fs.existsSync(lockFile), false);
+});
+
+test('fetch does not run while another run holds the data directory', async t => {
+  quiet(t);
+  const dataDir = tempDir(t);
+  const standIn = await startStandIn({ date: '2025-07-30' });
+  t.after(() => standIn.close());
+  const options = {
+    dataDir,
+    apiBase: standIn.apiBase,
+    date: '2025-07-30',
+    servers: ['JP'],
+    retries: 1,
+    timeoutMs: 500,
+    minRequestIntervalMs: 0,
+    notificationConfigPath: null
+  };
+
+  writeForeignLock(pipelineLockFile(dataDir));
+  assert.strictEqual(await runFetch(options), 1);
+  assert.strictEqual(standIn.requests.length, 0);
+  assert.strictEqual(fs.existsSync(path.join(dataDir, 'latest.json')), false);
+
+  fs.rmSync(pipelineLockFile(dataDir));
+  assert.strictEqual(await runFetch(options), 0);
+  assert.strictEqual(JSON.parse(fs.readFileSync(path.join(dataDir, 'latest.json'), 'utf8')).latestDataPath, '2025-07-30');
+  assert.strictEqual(fs.existsSync(pipelineLockFile(dataDir)), false);
+  assert.deepStrictEqual(fs.readdirSync(path.join(dataDir, '2025-07-30')).filter(name => name.startsWith('.')), []);
+});
+
+test('other writers refuse to run while the data directory is locked', async t => {
+  quiet(t);
+  const dataDir = tempDir(t);
+  const run = t.mock.fn(() => 0);
+
+  writeForeignLock(pipelineLockFile(dataDir));
+  assert.strictEqual(runWithPipelineLock(dataDir, 'test', run), 1);
+  assert.strictEqual(await runRetention({ dataDir, overrides: { dailyDays: 0, weeklyWeeks: 0, monthlyMonths: 0 } }), 1);
+  assert.strictEqual(runEfficiency({ dataDir }), 1);
+  assert.strictEqual(runTimeline({ dataDir }), 1);
+  assert.strictEqual(run.mock.callCount(), 0);
+  assert.ok(console.error.mock.calls.every(call => /^Another run is in progress: /.test(call.arguments[0])));
+
+  // 同期処理はそのまま、非同期処理は終わってからロックを解放する
+  fs.rmSync(pipelineLockFile(dataDir));
+  assert.strictEqual(runWithPipelineLock(dataDir, 'test', run), 0);
+  assert.strictEqual(fs.existsSync(pipelineLockFile(dataDir)), false);
+  const pending = runWithPipelineLock(dataDir, 'test', async () => {
+    assert.strictEqual(JSON.parse(fs.readFileSync(pipelineLockFile(dataDir), 'utf8')).name, 'test');
+    return 0;
+  });
+  assert.strictEqual(fs.existsSync(pipelineLockFile(dataDir)), true);
+  assert.strictEqual(await pending, 0);
+  assert.strictEqual(fs.existsSync(pipelineLockFile(dataDir)), false);
+});
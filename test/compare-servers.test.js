@@ -0,0 +1,71 @@
+// compare-servers.test.js
+// サーバー間比較のステージ・アイテムの突き合わせと有意差の判定を確認する
+const test = require('node:test');
+const assert = require('node:assert');
+const { compareServerSnapshots, compareServers } = require('../scripts/compare-servers');
+const { loadFixtureSnapshot } = require('./helpers/penguin-stand-in');
+
+// 1ステージ分のデータを作る（stdDevはベルヌーイ分布として計算）
+function stage(times, items, start = Date.UTC(2025, 6, 1)) {
+  const stageItems = {};
+  Object.entries(items).forEach(([itemId, quantity]) => {
+    const dropRate = quantity / times;
+    stageItems[itemId] = {
+      quantity,
+      stdDev: Math.sqrt(dropRate * (1 - dropRate)),
+      dropRate,
+      dropPercentage: (dropRate * 100).toFixed(2)
+    };
+  });
+  return { stageInfo: { times, start, end: null, fetchedAt: '2025-07-31T00:00:00.000Z' }, items: stageItems };
+}
+
+function snapshot(data) {
+  return { fetchedAt: '2025-07-31T00:00:00.000Z', dataCount: 0, stageCount: Object.keys(data).length, data };
+}
+
+test('only significant drop rate differences with enough runs are reported', () => {
+  const cn = snapshot({ 'main_01-07': stage(10000, { 30012: 5000, 30011: 2000, 3003: 10 }) });
+  const us = snapshot({ 'main_01-07': stage(1000, { 30012: 400, 30011: 205, 2001: 1 }) });
+
+  const comparison = compareServerSnapshots(cn, us);
+  assert.deepStrictEqual(comparison.rateDifferences.map(difference => difference.itemId), ['30012']);
+  assert.ok(comparison.rateDifferences[0].zScore < -3);
+  assert.deepStrictEqual(comparison.itemDifferences, [{ stageId: 'main_01-07', referenceOnlyItems: ['3003'], serverOnlyItems: ['2001'] }]);
+
+  // どちらかの周回数が minTimes 未満なら比較しない
+  assert.deepStrictEqual(compareServerSnapshots(cn, us, { minTimes: 2000 }).rateDifferences, []);
+});
+
+test('stages missing from every other server are grouped by stage type', () => {
+  const cn = snapshot({
+    'main_01-07': stage(100, { 30012: 50 }),
+    act45side_01: stage(100, { 30012: 50 }, Date.UTC(2025, 6, 20)),
+    act45side_02: stage(100, { 30012: 50 }, Date.UTC(2025, 6, 21)),
+    act44side_01: stage(100, { 30012: 50 }, Date.UTC(2025, 5, 20)),
+    act44side_02: stage(100, { 30012: 50 }, Date.UTC(2025, 5, 20))
+  });
+  const us = snapshot({ 'main_01-07': stage(100, { 30012: 50 }), act44side_01: stage(100, { 30012: 50 }) });
+  const jp = snapshot({ 'main_01-07': stage(100, { 30012: 50 }) });
+
+  const report = compareServers({ CN: cn, US: us, JP: jp });
+  assert.deepStrictEqual(report.servers.JP.referenceOnlyStages, ['act44side_01', 'act44side_02', 'act45side_01', 'act45side_02']);
+  assert.strictEqual(report.referenceOnly.stageCount, 3);
+  assert.deepStrictEqual(report.referenceOnly.groups, [
+    { group: 'act44side', category: 'side_story', start: '2025-06-20', stageIds: ['act44side_02'] },
+    { group: 'act45side', category: 'side_story', start: '2025-07-20', stageIds: ['act45side_01', 'act45side_02'] }
+  ]);
+});
+
+test('fixture snapshots align stages across servers', () => {
+  const snapshots = {};
+  ['CN', 'US', 'JP', 'KR'].forEach(server => {
+    snapshots[server] = loadFixtureSnapshot('2025-07-31', server);
+  });
+
+  const report = compareServers(snapshots);
+  Object.entries(report.servers).forEach(([server, comparison]) => {
+    assert.strictEqual(comparison.sharedStageCount + comparison.referenceOnlyStages.length, snapshots.CN.stageCount, server);
+  });
+  assert.ok(report.referenceOnly.groups.every(group => group.stageIds.every(stageId => !snapshots.US.data[stageId])));
+});
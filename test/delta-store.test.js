@@ -0,0 +1,111 @@
+// delta-store.test.js
+// 差分履歴に何日分か追加して、どの日のスナップショットもそのまま復元できることと、履歴コマンドを確認する
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { appendSnapshot, listHistoryDates, reconstructSnapshot, rebaseHistory } = require('../scripts/lib/delta-store');
+const { processMatrix } = require('../scripts/lib/matrix');
+const { main } = require('../scripts/cli');
+const { FIXTURES_DIR, loadFixtureSnapshot } = require('./helpers/penguin-stand-in');
+const { quiet, tempDir } = require('./helpers/test-context');
+
+// 4日分のJPスナップショット（フィクスチャ2日分と、ステージの増減・メタデータ・新しい項目を含む2日分）
+function buildDays() {
+  const first = loadFixtureSnapshot('2025-07-30', 'JP');
+  const second = loadFixtureSnapshot('2025-07-31', 'JP');
+
+  const third = JSON.parse(JSON.stringify(second));
+  const [removedStageId, changedStageId] = Object.keys(third.data);
+  delete third.data[removedStageId];
+  third.data[changedStageId].stageMeta = { code: '4-6', zoneId: 'main_4', apCost: 18, stageType: 'MAIN' };
+  const [firstItemId] = Object.keys(third.data[changedStageId].items);
+  delete third.data[changedStageId].items[firstItemId];
+  third.fetchedAt = '2025-08-01T00:00:00.000Z';
+  third.stale = true;
+  third.staleSince = '2025-07-31';
+  third.stageCount = Object.keys(third.data).length;
+
+  const fourth = processMatrix({
+    matrix: [
+      { stageId: 'main_01-07', itemId: '30012', quantity: 5000, times: 10000, stdDev: 0.5, start: Date.UTC(2019, 4, 1), end: null },
+      { stageId: 'main_01-07', itemId: '30011', quantity: 3, times: 5, stdDev: 0.5, start: Date.UTC(2019, 4, 1), end: null },
+      { stageId: 'act_new', itemId: '30013', quantity: 40, times: 400, stdDev: 0.3, start: Date.UTC(2025, 7, 1), end: Date.UTC(2025, 7, 15) }
+    ]
+  }, { fetchedAt: '2025-08-02T00:00:00.000Z', excludePatterns: [] });
+
+  return [['2025-07-30', first], ['2025-07-31', second], ['2025-08-01', third], ['2025-08-02', fourth]];
+}
+
+test('every appended day is rebuilt exactly', t => {
+  const historyDir = tempDir(t);
+  const days = buildDays();
+
+  assert.deepStrictEqual(days.map(([date, snapshot]) => appendSnapshot(historyDir, 'JP', date, snapshot).type), ['base', 'delta', 'delta', 'delta']);
+  assert.deepStrictEqual(listHistoryDates(historyDir, 'JP'), days.map(([date]) => date));
+  days.forEach(([date, snapshot]) => {
+    assert.deepStrictEqual(reconstructSnapshot(historyDir, 'JP', date), snapshot, date);
+  });
+  assert.strictEqual(reconstructSnapshot(historyDir, 'JP', '2025-07-29'), null);
+  assert.strictEqual(reconstructSnapshot(historyDir, 'JP', '2025-08-03'), null);
+  assert.strictEqual(reconstructSnapshot(historyDir, 'CN', '2025-07-30'), null);
+
+  // 最新日を追加し直すと置き換わる
+  const replaced = { ...days[3][1], fetchedAt: '2025-08-02T12:00:00.000Z' };
+  assert.strictEqual(appendSnapshot(historyDir, 'JP', '2025-08-02', replaced).previousDate, '2025-08-01');
+  assert.deepStrictEqual(reconstructSnapshot(historyDir, 'JP', '2025-08-02'), replaced);
+});
+
+test('rebasing drops the older days and keeps the later ones intact', t => {
+  const historyDir = tempDir(t);
+  const days = buildDays();
+  days.forEach(([date, snapshot]) => appendSnapshot(historyDir, 'JP', date, snapshot));
+
+  rebaseHistory(historyDir, 'JP', '2025-07-31');
+  assert.deepStrictEqual(listHistoryDates(historyDir, 'JP'), ['2025-07-31', '2025-08-01', '2025-08-02']);
+  assert.deepStrictEqual(fs.readdirSync(path.join(historyDir, 'jp', 'deltas')).sort(), ['2025-08-01.json', '2025-08-02.json']);
+  assert.strictEqual(reconstructSnapshot(historyDir, 'JP', '2025-07-30'), null);
+  days.slice(1).forEach(([date, snapshot]) => {
+    assert.deepStrictEqual(reconstructSnapshot(historyDir, 'JP', date), snapshot, date);
+  });
+});
+
+test('days before the base or the latest delta are rejected', t => {
+  const historyDir = tempDir(t);
+  const days = buildDays();
+  days.forEach(([date, snapshot]) => appendSnapshot(historyDir, 'JP', date, snapshot));
+
+  assert.throws(() => appendSnapshot(historyDir, 'JP', '2025-07-31', days[1][1]), /Cannot insert 2025-07-31 for JP: history already contains later dates \(2025-08-01\)/);
+  assert.throws(() => rebaseHistory(historyDir, 'JP', '2025-07-29'), /No history for JP on 2025-07-29/);
+
+  rebaseHistory(historyDir, 'JP', '2025-08-02');
+  assert.throws(() => appendSnapshot(historyDir, 'JP', '2025-07-30', days[0][1]), /Cannot add 2025-07-30 before the base snapshot \(2025-08-02\) for JP/);
+  assert.deepStrictEqual(listHistoryDates(historyDir, 'JP'), ['2025-08-02']);
+  assert.deepStrictEqual(reconstructSnapshot(historyDir, 'JP', '2025-08-02'), days[3][1]);
+});
+
+test('the history command imports, verifies and reconstructs the dated folders', async t => {
+  quiet(t);
+  const dataDir = tempDir(t);
+  ['2025-07-30', '2025-07-31'].forEach(date => {
+    fs.mkdirSync(path.join(dataDir, date));
+    fs.copyFileSync(path.join(FIXTURES_DIR, date, 'penguin-stats-jp.json'), path.join(dataDir, date, 'penguin-stats-jp.json'));
+  });
+  const output = path.join(dataDir, 'jp.json');
+
+  assert.strictEqual(await main(['history', 'import', `--data-dir=${dataDir}`, '--servers=JP']), 0);
+  assert.deepStrictEqual(listHistoryDates(path.join(dataDir, 'history'), 'JP'), ['2025-07-30', '2025-07-31']);
+  assert.strictEqual(fs.existsSync(path.join(dataDir, '.pipeline.lock')), false);
+  assert.strictEqual(await main(['history', 'verify', `--data-dir=${dataDir}`, '--servers=JP']), 0);
+  assert.strictEqual(await main(['history', 'reconstruct', `--data-dir=${dataDir}`, '--date=2025-07-31', '--servers=JP', `--out=${output}`]), 0);
+  assert.deepStrictEqual(JSON.parse(fs.readFileSync(output, 'utf8')), loadFixtureSnapshot('2025-07-31', 'JP'));
+
+  // 日付フォルダが書き換わると検証は失敗する
+  fs.writeFileSync(path.join(dataDir, '2025-07-31', 'penguin-stats-jp.json'), JSON.stringify({ ...loadFixtureSnapshot('2025-07-31', 'JP'), dataCount: 0 }));
+  assert.strictEqual(await main(['history', 'verify', `--data-dir=${dataDir}`, '--servers=JP']), 1);
+
+  assert.strictEqual(await main(['history', 'reconstruct', `--data-dir=${dataDir}`, '--date=2025-07-29', '--servers=JP']), 1);
+  assert.strictEqual(await main(['history', 'reconstruct', `--data-dir=${dataDir}`, '--date=2025-07-31']), 1);
+  assert.strictEqual(await main(['history', `--data-dir=${dataDir}`]), 1);
+  assert.strictEqual(await main(['history', 'import', 'extra', `--data-dir=${dataDir}`]), 2);
+});
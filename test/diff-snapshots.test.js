@@ -0,0 +1,90 @@
+// diff-snapshots.test.js
+// 2つの日付のスナップショットの差分（ステージ・アイテムの増減とドロップ率の有意な変化）を確認する
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const { diffServerSnapshots, formatDiffMarkdown } = require('../scripts/diff-snapshots');
+const { calculateZScore, reportZScore } = require('../scripts/lib/drop-stats');
+const { main } = require('../scripts/cli');
+const { quiet, tempDir } = require('./helpers/test-context');
+
+// 1ステージ分のデータを作る（items: { itemId: [dropRate, stdDev] }）
+function stage(times, items) {
+  const stageItems = {};
+  Object.entries(items).forEach(([itemId, [dropRate, stdDev]]) => {
+    stageItems[itemId] = { quantity: Math.round(dropRate * times), stdDev, dropRate, dropPercentage: (dropRate * 100).toFixed(2) };
+  });
+  return { stageInfo: { times, start: 1556676000000, end: null, fetchedAt: '2025-07-31T00:00:00.000Z' }, items: stageItems };
+}
+
+function snapshot(data) {
+  return { fetchedAt: '2025-07-31T00:00:00.000Z', dataCount: 0, stageCount: Object.keys(data).length, data };
+}
+
+test('the z-score is the rate difference over the combined standard error', () => {
+  const from = { dropRate: 0.5, stdDev: 0.5 };
+  const to = { dropRate: 0.6, stdDev: Math.sqrt(0.24) };
+  assert.ok(Math.abs(calculateZScore(from, 1000, to, 1000) - 0.1 / Math.sqrt((0.25 + 0.24) / 1000)) < 1e-9);
+  assert.strictEqual(calculateZScore(to, 1000, from, 1000), -calculateZScore(from, 1000, to, 1000));
+
+  // ばらつきが無い場合: 同じ率なら0、違えば ±Infinity（レポートでは null と zeroVariance）
+  assert.strictEqual(calculateZScore({ dropRate: 1, stdDev: 0 }, 10, { dropRate: 1, stdDev: 0 }, 20), 0);
+  assert.strictEqual(calculateZScore({ dropRate: 2, stdDev: 0 }, 10, { dropRate: 1, stdDev: 0 }, 20), -Infinity);
+  assert.deepStrictEqual(reportZScore(-Infinity), { zScore: null, zeroVariance: true });
+  assert.deepStrictEqual(reportZScore(2.34567), { zScore: 2.346, zeroVariance: false });
+});
+
+test('only changes at or above the threshold are reported, largest first', () => {
+  const from = snapshot({
+    'main_01-07': stage(1000, { 30012: [0.5, 0.5], 30011: [0.2, 0.4], 3003: [1, 0] }),
+    'main_02-01': stage(500, { 30013: [0.1, 0.3] })
+  });
+  const to = snapshot({
+    'main_01-07': stage(1000, { 30012: [0.6, Math.sqrt(0.24)], 30011: [0.21, Math.sqrt(0.21 * 0.79)], 3003: [2, 0], 2001: [1, 0] }),
+    'main_03-01': stage(500, { 30013: [0.1, 0.3] })
+  });
+
+  const diff = diffServerSnapshots(from, to, 3);
+  assert.deepStrictEqual(diff.newStages, ['main_03-01']);
+  assert.deepStrictEqual(diff.removedStages, ['main_02-01']);
+  assert.deepStrictEqual(diff.itemChanges, [{ stageId: 'main_01-07', addedItems: ['2001'], removedItems: [] }]);
+  // 30011 の変化（z ≒ 0.55）は閾値未満
+  assert.deepStrictEqual(diff.rateChanges.map(change => [change.itemId, change.zScore, change.zeroVariance]), [
+    ['3003', null, true],
+    ['30012', 4.518, false]
+  ]);
+  assert.strictEqual(diff.rateChanges[0].delta, 1);
+  assert.ok(JSON.parse(JSON.stringify(diff)).rateChanges.every(change => change.zScore === null || typeof change.zScore === 'number'));
+
+  // 閾値を上げると有意な変化は無くなる（ばらつきの無い変化は残る）
+  assert.deepStrictEqual(diffServerSnapshots(from, to, 5).rateChanges.map(change => change.itemId), ['3003']);
+
+  const markdown = formatDiffMarkdown({ from: '2025-07-30', to: '2025-07-31', threshold: 3, generatedAt: 'now', missingServers: [], servers: { JP: diff } });
+  assert.match(markdown, /\| main_01-07 \| 3003 \| 100\.00% \| 200\.00% \| 100\.00pt \| n\/a \(no variance\) \| 1000 → 1000 \|/);
+  assert.match(markdown, /\| main_01-07 \| 30012 \| 50\.00% \| 60\.00% \| 10\.00pt \| 4\.518 \|/);
+});
+
+test('the significance uses the sample size of each item rather than of the stage', () => {
+  // 30011 は途中から追加されたアイテムで、周回数はステージ全体の1/100しかない
+  const from = snapshot({ 'main_01-07': stage(10000, { 30012: [0.5, 0.5], 30011: [0.2, 0.4] }) });
+  const to = snapshot({ 'main_01-07': stage(10000, { 30012: [0.5, 0.5], 30011: [0.3, Math.sqrt(0.21)] }) });
+  [from, to].forEach(day => {
+    day.data['main_01-07'].items['30011'].times = 100;
+  });
+
+  // ステージの周回数なら z ≒ 16.4 だが、アイテムの周回数では z ≒ 1.6
+  assert.deepStrictEqual(diffServerSnapshots(from, to, 3).rateChanges, []);
+  const [change] = diffServerSnapshots(from, to, 1).rateChanges;
+  assert.deepStrictEqual([change.itemId, change.fromTimes, change.toTimes, change.zScore], ['30011', 100, 100, Number((0.1 / Math.sqrt((0.16 + 0.21) / 100)).toFixed(3))]);
+});
+
+test('the CLI rejects a threshold that is not a non-negative number', async t => {
+  quiet(t);
+  const dataDir = tempDir(t);
+
+  for (const threshold of ['abc', '-1', ' ', 'Infinity']) {
+    assert.strictEqual(await main(['diff', `--data-dir=${dataDir}`, `--threshold=${threshold}`]), 2, threshold);
+  }
+  assert.ok(console.error.mock.calls.every(call => call.arguments[0] === '--threshold must be a non-negative number'));
+  assert.deepStrictEqual(fs.readdirSync(dataDir), []);
+});
@@ -0,0 +1,73 @@
+// drop-stats.test.js
+// ドロップ率の区間、周回数の少ないレコードの印、最小周回数のフィルタを確認する
+const test = require('node:test');
+const assert = require('node:assert');
+const { wilsonInterval, dropRateInterval } = require('../scripts/lib/drop-stats');
+const { processMatrix } = require('../scripts/lib/matrix');
+const { computeDelta, applyDelta } = require('../scripts/lib/delta-store');
+
+const FETCHED_AT = '2025-07-31T00:00:00.000Z';
+
+// /result/matrix のレスポンスを作る
+function matrix(rows) {
+  return {
+    matrix: rows.map(([stageId, itemId, quantity, times, stdDev = 0.5]) => ({
+      stageId, itemId, quantity, times, stdDev, start: Date.UTC(2025, 6, 1), end: null
+    }))
+  };
+}
+
+test('Wilson intervals stay wide for tiny samples and inside [0, 1]', () => {
+  const [low, high] = wilsonInterval(1, 1);
+  assert.ok(Math.abs(low - 0.2065) < 1e-4);
+  assert.strictEqual(high, 1);
+
+  const [zeroLow, zeroHigh] = wilsonInterval(0, 10);
+  assert.strictEqual(zeroLow, 0);
+  assert.ok(zeroHigh > 0.25 && zeroHigh < 0.35);
+
+  assert.deepStrictEqual(wilsonInterval(0, 0), [0, 1]);
+});
+
+test('items dropping several per run use the normal approximation', () => {
+  const [low, high] = dropRateInterval(2500, 0.5, 1000);
+  const halfWidth = 1.96 * 0.5 / Math.sqrt(1000);
+  assert.ok(Math.abs(low - (2.5 - halfWidth)) < 1e-12);
+  assert.ok(Math.abs(high - (2.5 + halfWidth)) < 1e-12);
+});
+
+test('records get intervals and low-sample flags, and short records are filtered', () => {
+  const raw = matrix([
+    ['main_01-07', '30012', 600, 1000],
+    ['main_01-07', '30011', 1, 1],
+    ['main_02-01', '30013', 3, 10]
+  ]);
+
+  const snapshot = processMatrix(raw, { fetchedAt: FETCHED_AT });
+  const record = snapshot.data['main_01-07'].items['30011'];
+  assert.deepStrictEqual(Object.keys(record), ['quantity', 'stdDev', 'dropRate', 'dropPercentage', 'times', 'ci', 'lowSample']);
+  assert.strictEqual(record.lowSample, true);
+  assert.strictEqual(record.ci[1], 1);
+  assert.strictEqual(snapshot.data['main_01-07'].items['30012'].lowSample, false);
+  assert.deepStrictEqual(snapshot.sampleStats, {
+    method: 'wilson', z: 1.96, lowSampleThreshold: 100, minTimes: 0, lowSampleRecords: 2, filteredRecords: 0
+  });
+
+  // 周回数が minTimes 未満のレコードは保存せず、空になったステージも残さない
+  const filtered = processMatrix(raw, { fetchedAt: FETCHED_AT, minTimes: 100, lowSampleThreshold: 500 });
+  assert.deepStrictEqual(Object.keys(filtered.data), ['main_01-07']);
+  assert.deepStrictEqual(Object.keys(filtered.data['main_01-07'].items), ['30012']);
+  assert.strictEqual(filtered.dataCount, 1);
+  assert.strictEqual(filtered.stageCount, 1);
+  assert.strictEqual(filtered.sampleStats.filteredRecords, 2);
+  assert.strictEqual(filtered.sampleStats.lowSampleRecords, 0);
+});
+
+test('delta history restores the new fields exactly and keeps them compact', () => {
+  const previous = processMatrix(matrix([['main_01-07', '30012', 600, 1000], ['main_01-07', '30011', 1, 1]]), { fetchedAt: FETCHED_AT });
+  const next = processMatrix(matrix([['main_01-07', '30012', 700, 1100], ['main_01-07', '30011', 3, 5]]), { fetchedAt: '2025-08-01T00:00:00.000Z' });
+
+  const delta = computeDelta(previous, next);
+  assert.deepStrictEqual(applyDelta(previous, delta), next);
+  assert.deepStrictEqual(delta.stages['main_01-07'].items, { 30012: [700, 0.5], 30011: [3, 0.5, 5] });
+});
@@ -0,0 +1,208 @@
+// e2e.test.js
+// ローカルのスタンドインサーバーに対して取得とステージタイプ分析を通しで実行する
+//
+//   node --test test/e2e.test.js
+//   UPDATE_GOLDEN=1 node --test test/e2e.test.js   # expected/ の分析結果を作り直す
+//
+// 取得結果の期待値は data/2025-07-* から作ったフィクスチャ（test/helpers/build-e2e-fixtures.js）そのもの
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { runFetch } = require('../scripts/fetch-penguin-stats');
+const { extractStageTypes } = require('../scripts/extract-stage-types');
+const { serverFileName, loadServerSnapshot } = require('../scripts/lib/snapshots');
+const { FIXTURES_DIR, loadFixtureSnapshot, startStandIn } = require('./helpers/penguin-stand-in');
+const { quiet, tempDir } = require('./helpers/test-context');
+
+const SERVERS = ['CN', 'US', 'JP', 'KR'];
+const EXPECTED_DIR = path.join(FIXTURES_DIR, 'expected');
+const ANALYSIS_FILES = ['stage-types-detail.json', 'new-stage-types.json', 'unmatched-stages.json'];
+const MATRIX_PATH = '/PenguinStats/api/v2/result/matrix';
+
+let standIn;
+let dataDir;
+
+// スタンドイン向けの取得オプション（リトライ・待機は短くする）
+function fetchOptions(overrides = {}) {
+  return {
+    dataDir,
+    apiBase: standIn.apiBase,
+    storageMode: 'full',
+    retries: 1,
+    retryBaseDelayMs: 10,
+    timeoutMs: 500,
+    minRequestIntervalMs: 0,
+    notificationConfigPath: null,
+    ...overrides
+  };
+}
+
+// 取得時刻とメタデータ由来の項目、フィクスチャに無い区間などの項目を除いて比較できる形にする
+function withoutFetchDetails(snapshot) {
+  const data = {};
+  Object.entries(snapshot.data).forEach(([stageId, stage]) => {
+    const { fetchedAt, latestEnd, ...stageInfo } = stage.stageInfo;
+    const items = {};
+    Object.entries(stage.items).forEach(([itemId, { quantity, stdDev, dropRate, dropPercentage }]) => {
+      items[itemId] = { quantity, stdDev, dropRate, dropPercentage };
+    });
+    data[stageId] = { stageInfo, items };
+  });
+  return { dataCount: snapshot.dataCount, stageCount: snapshot.stageCount, data };
+}
+
+function readJson(file) {
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+before(async () => {
+  standIn = await startStandIn();
+  dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'penguin-e2e-'));
+  fs.copyFileSync(path.join(FIXTURES_DIR, 'stage-types-registry.json'), path.join(dataDir, 'stage-types-registry.json'));
+});
+
+after(async () => {
+  await standIn.close();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('fetch saves the fixture snapshots for every server', async t => {
+  quiet(t);
+  standIn.setDate('2025-07-30');
+
+  assert.strictEqual(await runFetch(fetchOptions({ date: '2025-07-30' })), 0);
+
+  SERVERS.forEach(server => {
+    const saved = readJson(path.join(dataDir, '2025-07-30', serverFileName(server)));
+    assert.deepStrictEqual(withoutFetchDetails(saved), withoutFetchDetails(loadFixtureSnapshot('2025-07-30', server)));
+  });
+
+  const jp = readJson(path.join(dataDir, '2025-07-30', serverFileName('JP')));
+  assert.strictEqual(jp.data['main_01-07'].stageMeta.code, '1-7');
+  assert.strictEqual(jp.data['main_01-07'].stageMeta.zoneName, '黑暗时代·下');
+  assert.strictEqual(jp.itemMeta['30012'].name, '固源岩');
+  const record = jp.data['main_01-07'].items['30012'];
+  assert.strictEqual(record.times, Math.round(record.quantity / record.dropRate));
+  assert.ok(record.ci[0] <= record.dropRate && record.dropRate <= record.ci[1]);
+  assert.strictEqual(jp.sampleStats.method, 'wilson');
+  assert.strictEqual(readJson(path.join(dataDir, 'latest.json')).latestDataPath, '2025-07-30');
+});
+
+test('fetch retries error responses and timeouts', async t => {
+  quiet(t);
+  standIn.fail(MATRIX_PATH, { status: 503, times: 1 });
+  standIn.fail(MATRIX_PATH, { delayMs: 2000, times: 1 });
+  const before = standIn.requests.length;
+
+  try {
+    assert.strictEqual(await runFetch(fetchOptions({ date: '2025-07-30', servers: ['CN'], retries: 2 })), 0);
+  } finally {
+    standIn.clearFaults();
+  }
+
+  const matrixRequests = standIn.requests.slice(before).filter(request => request.path === MATRIX_PATH);
+  assert.strictEqual(matrixRequests.length, 3);
+  assert.strictEqual(readJson(path.join(dataDir, '2025-07-30', serverFileName('CN'))).stale, undefined);
+});
+
+test('malformed JSON carries the previous snapshot forward as stale', async t => {
+  quiet(t);
+  standIn.setDate('2025-07-31');
+  // retries: 1 なのでCNの2回分だけ壊れた本文を返す
+  standIn.fail(MATRIX_PATH, { body: '{"matrix": [', times: 2, query: { server: 'CN' } });
+
+  try {
+    assert.strictEqual(await runFetch(fetchOptions({ date: '2025-07-31' })), 0);
+  } finally {
+    standIn.clearFaults();
+  }
+
+  const cn = readJson(path.join(dataDir, '2025-07-31', serverFileName('CN')));
+  assert.strictEqual(cn.stale, true);
+  assert.strictEqual(cn.staleSince, '2025-07-30');
+  assert.strictEqual(readJson(path.join(dataDir, '2025-07-31', serverFileName('JP'))).stale, undefined);
+  assert.deepStrictEqual(readJson(path.join(dataDir, 'latest.json')).staleServers, ['CN']);
+});
+
+test('responses that fail schema validation do not update latest.json', async t => {
+  quiet(t);
+  standIn.fail(MATRIX_PATH, { body: JSON.stringify({ matrix: [{ stageId: 'main_01-07' }] }) });
+
+  try {
+    assert.strictEqual(await runFetch(fetchOptions({ date: '2025-08-01', servers: ['JP'] })), 1);
+  } finally {
+    standIn.clearFaults();
+  }
+  assert.strictEqual(readJson(path.join(dataDir, 'latest.json')).latestDataPath, '2025-07-31');
+
+  // 正常なデータで取り直して以降のテストに使う
+  assert.strictEqual(await runFetch(fetchOptions({ date: '2025-07-31' })), 0);
+});
+
+test('stage type analysis matches the expected snapshots', async t => {
+  quiet(t);
+
+  for (const date of ['2025-07-30', '2025-07-31']) {
+    const result = await extractStageTypes({ dataDir, date, syncAdapter: '', notificationConfigPath: null });
+    assert.ok(result, `analysis failed for ${date}`);
+
+    ANALYSIS_FILES.forEach(name => {
+      const actual = readJson(path.join(dataDir, date, name));
+      const expectedFile = path.join(EXPECTED_DIR, date, name);
+      if (process.env.UPDATE_GOLDEN) {
+        fs.mkdirSync(path.dirname(expectedFile), { recursive: true });
+        fs.writeFileSync(expectedFile, JSON.stringify(actual, null, 2) + '\n');
+      }
+      assert.deepStrictEqual(actual, readJson(expectedFile), `${date}/${name}`);
+    });
+  }
+
+  // 1日目に見つかった新しいタイプは登録簿に入り、2日目には新しいタイプとして扱われない
+  const registry = readJson(path.join(dataDir, 'stage-types-registry.json'));
+  readJson(path.join(EXPECTED_DIR, '2025-07-30', 'new-stage-types.json')).forEach(result => {
+    assert.strictEqual(registry.types[result.stageType].status, 'new');
+  });
+  assert.deepStrictEqual(readJson(path.join(dataDir, '2025-07-31', 'new-stage-types.json')), []);
+});
+
+test('new stage types are pulled from the sheet and pushed to the webhook', async t => {
+  quiet(t);
+  const syncOptions = { baseUrl: standIn.sheetsBaseUrl, webhookUrl: standIn.webhookUrl, spreadsheetId: 'stand-in' };
+  standIn.fail('/macros/', { status: 500, body: 'Script error', times: 1 });
+  standIn.fail('/spreadsheets/', { status: 500, times: 1 });
+
+  // 1回目はシートの読み込みとWebhookが失敗し、未送信のまま残る
+  await extractStageTypes({ dataDir, date: '2025-07-31', syncAdapter: 'google-sheets', syncOptions, notificationConfigPath: null });
+  let registry = readJson(path.join(dataDir, 'stage-types-registry.json'));
+  const pending = Object.keys(registry.types).filter(stageType => registry.types[stageType].status === 'new').sort();
+  assert.ok(pending.includes('main_04'));
+  assert.strictEqual(registry.types.main_04.syncedAt, null);
+  assert.strictEqual(registry.types.main_04.names.ja, '');
+  assert.deepStrictEqual(standIn.webhookPayloads, []);
+
+  // 2回目で名称を取り込み、未送信のタイプをまとめて送る
+  await extractStageTypes({ dataDir, date: '2025-07-31', syncAdapter: 'google-sheets', syncOptions, notificationConfigPath: null });
+  registry = readJson(path.join(dataDir, 'stage-types-registry.json'));
+  assert.strictEqual(registry.types.main_04.names.ja, 'メインストーリー 4章');
+  assert.strictEqual(registry.types.wk_melee.notes, '龍門幣');
+  assert.ok(registry.types.main_04.syncedAt);
+  assert.strictEqual(standIn.webhookPayloads.length, 1);
+  assert.deepStrictEqual(standIn.webhookPayloads[0].newTypes.map(entry => entry.stageType), pending);
+});
+
+test('delta storage keeps the full snapshots out of summary.json and latest.json', async t => {
+  quiet(t);
+  const deltaDir = tempDir(t);
+  standIn.setDate('2025-07-31');
+
+  assert.strictEqual(await runFetch(fetchOptions({ dataDir: deltaDir, date: '2025-07-31', servers: ['JP'], storageMode: 'delta' })), 0);
+
+  const summary = readJson(path.join(deltaDir, '2025-07-31', 'summary.json'));
+  assert.strictEqual(summary.storageMode, 'delta');
+  assert.strictEqual(summary.serverData, undefined);
+  assert.deepStrictEqual(readJson(path.join(deltaDir, 'latest.json')), { ...summary, latestDataPath: '2025-07-31' });
+  // スナップショットは差分履歴から復元する
+  assert.strictEqual(loadServerSnapshot(deltaDir, '2025-07-31', 'JP').stageCount, summary.totalStages);
+});
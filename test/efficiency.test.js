@@ -0,0 +1,77 @@
+// efficiency.test.js
+// 理性効率の計算で、開催中のステージの判定、保存済みメタデータの消費理性を使うこと、消費理性が分からない場合の失敗を確認する
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { runEfficiency } = require('../scripts/calculate-efficiency');
+const { isOpenAt, computeStageEfficiency, computeBestStages } = require('../scripts/lib/efficiency');
+const { processMatrix } = require('../scripts/lib/matrix');
+const { quiet, tempDir } = require('./helpers/test-context');
+
+const DATE = '2025-07-31';
+
+// ステージ1つだけのJPスナップショットを書く（stageMetaは無い）
+function writeSnapshot(dataDir) {
+  fs.mkdirSync(path.join(dataDir, DATE), { recursive: true });
+  fs.writeFileSync(path.join(dataDir, DATE, 'penguin-stats-jp.json'), JSON.stringify({
+    fetchedAt: `${DATE}T00:00:00.000Z`,
+    dataCount: 1,
+    stageCount: 1,
+    data: {
+      'main_01-07': {
+        stageInfo: { times: 1000, start: Date.UTC(2025, 6, 1), end: null },
+        items: { 30012: { quantity: 500, stdDev: 0.5, dropRate: 0.5 } }
+      }
+    }
+  }));
+}
+
+test('a stage whose first record is a closed event window is still open', () => {
+  const fetchedAt = `${DATE}T00:00:00.000Z`;
+  const eventWindow = { start: Date.UTC(2019, 11, 1), end: Date.UTC(2020, 0, 7) };
+  const permanent = { start: Date.UTC(2019, 4, 1), end: null };
+  const snapshot = processMatrix({
+    matrix: [
+      { stageId: 'main_01-07', itemId: 'randomMaterial_1', quantity: 300, times: 1000, stdDev: 0.4, ...eventWindow },
+      { stageId: 'main_01-07', itemId: '30012', quantity: 5000, times: 10000, stdDev: 0.5, ...permanent },
+      { stageId: 'act_old', itemId: '30012', quantity: 500, times: 1000, stdDev: 0.5, ...eventWindow }
+    ]
+  }, { fetchedAt, excludePatterns: [] });
+
+  // stageInfoの期間は最初のレコードのまま、開催中かどうかは全レコードで判断する
+  assert.strictEqual(snapshot.data['main_01-07'].stageInfo.end, eventWindow.end);
+  assert.strictEqual(snapshot.data['main_01-07'].stageInfo.latestEnd, null);
+  assert.strictEqual(snapshot.data.act_old.stageInfo.latestEnd, eventWindow.end);
+  assert.strictEqual(isOpenAt(snapshot.data['main_01-07'].stageInfo, Date.parse(fetchedAt)), true);
+  assert.strictEqual(isOpenAt(snapshot.data.act_old.stageInfo, Date.parse(fetchedAt)), false);
+
+  const metadata = { stages: { 'main_01-07': { apCost: 6 }, act_old: { apCost: 6 } } };
+  const stages = computeStageEfficiency(snapshot, { metadata });
+  assert.deepStrictEqual([stages['main_01-07'].open, stages.act_old.open], [true, false]);
+  assert.deepStrictEqual(computeBestStages(stages)['30012'].map(entry => entry.stageId), ['main_01-07']);
+});
+
+test('AP costs come from metadata saved on or before the date', t => {
+  quiet(t);
+  const dataDir = tempDir(t);
+  writeSnapshot(dataDir);
+  fs.writeFileSync(path.join(dataDir, DATE, 'metadata-jp.json'), JSON.stringify({ items: {}, zones: {}, stages: { 'main_01-07': { code: '1-7', apCost: 6 } } }));
+
+  assert.strictEqual(runEfficiency({ dataDir, date: DATE, servers: ['JP'] }), 0);
+  const result = JSON.parse(fs.readFileSync(path.join(dataDir, DATE, 'sanity-efficiency.json'), 'utf8'));
+  assert.strictEqual(result.servers.JP.stageCount, 1);
+  assert.strictEqual(result.servers.JP.stages['main_01-07'].items['30012'].sanityPerItem, 12);
+  assert.ok(fs.existsSync(path.join(dataDir, 'latest-best-stages.json')));
+});
+
+test('snapshots without any AP cost fail instead of writing empty tables', t => {
+  quiet(t);
+  const dataDir = tempDir(t);
+  writeSnapshot(dataDir);
+
+  assert.strictEqual(runEfficiency({ dataDir, date: DATE, servers: ['JP'] }), 1);
+  assert.match(console.error.mock.calls[0].arguments[0], /^No stage had an AP cost on JP: .*no metadata-<server>\.json exists on or before 2025-07-31/);
+  assert.deepStrictEqual(fs.readdirSync(dataDir), [DATE]);
+  assert.deepStrictEqual(fs.readdirSync(path.join(dataDir, DATE)), ['penguin-stats-jp.json']);
+});
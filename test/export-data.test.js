@@ -0,0 +1,86 @@
+// export-data.test.js
+// 縦持ちCSV・列指向JSON・SQLiteへの書き出しを確認する（入力はe2eのフィクスチャ）
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { runExport } = require('../scripts/export-data');
+const { formatCsv, toColumnar, fromColumnar, sqlLiteral } = require('../scripts/lib/tabular');
+const { FIXTURES_DIR, loadFixtureSnapshot } = require('./helpers/penguin-stand-in');
+const { quiet, tempDir } = require('./helpers/test-context');
+
+// 全サーバー・全日付のレコード数
+function recordCount(dates) {
+  return dates.reduce((sum, date) => sum + ['CN', 'US', 'JP', 'KR'].reduce((total, server) => total + loadFixtureSnapshot(date, server).dataCount, 0), 0);
+}
+
+test('CSV fields are quoted only when needed', () => {
+  const csv = formatCsv([{ server: 'JP', date: '2025-07-31', stageId: 'a,"b"', itemId: '30012', times: 10, quantity: 5, rate: 0.5 }]);
+  assert.strictEqual(csv, 'server,date,stageId,itemId,times,quantity,rate\nJP,2025-07-31,"a,""b""",30012,10,5,0.5\n');
+  assert.strictEqual(sqlLiteral("it's"), "'it''s'");
+  assert.strictEqual(sqlLiteral(null), 'NULL');
+});
+
+test('a date is flattened into one long-format CSV row per stage and item', t => {
+  quiet(t);
+  const out = tempDir(t);
+  assert.strictEqual(runExport({ dataDir: FIXTURES_DIR, date: '2025-07-31', format: 'csv', out }), 0);
+
+  const lines = fs.readFileSync(path.join(out, 'drops-2025-07-31.csv'), 'utf8').trimEnd().split('\n');
+  assert.strictEqual(lines[0], 'server,date,stageId,itemId,times,quantity,rate');
+  assert.strictEqual(lines.length - 1, recordCount(['2025-07-31']));
+
+  const jp = loadFixtureSnapshot('2025-07-31', 'JP').data['main_01-07'].items['30012'];
+  const times = Math.round(jp.quantity / jp.dropRate);
+  assert.ok(lines.includes(`JP,2025-07-31,main_01-07,30012,${times},${jp.quantity},${jp.dropRate}`));
+});
+
+test('the columnar export round-trips to the same rows for every date', t => {
+  quiet(t);
+  const out = tempDir(t);
+  assert.strictEqual(runExport({ dataDir: FIXTURES_DIR, format: 'columnar', allDates: true, servers: ['JP'], out }), 0);
+
+  const table = JSON.parse(fs.readFileSync(path.join(out, 'drops.columns.json'), 'utf8'));
+  assert.deepStrictEqual(table.columns.server.dictionary, ['JP']);
+  assert.deepStrictEqual(table.columns.date.dictionary, ['2025-07-30', '2025-07-31']);
+  assert.deepStrictEqual(toColumnar(fromColumnar(table)), table);
+  assert.strictEqual(table.rowCount, loadFixtureSnapshot('2025-07-30', 'JP').dataCount + loadFixtureSnapshot('2025-07-31', 'JP').dataCount);
+});
+
+test('the SQLite export covers every stored date', t => {
+  quiet(t);
+  const out = tempDir(t);
+  const hasSqlite = !spawnSync('sqlite3', ['-version']).error;
+  assert.strictEqual(runExport({ dataDir: FIXTURES_DIR, format: 'sqlite', out, sqliteBin: 'sqlite3', skipSqliteDb: !hasSqlite }), 0);
+
+  const dump = fs.readFileSync(path.join(out, 'penguin-stats.sql'), 'utf8');
+  assert.match(dump, /^CREATE TABLE drops /m);
+  assert.match(dump, /INSERT INTO drops VALUES \('JP', '2025-07-30', 'main_01-07', '30012', /);
+
+  if (!hasSqlite) {
+    t.skip('sqlite3 is not installed');
+    return;
+  }
+  const query = spawnSync('sqlite3', [path.join(out, 'penguin-stats.sqlite'), 'SELECT COUNT(*), COUNT(DISTINCT date) FROM drops;']);
+  assert.strictEqual(query.stdout.toString().trim(), `${recordCount(['2025-07-30', '2025-07-31'])}|2`);
+});
+
+test('unknown formats and a missing output directory for SQLite are rejected', t => {
+  quiet(t);
+  assert.strictEqual(runExport({ dataDir: FIXTURES_DIR, format: 'xlsx' }), 1);
+  assert.strictEqual(runExport({ dataDir: FIXTURES_DIR, format: 'sqlite' }), 1);
+});
+
+test('a missing sqlite3 command fails unless only the dump is requested', t => {
+  quiet(t);
+  const out = tempDir(t);
+  const options = { dataDir: FIXTURES_DIR, format: 'sqlite', out, sqliteBin: path.join(out, 'no-sqlite3') };
+
+  assert.strictEqual(runExport(options), 1);
+  assert.ok(console.error.mock.calls.some(call => /no-sqlite3 not found, could not build .*--skip-sqlite-db/.test(call.arguments[0])));
+  assert.deepStrictEqual(fs.readdirSync(out), ['penguin-stats.sql']);
+
+  assert.strictEqual(runExport({ ...options, skipSqliteDb: true }), 0);
+  assert.deepStrictEqual(fs.readdirSync(out), ['penguin-stats.sql']);
+});
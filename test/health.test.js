@@ -0,0 +1,114 @@
+// health.test.js
+// 取得結果の異常検出（ローリングベースラインとの比較）とヘルスレポートを確認する
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { DEFAULT_HEALTH_POLICY, snapshotMetrics, checkServerHealth, checkHealth } = require('../scripts/lib/health');
+const { runHealthCheck } = require('../scripts/check-health');
+const { validateDataTree } = require('../scripts/validate-data');
+const { serverFileName } = require('../scripts/lib/snapshots');
+const { FIXTURES_DIR, loadFixtureSnapshot } = require('./helpers/penguin-stand-in');
+const { quiet, tempDir } = require('./helpers/test-context');
+
+const DATES = ['2025-07-30', '2025-07-31'];
+
+// stageId毎の周回数とアイテムからスナップショットを作る
+function snapshot(stages, extra = {}) {
+  const data = {};
+  Object.entries(stages).forEach(([stageId, { times, end = null, items }]) => {
+    data[stageId] = {
+      stageInfo: { times, start: Date.UTC(2025, 6, 1), end, fetchedAt: '2025-07-31T00:00:00.000Z' },
+      items: Object.fromEntries(items.map(itemId => [itemId, { quantity: 1, stdDev: 0, dropRate: 1 / times, dropPercentage: '0.00' }]))
+    };
+  });
+  return { fetchedAt: '2025-07-31T00:00:00.000Z', dataCount: 0, stageCount: Object.keys(data).length, data, ...extra };
+}
+
+test('counts are compared with the median of the previous days', () => {
+  const baseline = [{ stageCount: 100, recordCount: 1000 }, { stageCount: 100, recordCount: 1000 }, { stageCount: 10, recordCount: 100 }];
+  const stages = {};
+  for (let i = 0; i < 85; i++) {
+    stages[`main_${i}`] = { times: 100, items: ['30012', '30011', '30013', '30014', '30021', '30022', '30023', '30024', '30031', '30032'] };
+  }
+  const result = checkServerHealth(snapshot(stages), baseline, null);
+
+  // 1日だけの異常値は中央値に影響しない（ステージ数は15%減で警告、レコード数も同じ）
+  assert.deepStrictEqual(result.baseline, { days: 3, stageCount: 100, recordCount: 1000 });
+  assert.strictEqual(result.status, 'warning');
+  assert.deepStrictEqual(result.anomalies.map(anomaly => [anomaly.type, anomaly.severity, anomaly.ratio]), [
+    ['stage_count_drop', 'warning', 0.15],
+    ['record_count_drop', 'warning', 0.15]
+  ]);
+
+  const severe = checkServerHealth(snapshot({ main_01: { times: 100, items: ['30012'] } }), baseline, null);
+  assert.strictEqual(severe.status, 'severe');
+
+  const empty = checkServerHealth(snapshot({}), baseline, null);
+  assert.deepStrictEqual(empty.anomalies.map(anomaly => anomaly.type), ['empty_matrix']);
+  assert.deepStrictEqual(checkServerHealth(null, baseline, null).anomalies.map(anomaly => anomaly.type), ['missing_server']);
+});
+
+test('times going backwards and vanished items are found against the previous day', () => {
+  const previous = snapshot({
+    main_01: { times: 100, items: ['30012', '30011'] },
+    main_02: { times: 200, items: ['30012'] },
+    act45side_01: { times: 50, items: ['30012'] },
+    act44side_01: { times: 50, end: Date.UTC(2025, 5, 30), items: ['30012'] }
+  });
+  const current = snapshot({
+    main_01: { times: 90, items: ['30012'] },
+    main_02: { times: 210, items: ['30012'] }
+  });
+  const baseline = [snapshotMetrics(previous)];
+
+  const result = checkServerHealth(current, baseline, previous, { ...DEFAULT_HEALTH_POLICY, stageDropSevere: 1, recordDropSevere: 1 });
+  const byType = Object.fromEntries(result.anomalies.map(anomaly => [anomaly.type, anomaly]));
+  assert.deepStrictEqual(byType.times_decreased.stages, [{ stageId: 'main_01', from: 100, to: 90 }]);
+  assert.strictEqual(byType.times_decreased.severity, 'severe');
+  // 終了済みのステージが消えるのは異常ではない
+  assert.deepStrictEqual(byType.stages_vanished.stageIds, ['act45side_01']);
+  assert.deepStrictEqual(byType.items_vanished.stages, [{ stageId: 'main_01', itemIds: ['30011'] }]);
+
+  // ドロップテーブルの期間が違うレコードの周回数は比べない
+  const otherWindow = JSON.parse(JSON.stringify(current));
+  otherWindow.data.main_01.stageInfo.end = Date.UTC(2025, 6, 15);
+  const windowResult = checkServerHealth(otherWindow, baseline, previous);
+  assert.strictEqual(windowResult.anomalies.some(anomaly => anomaly.type === 'times_decreased'), false);
+
+  // 取得に失敗して引き継いだデータは前日と比べない
+  const stale = checkServerHealth({ ...previous, stale: true, staleSince: '2025-07-30' }, baseline, previous);
+  assert.deepStrictEqual(stale.anomalies.map(anomaly => anomaly.type), ['stale_server']);
+  assert.strictEqual(stale.status, 'warning');
+});
+
+test('servers without data in the baseline or on the day are not reported', () => {
+  const jp = loadFixtureSnapshot('2025-07-31', 'JP');
+  const report = checkHealth('2025-07-31', { JP: jp, KR: null }, { dates: ['2025-07-30'], servers: { JP: { metrics: [snapshotMetrics(jp)], previous: jp } } });
+  assert.deepStrictEqual(Object.keys(report.servers), ['JP']);
+  assert.strictEqual(report.status, 'ok');
+  assert.deepStrictEqual(report.anomalyCount, { warning: 0, severe: 0 });
+});
+
+test('the health check saves a report and fails on severe anomalies', async t => {
+  quiet(t);
+  const dataDir = tempDir(t);
+  DATES.forEach(date => fs.cpSync(path.join(FIXTURES_DIR, date), path.join(dataDir, date), { recursive: true }));
+
+  assert.strictEqual(await runHealthCheck({ dataDir, notificationConfigPath: null }), 0);
+  const report = JSON.parse(fs.readFileSync(path.join(dataDir, '2025-07-31', 'health.json'), 'utf8'));
+  assert.strictEqual(report.status, 'ok');
+  assert.deepStrictEqual(report.baselineDates, ['2025-07-30']);
+  assert.deepStrictEqual(JSON.parse(fs.readFileSync(path.join(dataDir, 'latest-health.json'), 'utf8')), report);
+
+  // JPが空のマトリクスを返した日
+  const jpFile = path.join(dataDir, '2025-07-31', serverFileName('JP'));
+  fs.writeFileSync(jpFile, JSON.stringify({ ...loadFixtureSnapshot('2025-07-31', 'JP'), stageCount: 0, dataCount: 0, data: {} }));
+  assert.strictEqual(await runHealthCheck({ dataDir, notificationConfigPath: null }), 1);
+  const severe = JSON.parse(fs.readFileSync(path.join(dataDir, 'latest-health.json'), 'utf8'));
+  assert.strictEqual(severe.status, 'severe');
+  assert.deepStrictEqual(severe.servers.JP.anomalies.map(anomaly => anomaly.type), ['empty_matrix']);
+  assert.strictEqual(severe.servers.CN.status, 'ok');
+
+  assert.deepStrictEqual(validateDataTree(dataDir).invalid, {});
+});
@@ -0,0 +1,114 @@
+// build-e2e-fixtures.js
+// data/2025-07-* のスナップショットからE2Eテスト用のフィクスチャを作る
+//
+//   node test/helpers/build-e2e-fixtures.js
+//
+// 全ステージを含めるとサイズが大きいため、stageIdを並べて一定間隔で選んだものと
+// 分類上の特殊なケース（SAMPLE_STAGE_IDS）だけを残す。
+// metadata.json と stage-types-sheet.csv は手で管理する。
+const fs = require('fs');
+const path = require('path');
+const { serverFileName } = require('../../scripts/lib/snapshots');
+const { loadStageRules, classifyStage } = require('../../scripts/lib/stage-classifier');
+
+const DATA_DIR = path.join(__dirname, '..', '..', 'data');
+const FIXTURES_DIR = path.join(__dirname, '..', 'fixtures', 'e2e');
+const SOURCE_DATES = ['2025-07-30', '2025-07-31'];
+const SERVERS = ['CN', 'US', 'JP', 'KR'];
+
+// 何件に1件のstageIdを残すか
+const SAMPLE_INTERVAL = 30;
+
+// 必ず残すstageId（メタデータのあるステージ、未分類のステージなど）
+const SAMPLE_STAGE_IDS = ['main_01-07', 'main_04-06', 'wk_melee_5', 'act24side_gacha'];
+
+// 登録簿から外しておくステージタイプ（E2Eで新しいタイプとして検出させる）
+const UNREGISTERED_TYPES = ['main_04', 'wk_melee'];
+
+// 対象日の全サーバーのスナップショットを読み込む
+function loadSourceSnapshots(date) {
+  const snapshots = {};
+  SERVERS.forEach(server => {
+    snapshots[server] = JSON.parse(fs.readFileSync(path.join(DATA_DIR, date, serverFileName(server)), 'utf8'));
+  });
+  return snapshots;
+}
+
+// 残すstageIdを決める（全日付・全サーバーで同じ集合を使う）
+function selectStageIds(sources) {
+  const stageIds = new Set();
+  Object.values(sources).forEach(snapshots => {
+    Object.values(snapshots).forEach(snapshot => Object.keys(snapshot.data).forEach(stageId => stageIds.add(stageId)));
+  });
+
+  const sorted = Array.from(stageIds).sort();
+  const selected = new Set(sorted.filter((stageId, index) => index % SAMPLE_INTERVAL === 0));
+  SAMPLE_STAGE_IDS.forEach(stageId => {
+    if (stageIds.has(stageId)) {
+      selected.add(stageId);
+    }
+  });
+  return selected;
+}
+
+// スナップショットを選んだステージだけに絞る
+function pickStages(snapshot, selected) {
+  const data = {};
+  Object.keys(snapshot.data).filter(stageId => selected.has(stageId)).forEach(stageId => {
+    data[stageId] = snapshot.data[stageId];
+  });
+
+  return {
+    fetchedAt: snapshot.fetchedAt,
+    dataCount: Object.values(data).reduce((sum, stage) => sum + Object.keys(stage.items).length, 0),
+    stageCount: Object.keys(data).length,
+    data
+  };
+}
+
+// リポジトリの登録簿のうち、残したステージのタイプだけを含む登録簿を作る
+function buildRegistry(groups) {
+  const registry = JSON.parse(fs.readFileSync(path.join(DATA_DIR, 'stage-types-registry.json'), 'utf8'));
+  const types = {};
+  Object.keys(registry.types).sort().forEach(stageType => {
+    if (groups.has(stageType) && !UNREGISTERED_TYPES.includes(stageType)) {
+      types[stageType] = registry.types[stageType];
+    }
+  });
+  return { version: registry.version, types };
+}
+
+function main() {
+  const rules = loadStageRules();
+
+  const sources = {};
+  SOURCE_DATES.forEach(date => {
+    sources[date] = loadSourceSnapshots(date);
+  });
+  const selected = selectStageIds(sources);
+
+  SOURCE_DATES.forEach(date => {
+    const dateDir = path.join(FIXTURES_DIR, date);
+    fs.mkdirSync(dateDir, { recursive: true });
+    SERVERS.forEach(server => {
+      const snapshot = pickStages(sources[date][server], selected);
+      fs.writeFileSync(path.join(dateDir, serverFileName(server)), JSON.stringify(snapshot, null, 2) + '\n');
+      console.log(`${date} ${server}: ${snapshot.stageCount} stages, ${snapshot.dataCount} items`);
+    });
+  });
+
+  const groups = new Set();
+  selected.forEach(stageId => {
+    const classification = classifyStage(stageId, rules);
+    if (classification) {
+      groups.add(classification.group);
+    }
+  });
+  const registry = buildRegistry(groups);
+  fs.writeFileSync(path.join(FIXTURES_DIR, 'stage-types-registry.json'), JSON.stringify(registry, null, 2) + '\n');
+  console.log(`Registry: ${Object.keys(registry.types).length} types`);
+}
+
+if (require.main === module) {
+  main();
+}
@@ -0,0 +1,229 @@
+// penguin-stand-in.js
+// Penguin Stats API・Google Spreadsheet（gviz CSV）・GAS Webアプリを模したローカルHTTPサーバー
+// test/fixtures/e2e のフィクスチャを返し、エラー応答・遅延・不正なJSONを再現できる
+// ドロップ行列にはETag・Last-Modifiedを付け、条件付きリクエストには内容が同じなら304を返す
+//
+//   node test/helpers/penguin-stand-in.js [date] [--port=8787]
+//   node scripts/cli.js fetch --api-base=http://127.0.0.1:8787/PenguinStats/api/v2 --data-dir=/tmp/data
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { DATE_FOLDER_PATTERN, serverFileName } = require('../../scripts/lib/snapshots');
+
+const FIXTURES_DIR = path.join(__dirname, '..', 'fixtures', 'e2e');
+const API_PATH = '/PenguinStats/api/v2';
+const WEBHOOK_PATH = '/macros/s/stand-in/exec';
+const SERVERS = ['CN', 'US', 'JP', 'KR'];
+
+// スナップショットを /result/matrix の形式に戻す
+// （アイテム毎の周回数は quantity / dropRate から復元し、ドロップ0件のものはステージの周回数を使う）
+function snapshotToMatrix(snapshot) {
+  const matrix = [];
+  Object.entries(snapshot.data).forEach(([stageId, stage]) => {
+    const { times, start, end } = stage.stageInfo;
+    const rows = Object.entries(stage.items).map(([itemId, item]) => ({
+      stageId,
+      itemId,
+      quantity: item.quantity,
+      times: item.dropRate > 0 ? Math.round(item.quantity / item.dropRate) : times,
+      stdDev: item.stdDev,
+      start,
+      end
+    }));
+    // processMatrix は最初の行の周回数をステージの周回数にするため、一致する行を先頭にする
+    rows.sort((a, b) => (b.times === times) - (a.times === times));
+    matrix.push(...rows);
+  });
+  return { matrix };
+}
+
+// フィクスチャの日付一覧
+function listFixtureDates(fixturesDir = FIXTURES_DIR) {
+  return fs.readdirSync(fixturesDir).filter(name => DATE_FOLDER_PATTERN.test(name)).sort();
+}
+
+// フィクスチャのスナップショットを読み込む（無ければnull）
+function loadFixtureSnapshot(date, server, fixturesDir = FIXTURES_DIR) {
+  const file = path.join(fixturesDir, date, serverFileName(server));
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : null;
+}
+
+// 応答を送る
+function send(res, status, body, contentType = 'application/json', headers = {}) {
+  res.writeHead(status, { 'Content-Type': contentType, ...headers });
+  res.end(typeof body === 'string' ? body : JSON.stringify(body));
+}
+
+// 内容が変わっていなければ304を返し、変わっていればETag・Last-Modified付きで返す
+function sendCacheable(req, res, body, lastModified) {
+  const text = JSON.stringify(body);
+  const etag = `"${crypto.createHash('sha1').update(text).digest('hex')}"`;
+  const headers = { ETag: etag, 'Last-Modified': lastModified };
+  if (req.headers['if-none-match'] === etag) {
+    res.writeHead(304, headers);
+    return res.end();
+  }
+  return send(res, 200, text, 'application/json', headers);
+}
+
+// サーバーを起動する
+// options: fixturesDir, date（返すスナップショットの日付、既定は最新）, port（既定は空きポート）
+//
+// 障害は fail(pathPrefix, fault) で設定する。fault のキー:
+//   status  - 返すHTTPステータス
+//   body    - 返す本文（そのまま送るので不正なJSONも再現できる）
+//   delayMs - 応答までの遅延（クライアントのタイムアウトの再現）
+//   times   - 障害を起こす回数（省略時は clearFaults() まで毎回）
+//   query   - クエリが一致するリクエストだけに起こす（例: { server: 'CN' }）
+async function startStandIn(options = {}) {
+  const fixturesDir = options.fixturesDir || FIXTURES_DIR;
+  const metadata = JSON.parse(fs.readFileSync(path.join(fixturesDir, 'metadata.json'), 'utf8'));
+  const sheetCsv = fs.readFileSync(path.join(fixturesDir, 'stage-types-sheet.csv'), 'utf8');
+  const state = {
+    date: options.date || listFixtureDates(fixturesDir).pop(),
+    faults: [],
+    timers: new Set()
+  };
+  const requests = [];
+  const webhookPayloads = [];
+
+  // 障害が設定されていない場合の応答
+  function route(req, url, body, res) {
+    const { method } = req;
+    const pathname = url.pathname;
+
+    if (method === 'GET' && pathname === `${API_PATH}/result/matrix`) {
+      const server = url.searchParams.get('server');
+      const snapshot = SERVERS.includes(server) ? loadFixtureSnapshot(state.date, server, fixturesDir) : null;
+      return snapshot
+        ? sendCacheable(req, res, snapshotToMatrix(snapshot), new Date(Date.parse(state.date)).toUTCString())
+        : send(res, 404, { message: `no fixture for ${server} on ${state.date}` });
+    }
+
+    const metadataMatch = pathname.match(new RegExp(`^${API_PATH}/(items|stages|zones)$`));
+    if (method === 'GET' && metadataMatch) {
+      return send(res, 200, metadata[metadataMatch[1]]);
+    }
+
+    if (method === 'GET' && /^\/spreadsheets\/d\/[^/]+\/gviz\/tq$/.test(pathname)) {
+      return send(res, 200, sheetCsv, 'text/csv; charset=utf-8');
+    }
+
+    if (method === 'POST' && pathname === WEBHOOK_PATH) {
+      try {
+        webhookPayloads.push(JSON.parse(body));
+      } catch (error) {
+        return send(res, 400, { status: 'error', message: error.message });
+      }
+      return send(res, 200, { status: 'success' });
+    }
+
+    return send(res, 404, { message: `not found: ${method} ${pathname}` });
+  }
+
+  // パス（とクエリ）に一致する障害を1回分取り出す
+  function takeFault(url) {
+    const fault = state.faults.find(entry => url.pathname.startsWith(entry.pathPrefix) && entry.remaining !== 0 &&
+      Object.entries(entry.query || {}).every(([key, value]) => url.searchParams.get(key) === value));
+    if (fault && fault.remaining > 0) {
+      fault.remaining--;
+    }
+    return fault;
+  }
+
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      const url = new URL(req.url, 'http://localhost');
+      const body = Buffer.concat(chunks).toString('utf8');
+      requests.push({
+        method: req.method,
+        path: url.pathname,
+        query: Object.fromEntries(url.searchParams),
+        conditional: req.headers['if-none-match'] !== undefined || req.headers['if-modified-since'] !== undefined
+      });
+
+      const fault = takeFault(url);
+      const respond = () => {
+        if (res.destroyed) return;
+        if (fault && fault.status !== undefined) {
+          send(res, fault.status, fault.body !== undefined ? fault.body : { message: 'stand-in fault' });
+        } else if (fault && fault.body !== undefined) {
+          send(res, 200, fault.body);
+        } else {
+          route(req, url, body, res);
+        }
+      };
+
+      if (fault && fault.delayMs) {
+        const timer = setTimeout(() => {
+          state.timers.delete(timer);
+          respond();
+        }, fault.delayMs);
+        state.timers.add(timer);
+      } else {
+        respond();
+      }
+    });
+  });
+
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(options.port || 0, '127.0.0.1', resolve);
+  });
+  const url = `http://127.0.0.1:${server.address().port}`;
+
+  return {
+    url,
+    apiBase: `${url}${API_PATH}`,
+    sheetsBaseUrl: url,
+    webhookUrl: `${url}${WEBHOOK_PATH}`,
+    requests,
+    webhookPayloads,
+
+    // 返すスナップショットの日付を切り替える
+    setDate(date) {
+      state.date = date;
+    },
+
+    fail(pathPrefix, fault = {}) {
+      state.faults.push({ ...fault, pathPrefix, remaining: fault.times === undefined ? -1 : fault.times });
+    },
+
+    clearFaults() {
+      state.faults = [];
+    },
+
+    // 遅延中の応答も含めて全ての接続を閉じる
+    close() {
+      state.timers.forEach(timer => clearTimeout(timer));
+      state.timers.clear();
+      server.closeAllConnections();
+      return new Promise(resolve => server.close(resolve));
+    }
+  };
+}
+
+// コマンドライン実行時（Ctrl+Cで終了）
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const portArg = args.find(arg => arg.startsWith('--port='));
+  const date = args.find(arg => !arg.startsWith('--'));
+
+  startStandIn({ date, port: portArg ? Number(portArg.split('=')[1]) : 8787 }).then(standIn => {
+    console.log(`Penguin Stats stand-in listening on ${standIn.url}`);
+    console.log(`  API base:    ${standIn.apiBase}`);
+    console.log(`  Sheets base: ${standIn.sheetsBaseUrl}`);
+    console.log(`  Webhook:     ${standIn.webhookUrl}`);
+  });
+}
+
+module.exports = {
+  FIXTURES_DIR,
+  snapshotToMatrix,
+  listFixtureDates,
+  loadFixtureSnapshot,
+  startStandIn
+};
@@ -0,0 +1,22 @@
+// test-context.js
+// テストで共通して使う後片付け付きのヘルパー
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// テスト中はログを出さない
+function quiet(t) {
+  ['log', 'warn', 'error'].forEach(method => t.mock.method(console, method, () => {}));
+}
+
+// 一時ディレクトリ（テスト終了時に消える）
+function tempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'penguin-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+module.exports = {
+  quiet,
+  tempDir
+};
@@ -0,0 +1,108 @@
+// http-cache.test.js
+// ドロップ行列の条件付きリクエスト（ETag/Last-Modified）と、リクエストの同時実行数・間隔の制限を確認する
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { createRateLimiter, matrixUrl, sleep } = require('../scripts/lib/penguin-api');
+const { HTTP_CACHE_DIR, cacheKey, createHttpCache } = require('../scripts/lib/http-cache');
+const { runFetch } = require('../scripts/fetch-penguin-stats');
+const { serverFileName } = require('../scripts/lib/snapshots');
+const { startStandIn } = require('./helpers/penguin-stand-in');
+const { quiet, tempDir } = require('./helpers/test-context');
+
+const MATRIX_PATH = '/PenguinStats/api/v2/result/matrix';
+
+function readJson(file) {
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+test('the limiter caps concurrent requests and spaces out their starts', async () => {
+  const limiter = createRateLimiter({ concurrency: 2, minIntervalMs: 20 });
+  const starts = [];
+  let active = 0;
+  let maxActive = 0;
+  const task = async index => {
+    starts.push(Date.now());
+    active++;
+    maxActive = Math.max(maxActive, active);
+    await sleep(50);
+    active--;
+    return index;
+  };
+
+  const scheduledAt = Date.now();
+  const results = await Promise.all([0, 1, 2, 3, 4].map(index => limiter.schedule(() => task(index))));
+  assert.deepStrictEqual(results, [0, 1, 2, 3, 4]);
+  assert.strictEqual(maxActive, 2);
+  // 開始時刻は20ms間隔で割り当てられる（タイマーの誤差を見込んで少しだけ緩める）
+  starts.forEach((start, index) => assert.ok(start - scheduledAt >= index * 20 - 2, `request ${index} started ${start - scheduledAt}ms after scheduling`));
+  assert.throws(() => createRateLimiter({ concurrency: 0 }), /concurrency/);
+});
+
+test('unchanged matrices are answered with 304 and not processed again', async t => {
+  quiet(t);
+  const dataDir = tempDir(t);
+  const standIn = await startStandIn({ date: '2025-07-30' });
+  t.after(() => standIn.close());
+  const options = date => ({
+    dataDir,
+    date,
+    apiBase: standIn.apiBase,
+    servers: ['JP', 'KR'],
+    retries: 1,
+    retryBaseDelayMs: 10,
+    timeoutMs: 500,
+    minRequestIntervalMs: 0,
+    notificationConfigPath: null
+  });
+  const matrixRequests = () => standIn.requests.filter(request => request.path === MATRIX_PATH);
+
+  // ドライランではキャッシュも書き込まない
+  assert.strictEqual(await runFetch({ ...options('2025-07-30'), dryRun: true }), 0);
+  assert.strictEqual(fs.existsSync(path.join(dataDir, HTTP_CACHE_DIR)), false);
+
+  assert.strictEqual(await runFetch(options('2025-07-30')), 0);
+  const cache = createHttpCache(path.join(dataDir, HTTP_CACHE_DIR));
+  const jpUrl = matrixUrl('JP', standIn.apiBase);
+  assert.match(cache.get(jpUrl).etag, /^"[0-9a-f]{40}"$/);
+  assert.strictEqual(cache.get(jpUrl).annotations.processed.date, '2025-07-30');
+  assert.ok(JSON.parse(cache.readBody(jpUrl)).matrix.length > 0);
+
+  // 翌日も内容が同じなら条件付きリクエストに304が返り、メタデータも取り直さない
+  const before = standIn.requests.length;
+  assert.strictEqual(await runFetch(options('2025-07-31')), 0);
+  const second = standIn.requests.slice(before);
+  assert.deepStrictEqual(second.map(request => [request.path, request.query.server, request.conditional]), [
+    [MATRIX_PATH, 'JP', true],
+    [MATRIX_PATH, 'KR', true]
+  ]);
+  ['JP', 'KR'].forEach(server => {
+    assert.deepStrictEqual(
+      readJson(path.join(dataDir, '2025-07-31', serverFileName(server))),
+      readJson(path.join(dataDir, '2025-07-30', serverFileName(server)))
+    );
+  });
+  assert.strictEqual(cache.get(jpUrl).annotations.processed.date, '2025-07-31');
+
+  // 内容が変われば200が返り、処理し直す
+  standIn.setDate('2025-07-31');
+  assert.strictEqual(await runFetch(options('2025-08-01')), 0);
+  const jp = readJson(path.join(dataDir, '2025-08-01', serverFileName('JP')));
+  assert.notDeepStrictEqual(jp.data, readJson(path.join(dataDir, '2025-07-31', serverFileName('JP'))).data);
+  assert.strictEqual(cache.get(jpUrl).annotations.processed.date, '2025-08-01');
+
+  // 保存した本文が壊れていたら条件なしで取り直す
+  fs.writeFileSync(path.join(dataDir, HTTP_CACHE_DIR, `${cacheKey(jpUrl)}.body.gz`), 'not gzip');
+  const beforeBroken = matrixRequests().length;
+  assert.strictEqual(await runFetch({ ...options('2025-08-02'), servers: ['JP'] }), 0);
+  assert.deepStrictEqual(matrixRequests().slice(beforeBroken).map(request => request.conditional), [true, false]);
+  const refetched = readJson(path.join(dataDir, '2025-08-02', serverFileName('JP')));
+  assert.strictEqual(refetched.dataCount, jp.dataCount);
+  assert.deepStrictEqual(refetched.data['main_01-07'].items, jp.data['main_01-07'].items);
+
+  // --no-cache では条件付きリクエストを送らない
+  const beforeNoCache = matrixRequests().length;
+  assert.strictEqual(await runFetch({ ...options('2025-08-02'), servers: ['JP'], httpCache: false }), 0);
+  assert.deepStrictEqual(matrixRequests().slice(beforeNoCache).map(request => request.conditional), [false]);
+});
@@ -0,0 +1,77 @@
+// item-values.test.js
+// レシピを含む理性価値の計算と、消費理性が分からない場合の失敗を確認する
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { solveItemValues } = require('../scripts/lib/item-values');
+const { runItemValues } = require('../scripts/solve-item-values');
+const { quiet, tempDir } = require('./helpers/test-context');
+
+const FETCHED_AT = '2025-07-31T00:00:00.000Z';
+const FORMULAS = [{ itemId: '30012', goldCost: 100, costs: [{ itemId: '30011', count: 3 }] }];
+const OPTIONS = { lmdValue: 0.004, lmdPerAp: 12 };
+
+// 1ステージ分のデータを作る（drops: { itemId: dropRate }）
+function stage(apCost, drops, stageInfo = {}) {
+  const times = 1000;
+  const items = {};
+  Object.entries(drops).forEach(([itemId, dropRate]) => {
+    items[itemId] = { quantity: Math.round(dropRate * times), stdDev: 0.5, dropRate };
+  });
+  return {
+    stageInfo: { times, start: Date.UTC(2025, 6, 1), end: null, ...stageInfo },
+    ...(apCost === null ? {} : { stageMeta: { apCost } }),
+    items
+  };
+}
+
+function snapshot(data) {
+  return { fetchedAt: FETCHED_AT, dataCount: 0, stageCount: Object.keys(data).length, data };
+}
+
+test('crafted items are valued through their recipe and the tightest stage sets the base value', () => {
+  const result = solveItemValues(snapshot({
+    'main_01-07': stage(6, { 30011: 1 }),
+    'main_02-01': stage(12, { 30012: 1 }),
+    // 終了したステージは使わない
+    'act_old': stage(1, { 30011: 1 }, { end: Date.UTC(2025, 6, 2) })
+  }), FORMULAS, OPTIONS);
+
+  // main_02-01: 3 v(30011) + 100 * 0.004 + 12 * 12 * 0.004 ≤ 12
+  const base = (12 - 0.4 - 0.576) / 3;
+  assert.strictEqual(result.status, 'optimal');
+  assert.deepStrictEqual([result.itemCount, result.stageCount], [2, 2]);
+  assert.deepStrictEqual(result.itemValues, {
+    30011: Number(base.toFixed(6)),
+    30012: Number((3 * base + 0.4).toFixed(6))
+  });
+  assert.deepStrictEqual(result.stageEfficiency, {
+    'main_01-07': { apCost: 6, efficiency: Number(((base + 6 * 12 * 0.004) / 6).toFixed(6)) },
+    'main_02-01': { apCost: 12, efficiency: 1 }
+  });
+});
+
+test('circular recipes and stages worth more than their cost are errors', () => {
+  const circular = [
+    { itemId: 'a', goldCost: 0, costs: [{ itemId: 'b', count: 1 }] },
+    { itemId: 'b', goldCost: 0, costs: [{ itemId: 'a', count: 1 }] }
+  ];
+  assert.throws(() => solveItemValues(snapshot({ 'main_01-07': stage(6, { a: 1 }) }), circular, { itemPattern: '.' }), /Circular crafting formula detected for a/);
+  assert.throws(() => solveItemValues(snapshot({ 'main_01-07': stage(1, { 30011: 1 }) }), FORMULAS, { lmdValue: 1 }), /Stage main_01-07 yields more fixed value than its AP cost/);
+});
+
+test('snapshots without any AP cost fail instead of writing empty tables', t => {
+  quiet(t);
+  const dataDir = tempDir(t);
+  fs.mkdirSync(path.join(dataDir, '2025-07-31'));
+  fs.writeFileSync(path.join(dataDir, '2025-07-31', 'penguin-stats-jp.json'), JSON.stringify(snapshot({ 'main_01-07': stage(null, { 30011: 1 }) })));
+
+  assert.deepStrictEqual(solveItemValues(snapshot({ 'main_01-07': stage(null, { 30011: 1 }) }), FORMULAS), {
+    status: 'no_ap_cost', missingApCost: 1, itemValues: {}, stageEfficiency: {}
+  });
+  assert.strictEqual(runItemValues({ dataDir, date: '2025-07-31', servers: ['JP'] }), 1);
+  assert.match(console.error.mock.calls[0].arguments[0], /^No AP cost for any open stage on JP: .*no metadata-<server>\.json exists on or before 2025-07-31/);
+  assert.deepStrictEqual(fs.readdirSync(dataDir).sort(), ['2025-07-31']);
+  assert.deepStrictEqual(fs.readdirSync(path.join(dataDir, '2025-07-31')), ['penguin-stats-jp.json']);
+});
@@ -0,0 +1,57 @@
+// library.test.js
+// require したときの公開APIがファイル操作なしで使えることを確認する
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const penguin = require('../scripts/index');
+
+const RAW_MATRIX = {
+  matrix: [
+    { stageId: 'main_01-07', itemId: '30012', quantity: 50, times: 100, stdDev: 0.5, start: 1556676000000, end: null },
+    { stageId: 'main_01-07', itemId: '30011', quantity: 20, times: 100, stdDev: 0.4, start: 1556676000000, end: null },
+    { stageId: 'recruit', itemId: '30011', quantity: 1, times: 1, stdDev: 0, start: 1556676000000, end: null },
+    { stageId: 'act24side_gacha', itemId: '4001', quantity: 1, times: 1, stdDev: 0, start: 1556676000000, end: null }
+  ]
+};
+
+test('processMatrix groups by stage with a configurable exclude list', () => {
+  const snapshot = penguin.processMatrix(RAW_MATRIX, { fetchedAt: '2026-10-19T00:00:00.000Z' });
+  assert.deepStrictEqual(Object.keys(snapshot.data).sort(), ['act24side_gacha', 'main_01-07']);
+  assert.strictEqual(snapshot.dataCount, 3);
+  assert.strictEqual(snapshot.data['main_01-07'].items['30012'].dropPercentage, '50.00');
+
+  const custom = penguin.processMatrix(RAW_MATRIX, { excludePatterns: ['main_'] });
+  assert.deepStrictEqual(Object.keys(custom.data).sort(), ['act24side_gacha', 'recruit']);
+
+  assert.throws(() => penguin.processMatrix({ matrix: [{ stageId: 'x' }] }), error => error.validationErrors.length > 0);
+});
+
+test('classifyStage uses the bundled rules by default', () => {
+  assert.deepStrictEqual(penguin.classifyStage('main_01-07'), { category: 'main', group: 'main_01', rule: 'main-story' });
+  assert.strictEqual(penguin.classifyStage('act24side_gacha'), null);
+});
+
+test('loadSnapshot and analyzeStageTypes read from the given data directory', () => {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'penguin-lib-'));
+  try {
+    const snapshot = penguin.processMatrix(RAW_MATRIX, { fetchedAt: '2026-10-19T00:00:00.000Z' });
+    fs.mkdirSync(path.join(dataDir, '2026-10-19'));
+    fs.writeFileSync(path.join(dataDir, '2026-10-19', 'penguin-stats-jp.json'), JSON.stringify(snapshot));
+
+    assert.deepStrictEqual(penguin.listDates({ dataDir }), ['2026-10-19']);
+    assert.deepStrictEqual(penguin.loadSnapshot('2026-10-19', 'JP', { dataDir }), snapshot);
+    assert.strictEqual(penguin.loadSnapshot('2026-10-19', 'CN', { dataDir }), null);
+
+    const analysis = penguin.analyzeStageTypes({ JP: snapshot }, {
+      rules: penguin.loadStageRules(),
+      knownTypes: []
+    });
+    assert.deepStrictEqual(analysis.allResults.map(result => result.stageType), ['main_01']);
+    assert.strictEqual(analysis.newResults.length, 1);
+    assert.deepStrictEqual(analysis.unmatched, [{ stageId: 'act24side_gacha', servers: ['JP'] }]);
+  } finally {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,58 @@
+// lp-solver.test.js
+// 単体法ソルバーの最適解・双対解、退化した問題での停止、非有界と入力エラーを確認する
+const test = require('node:test');
+const assert = require('node:assert');
+const { maximize } = require('../scripts/lib/lp-solver');
+
+// 許容誤差付きで配列を比較する
+function assertClose(actual, expected, tolerance = 1e-9) {
+  assert.strictEqual(actual.length, expected.length);
+  actual.forEach((value, index) => {
+    assert.ok(Math.abs(value - expected[index]) <= tolerance, `[${index}] ${value} != ${expected[index]}`);
+  });
+}
+
+test('a textbook problem reaches its known optimum and shadow prices', () => {
+  // maximize 3x + 5y  s.t.  x ≤ 4, 2y ≤ 12, 3x + 2y ≤ 18
+  const result = maximize([3, 5], [
+    { coefficients: [1, 0], bound: 4 },
+    { coefficients: [0, 2], bound: 12 },
+    { coefficients: [3, 2], bound: 18 }
+  ]);
+
+  assert.strictEqual(result.status, 'optimal');
+  assert.ok(Math.abs(result.value - 36) < 1e-9);
+  assertClose(result.solution, [2, 6]);
+  // 1つ目の制約には余裕があるので0
+  assertClose(result.duals, [0, 1.5, 1]);
+});
+
+test('a degenerate problem that cycles under the largest-coefficient rule terminates', () => {
+  // Bealeの例: 最大係数の規則では同じ基底を巡回するが、Blandの規則では止まる
+  const result = maximize([0.75, -20, 0.5, -6], [
+    { coefficients: [0.25, -8, -1, 9], bound: 0 },
+    { coefficients: [0.5, -12, -0.5, 3], bound: 0 },
+    { coefficients: [0, 0, 1, 0], bound: 1 }
+  ], { maxIterations: 100 });
+
+  assert.strictEqual(result.status, 'optimal');
+  assert.ok(Math.abs(result.value - 1.25) < 1e-9);
+  assertClose(result.solution, [1, 0, 1, 0]);
+});
+
+test('an unbounded objective and the iteration limit are reported as statuses', () => {
+  assert.strictEqual(maximize([1, 1], [{ coefficients: [1, -1], bound: 1 }]).status, 'unbounded');
+
+  const limited = maximize([3, 5], [
+    { coefficients: [1, 0], bound: 4 },
+    { coefficients: [0, 2], bound: 12 },
+    { coefficients: [3, 2], bound: 18 }
+  ], { maxIterations: 1 });
+  assert.deepStrictEqual(limited, { status: 'iteration_limit', iterations: 1 });
+});
+
+test('mismatched coefficients and negative bounds are rejected', () => {
+  // b ≥ 0 のみを扱うので、原点が実行不可能な問題は入力エラーになる
+  assert.throws(() => maximize([1, 1], [{ coefficients: [1], bound: 1 }]), /Constraint 0 has 1 coefficients, expected 2/);
+  assert.throws(() => maximize([1], [{ coefficients: [1], bound: 1 }, { coefficients: [-1], bound: -2 }]), /Constraint 1 has a negative bound/);
+});
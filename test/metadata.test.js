@@ -0,0 +1,97 @@
+// metadata.test.js
+// スナップショットへのメタデータの結合と、メタデータが取得できなかった日に保存済みのものを使うことを確認する
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { indexMetadata, metadataFileName, enrichSnapshot } = require('../scripts/lib/metadata');
+const { runFetch } = require('../scripts/fetch-penguin-stats');
+const { serverFileName } = require('../scripts/lib/snapshots');
+const { FIXTURES_DIR, startStandIn } = require('./helpers/penguin-stand-in');
+const { quiet, tempDir } = require('./helpers/test-context');
+
+const FIXTURE_METADATA = JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, 'metadata.json'), 'utf8'));
+
+// 保存済みのメタデータ（1-7のコードだけ書き換えて、どの日のものが使われたか分かるようにする）
+function savedMetadata(code) {
+  const metadata = indexMetadata(FIXTURE_METADATA.items, FIXTURE_METADATA.stages, FIXTURE_METADATA.zones);
+  metadata.stages['main_01-07'].code = code;
+  return { fetchedAt: '2025-07-30T00:00:00.000Z', ...metadata };
+}
+
+function readJson(file) {
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+test('stages get their metadata and only the items that drop are listed in itemMeta', () => {
+  const metadata = indexMetadata(FIXTURE_METADATA.items, [
+    ...FIXTURE_METADATA.stages,
+    { stageId: 'act_lost', zoneId: 'act_lost_zone', code: 'LS-1', apCost: 10, stageType: 'ACTIVITY' }
+  ], FIXTURE_METADATA.zones);
+  const snapshot = {
+    fetchedAt: '2025-07-31T00:00:00.000Z',
+    dataCount: 3,
+    stageCount: 3,
+    data: {
+      'main_01-07': { stageInfo: { times: 10 }, items: { 30012: { quantity: 5 }, unknown_item: { quantity: 1 } } },
+      act_lost: { stageInfo: { times: 10 }, items: { 30012: { quantity: 2 } } },
+      act_unknown: { stageInfo: { times: 10 }, items: { 30011: { quantity: 3 } } }
+    }
+  };
+  const original = JSON.parse(JSON.stringify(snapshot));
+
+  const enriched = enrichSnapshot(snapshot, metadata);
+  assert.deepStrictEqual(enriched.data['main_01-07'], {
+    ...snapshot.data['main_01-07'],
+    stageMeta: {
+      code: '1-7',
+      code_i18n: { en: '1-7', ja: '1-7', ko: '1-7', zh: '1-7' },
+      zoneId: 'main_1',
+      zoneName: metadata.zones.main_1.zoneName,
+      zoneName_i18n: metadata.zones.main_1.zoneName_i18n,
+      apCost: 6,
+      stageType: 'MAIN'
+    }
+  });
+  // ゾーンが分からないステージはゾーン名だけ空、メタデータの無いステージはnull
+  assert.deepStrictEqual(enriched.data.act_lost.stageMeta, {
+    code: 'LS-1', code_i18n: {}, zoneId: 'act_lost_zone', zoneName: null, zoneName_i18n: {}, apCost: 10, stageType: 'ACTIVITY'
+  });
+  assert.strictEqual(enriched.data.act_unknown.stageMeta, null);
+  assert.deepStrictEqual(Object.keys(enriched.itemMeta), ['30011', '30012']);
+  assert.deepStrictEqual(enriched.itemMeta['30012'], { name: '固源岩', name_i18n: metadata.items['30012'].name_i18n });
+  assert.strictEqual(enriched.fetchedAt, snapshot.fetchedAt);
+  assert.deepStrictEqual(snapshot, original);
+});
+
+test('a failed metadata fetch falls back to the latest metadata saved on or before the date', async t => {
+  quiet(t);
+  const dataDir = tempDir(t);
+  const standIn = await startStandIn({ date: '2025-07-31' });
+  t.after(() => standIn.close());
+  [['2025-07-30', '1-7 (saved)'], ['2025-08-01', '1-7 (later)']].forEach(([date, code]) => {
+    fs.mkdirSync(path.join(dataDir, date));
+    fs.writeFileSync(path.join(dataDir, date, metadataFileName('JP')), JSON.stringify(savedMetadata(code)));
+  });
+  standIn.fail('/PenguinStats/api/v2/stages', { status: 500 });
+
+  assert.strictEqual(await runFetch({
+    dataDir,
+    date: '2025-07-31',
+    servers: ['JP'],
+    apiBase: standIn.apiBase,
+    storageMode: 'full',
+    retries: 1,
+    retryBaseDelayMs: 10,
+    timeoutMs: 500,
+    minRequestIntervalMs: 0,
+    notificationConfigPath: null
+  }), 0);
+
+  assert.ok(console.warn.mock.calls.some(call => call.arguments[0] === 'Using JP metadata from 2025-07-30'));
+  const jp = readJson(path.join(dataDir, '2025-07-31', serverFileName('JP')));
+  assert.strictEqual(jp.data['main_01-07'].stageMeta.code, '1-7 (saved)');
+  assert.strictEqual(jp.itemMeta['30012'].name, '固源岩');
+  // 取得できなかった日には保存しない
+  assert.strictEqual(fs.existsSync(path.join(dataDir, '2025-07-31', metadataFileName('JP'))), false);
+});
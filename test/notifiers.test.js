@@ -0,0 +1,157 @@
+// notifiers.test.js
+// 通知シンク（Discord・Slack・Webhook・ファイル）のテンプレート・再試行・送信待ちキューを確認する
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { quiet, tempDir } = require('./helpers/test-context');
+const { startStandIn } = require('./helpers/penguin-stand-in');
+const { runFetch } = require('../scripts/fetch-penguin-stats');
+const {
+  QUEUE_FILE,
+  renderTemplate,
+  sendNotifications,
+  newStageTypesNotification,
+  fetchNotification
+} = require('../scripts/lib/notifiers');
+
+// 送信内容を記録するfetch（statusesの順に応答し、尽きたら200）
+function recordingFetch(statuses = []) {
+  const requests = [];
+  const fetch = async (url, options) => {
+    requests.push({ url, body: JSON.parse(options.body) });
+    const status = statuses.length > 0 ? statuses.shift() : 200;
+    return { ok: status < 400, status, text: async () => '' };
+  };
+  return { requests, fetch };
+}
+
+const NEW_TYPES = newStageTypesNotification('2025-07-31', [
+  { stageType: 'act46side', count: 12, examples: 'act46side_01, act46side_02' }
+]);
+
+test('templates replace placeholders inside strings and nested objects', () => {
+  const rendered = renderTemplate(
+    { text: '*{{title}}* ({{data.date}})', fields: [{ value: '{{data.types}}' }], missing: 'x{{nope}}y' },
+    NEW_TYPES
+  );
+  assert.strictEqual(rendered.text, '*1 new stage types found (2025-07-31)* (2025-07-31)');
+  // 文字列全体が1つのプレースホルダーなら値をそのまま使う
+  assert.deepStrictEqual(rendered.fields[0].value, NEW_TYPES.data.types);
+  assert.strictEqual(rendered.missing, 'xy');
+});
+
+test('each sink gets its own payload and only the events it asked for', async t => {
+  quiet(t);
+  const dataDir = tempDir(t);
+  const { requests, fetch } = recordingFetch();
+  const config = {
+    sinks: [
+      { name: 'discord', type: 'discord', urlEnv: 'DISCORD_URL', events: ['new-stage-types'] },
+      { name: 'slack', type: 'slack', url: 'http://slack.test/hook', minLevel: 'error' },
+      { name: 'webhook', type: 'webhook', url: 'http://hook.test/', template: { event: '{{type}}', date: '{{data.date}}' } },
+      { name: 'unset', type: 'webhook', urlEnv: 'UNSET_URL' },
+      { name: 'outbox', type: 'file', path: 'outbox/out.ndjson' }
+    ]
+  };
+  const fetched = fetchNotification({ date: '2025-07-31', exitCode: 0, servers: ['JP'], totalStages: 10, totalRecords: 50, staleServers: [] });
+
+  const result = await sendNotifications([NEW_TYPES, fetched], { dataDir, config, env: { DISCORD_URL: 'http://discord.test/hook' }, fetch });
+
+  assert.deepStrictEqual(result.delivered.map(entry => `${entry.sink}:${entry.title}`), [
+    'discord:1 new stage types found (2025-07-31)',
+    'webhook:1 new stage types found (2025-07-31)',
+    'outbox:1 new stage types found (2025-07-31)',
+    'webhook:Fetched data for 2025-07-31',
+    'outbox:Fetched data for 2025-07-31'
+  ]);
+  assert.deepStrictEqual(requests[0], {
+    url: 'http://discord.test/hook',
+    body: { content: '**1 new stage types found (2025-07-31)**\n- act46side: 12 stages, e.g. act46side_01, act46side_02' }
+  });
+  assert.deepStrictEqual(requests[1].body, { event: 'new-stage-types', date: '2025-07-31' });
+
+  const outbox = fs.readFileSync(path.join(dataDir, 'outbox', 'out.ndjson'), 'utf8').trim().split('\n').map(line => JSON.parse(line));
+  assert.deepStrictEqual(outbox.map(entry => entry.type), ['new-stage-types', 'fetch']);
+  assert.strictEqual(fs.existsSync(path.join(dataDir, QUEUE_FILE)), false);
+});
+
+test('failed deliveries are retried, queued and resent on the next run', async t => {
+  quiet(t);
+  const dataDir = tempDir(t);
+  const config = { sinks: [{ name: 'discord', type: 'discord', url: 'http://discord.test/hook', retries: 1, retryBaseDelayMs: 1 }] };
+
+  const failing = recordingFetch([500, 502]);
+  const first = await sendNotifications([NEW_TYPES], { dataDir, config, fetch: failing.fetch });
+  assert.strictEqual(failing.requests.length, 2);
+  assert.strictEqual(first.queued.length, 1);
+  const queue = JSON.parse(fs.readFileSync(path.join(dataDir, QUEUE_FILE), 'utf8'));
+  assert.strictEqual(queue.entries[0].sink, 'discord');
+  assert.strictEqual(queue.entries[0].failedAttempts, 1);
+  assert.match(queue.entries[0].lastError, /status: 502/);
+
+  // 次の実行では残っていた通知を先に送る
+  const working = recordingFetch();
+  const failed = fetchNotification({ date: '2025-08-01', exitCode: 1, missingServers: ['CN'] });
+  const second = await sendNotifications([failed], { dataDir, config, fetch: working.fetch });
+  assert.deepStrictEqual(second.delivered.map(entry => [entry.title, entry.resent]), [
+    ['1 new stage types found (2025-07-31)', true],
+    ['Fetch for 2025-08-01 failed', false]
+  ]);
+  assert.deepStrictEqual(working.requests[0].body, queue.entries[0].payload);
+  assert.strictEqual(fs.existsSync(path.join(dataDir, QUEUE_FILE)), false);
+
+  // 設定から消えたシンク宛ての通知は捨てる
+  await sendNotifications([NEW_TYPES], { dataDir, config, fetch: recordingFetch([500, 500]).fetch });
+  const dropped = await sendNotifications([], { dataDir, config: { sinks: [] } });
+  assert.strictEqual(dropped.dropped.length, 1);
+  assert.strictEqual(fs.existsSync(path.join(dataDir, QUEUE_FILE)), false);
+});
+
+test('queued notifications are dropped after too many attempts or days', async t => {
+  quiet(t);
+  const dataDir = tempDir(t);
+  const config = { sinks: [{ name: 'webhook', type: 'webhook', url: 'http://hook.test/', retries: 0 }], queue: { maxAttempts: 2 } };
+
+  await sendNotifications([NEW_TYPES], { dataDir, config, fetch: recordingFetch([500]).fetch });
+  const second = await sendNotifications([], { dataDir, config, fetch: recordingFetch([503]).fetch });
+  assert.strictEqual(second.queued.length, 0);
+  assert.deepStrictEqual(second.expired.map(entry => [entry.title, entry.failedAttempts]), [['1 new stage types found (2025-07-31)', 2]]);
+  assert.match(console.warn.mock.calls.at(-1).arguments[0], /^Dropped notification .* after 2 failed attempts/);
+  assert.strictEqual(fs.existsSync(path.join(dataDir, QUEUE_FILE)), false);
+
+  // 古くなった通知も、もう一度失敗したら捨てる
+  await sendNotifications([NEW_TYPES], { dataDir, config, fetch: recordingFetch([500]).fetch });
+  const queueFile = path.join(dataDir, QUEUE_FILE);
+  const queue = JSON.parse(fs.readFileSync(queueFile, 'utf8'));
+  queue.entries[0].queuedAt = new Date(Date.now() - 8 * 24 * 60 * 60 * 1000).toISOString();
+  fs.writeFileSync(queueFile, JSON.stringify(queue));
+  const stale = await sendNotifications([], { dataDir, config: { ...config, queue: {} }, fetch: recordingFetch([500]).fetch });
+  assert.strictEqual(stale.expired.length, 1);
+  assert.strictEqual(fs.existsSync(queueFile), false);
+});
+
+test('a fetch that throws still sends a failure notification', async t => {
+  quiet(t);
+  const dataDir = tempDir(t);
+  const standIn = await startStandIn({ date: '2025-07-31' });
+  t.after(() => standIn.close());
+  const configPath = path.join(dataDir, 'notifications.json');
+  fs.writeFileSync(configPath, JSON.stringify({ sinks: [{ name: 'outbox', type: 'file', path: 'outbox/out.ndjson' }] }));
+
+  await assert.rejects(runFetch({
+    dataDir,
+    date: '2025-07-31',
+    apiBase: standIn.apiBase,
+    servers: ['JP'],
+    retries: 0,
+    timeoutMs: 500,
+    minRequestIntervalMs: 0,
+    stageFilters: { rules: [{ name: 'broken', action: 'exclude', pattern: '(' }] },
+    notificationConfigPath: configPath
+  }), /Invalid regular expression/);
+
+  const [entry] = fs.readFileSync(path.join(dataDir, 'outbox', 'out.ndjson'), 'utf8').trim().split('\n').map(line => JSON.parse(line));
+  assert.strictEqual(entry.title, 'Fetch for 2025-07-31 failed');
+  assert.match(entry.text, /Unexpected error: Invalid regular expression/);
+});
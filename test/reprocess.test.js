@@ -0,0 +1,141 @@
+// reprocess.test.js
+// 取得時に保存した応答から過去の日付を作り直す（reprocess）ことと、作り直しが冪等であることを確認する
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { runFetch } = require('../scripts/fetch-penguin-stats');
+const { runReprocess } = require('../scripts/reprocess');
+const { extractStageTypes } = require('../scripts/extract-stage-types');
+const { rawMatrixFileName, loadRawMatrix } = require('../scripts/lib/raw-archive');
+const { DEFAULT_RETENTION_POLICY, applyRetention, readArchivedDay } = require('../scripts/lib/retention');
+const { serverFileName } = require('../scripts/lib/snapshots');
+const { loadStageFilterConfig } = require('../scripts/lib/stage-filter');
+const { startStandIn } = require('./helpers/penguin-stand-in');
+const { quiet, tempDir } = require('./helpers/test-context');
+
+const DATES = ['2025-07-30', '2025-07-31'];
+const SERVERS = ['JP', 'KR'];
+
+// データディレクトリ内の全ファイルの内容（ロックファイルとHTTPキャッシュは除く）
+function readTree(dir, relativeDir = '') {
+  const files = {};
+  fs.readdirSync(path.join(dir, relativeDir), { withFileTypes: true }).forEach(dirent => {
+    const relativePath = path.join(relativeDir, dirent.name);
+    if (dirent.name.startsWith('.')) return;
+    if (dirent.isDirectory()) {
+      Object.assign(files, readTree(dir, relativePath));
+    } else {
+      files[relativePath] = fs.readFileSync(path.join(dir, relativePath)).toString('base64');
+    }
+  });
+  return files;
+}
+
+// スタンドインから2日分を取得し、ステージタイプ分析まで済ませたデータディレクトリを作る
+async function fetchDays(t) {
+  const dataDir = tempDir(t);
+  const standIn = await startStandIn({ date: DATES[0] });
+  t.after(() => standIn.close());
+
+  for (const date of DATES) {
+    standIn.setDate(date);
+    const options = {
+      dataDir,
+      date,
+      apiBase: standIn.apiBase,
+      servers: SERVERS,
+      retries: 0,
+      timeoutMs: 500,
+      minRequestIntervalMs: 0,
+      notificationConfigPath: null
+    };
+    assert.strictEqual(await runFetch(options), 0);
+    assert.ok(await extractStageTypes({ dataDir, date, servers: SERVERS, syncAdapter: '', notificationConfigPath: null }));
+  }
+  return dataDir;
+}
+
+test('the fetcher archives each raw response next to the day it produced', async t => {
+  quiet(t);
+  const dataDir = await fetchDays(t);
+
+  DATES.forEach(date => SERVERS.forEach(server => {
+    const raw = loadRawMatrix(dataDir, date, server);
+    const snapshot = JSON.parse(fs.readFileSync(path.join(dataDir, date, serverFileName(server)), 'utf8'));
+    assert.strictEqual(raw.server, server);
+    assert.match(raw.url, new RegExp(`server=${server}`));
+    assert.strictEqual(raw.fetchedAt, snapshot.fetchedAt);
+    assert.ok(raw.response.matrix.some(record => record.stageId === 'main_01-07'));
+  }));
+  assert.strictEqual(loadRawMatrix(dataDir, DATES[0], 'CN'), null);
+
+  // 削除する日をアーカイブするときも、保存した応答はそのまま残る
+  const file = rawMatrixFileName('JP');
+  const before = fs.readFileSync(path.join(dataDir, DATES[0], file));
+  const policy = { ...DEFAULT_RETENTION_POLICY, dailyDays: 0, weeklyWeeks: 0, monthlyMonths: 0, archive: true };
+  await applyRetention(dataDir, policy, { today: '2025-12-01' });
+  assert.strictEqual(fs.existsSync(path.join(dataDir, DATES[0])), false);
+  const archived = await readArchivedDay(path.join(dataDir, 'archive', '2025-07.ndjson.gz'), DATES[0]);
+  assert.deepStrictEqual(Buffer.from(archived.get(file).base64, 'base64'), before);
+});
+
+test('reprocessing with unchanged settings reproduces the fetched files and can be repeated', async t => {
+  quiet(t);
+  const dataDir = await fetchDays(t);
+  const fetched = readTree(dataDir);
+
+  assert.strictEqual(await runReprocess({ dataDir }), 0);
+  assert.deepStrictEqual(readTree(dataDir), fetched);
+
+  // 除外ルールを変えると、指定した日だけ作り直される
+  const stageFilters = {
+    ...loadStageFilterConfig(),
+    servers: { JP: { keepExcluded: true, rules: [{ name: 'main-story', action: 'exclude', category: 'main' }] } }
+  };
+  assert.strictEqual(await runReprocess({ dataDir, from: DATES[1], to: DATES[1], stageFilters }), 0);
+  const changed = readTree(dataDir);
+  assert.deepStrictEqual(
+    Object.keys(changed).filter(file => changed[file] !== fetched[file]).sort(),
+    [
+      path.join(DATES[1], 'excluded-stages-jp.json'),
+      path.join(DATES[1], 'excluded-stages.json'),
+      path.join(DATES[1], 'penguin-stats-jp.json'),
+      path.join(DATES[1], 'summary.json'),
+      'latest.json'
+    ]
+  );
+  const jp = JSON.parse(fs.readFileSync(path.join(dataDir, DATES[1], serverFileName('JP')), 'utf8'));
+  const excluded = JSON.parse(fs.readFileSync(path.join(dataDir, DATES[1], 'excluded-stages-jp.json'), 'utf8'));
+  assert.ok(!('main_01-07' in jp.data));
+  assert.strictEqual(excluded.data['main_01-07'].excludedBy, 'main-story');
+  assert.strictEqual(excluded.fetchedAt, jp.fetchedAt);
+  const summary = JSON.parse(fs.readFileSync(path.join(dataDir, DATES[1], 'summary.json'), 'utf8'));
+  assert.strictEqual(summary.totalStages, jp.stageCount + summary.serverData.KR.stageCount);
+  assert.deepStrictEqual(JSON.parse(fs.readFileSync(path.join(dataDir, 'latest.json'), 'utf8')), { ...summary, latestDataPath: DATES[1] });
+
+  // 同じ設定で繰り返しても変わらない
+  assert.strictEqual(await runReprocess({ dataDir, from: DATES[1], stageFilters }), 0);
+  assert.deepStrictEqual(readTree(dataDir), changed);
+
+  // 元の設定に戻せば取得したときのファイルに戻る
+  assert.strictEqual(await runReprocess({ dataDir }), 0);
+  assert.deepStrictEqual(readTree(dataDir), fetched);
+});
+
+test('a day whose archived response cannot be read is left untouched', async t => {
+  quiet(t);
+  const dataDir = await fetchDays(t);
+  fs.writeFileSync(path.join(dataDir, DATES[0], rawMatrixFileName('KR')), zlib.gzipSync('{"matrix": "broken"'));
+  const before = readTree(dataDir);
+
+  // JPは作り直せるが、KRが読めないのでその日は書き換えない
+  const stageFilters = { rules: [{ name: 'main-story', action: 'exclude', category: 'main' }] };
+  assert.strictEqual(await runReprocess({ dataDir, to: DATES[0], stageFilters }), 1);
+  assert.deepStrictEqual(readTree(dataDir), before);
+
+  // 範囲が逆・応答の無い期間は失敗にする
+  assert.strictEqual(await runReprocess({ dataDir, from: DATES[1], to: DATES[0] }), 1);
+  assert.strictEqual(await runReprocess({ dataDir, from: '2025-08-01' }), 1);
+});
@@ -0,0 +1,182 @@
+// retention.test.js
+// 古い日付フォルダの整理（保持ポリシー）と月ごとのアーカイブ、保持コマンドの引数を確認する
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { spawnSync } = require('child_process');
+const { DEFAULT_RETENTION_POLICY, planRetention, applyRetention, readArchivedDay } = require('../scripts/lib/retention');
+const { main } = require('../scripts/cli');
+const { quiet, tempDir } = require('./helpers/test-context');
+
+// 日付フォルダを作る（summary.jsonとテキストファイル1つ）
+function writeDay(dataDir, date) {
+  const dir = path.join(dataDir, date);
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(path.join(dir, 'summary.json'), JSON.stringify({ date, totalStages: 1 }));
+  fs.writeFileSync(path.join(dir, 'notes.txt'), `notes for ${date}\n`);
+}
+
+const RETENTION_SCRIPT = path.join(__dirname, '..', 'scripts', 'apply-retention.js');
+
+const ARCHIVE_ALL = { ...DEFAULT_RETENTION_POLICY, dailyDays: 0, weeklyWeeks: 0, monthlyMonths: 0, archive: true };
+
+test('folders move from the daily to the weekly and monthly tiers at the policy boundaries', () => {
+  const policy = { ...DEFAULT_RETENTION_POLICY, dailyDays: 2, weeklyWeeks: 1, monthlyMonths: 3 };
+  const dates = ['2025-07-31', '2025-05-31', '2025-06-30', '2025-07-01', '2025-07-23', '2025-07-24', '2025-07-27', '2025-07-28', '2025-07-30'];
+  const plan = planRetention(dates, policy, '2025-08-01');
+
+  assert.deepStrictEqual(plan.map(entry => [entry.date, entry.action, entry.tier]), [
+    ['2025-05-31', 'delete', 'expired'],
+    ['2025-06-30', 'keep', 'monthly'],
+    ['2025-07-01', 'keep', 'monthly'],
+    ['2025-07-23', 'delete', 'monthly'],
+    // ISO週（月曜始まり）ごとに最も古い日を残す
+    ['2025-07-24', 'keep', 'weekly'],
+    ['2025-07-27', 'delete', 'weekly'],
+    ['2025-07-28', 'keep', 'weekly'],
+    ['2025-07-30', 'delete', 'weekly'],
+    ['2025-07-31', 'keep', 'daily']
+  ]);
+  // monthlyMonths が null なら月ごとの1日分を無期限に残す
+  assert.deepStrictEqual(planRetention(dates, { ...policy, monthlyMonths: null }, '2025-08-01')[0], { date: '2025-05-31', action: 'keep', tier: 'monthly' });
+});
+
+test('archived folders can be restored file by file', async t => {
+  quiet(t);
+  const dataDir = tempDir(t);
+  ['2025-07-01', '2025-08-01'].forEach(date => writeDay(dataDir, date));
+  fs.writeFileSync(path.join(dataDir, '2025-07-01', 'raw.json.gz'), zlib.gzipSync('{"matrix":[]}'));
+  const original = Object.fromEntries(fs.readdirSync(path.join(dataDir, '2025-07-01')).map(file => [file, fs.readFileSync(path.join(dataDir, '2025-07-01', file))]));
+
+  const result = await applyRetention(dataDir, { ...ARCHIVE_ALL, dailyDays: 30 }, { today: '2025-08-10' });
+  assert.deepStrictEqual(result.archived, ['2025-07-01']);
+  assert.deepStrictEqual(result.kept.map(entry => entry.date), ['2025-08-01']);
+  assert.strictEqual(fs.existsSync(path.join(dataDir, '2025-07-01')), false);
+
+  const archived = await readArchivedDay(path.join(dataDir, 'archive', '2025-07.ndjson.gz'), '2025-07-01');
+  const restored = Object.fromEntries([...archived.values()].map(record => {
+    if (record.base64 !== undefined) return [record.file, Buffer.from(record.base64, 'base64')];
+    return [record.file, Buffer.from(record.data !== undefined ? JSON.stringify(record.data) : record.text)];
+  }));
+  assert.deepStrictEqual(restored, original);
+});
+
+test('a dry run reports the plan without deleting or archiving anything', async t => {
+  quiet(t);
+  const dataDir = tempDir(t);
+  ['2025-07-01', '2025-07-02'].forEach(date => writeDay(dataDir, date));
+
+  const result = await applyRetention(dataDir, ARCHIVE_ALL, { today: '2025-12-01', dryRun: true });
+  assert.deepStrictEqual(result.deleted.map(entry => entry.date), ['2025-07-01', '2025-07-02']);
+  assert.deepStrictEqual(result.archived, []);
+  assert.deepStrictEqual(fs.readdirSync(dataDir).sort(), ['2025-07-01', '2025-07-02']);
+
+  // CLIからも --data-dir のフォルダに対して実行できる
+  assert.strictEqual(await main(['retention', `--data-dir=${dataDir}`, '--dry-run']), 0);
+  assert.ok(console.log.mock.calls.some(call => /^\[dry-run\] Would delete 2025-07-01/.test(call.arguments[0])));
+  assert.deepStrictEqual(fs.readdirSync(dataDir).sort(), ['2025-07-01', '2025-07-02']);
+});
+
+test('the CLI counts the retention from --date', async t => {
+  quiet(t);
+  const dataDir = tempDir(t);
+  ['2025-07-01', '2025-07-02'].forEach(date => writeDay(dataDir, date));
+
+  assert.strictEqual(await main(['retention', `--data-dir=${dataDir}`, '--date=2025-07-03']), 0);
+  assert.deepStrictEqual(fs.readdirSync(dataDir).sort(), ['2025-07-01', '2025-07-02']);
+  assert.ok(console.log.mock.calls.some(call => call.arguments[0] === 'Kept 2 folders, deleted 0, archived 0'));
+});
+
+test('the retention script rejects malformed options and keeps values containing =', t => {
+  const dataDir = tempDir(t);
+  const run = args => spawnSync(process.execPath, [RETENTION_SCRIPT, `--data-dir=${dataDir}`, '--dry-run', ...args], { encoding: 'utf8' });
+
+  [
+    [['--data-dir'], /^--data-dir requires a value\nUsage: /],
+    [['--daily-days=-1'], /^--daily-days must be a non-negative integer\nUsage: /],
+    [['--monthly-months=soon'], /^--monthly-months must be a non-negative integer or forever\nUsage: /],
+    [['--archive', '--no-archive'], /^--archive and --no-archive cannot be used together\nUsage: /],
+    [['--keep-all'], /^Unknown option: --keep-all\nUsage: /],
+    [['2025-07-01'], /^Unexpected argument: 2025-07-01 \(this script takes no date\)/]
+  ].forEach(([args, message]) => {
+    const result = run(args);
+    assert.strictEqual(result.status, 2, args.join(' '));
+    assert.match(result.stderr, message);
+  });
+
+  const configPath = path.join(dataDir, 'retention=strict.json');
+  fs.writeFileSync(configPath, JSON.stringify({ dailyDays: 1, weeklyWeeks: 2, monthlyMonths: 3, archive: false }));
+  const result = run([`--config=${configPath}`, '--monthly-months=forever']);
+  assert.strictEqual(result.status, 0);
+  assert.match(result.stdout, /^Retention policy: daily 1 days, weekly 2 weeks, monthly forever, archive off$/m);
+});
+
+test('archiving rewrites the month as a single gzip member without leaving temp files', async t => {
+  quiet(t);
+  const dataDir = tempDir(t);
+  const archiveFile = path.join(dataDir, 'archive', '2025-07.ndjson.gz');
+  writeDay(dataDir, '2025-07-01');
+  await applyRetention(dataDir, ARCHIVE_ALL, { today: '2025-12-01' });
+  writeDay(dataDir, '2025-07-02');
+  const result = await applyRetention(dataDir, ARCHIVE_ALL, { today: '2025-12-01' });
+
+  assert.deepStrictEqual(result.archived, ['2025-07-02']);
+  assert.deepStrictEqual(fs.readdirSync(path.join(dataDir, 'archive')), ['2025-07.ndjson.gz']);
+  const lines = zlib.gunzipSync(fs.readFileSync(archiveFile)).toString('utf8').trim().split('\n').map(line => JSON.parse(line));
+  assert.deepStrictEqual(lines.map(record => [record.date, record.file]), [
+    ['2025-07-01', 'notes.txt'], ['2025-07-01', 'summary.json'],
+    ['2025-07-02', 'notes.txt'], ['2025-07-02', 'summary.json']
+  ]);
+  assert.strictEqual((await readArchivedDay(archiveFile, '2025-07-01')).get('notes.txt').text, 'notes for 2025-07-01\n');
+});
+
+test('each monthly archive is rewritten once however many of its days are archived', async t => {
+  quiet(t);
+  const dataDir = tempDir(t);
+  const dates = ['2025-07-01', '2025-07-02', '2025-07-03', '2025-08-01', '2025-08-02'];
+  dates.forEach(date => writeDay(dataDir, date));
+  const renameSync = t.mock.method(fs, 'renameSync');
+
+  const result = await applyRetention(dataDir, ARCHIVE_ALL, { today: '2025-12-01' });
+  assert.deepStrictEqual(result.archived, dates);
+  assert.deepStrictEqual(result.deleted.map(entry => entry.date), dates);
+  assert.deepStrictEqual(renameSync.mock.calls.map(call => path.basename(call.arguments[1])), ['2025-07.ndjson.gz', '2025-08.ndjson.gz']);
+  for (const date of dates) {
+    const archived = await readArchivedDay(path.join(dataDir, 'archive', `${date.slice(0, 7)}.ndjson.gz`), date);
+    assert.strictEqual(archived.get('notes.txt').text, `notes for ${date}\n`);
+  }
+});
+
+test('archives written by appending gzip members are still read and compacted', async t => {
+  quiet(t);
+  const dataDir = tempDir(t);
+  const archiveFile = path.join(dataDir, 'archive', '2025-07.ndjson.gz');
+  fs.mkdirSync(path.dirname(archiveFile));
+  const record = { date: '2025-07-01', file: 'summary.json', data: { date: '2025-07-01' } };
+  fs.writeFileSync(archiveFile, zlib.gzipSync(JSON.stringify(record) + '\n'));
+  // 同じ日の古い行は新しい内容で置き換わる
+  fs.appendFileSync(archiveFile, zlib.gzipSync(JSON.stringify({ ...record, date: '2025-07-02' }) + '\n'));
+  writeDay(dataDir, '2025-07-02');
+
+  await applyRetention(dataDir, ARCHIVE_ALL, { today: '2025-12-01' });
+  assert.deepStrictEqual((await readArchivedDay(archiveFile, '2025-07-01')).get('summary.json'), record);
+  assert.deepStrictEqual([...(await readArchivedDay(archiveFile, '2025-07-02')).keys()], ['notes.txt', 'summary.json']);
+  assert.strictEqual((await readArchivedDay(archiveFile, '2025-07-02')).get('summary.json').data.totalStages, 1);
+});
+
+test('a damaged archive keeps the folder and is left as it was', async t => {
+  quiet(t);
+  const dataDir = tempDir(t);
+  const archiveFile = path.join(dataDir, 'archive', '2025-07.ndjson.gz');
+  fs.mkdirSync(path.dirname(archiveFile));
+  const truncated = zlib.gzipSync('{"date":"2025-07-01","file":"a.txt","text":"a"}\n').subarray(0, 20);
+  fs.writeFileSync(archiveFile, truncated);
+  writeDay(dataDir, '2025-07-02');
+
+  const result = await applyRetention(dataDir, ARCHIVE_ALL, { today: '2025-12-01' });
+  assert.deepStrictEqual(result.failed, ['2025-07-02']);
+  assert.ok(fs.existsSync(path.join(dataDir, '2025-07-02', 'summary.json')));
+  assert.deepStrictEqual(fs.readFileSync(archiveFile), truncated);
+});
@@ -0,0 +1,103 @@
+// sample-growth.test.js
+// 累積値の差分から求める日毎の報告数・よく周回されたステージ・直近のドロップ率を確認する
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { computeDailyDeltas, buildSampleGrowth } = require('../scripts/lib/sample-growth');
+const { runSampleGrowth } = require('../scripts/build-sample-growth');
+const { FIXTURES_DIR } = require('./helpers/penguin-stand-in');
+const { quiet, tempDir } = require('./helpers/test-context');
+
+const DATES = ['2025-07-30', '2025-07-31'];
+
+// stageId毎の周回数とアイテムのドロップ数からスナップショットを作る
+function snapshot(stages) {
+  const data = {};
+  Object.entries(stages).forEach(([stageId, { times, end = null, items = {} }]) => {
+    data[stageId] = {
+      stageInfo: { times, start: Date.UTC(2025, 6, 1), end, fetchedAt: '2025-07-31T00:00:00.000Z' },
+      stageMeta: { code: stageId.toUpperCase(), zoneId: 'main_1' },
+      items: Object.fromEntries(Object.entries(items).map(([itemId, quantity]) => [
+        itemId,
+        { quantity, times, stdDev: 0.5, dropRate: quantity / times, dropPercentage: (quantity / times * 100).toFixed(2) }
+      ]))
+    };
+  });
+  return { fetchedAt: '2025-07-31T00:00:00.000Z', dataCount: 0, stageCount: Object.keys(data).length, data };
+}
+
+test('the difference of the cumulative counts is what was reported in between', () => {
+  const previous = snapshot({
+    main_01: { times: 1000, items: { 30012: 500 } },
+    main_02: { times: 200, items: { 30011: 100 } },
+    main_03: { times: 300 },
+    main_04: { times: 100 },
+    main_05: { times: 50 }
+  });
+  const current = snapshot({
+    main_01: { times: 1100, items: { 30012: 560 } },
+    // 報告が取り消されて累積値が減った
+    main_02: { times: 190, items: { 30011: 95 } },
+    main_03: { times: 300 },
+    // アイテムが無く、stageInfoの期間も変わったので比べられない
+    main_04: { times: 10, end: Date.UTC(2025, 7, 1) },
+    main_05: { times: 70 },
+    main_06: { times: 10, items: { 30012: 5 } }
+  });
+
+  const delta = computeDailyDeltas(previous, current, '2025-07-29', '2025-07-31');
+  assert.strictEqual(delta.days, 2);
+  assert.deepStrictEqual(delta.stages, {
+    main_01: { times: 100, items: { 30012: { quantity: 60, times: 100 } } },
+    main_05: { times: 20, items: {} }
+  });
+  assert.strictEqual(delta.totalTimes, 120);
+  assert.deepStrictEqual(delta.skippedStages, ['main_04']);
+  assert.deepStrictEqual(delta.corrections, [{ stageId: 'main_02', itemId: '30011', quantity: -5, times: -10 }]);
+});
+
+test('most farmed stages and recent drop rates cover the whole window', () => {
+  const series = [
+    { date: '2025-07-29', snapshot: snapshot({ main_01: { times: 10000, items: { 30012: 5000 } }, main_02: { times: 1000, items: { 30011: 100 } } }) },
+    { date: '2025-07-30', snapshot: snapshot({ main_01: { times: 10100, items: { 30012: 5050 } }, main_02: { times: 1300, items: { 30011: 190 } } }) },
+    { date: '2025-07-31', snapshot: snapshot({ main_01: { times: 10200, items: { 30012: 5100 } }, main_02: { times: 1600, items: { 30011: 280 } } }) }
+  ];
+
+  const growth = buildSampleGrowth(series, { minTimes: 150 });
+  assert.deepStrictEqual(growth.window, { from: '2025-07-29', to: '2025-07-31', dates: ['2025-07-29', '2025-07-30', '2025-07-31'] });
+  assert.strictEqual(growth.totalTimes, 800);
+  assert.deepStrictEqual(growth.daily.map(day => day.stages), [{ main_01: 100, main_02: 300 }, { main_01: 100, main_02: 300 }]);
+  assert.deepStrictEqual(growth.mostFarmed, [
+    { stageId: 'main_02', code: 'MAIN_02', zoneId: 'main_1', times: 600, share: 0.75 },
+    { stageId: 'main_01', code: 'MAIN_01', zoneId: 'main_1', times: 200, share: 0.25 }
+  ]);
+
+  // 直近は30%落ちるので累積の17.5%は区間から外れる。main_01は累積と同じ50%
+  const recent = growth.recentDropRates;
+  assert.strictEqual(recent.main_02.items['30011'].dropRate, 0.3);
+  assert.strictEqual(recent.main_02.items['30011'].shifted, true);
+  assert.strictEqual(recent.main_01.items['30012'].shifted, false);
+  assert.deepStrictEqual(growth.shifted.map(item => `${item.stageId}:${item.itemId}`), ['main_02:30011']);
+
+  // 周回数が足りなければ直近のドロップ率は出さない
+  assert.deepStrictEqual(Object.keys(buildSampleGrowth(series, { minTimes: 300 }).recentDropRates), ['main_02']);
+});
+
+test('the runner saves a report for each server with an earlier snapshot', t => {
+  quiet(t);
+  const dataDir = tempDir(t);
+  DATES.forEach(date => fs.cpSync(path.join(FIXTURES_DIR, date), path.join(dataDir, date), { recursive: true }));
+
+  assert.strictEqual(runSampleGrowth({ dataDir, date: '2025-07-30' }), 1);
+  assert.strictEqual(runSampleGrowth({ dataDir, servers: ['JP', 'KR'], dryRun: true }), 0);
+  assert.strictEqual(fs.existsSync(path.join(dataDir, 'latest-sample-growth.json')), false);
+
+  assert.strictEqual(runSampleGrowth({ dataDir, servers: ['JP', 'KR'] }), 0);
+  const report = JSON.parse(fs.readFileSync(path.join(dataDir, '2025-07-31', 'sample-growth.json'), 'utf8'));
+  assert.deepStrictEqual(JSON.parse(fs.readFileSync(path.join(dataDir, 'latest-sample-growth.json'), 'utf8')), report);
+  assert.deepStrictEqual(Object.keys(report.servers), ['JP', 'KR']);
+  assert.deepStrictEqual(report.servers.JP.window.dates, DATES);
+  assert.strictEqual(report.servers.JP.totalTimes, report.servers.JP.daily[0].totalTimes);
+  assert.ok(report.servers.JP.mostFarmed.length > 0);
+});
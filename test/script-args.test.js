@@ -0,0 +1,55 @@
+// script-args.test.js
+// スクリプトを単体で実行するときの引数の解析（知らないフラグや数値でない値を受け付けない）を確認する
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseScriptArgs } = require('../scripts/lib/script-args');
+
+const SPEC = {
+  usage: 'node scripts/example.js [date] [--top=N] [--lmd-value=X] [--servers=CN,JP] [--out=DIR] [--dry-run]',
+  flags: { top: 'count', 'lmd-value': 'number', servers: 'servers', out: 'string', 'dry-run': 'boolean' }
+};
+
+test('known flags and a date are converted to their types', () => {
+  assert.deepStrictEqual(parseScriptArgs(['2025-07-31', '--top=5', '--lmd-value=0.0036', '--servers=cn, jp', '--dry-run'], SPEC), {
+    flags: { top: 5, 'lmd-value': 0.0036, servers: ['CN', 'JP'], 'dry-run': true },
+    dates: ['2025-07-31'],
+    args: {}
+  });
+  assert.deepStrictEqual(parseScriptArgs([], SPEC), { flags: {}, dates: [], args: {} });
+});
+
+test('named positional arguments are filled in order around the dates', () => {
+  const spec = { ...SPEC, args: ['command', 'server'] };
+  assert.deepStrictEqual(parseScriptArgs(['reconstruct', '2025-07-31', 'jp', '--dry-run'], spec), {
+    flags: { 'dry-run': true },
+    dates: ['2025-07-31'],
+    args: { command: 'reconstruct', server: 'jp' }
+  });
+  assert.throws(() => parseScriptArgs(['reconstruct', 'jp', 'out.json'], spec), /^Error: Unexpected argument: out\.json/);
+});
+
+test('unknown flags, bad values and stray arguments are usage errors', () => {
+  const cases = [
+    [['--threshold=3'], /^Unknown option: --threshold/],
+    [['--top=abc'], /^--top must be a non-negative integer/],
+    [['--top=-1'], /^--top must be a non-negative integer/],
+    [['--top'], /^--top must be a non-negative integer/],
+    [['--out'], /^--out requires a value/],
+    [['--lmd-value=1e'], /^--lmd-value must be a number/],
+    [['--lmd-value='], /^--lmd-value must be a number/],
+    [['--servers=CN,EU'], /^--servers must be a comma-separated list of CN, US, JP, KR/],
+    [['--dry-run=yes'], /^--dry-run does not take a value/],
+    [['latest'], /^Unexpected argument: latest/],
+    [['2025-07-30', '2025-07-31'], /^Too many dates: 2025-07-30 2025-07-31/]
+  ];
+  cases.forEach(([argv, message]) => {
+    assert.throws(() => parseScriptArgs(argv, SPEC), error => {
+      assert.strictEqual(error.code, 'EUSAGE');
+      assert.match(error.message, message);
+      assert.match(error.message, /\nUsage: node scripts\/example\.js/);
+      return true;
+    }, argv.join(' '));
+  });
+  assert.deepStrictEqual(parseScriptArgs(['2025-07-30', '2025-07-31'], { ...SPEC, maxDates: 2 }).dates, ['2025-07-30', '2025-07-31']);
+  assert.throws(() => parseScriptArgs(['2025-07-31'], { ...SPEC, maxDates: 0 }), /^Error: Unexpected argument: 2025-07-31 \(this script takes no date\)/);
+});
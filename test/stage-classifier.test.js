@@ -0,0 +1,72 @@
+// stage-classifier.test.js
+// データフォルダに存在する全stageIdの分類結果をゴールデンファイルと比較する
+//
+//   node --test test/stage-classifier.test.js
+//   UPDATE_GOLDEN=1 node --test test/stage-classifier.test.js   # ゴールデンファイルを作り直す
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { listDateFolders, serverFileName } = require('../scripts/lib/snapshots');
+const { compileStageRules, loadStageRules, classifyStage, classifyStages } = require('../scripts/lib/stage-classifier');
+
+const DATA_DIR = path.join(__dirname, '..', 'data');
+const GOLDEN_PATH = path.join(__dirname, 'fixtures', 'stage-classification.golden.json');
+const SERVERS = ['CN', 'US', 'JP', 'KR'];
+
+// データフォルダ内の全stageIdを集める
+// （ゴールデンファイルの作成時のみ使う。以降に増えたstageIdは UPDATE_GOLDEN=1 で追加する）
+function collectStageIds(baseDataDir) {
+  const stageIds = new Set();
+  listDateFolders(baseDataDir).forEach(date => {
+    SERVERS.forEach(server => {
+      const file = path.join(baseDataDir, date, serverFileName(server));
+      if (!fs.existsSync(file)) return;
+      Object.keys(JSON.parse(fs.readFileSync(file, 'utf8')).data).forEach(stageId => stageIds.add(stageId));
+    });
+  });
+  return Array.from(stageIds).sort();
+}
+
+// 分類結果をゴールデンファイルの形式にする（未分類はnull）
+function toGolden(stageIds, rules) {
+  const stages = {};
+  stageIds.forEach(stageId => {
+    const result = classifyStage(stageId, rules);
+    stages[stageId] = result ? { category: result.category, group: result.group } : null;
+  });
+  return stages;
+}
+
+const rules = loadStageRules();
+
+if (process.env.UPDATE_GOLDEN) {
+  const stages = toGolden(collectStageIds(DATA_DIR), rules);
+  fs.writeFileSync(GOLDEN_PATH, JSON.stringify({ stages }, null, 2) + '\n');
+}
+
+const golden = JSON.parse(fs.readFileSync(GOLDEN_PATH, 'utf8')).stages;
+
+test('every stageId in the golden file is classified as recorded', () => {
+  const actual = toGolden(Object.keys(golden), rules);
+  const mismatches = Object.keys(golden).filter(stageId => JSON.stringify(actual[stageId]) !== JSON.stringify(golden[stageId]));
+  assert.deepStrictEqual(mismatches.map(stageId => ({ stageId, expected: golden[stageId], actual: actual[stageId] })), []);
+});
+
+test('reruns and permanent stages keep the group of the original event', () => {
+  assert.deepStrictEqual(classifyStage('act12side_03', rules), { category: 'side_story', group: 'act12side', rule: 'side-story' });
+  assert.deepStrictEqual(classifyStage('act12side_03_rep', rules), { category: 'rerun', group: 'act12side', rule: 'event-rerun' });
+  assert.deepStrictEqual(classifyStage('act12side_03_perm', rules), { category: 'permanent', group: 'act12side', rule: 'event-permanent' });
+});
+
+test('unmatched stage IDs are reported instead of guessed', () => {
+  const { classified, unmatched } = classifyStages(['main_01-07', 'act24side_gacha', 'unknown_stage', 'main_01-07'], rules);
+  assert.deepStrictEqual(Object.keys(classified), ['main_01-07']);
+  assert.deepStrictEqual(unmatched, ['act24side_gacha', 'unknown_stage']);
+});
+
+test('invalid rule files are rejected', () => {
+  assert.throws(() => compileStageRules({ rules: [{ name: 'x', pattern: 'main_', category: 'main', group: 'main' }] }), /pattern/);
+  assert.throws(() => compileStageRules({ rules: [{ name: 'x', pattern: '^a$', category: 'story', group: 'a' }] }), /category/);
+  assert.throws(() => compileStageRules({ rules: [{ name: 'x', pattern: '^(a$', category: 'main', group: 'a' }] }), /Invalid regular expression/);
+});
@@ -0,0 +1,120 @@
+// stage-filter.test.js
+// 取得と分析で共有するステージの除外ルール（config/stage-filters.json）を確認する
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { loadStageFilterConfig, compileStageFilter, filterStageIds } = require('../scripts/lib/stage-filter');
+const { isExcludedStage, processMatrix } = require('../scripts/lib/matrix');
+const { analyzeStageTypes } = require('../scripts/lib/stage-type-analysis');
+const { loadStageRules } = require('../scripts/lib/stage-classifier');
+const { validateStageFilters } = require('../scripts/lib/schemas');
+const { runFetch } = require('../scripts/fetch-penguin-stats');
+const { serverFileName } = require('../scripts/lib/snapshots');
+const { loadFixtureSnapshot, startStandIn } = require('./helpers/penguin-stand-in');
+const { quiet, tempDir } = require('./helpers/test-context');
+
+const STAGE_IDS = [
+  'main_01-07', 'sub_02-1-1', 'tough_10-02', 'act24side_gacha', 'gachabox', 'gacha_2', 'randommaterial_5', 'recruit', 'act40side_07'
+];
+
+test('the library defaults come from the bundled filters', () => {
+  const config = loadStageFilterConfig();
+  const fetchFilter = compileStageFilter(config, 'fetch');
+  const analysisFilter = compileStageFilter(config, 'analysis');
+  assert.deepStrictEqual(STAGE_IDS.filter(stageId => fetchFilter.match(stageId)), ['gachabox', 'randommaterial_5', 'recruit']);
+  assert.deepStrictEqual(STAGE_IDS.filter(stageId => analysisFilter.match(stageId)), ['sub_02-1-1', 'gachabox', 'gacha_2', 'randommaterial_5', 'recruit']);
+  assert.strictEqual(analysisFilter.match('sub_02-1-1'), 'main-story-sub');
+
+  // processMatrix・isExcludedStage は取得（fetch）、analyzeStageTypes は分析（analysis）のルールを使う
+  STAGE_IDS.forEach(stageId => assert.strictEqual(isExcludedStage(stageId), fetchFilter.match(stageId) !== null, stageId));
+  const raw = { matrix: STAGE_IDS.map(stageId => ({ stageId, itemId: '30012', quantity: 1, times: 10, stdDev: 0.3, start: 1556676000000, end: null })) };
+  const snapshot = processMatrix(raw, { fetchedAt: '2025-07-31T00:00:00.000Z' });
+  assert.deepStrictEqual(Object.keys(snapshot.data), STAGE_IDS.filter(stageId => !fetchFilter.match(stageId)));
+  const analysis = analyzeStageTypes({ CN: snapshot }, { rules: loadStageRules() });
+  assert.deepStrictEqual(analysis.excluded.map(entry => entry.stageId).sort(), ['gacha_2', 'sub_02-1-1']);
+});
+
+test('rules are evaluated in order with per-server rules first', () => {
+  const config = {
+    keepExcluded: false,
+    rules: [
+      { name: 'keep-tough-10', action: 'include', pattern: '^tough_10-' },
+      { name: 'main-story', action: 'exclude', category: 'main' },
+      { name: 'recruit', action: 'exclude', prefix: 'RECRUIT' }
+    ],
+    servers: {
+      JP: {
+        keepExcluded: true,
+        rules: [{ name: 'no-side-story', action: 'exclude', category: 'side_story', scopes: ['analysis'] }]
+      }
+    }
+  };
+  assert.deepStrictEqual(validateStageFilters(config), []);
+
+  const shared = filterStageIds(STAGE_IDS, compileStageFilter(config, 'fetch', 'CN', { stageRules: loadStageRules() }));
+  assert.deepStrictEqual(shared.excluded, { 'main_01-07': 'main-story', 'sub_02-1-1': 'main-story', recruit: 'recruit' });
+  assert.deepStrictEqual(shared.report.rules['main-story'], { count: 2, examples: ['main_01-07', 'sub_02-1-1'] });
+  assert.strictEqual(shared.report.keptStages, STAGE_IDS.length - 3);
+  assert.strictEqual(shared.report.keepExcluded, false);
+
+  // JPのルールは分析だけに使う
+  assert.strictEqual(compileStageFilter(config, 'fetch', 'JP').match('act40side_07'), null);
+  const jp = compileStageFilter(config, 'analysis', 'JP');
+  assert.strictEqual(jp.match('act40side_07'), 'no-side-story');
+  assert.strictEqual(jp.keepExcluded, true);
+
+  assert.deepStrictEqual(validateStageFilters({
+    rules: [
+      { name: 'a', action: 'exclude', prefix: 'x', pattern: '^x' },
+      { name: 'a', action: 'exclude', pattern: '(' }
+    ]
+  }).map(error => error.split(':')[0]), ['/rules/0', '/rules/1/name', '/rules/1/pattern']);
+});
+
+test('stage type analysis reports the stages it left out', () => {
+  const config = {
+    rules: [{ name: 'main-story', action: 'exclude', category: 'main' }],
+    servers: { KR: { rules: [{ name: 'keep-1-7', action: 'include', prefix: 'main_01-07' }] } }
+  };
+  const snapshots = { JP: loadFixtureSnapshot('2025-07-31', 'JP'), KR: loadFixtureSnapshot('2025-07-31', 'KR') };
+  const result = analyzeStageTypes(snapshots, { rules: loadStageRules(), filterConfig: config });
+
+  assert.ok(result.allResults.every(entry => !entry.categories.main || entry.stageType === 'main_01'));
+  assert.deepStrictEqual(result.excluded.find(entry => entry.stageId === 'main_01-07'), { stageId: 'main_01-07', rule: 'main-story', servers: ['JP'] });
+  assert.deepStrictEqual(result.filterReports.map(report => [report.server, report.scope]), [['JP', 'analysis'], ['KR', 'analysis']]);
+});
+
+test('fetch keeps excluded stages in a separate file when asked to', async t => {
+  quiet(t);
+  const dataDir = tempDir(t);
+  const standIn = await startStandIn({ date: '2025-07-31' });
+  t.after(() => standIn.close());
+  const stageFilters = {
+    rules: [{ name: 'recruit', action: 'exclude', prefix: 'recruit' }],
+    servers: { JP: { keepExcluded: true, rules: [{ name: 'main-story', action: 'exclude', category: 'main' }] } }
+  };
+
+  assert.strictEqual(await runFetch({
+    dataDir,
+    date: '2025-07-31',
+    apiBase: standIn.apiBase,
+    servers: ['JP', 'KR'],
+    retries: 0,
+    timeoutMs: 500,
+    minRequestIntervalMs: 0,
+    stageFilters,
+    notificationConfigPath: null
+  }), 0);
+
+  const jp = JSON.parse(fs.readFileSync(path.join(dataDir, '2025-07-31', serverFileName('JP')), 'utf8'));
+  const excluded = JSON.parse(fs.readFileSync(path.join(dataDir, '2025-07-31', 'excluded-stages-jp.json'), 'utf8'));
+  const fixtureIds = Object.keys(loadFixtureSnapshot('2025-07-31', 'JP').data);
+  assert.ok(!('main_01-07' in jp.data));
+  assert.strictEqual(excluded.data['main_01-07'].excludedBy, 'main-story');
+  assert.deepStrictEqual([...Object.keys(jp.data), ...Object.keys(excluded.data)].sort(), fixtureIds.sort());
+
+  // KRは除外したステージを残さない
+  assert.ok('main_01-07' in JSON.parse(fs.readFileSync(path.join(dataDir, '2025-07-31', serverFileName('KR')), 'utf8')).data);
+  assert.strictEqual(fs.existsSync(path.join(dataDir, '2025-07-31', 'excluded-stages-kr.json')), false);
+});
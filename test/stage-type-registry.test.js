@@ -0,0 +1,86 @@
+// stage-type-registry.test.js
+// 登録簿のCSV入出力と同期アダプターの再送、登録簿コマンドの引数を確認する
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { parseCsv, formatCsv } = require('../scripts/lib/csv');
+const { createRegistry, registerStageTypes, exportRegistryCsv, importRegistryCsv, loadRegistry, saveRegistry } = require('../scripts/lib/stage-type-registry');
+const { syncRegistry } = require('../scripts/lib/stage-type-sync');
+const { runRegistry } = require('../scripts/stage-type-registry');
+const { quiet, tempDir } = require('./helpers/test-context');
+
+const REGISTRY_SCRIPT = path.join(__dirname, '..', 'scripts', 'stage-type-registry.js');
+
+test('CSV round-trips quotes, commas and line breaks', () => {
+  const rows = [['Stage Type', 'Notes'], ['act12side', 'say "hi", then\nleave'], ['main_01', '']];
+  assert.deepStrictEqual(parseCsv(formatCsv(rows)), rows);
+  assert.deepStrictEqual(parseCsv('﻿"a","b"\r\n"1","2,3"\r\n'), [['a', 'b'], ['1', '2,3']]);
+  assert.throws(() => parseCsv('"open'), /Unterminated/);
+});
+
+test('registry exports to CSV and imports names back', () => {
+  const registry = createRegistry();
+  registerStageTypes(registry, [{ stageType: 'act45side', categories: { rerun: 2, side_story: 1 } }], '2026-10-19');
+  assert.strictEqual(registry.types.act45side.category, 'side_story');
+  assert.strictEqual(registry.types.act45side.status, 'new');
+
+  const csvText = exportRegistryCsv(registry).replace('act45side,new,side_story,,', 'act45side,active,side_story,"名前, 其の一",');
+  const { added, updated } = importRegistryCsv(registry, csvText);
+  assert.deepStrictEqual(added, []);
+  assert.deepStrictEqual(updated, ['act45side']);
+  assert.strictEqual(registry.types.act45side.status, 'active');
+  assert.strictEqual(registry.types.act45side.names.ja, '名前, 其の一');
+});
+
+test('types that failed to push are retried on the next sync', async () => {
+  const registry = createRegistry();
+  registerStageTypes(registry, [{ stageType: 'act45side', categories: { side_story: 1 } }], '2026-10-19');
+
+  const pushed = [];
+  let failing = true;
+  const adapter = {
+    async pull() {
+      return [{ stageType: 'main_16', names: { ja: '第16章', en: '', zh: '' }, notes: '' }];
+    },
+    async push(entries) {
+      if (failing) throw new Error('offline');
+      pushed.push(...entries.map(entry => entry.stageType));
+    }
+  };
+
+  const first = await syncRegistry(registry, adapter);
+  assert.deepStrictEqual(first.errors, ['push: offline']);
+  assert.strictEqual(registry.types.act45side.syncedAt, null);
+  assert.strictEqual(registry.types.main_16.names.ja, '第16章');
+
+  failing = false;
+  const second = await syncRegistry(registry, adapter);
+  assert.deepStrictEqual(second.pushed, ['act45side']);
+  assert.deepStrictEqual(pushed, ['act45side']);
+  assert.ok(registry.types.act45side.syncedAt);
+
+  const third = await syncRegistry(registry, adapter);
+  assert.deepStrictEqual(third.pushed, []);
+});
+
+test('import keeps existing entries only when asked, and a misspelled flag imports nothing', async t => {
+  quiet(t);
+  const dataDir = tempDir(t);
+  const registry = createRegistry();
+  registerStageTypes(registry, [{ stageType: 'act45side', categories: { side_story: 1 } }], '2026-10-19');
+  saveRegistry(dataDir, registry);
+  const csvFile = path.join(dataDir, 'registry.csv');
+  fs.writeFileSync(csvFile, exportRegistryCsv(registry).replace('act45side,new,', 'act45side,ignored,'));
+
+  const misspelled = spawnSync(process.execPath, [REGISTRY_SCRIPT, 'import', csvFile, '--keep-existng', `--data-dir=${dataDir}`], { encoding: 'utf8' });
+  assert.strictEqual(misspelled.status, 2);
+  assert.match(misspelled.stderr, /^Unknown option: --keep-existng\nUsage: /);
+  assert.strictEqual(loadRegistry(dataDir).types.act45side.status, 'new');
+
+  assert.strictEqual(await runRegistry({ command: 'import', file: csvFile, keepExisting: true, dataDir }), 0);
+  assert.strictEqual(loadRegistry(dataDir).types.act45side.status, 'new');
+  assert.strictEqual(await runRegistry({ command: 'import', file: csvFile, dataDir }), 0);
+  assert.strictEqual(loadRegistry(dataDir).types.act45side.status, 'ignored');
+});
@@ -0,0 +1,84 @@
+// static-api.test.js
+// data/index.json のマニフェストとステージ別・アイテム別の静的APIを確認する（入力はe2eのフィクスチャ）
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { runStaticApi } = require('../scripts/build-static-api');
+const { validateDataTree } = require('../scripts/validate-data');
+const { metadataFileName, indexMetadata } = require('../scripts/lib/metadata');
+const { FIXTURES_DIR, loadFixtureSnapshot } = require('./helpers/penguin-stand-in');
+const { quiet, tempDir } = require('./helpers/test-context');
+
+const DATES = ['2025-07-30', '2025-07-31'];
+
+// フィクスチャの日付フォルダをコピーしたデータディレクトリ（テスト終了時に消える）
+function fixtureDataDir(t) {
+  const dataDir = tempDir(t);
+  DATES.forEach(date => fs.cpSync(path.join(FIXTURES_DIR, date), path.join(dataDir, date), { recursive: true }));
+  return dataDir;
+}
+
+function readJson(file) {
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+test('the manifest lists every date with file sizes and hashes', t => {
+  quiet(t);
+  const dataDir = fixtureDataDir(t);
+  assert.strictEqual(runStaticApi({ dataDir }), 0);
+
+  const manifest = readJson(path.join(dataDir, 'index.json'));
+  assert.strictEqual(manifest.latestDate, '2025-07-31');
+  assert.deepStrictEqual(manifest.servers, ['CN', 'US', 'JP', 'KR']);
+  assert.deepStrictEqual(manifest.dates.map(entry => entry.date), DATES);
+  assert.deepStrictEqual(manifest.dates[1].servers, ['CN', 'US', 'JP', 'KR']);
+
+  const file = manifest.dates[1].files.find(entry => entry.path === '2025-07-31/penguin-stats-jp.json');
+  const content = fs.readFileSync(path.join(dataDir, file.path));
+  assert.strictEqual(file.size, content.length);
+  assert.strictEqual(file.sha256, crypto.createHash('sha256').update(content).digest('hex'));
+
+  assert.deepStrictEqual(validateDataTree(dataDir).invalid, {});
+});
+
+test('each stage and item of the latest date gets its own file', t => {
+  quiet(t);
+  const dataDir = fixtureDataDir(t);
+  // 保存済みのメタデータからステージ・アイテム名を補う
+  const { items, stages, zones } = readJson(path.join(FIXTURES_DIR, 'metadata.json'));
+  fs.writeFileSync(
+    path.join(dataDir, '2025-07-30', metadataFileName('JP')),
+    JSON.stringify({ fetchedAt: '2025-07-30T00:00:00.000Z', ...indexMetadata(items, stages, zones) })
+  );
+  assert.strictEqual(runStaticApi({ dataDir, servers: ['JP'] }), 0);
+
+  const snapshot = loadFixtureSnapshot('2025-07-31', 'JP');
+  const apiDir = path.join(dataDir, 'api', 'jp');
+  const index = readJson(path.join(apiDir, 'index.json'));
+  assert.strictEqual(index.stageCount, snapshot.stageCount);
+  assert.strictEqual(fs.readdirSync(path.join(apiDir, 'stages')).length, snapshot.stageCount);
+
+  const stage = readJson(path.join(apiDir, 'stages', 'main_01-07.json'));
+  assert.strictEqual(stage.date, '2025-07-31');
+  assert.deepStrictEqual(stage.items, snapshot.data['main_01-07'].items);
+  assert.strictEqual(stage.stageMeta.code, '1-7');
+  assert.strictEqual(stage.itemMeta['30012'].name, '固源岩');
+
+  const item = readJson(path.join(apiDir, 'items', '30012.json'));
+  const stageIds = Object.keys(snapshot.data).filter(stageId => snapshot.data[stageId].items['30012']);
+  assert.deepStrictEqual(item.stages.map(entry => entry.stageId).sort(), stageIds.sort());
+  assert.ok(item.stages.every((entry, i) => i === 0 || item.stages[i - 1].dropRate >= entry.dropRate));
+});
+
+test('files of stages that disappeared are removed on rebuild', t => {
+  quiet(t);
+  const dataDir = fixtureDataDir(t);
+  const staleFile = path.join(dataDir, 'api', 'jp', 'stages', 'removed_01.json');
+  fs.mkdirSync(path.dirname(staleFile), { recursive: true });
+  fs.writeFileSync(staleFile, '{}');
+
+  assert.strictEqual(runStaticApi({ dataDir, servers: ['JP'] }), 0);
+  assert.strictEqual(fs.existsSync(staleFile), false);
+});
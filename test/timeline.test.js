@@ -0,0 +1,73 @@
+// timeline.test.js
+// イベントのまとめ方・開催状態の判定と、iCalendarの書式を確認する
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadStageRules } = require('../scripts/lib/stage-classifier');
+const { buildTimeline, foldIcsLine, formatIcs } = require('../scripts/lib/timeline');
+
+const rules = loadStageRules();
+const DAY = 24 * 60 * 60 * 1000;
+const NOW = Date.UTC(2025, 6, 31);
+
+function stage(start, end, zoneName) {
+  return {
+    stageMeta: zoneName ? { code: 'X-1', zoneId: 'zone', zoneName, zoneName_i18n: { ja: `${zoneName}（日本語）` }, apCost: 10, stageType: 'ACTIVITY' } : undefined,
+    stageInfo: { times: 100, start, end, fetchedAt: new Date(NOW).toISOString() },
+    items: {}
+  };
+}
+
+const snapshot = {
+  fetchedAt: new Date(NOW).toISOString(),
+  dataCount: 0,
+  stageCount: 6,
+  data: {
+    act40side_01: stage(NOW - 10 * DAY, NOW + 4 * DAY, 'Open Event'),
+    act40side_02: stage(NOW - 9 * DAY, NOW + 5 * DAY, 'Open Event'),
+    act12side_01_rep: stage(NOW - 100 * DAY, NOW - 86 * DAY),
+    act41side_01: stage(NOW + 20 * DAY, null),
+    act12side_01_perm: stage(NOW - 80 * DAY, null),
+    'main_01-07': stage(0, null)
+  }
+};
+
+test('stages are grouped into events per stage type and category', () => {
+  const timeline = buildTimeline({ JP: snapshot }, { rules });
+  const jp = timeline.servers.JP;
+
+  assert.deepStrictEqual(jp.events.map(event => event.id), ['act12side:rerun', 'act40side:side_story', 'act41side:side_story']);
+  assert.deepStrictEqual(jp.open, ['act40side:side_story']);
+  assert.deepStrictEqual(jp.upcoming, ['act41side:side_story']);
+
+  const open = jp.events[1];
+  assert.strictEqual(open.name, 'Open Event（日本語）');
+  assert.strictEqual(open.start, new Date(NOW - 10 * DAY).toISOString());
+  assert.strictEqual(open.end, new Date(NOW + 5 * DAY).toISOString());
+  assert.strictEqual(jp.events[2].end, null);
+  assert.strictEqual(jp.events[0].status, 'closed');
+
+  assert.deepStrictEqual(timeline.events['act12side:rerun'].servers.JP, { start: jp.events[0].start, end: jp.events[0].end, status: 'closed' });
+});
+
+test('the calendar uses stable UIDs and escapes text', () => {
+  const timeline = buildTimeline({ JP: snapshot }, { rules, names: { act40side: 'Event; with, commas' } });
+  const ics = formatIcs(timeline);
+
+  assert.ok(ics.startsWith('BEGIN:VCALENDAR\r\n'));
+  assert.ok(ics.endsWith('END:VCALENDAR\r\n'));
+  assert.strictEqual(ics.match(/BEGIN:VEVENT/g).length, 3);
+  assert.ok(ics.includes('UID:jp-act40side-side_story@penguin-stats-data\r\n'));
+  assert.ok(ics.includes('SUMMARY:[JP] Event\\; with\\, commas\r\n'));
+  assert.ok(ics.includes('SUMMARY:[JP] act12side (rerun)\r\n'));
+  // 終了日が未定のイベントにはDTENDを付けない
+  const upcoming = ics.split('BEGIN:VEVENT').find(block => block.includes('act41side'));
+  assert.ok(!upcoming.includes('DTEND'));
+});
+
+test('long lines are folded at 75 octets without splitting characters', () => {
+  const folded = foldIcsLine(`SUMMARY:${'あ'.repeat(40)}`);
+  const lines = folded.split('\r\n');
+  assert.ok(lines.length > 1);
+  lines.forEach(line => assert.ok(Buffer.byteLength(line) <= 75));
+  assert.strictEqual(lines.map((line, index) => index === 0 ? line : line.slice(1)).join(''), `SUMMARY:${'あ'.repeat(40)}`);
+});
@@ -0,0 +1,87 @@
+// validator.test.js
+// 最小限のJSON Schemaバリデーターのエラーとエラー位置（JSON Pointer）の書式と、ドロップ行列のスキーマを確認する
+const test = require('node:test');
+const assert = require('node:assert');
+const { validate } = require('../scripts/lib/validator');
+const { validateRawMatrix } = require('../scripts/lib/schemas');
+
+const SCHEMA = {
+  type: 'object',
+  required: ['date', 'servers'],
+  properties: {
+    date: { type: 'string', pattern: '^\\d{4}-\\d{2}-\\d{2}$' },
+    servers: { type: 'array', items: { type: 'string', enum: ['CN', 'US', 'JP', 'KR'] } },
+    count: { type: 'integer', minimum: 0 },
+    note: { type: ['string', 'null'] },
+    stages: {
+      type: 'object',
+      propertyNames: { pattern: '^[a-z0-9_-]+$' },
+      additionalProperties: {
+        type: 'object',
+        required: ['items'],
+        properties: {
+          items: { type: 'array', items: { type: 'object', required: ['itemId'], properties: { itemId: { type: 'string' } } } }
+        },
+        additionalProperties: false
+      }
+    }
+  }
+};
+
+test('a valid document has no errors', () => {
+  assert.deepStrictEqual(validate({
+    date: '2025-07-31',
+    servers: ['CN', 'JP'],
+    count: 3,
+    note: null,
+    stages: { 'main_01-07': { items: [{ itemId: '30012' }] } }
+  }, SCHEMA), []);
+});
+
+test('type, required, enum, pattern and minimum errors name the failing value', () => {
+  assert.deepStrictEqual(validate([], SCHEMA), ['/: expected object, got array']);
+  assert.deepStrictEqual(validate({ date: '2025-7-31', count: -1, note: 1 }, SCHEMA), [
+    '/: missing required property "servers"',
+    '/date: "2025-7-31" does not match ^\\d{4}-\\d{2}-\\d{2}$',
+    '/count: -1 is less than 0',
+    '/note: expected string or null, got number'
+  ]);
+  assert.deepStrictEqual(validate({ date: '2025-07-31', servers: ['CN', 'EU', 2], count: 1.5 }, SCHEMA), [
+    '/servers/1: must be one of CN, US, JP, KR',
+    '/servers/2: expected string, got number',
+    '/count: expected integer, got number'
+  ]);
+});
+
+test('errors inside nested objects and arrays use the full pointer', () => {
+  const errors = validate({
+    date: '2025-07-31',
+    servers: [],
+    stages: {
+      'main_01-07': { items: [{ itemId: '30012' }, { itemId: 30011 }, {}] },
+      'Main 1-7': { items: [], extra: true }
+    }
+  }, SCHEMA);
+  assert.deepStrictEqual(errors, [
+    '/stages/main_01-07/items/1/itemId: expected string, got number',
+    '/stages/main_01-07/items/2: missing required property "itemId"',
+    '/stages/Main 1-7: property name does not match ^[a-z0-9_-]+$',
+    '/stages/Main 1-7/extra: unexpected property'
+  ]);
+});
+
+test('the root pointer and the error limit can be set', () => {
+  const schema = { type: 'array', items: { type: 'string' } };
+  assert.deepStrictEqual(validate([1], schema, { root: '/serverData/CN' }), ['/serverData/CN/0: expected string, got number']);
+  assert.strictEqual(validate([1, 2, 3, 4, 5], schema, { maxErrors: 2 }).length, 2);
+});
+
+test('matrix records must state when they end, even if they are still open', () => {
+  const record = { stageId: 'main_01-07', itemId: '30012', quantity: 5, times: 10, stdDev: 0.5, start: 1556668800000 };
+  assert.deepStrictEqual(validateRawMatrix({ matrix: [{ ...record, end: null }, { ...record, end: 1578355200000 }] }), []);
+  assert.deepStrictEqual(validateRawMatrix({ matrix: [record, { ...record, end: -1 }, { ...record, end: '2020-01-07' }] }), [
+    '/matrix/0: missing required property "end"',
+    '/matrix/1/end: -1 is less than 0',
+    '/matrix/2/end: expected integer or null, got string'
+  ]);
+});
@@ -0,0 +1,805 @@
+// Type definitions for penguin-stats-data
+// データ形式は scripts/lib/schemas.js のスキーマと対応している
+
+export type Server = 'CN' | 'US' | 'JP' | 'KR';
+
+export type StageCategory = 'main' | 'event' | 'rerun' | 'permanent' | 'side_story' | 'weekly' | 'annihilation';
+
+// ---- Penguin Stats API ----
+
+/** /result/matrix の1行 */
+export interface RawMatrixEntry {
+  stageId: string;
+  itemId: string;
+  quantity: number;
+  times: number;
+  stdDev?: number;
+  start: number;
+  /** 開催中ならnull */
+  end: number | null;
+}
+
+/** /result/matrix のレスポンス */
+export interface RawMatrix {
+  matrix: RawMatrixEntry[];
+}
+
+/** 日付フォルダに保存したドロップ行列の応答（<date>/raw-matrix-<server>.json.gz） */
+export interface RawMatrixArchive {
+  url: string;
+  server: Server;
+  /** この応答から作ったスナップショットの fetchedAt */
+  fetchedAt: string;
+  response: RawMatrix;
+}
+
+export interface RequestOptions {
+  /** 初回を除く再試行回数（既定: 3） */
+  retries?: number;
+  /** 1リクエストあたりのタイムアウト（既定: 60000） */
+  timeoutMs?: number;
+  /** 指数バックオフの基準待機時間（既定: 2000） */
+  retryBaseDelayMs?: number;
+  /** APIのベースURL */
+  apiBase?: string;
+  /** fetchの差し替え */
+  fetch?: typeof globalThis.fetch;
+  /** 同時実行数と開始間隔の制限（省略時は制限なし） */
+  limiter?: RateLimiter;
+  /** 条件付きリクエストに使うキャッシュ（省略時は毎回全体を取得する） */
+  cache?: HttpCache;
+}
+
+export interface RateLimiter {
+  schedule<T>(task: () => Promise<T>): Promise<T>;
+}
+
+export interface HttpCacheEntry {
+  url: string;
+  etag: string | null;
+  lastModified: string | null;
+  storedAt: string;
+  /** 最後に304で内容が変わっていないと確認した日時 */
+  validatedAt: string;
+  size: number;
+  annotations: Record<string, unknown>;
+}
+
+export interface HttpCache {
+  dir: string | null;
+  get(url: string): HttpCacheEntry | null;
+  conditionalHeaders(url: string): Record<string, string>;
+  readBody(url: string): string | null;
+  store(url: string, response: { etag: string | null; lastModified: string | null; body: string }): boolean;
+  touch(url: string): void;
+  annotate(url: string, annotations: Record<string, unknown>): void;
+  remove(url: string): void;
+}
+
+// ---- penguin-stats-<server>.json ----
+
+export interface StageInfo {
+  times: number;
+  start: number;
+  end: number | null;
+  /** 全レコードで最も遅い終了時刻（終了していないレコードがあればnull、古いスナップショットには無い） */
+  latestEnd?: number | null;
+  fetchedAt: string;
+}
+
+export interface ItemDrop {
+  quantity: number;
+  stdDev?: number;
+  dropRate: number;
+  /** 小数点以下2桁の文字列（例: "12.34"） */
+  dropPercentage: string;
+  /** アイテム毎の周回数（sampleStats のあるスナップショットのみ） */
+  times?: number;
+  /** ドロップ率の区間 [low, high]（ドロップ率 ≤ 1 はWilsonスコア区間） */
+  ci?: [number, number];
+  /** 周回数が sampleStats.lowSampleThreshold 未満 */
+  lowSample?: boolean;
+}
+
+export interface SampleOptions {
+  z: number;
+  lowSampleThreshold: number;
+  minTimes: number;
+}
+
+export interface SampleStats extends SampleOptions {
+  method: 'wilson';
+  lowSampleRecords?: number;
+  filteredRecords?: number;
+}
+
+export interface StageMeta {
+  code: string;
+  code_i18n?: Record<string, string | null>;
+  zoneId: string;
+  zoneName?: string | null;
+  zoneName_i18n?: Record<string, string | null>;
+  apCost: number | null;
+  stageType: string | null;
+}
+
+export interface StageData {
+  stageMeta?: StageMeta | null;
+  stageInfo: StageInfo;
+  items: Record<string, ItemDrop>;
+}
+
+export interface ItemMeta {
+  name: string;
+  name_i18n?: Record<string, string | null>;
+}
+
+export interface ServerSnapshot {
+  fetchedAt: string;
+  dataCount: number;
+  stageCount: number;
+  /** 取得に失敗し、前回のデータを引き継いだ場合 */
+  stale?: boolean;
+  staleSince?: string;
+  /** 区間・lowSample・最小周回数の設定と件数 */
+  sampleStats?: SampleStats;
+  itemMeta?: Record<string, ItemMeta>;
+  data: Record<string, StageData>;
+}
+
+// ---- 書き出し（CSV・列指向JSON） ----
+
+export interface DropRow {
+  server: Server;
+  date: string;
+  stageId: string;
+  itemId: string;
+  times: number;
+  quantity: number;
+  rate: number;
+}
+
+export interface ColumnSchema {
+  name: keyof DropRow;
+  type: 'string' | 'integer' | 'number';
+}
+
+/** 文字列の列は辞書符号化（dictionary + indices）、数値の列は values */
+export type ColumnarColumn = { dictionary: string[]; indices: number[] } | { values: number[] };
+
+export interface ColumnarTable {
+  format: 'columnar-json';
+  version: 1;
+  rowCount: number;
+  schema: ColumnSchema[];
+  columns: Record<string, ColumnarColumn>;
+}
+
+// ---- data/index.json と静的API（data/api/<server>/） ----
+
+export interface FileEntry {
+  /** dataディレクトリからの相対パス */
+  path: string;
+  size: number;
+  sha256: string;
+}
+
+export interface Manifest {
+  version: 1;
+  generatedAt: string;
+  latestDate: string;
+  servers: Server[];
+  api: Partial<Record<Server, {
+    date: string;
+    fetchedAt: string;
+    stale: boolean;
+    stageCount: number;
+    itemCount: number;
+    /** 例: "api/jp" */
+    path: string;
+  }>>;
+  latest: FileEntry[];
+  dates: Array<{
+    date: string;
+    servers: Server[];
+    staleServers: Server[];
+    storageMode: 'full' | 'delta';
+    files: FileEntry[];
+  }>;
+  history: FileEntry[];
+  archives: FileEntry[];
+}
+
+export interface ApiDocument {
+  server: Server;
+  date: string;
+  fetchedAt: string;
+  stale: boolean;
+}
+
+/** api/<server>/index.json */
+export interface ApiIndex extends ApiDocument {
+  version: 1;
+  stageCount: number;
+  itemCount: number;
+  stages: Array<{ stageId: string; code: string | null; itemCount: number }>;
+  items: Array<{ itemId: string; name: string | null; stageCount: number }>;
+}
+
+/** api/<server>/stages/<stageId>.json */
+export interface ApiStage extends ApiDocument {
+  stageId: string;
+  stageMeta: StageMeta | null;
+  stageInfo: StageInfo;
+  itemMeta: Record<string, ItemMeta>;
+  items: Record<string, ItemDrop>;
+}
+
+/** api/<server>/items/<itemId>.json（ドロップ率の高い順） */
+export interface ApiItem extends ApiDocument {
+  itemId: string;
+  itemMeta: ItemMeta | null;
+  stages: Array<ItemDrop & { stageId: string; code: string | null; start: number; end: number | null }>;
+}
+
+export interface ServerApi {
+  index: ApiIndex;
+  stages: Record<string, ApiStage>;
+  items: Record<string, ApiItem>;
+}
+
+// ---- summary.json / latest.json ----
+
+export interface Summary {
+  date: string;
+  fetchedAt: string;
+  servers: Server[];
+  staleServers?: Server[];
+  totalStages: number;
+  totalRecords: number;
+  storageMode?: 'full' | 'delta';
+  serverData?: Partial<Record<Server, ServerSnapshot>>;
+}
+
+export interface Latest extends Summary {
+  latestDataPath: string;
+}
+
+// ---- metadata-<server>.json ----
+
+export interface Metadata {
+  fetchedAt?: string;
+  items: Record<string, {
+    name: string;
+    name_i18n: Record<string, string | null>;
+    itemType?: string;
+    rarity?: number;
+    sortId?: number;
+  }>;
+  stages: Record<string, {
+    code: string;
+    code_i18n: Record<string, string | null>;
+    zoneId: string;
+    apCost?: number | null;
+    stageType?: string | null;
+  }>;
+  zones: Record<string, {
+    zoneName: string;
+    zoneName_i18n: Record<string, string | null>;
+    type?: string;
+  }>;
+}
+
+// ---- ステージ分類 ----
+
+export interface StageRule {
+  name: string;
+  /** ^...$ で囲まれた正規表現 */
+  pattern: string;
+  category: StageCategory;
+  /** $1 などのキャプチャを使えるグループ名 */
+  group: string;
+  description?: string;
+}
+
+export interface StageRuleSet {
+  description?: string;
+  rules: StageRule[];
+}
+
+export type StageFilterScope = 'fetch' | 'analysis';
+
+/** config/stage-filters.json のルール（prefix・pattern・categoryのどれか1つ） */
+export interface StageFilterRule {
+  name: string;
+  action: 'include' | 'exclude';
+  prefix?: string;
+  pattern?: string;
+  category?: StageCategory;
+  /** 省略時は fetch と analysis の両方 */
+  scopes?: StageFilterScope[];
+  description?: string;
+}
+
+/** config/stage-filters.json */
+export interface StageFilterConfig {
+  description?: string;
+  keepExcluded?: boolean;
+  rules: StageFilterRule[];
+  /** サーバー別のルール（共通のルールより先に評価する） */
+  servers?: Partial<Record<Server, { keepExcluded?: boolean; rules?: StageFilterRule[] }>>;
+}
+
+/** compileStageFilter の結果 */
+export interface StageFilter {
+  scope: StageFilterScope;
+  server: Server | null;
+  keepExcluded: boolean;
+  definitions: StageFilterRule[];
+  /** 除外するなら一致したルール名、残すならnull */
+  match(stageId: string): string | null;
+}
+
+export interface StageFilterReport {
+  scope: StageFilterScope;
+  server: Server | null;
+  keepExcluded: boolean;
+  keptStages: number;
+  excludedStages: number;
+  rules: Record<string, { count: number; examples: string[] }>;
+}
+
+/** compileStageRules / loadStageRules の結果 */
+export interface CompiledStageRule {
+  name: string;
+  category: StageCategory;
+  group: string;
+  regex: RegExp;
+}
+
+export interface StageClassification {
+  category: StageCategory;
+  group: string;
+  rule: string;
+}
+
+export interface StageTypeResult {
+  stageType: string;
+  categories: Partial<Record<StageCategory, number>>;
+  count: number;
+  examples: string;
+  allStageIds: string[];
+  isNew: boolean;
+}
+
+export interface UnmatchedStage {
+  stageId: string;
+  servers: Server[];
+}
+
+export interface StageTypeAnalysis {
+  allResults: StageTypeResult[];
+  newResults: StageTypeResult[];
+  unmatched: UnmatchedStage[];
+  excluded: Array<{ stageId: string; rule: string; servers: Server[] }>;
+  filterReports: StageFilterReport[];
+}
+
+// ---- data/stage-types-registry.json ----
+
+export interface RegistryEntry {
+  status: 'new' | 'active' | 'ignored';
+  category: StageCategory | null;
+  names: { ja: string; en: string; zh: string };
+  firstSeen: string | null;
+  syncedAt: string | null;
+  notes: string;
+}
+
+export interface Registry {
+  version: 1;
+  types: Record<string, RegistryEntry>;
+}
+
+// ---- 比較・効率・素材価値 ----
+
+export interface RateChange {
+  stageId: string;
+  itemId: string;
+  fromRate: number;
+  toRate: number;
+  delta: number;
+  fromTimes: number;
+  toTimes: number;
+  /** 標準誤差が0で決まらない場合はnull（zeroVariance が true） */
+  zScore: number | null;
+  zeroVariance: boolean;
+}
+
+export interface ServerDiff {
+  newStages: string[];
+  removedStages: string[];
+  itemChanges: { stageId: string; addedItems: string[]; removedItems: string[] }[];
+  rateChanges: RateChange[];
+}
+
+export interface DiffReport {
+  from: string;
+  to: string;
+  threshold: number;
+  generatedAt: string;
+  missingServers: Server[];
+  servers: Partial<Record<Server, ServerDiff>>;
+}
+
+export interface RateDifference {
+  stageId: string;
+  itemId: string;
+  referenceRate: number;
+  serverRate: number;
+  delta: number;
+  referenceTimes: number;
+  serverTimes: number;
+  /** 標準誤差が0で決まらない場合はnull（zeroVariance が true） */
+  zScore: number | null;
+  zeroVariance: boolean;
+}
+
+export interface ServerComparison {
+  sharedStageCount: number;
+  referenceOnlyStages: string[];
+  serverOnlyStages: string[];
+  itemDifferences: { stageId: string; referenceOnlyItems: string[]; serverOnlyItems: string[] }[];
+  rateDifferences: RateDifference[];
+}
+
+export interface ReferenceOnlyGroup {
+  /** ステージタイプ（分類ルールに一致しなければnull） */
+  group: string | null;
+  category: StageCategory | null;
+  /** 基準サーバーで最初に開始した日（YYYY-MM-DD） */
+  start: string;
+  stageIds: string[];
+}
+
+export interface CrossServerReport {
+  reference: Server;
+  threshold: number;
+  minTimes: number;
+  generatedAt: string;
+  staleServers: Server[];
+  servers: Partial<Record<Server, ServerComparison>>;
+  referenceOnly: { stageCount: number; groups: ReferenceOnlyGroup[] };
+}
+
+export interface CompareOptions {
+  reference?: Server;
+  threshold?: number;
+  minTimes?: number;
+  rules?: CompiledStageRule[];
+}
+
+export interface HealthPolicy {
+  baselineDays: number;
+  stageDropWarning: number;
+  stageDropSevere: number;
+  recordDropWarning: number;
+  recordDropSevere: number;
+  timesDecreaseSevereRatio: number;
+  vanishedItemsSevereRatio: number;
+}
+
+export type HealthStatus = 'ok' | 'warning' | 'severe';
+
+export interface HealthAnomaly {
+  type: 'missing_server' | 'empty_matrix' | 'stale_server' | 'stage_count_drop' | 'record_count_drop'
+    | 'times_decreased' | 'stages_vanished' | 'items_vanished';
+  severity: 'warning' | 'severe';
+  message: string;
+  value?: number;
+  baseline?: number;
+  ratio?: number;
+  stageIds?: string[];
+  stages?: Array<{ stageId: string; from?: number; to?: number; itemIds?: string[] }>;
+}
+
+export interface HealthMetrics {
+  stageCount: number;
+  recordCount: number;
+}
+
+export interface ServerHealth {
+  status: HealthStatus;
+  metrics: HealthMetrics | null;
+  /** ベースラインの中央値（直前の日が無ければnull） */
+  baseline: (HealthMetrics & { days: number }) | null;
+  anomalies: HealthAnomaly[];
+}
+
+export interface HealthReport {
+  date: string;
+  generatedAt: string;
+  status: HealthStatus;
+  baselineDates: string[];
+  policy: HealthPolicy;
+  anomalyCount: { warning: number; severe: number };
+  servers: Partial<Record<Server, ServerHealth>>;
+}
+
+export interface HealthBaseline {
+  dates: string[];
+  servers: Partial<Record<Server, { metrics: HealthMetrics[]; previous: ServerSnapshot | null }>>;
+}
+
+export interface GrowthOptions {
+  windowDays: number;
+  topN: number;
+  minTimes: number;
+  /** 累積のドロップ率との相対差がこれ未満なら shifted にしない */
+  minShift: number;
+  z: number;
+}
+
+/** 2つのスナップショットの間に届いた報告 */
+export interface DailyDelta {
+  from: string;
+  to: string;
+  days: number;
+  totalTimes: number;
+  stages: Record<string, { times: number; items: Record<string, { quantity: number; times: number }> }>;
+  /** 比べられるアイテムが無く、stageInfoの期間も違うステージ */
+  skippedStages: string[];
+  /** 累積値が減ったもの（報告の取り消し） */
+  corrections: Array<{ stageId: string; itemId?: string; quantity?: number; times: number }>;
+}
+
+export interface FarmedStage {
+  stageId: string;
+  code: string | null;
+  zoneId: string | null;
+  times: number;
+  /** 期間中の全周回数に占める割合 */
+  share: number;
+}
+
+export interface RecentDropRate {
+  times: number;
+  quantity: number;
+  dropRate: number;
+  ci: [number, number];
+  allTimeDropRate: number;
+  shifted: boolean;
+}
+
+export type RecentDropRates = Record<string, { code: string | null; zoneId: string | null; items: Record<string, RecentDropRate> }>;
+
+export interface SampleGrowth {
+  window: { from: string; to: string; dates: string[] };
+  totalTimes: number;
+  daily: Array<{
+    from: string;
+    to: string;
+    days: number;
+    totalTimes: number;
+    stages: Record<string, number>;
+    skippedStages: number;
+    corrections: number;
+  }>;
+  mostFarmed: FarmedStage[];
+  shifted: Array<{ stageId: string; code: string | null; itemId: string; dropRate: number; allTimeDropRate: number; times: number }>;
+  recentDropRates: RecentDropRates;
+}
+
+export type EventStatus = 'open' | 'upcoming' | 'closed';
+
+export interface TimelineEvent {
+  /** "<ステージタイプ>:<カテゴリ>"（例: "act12side:rerun"） */
+  id: string;
+  group: string;
+  category: StageCategory;
+  name: string;
+  start: string;
+  /** 終了日が未定ならnull */
+  end: string | null;
+  status: EventStatus;
+  stageCount: number;
+  stageIds: string[];
+}
+
+export interface ServerTimeline {
+  fetchedAt: string;
+  stale: boolean;
+  open: string[];
+  upcoming: string[];
+  events: TimelineEvent[];
+}
+
+export interface Timeline {
+  date?: string;
+  generatedAt: string;
+  categories: StageCategory[];
+  servers: Partial<Record<Server, ServerTimeline>>;
+  events: Record<string, {
+    group: string;
+    category: StageCategory;
+    name: string;
+    servers: Partial<Record<Server, { start: string; end: string | null; status: EventStatus }>>;
+  }>;
+}
+
+export interface TimelineOptions {
+  rules: CompiledStageRule[];
+  categories?: StageCategory[];
+  /** 開催中かどうかの基準時刻（既定は各スナップショットの取得時刻） */
+  now?: number;
+  /** ステージタイプ毎のイベント名 */
+  names?: Record<string, string>;
+  /** ゾーン名を使うときの言語（既定: ja） */
+  language?: string;
+}
+
+export interface ItemEfficiency {
+  times: number;
+  dropRate: number;
+  sanityPerItem: number;
+  sanityPerItemCI: [number, number | null];
+}
+
+export interface StageEfficiency {
+  code: string | null;
+  apCost: number;
+  open: boolean;
+  items: Record<string, ItemEfficiency>;
+}
+
+export interface BestStage extends ItemEfficiency {
+  stageId: string;
+  code: string | null;
+  apCost: number;
+}
+
+export interface ItemValueResult {
+  status: 'optimal' | 'no_ap_cost' | 'no_data' | 'unbounded' | 'iteration_limit';
+  /** status が no_ap_cost のとき、消費理性が分からなかった開催中ステージの数 */
+  missingApCost?: number;
+  iterations?: number;
+  itemCount?: number;
+  stageCount?: number;
+  itemValues: Record<string, number>;
+  stageEfficiency: Record<string, { apCost: number; efficiency: number }>;
+}
+
+/** config/formulas.json の加工レシピ */
+export interface Formula {
+  itemId: string;
+  goldCost: number;
+  costs: { itemId: string; count: number }[];
+}
+
+export interface ItemValueOptions {
+  lmdValue?: number;
+  lmdPerAp?: number;
+  minTimes?: number;
+  itemPattern?: string;
+  openOnly?: boolean;
+  metadata?: Metadata;
+}
+
+export interface ValidationReport {
+  checked: number;
+  invalid: Record<string, string[]>;
+}
+
+// ---- 公開API（scripts/index.js） ----
+
+export interface DataDirOptions {
+  /** データディレクトリ（既定: このパッケージの data/） */
+  dataDir?: string;
+}
+
+export const API_BASE: string;
+export const SERVERS: Server[];
+export const DEFAULT_DATA_DIR: string;
+export const STAGE_CATEGORIES: StageCategory[];
+export const DEFAULT_TIMELINE_CATEGORIES: StageCategory[];
+export const DEFAULT_SAMPLE_OPTIONS: SampleOptions;
+export const DROP_COLUMNS: ColumnSchema[];
+export const DEFAULT_HEALTH_POLICY: HealthPolicy;
+export const DEFAULT_GROWTH_OPTIONS: GrowthOptions;
+
+export function createRateLimiter(options?: { concurrency?: number; minIntervalMs?: number }): RateLimiter;
+/** dir が null なら何も保存しない */
+export function createHttpCache(dir: string | null, options?: { readOnly?: boolean }): HttpCache;
+export function fetchMatrix(server: Server, options?: RequestOptions): Promise<RawMatrix>;
+export function fetchMetadata(server: Server, options?: RequestOptions): Promise<Metadata>;
+
+/** レスポンスが不正な場合は validationErrors を持つErrorを投げる。filter と excludePatterns を省略すると config/stage-filters.json の取得（fetch）のルール */
+export function processMatrix(
+  raw: RawMatrix,
+  options?: { filter?: StageFilter; excludePatterns?: string[]; fetchedAt?: string } & Partial<SampleOptions>
+): ServerSnapshot;
+/** excludePatterns を省略すると config/stage-filters.json の取得（fetch）のルール */
+export function isExcludedStage(stageId: string, excludePatterns?: string[]): boolean;
+/** Wilsonスコア区間 [low, high] */
+export function wilsonInterval(successes: number, trials: number, z?: number): [number, number];
+/** ドロップ率の区間（quantity ≤ times はWilson、それ以外はstdDevによる正規近似） */
+export function dropRateInterval(quantity: number, stdDev: number | undefined, times: number, z?: number): [number, number];
+
+export function loadSnapshot(date: string, server: Server, options?: DataDirOptions & { useHistory?: boolean }): ServerSnapshot | null;
+/** 保存していなければnull、壊れていれば例外 */
+export function loadRawMatrix(date: string, server: Server, options?: DataDirOptions): RawMatrixArchive | null;
+export function listDates(options?: DataDirOptions): string[];
+export function getLatestDate(options?: DataDirOptions): string | null;
+export function loadLatestMetadata(baseDataDir: string, server: Server, onOrBeforeDate: string): { date: string; metadata: Metadata } | null;
+export function enrichSnapshot(snapshot: ServerSnapshot, metadata: Metadata): ServerSnapshot;
+
+/** スナップショットを1行1レコードにする（stageId, itemIdの順） */
+export function flattenSnapshot(snapshot: ServerSnapshot, server: Server, date: string): DropRow[];
+export function formatCsv(rows: DropRow[], options?: { header?: boolean }): string;
+export function toColumnar(rows: DropRow[]): ColumnarTable;
+export function fromColumnar(table: ColumnarTable): DropRow[];
+
+/** 1サーバー分の静的API（data/api/<server>/ に書き出す内容） */
+export function buildServerApi(snapshot: ServerSnapshot, server: Server, date: string): ServerApi;
+
+export function classifyStage(stageId: string, rules?: CompiledStageRule[]): StageClassification | null;
+export function classifyStages(stageIds: string[], rules?: CompiledStageRule[]): {
+  classified: Record<string, StageClassification>;
+  unmatched: string[];
+};
+export function compileStageRules(ruleSet: StageRuleSet): CompiledStageRule[];
+export function loadStageRules(rulesPath?: string): CompiledStageRule[];
+/** filterConfig と excludePatterns を省略すると config/stage-filters.json の分析（analysis）のルール */
+export function analyzeStageTypes(
+  snapshots: Partial<Record<Server, ServerSnapshot>>,
+  options: { rules: CompiledStageRule[]; knownTypes?: string[]; filterConfig?: StageFilterConfig; excludePatterns?: string[] }
+): StageTypeAnalysis;
+/** configPath を省略すると config/stage-filters.json */
+export function loadStageFilterConfig(configPath?: string): StageFilterConfig;
+export function compileStageFilter(
+  config: StageFilterConfig,
+  scope: StageFilterScope,
+  server?: Server | null,
+  options?: { stageRules?: CompiledStageRule[] }
+): StageFilter;
+
+export function diffServerSnapshots(fromSnapshot: ServerSnapshot, toSnapshot: ServerSnapshot, threshold?: number): ServerDiff;
+export function diffSnapshots(baseDataDir: string, fromDate: string, toDate: string, options?: { threshold?: number; servers?: Server[] }): DiffReport;
+
+export function compareServerSnapshots(referenceSnapshot: ServerSnapshot, serverSnapshot: ServerSnapshot, options?: CompareOptions): ServerComparison;
+export function compareServers(snapshots: Partial<Record<Server, ServerSnapshot>>, options?: CompareOptions): CrossServerReport;
+
+/** 取得結果を直前の数日分と比べて異常を検出する（当日のデータが無いサーバーはnull） */
+export function checkHealth(
+  date: string,
+  current: Partial<Record<Server, ServerSnapshot | null>>,
+  baseline: HealthBaseline,
+  policy?: HealthPolicy
+): HealthReport;
+
+/** 累積値の差分からその間に届いた報告を求める */
+export function computeDailyDeltas(previous: ServerSnapshot, current: ServerSnapshot, fromDate: string, toDate: string): DailyDelta;
+export function mostFarmedStages(deltas: DailyDelta[], snapshot: ServerSnapshot, options?: { topN?: number; metadata?: Metadata }): FarmedStage[];
+export function recentDropRates(
+  deltas: DailyDelta[],
+  snapshot: ServerSnapshot,
+  options?: { minTimes?: number; minShift?: number; z?: number; metadata?: Metadata }
+): RecentDropRates;
+/** series は日付順（最後が対象日） */
+export function buildSampleGrowth(
+  series: Array<{ date: string; snapshot: ServerSnapshot }>,
+  options?: Partial<GrowthOptions> & { metadata?: Metadata }
+): SampleGrowth;
+
+export function computeStageEfficiency(snapshot: ServerSnapshot, options?: { z?: number; metadata?: Metadata }): Record<string, StageEfficiency>;
+export function computeBestStages(
+  stageEfficiency: Record<string, StageEfficiency>,
+  options?: { minTimes?: number; topN?: number; openOnly?: boolean }
+): Record<string, BestStage[]>;
+
+export function solveItemValues(snapshot: ServerSnapshot, formulas: Formula[], options?: ItemValueOptions): ItemValueResult;
+
+export function buildTimeline(snapshots: Partial<Record<Server, ServerSnapshot>>, options: TimelineOptions): Timeline;
+export function formatIcs(timeline: Timeline, options?: { servers?: Server[]; calendarName?: string }): string;
+
+export function validateDataTree(baseDataDir: string): ValidationReport;